@@ -2,6 +2,7 @@ import './App.css'
 import Pages from "@/pages/index.jsx"
 import { Toaster } from "@/components/ui/toaster"
 import { QueryClient, QueryClientProvider } from "@tanstack/react-query";
+import { useLiveQueryInvalidation } from "@/hooks/use-live-queries";
 
 const queryClient = new QueryClient({
   defaultOptions: {
@@ -13,6 +14,8 @@ const queryClient = new QueryClient({
 });
 
 function App() {
+  useLiveQueryInvalidation(queryClient);
+  
   return (
     <QueryClientProvider client={queryClient}>
       <Pages />
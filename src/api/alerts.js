@@ -0,0 +1,133 @@
+/*
+  Alert ingestion: raw monitoring webhooks in, incidents out.
+
+  ingestPayload() normalizes a payload (see ./ingest) and files each alert
+  by its fingerprint, kept on the incident as `alert_fingerprint`:
+
+    firing,   no open incident   a new incident (status "new"), audited as
+                                 `incident_created`
+    firing,   open incident      counted on it (`alert_count`,
+                                 `last_alert_at`), audited as
+                                 `alert_deduplicated`
+    resolved, open incident      resolved through the lifecycle, audited as
+                                 `status_changed` with the alert's notes
+    resolved, none               ignored
+
+  A duplicate that was merged away counts as the incident it was merged
+  into. Incidents still waiting to be picked up resolve through the
+  lifecycle's internal `auto_resolve` move. All alerts in a payload are
+  filed in one transaction.
+*/
+
+import { db } from "./localDb";
+import { prepareCreate } from "./schemas";
+import { transition } from "./lifecycle";
+import { normalizePayload } from "./ingest";
+
+const CLOSED_STATUSES = ["resolved", "closed"];
+
+async function audit(tx, incident, action_type, actor, details) {
+  await tx.create("AuditLog", {
+    incident_id: incident.id,
+    entity_type: "Incident",
+    entity_id: incident.id,
+    action_type,
+    actor,
+    details,
+  });
+}
+
+// -> the open incident filed for `fingerprint`, following merges, or null.
+async function openIncidentFor(tx, fingerprint) {
+  const filed = await tx.filter("Incident", { where: { alert_fingerprint: fingerprint }, limit: Infinity });
+  for (let incident of filed) {
+    const seen = new Set();
+    while (incident?.merged_into && !seen.has(incident.id)) {
+      seen.add(incident.id);
+      [incident] = await tx.filter("Incident", { where: { id: incident.merged_into }, limit: 1 });
+    }
+    if (incident && !CLOSED_STATUSES.includes(incident.status)) return incident;
+  }
+  return null;
+}
+
+const union = (...lists) => [...new Set(lists.flat().filter(Boolean))];
+
+async function fileAlert(tx, alert, actor, now) {
+  const incident = await openIncidentFor(tx, alert.fingerprint);
+  const at = alert.occurred_at || now;
+
+  if (alert.status === "resolved") {
+    if (!incident) return { outcome: "ignored" };
+    const resolved = await transition(
+      tx,
+      incident,
+      {
+        status: "resolved",
+        resolution_notes: `Alert resolved at ${alert.source} (${alert.title}) at ${at}.`,
+        last_alert_at: at,
+      },
+      { actor, internal: true }
+    );
+    return { outcome: "resolved", incident: resolved };
+  }
+
+  if (incident) {
+    const updated = await tx.update("Incident", incident.id, {
+      alert_count: (incident.alert_count || 1) + 1,
+      last_alert_at: at,
+      affected_systems: union(incident.affected_systems || [], alert.affected_systems),
+    });
+    await audit(tx, incident, "alert_deduplicated", actor, {
+      source: alert.source,
+      fingerprint: alert.fingerprint,
+      count: updated.alert_count,
+    });
+    return { outcome: "deduplicated", incident: updated };
+  }
+
+  const created = await tx.create(
+    "Incident",
+    prepareCreate("Incident", {
+      title: alert.title,
+      description: alert.description,
+      severity: alert.severity,
+      source: alert.source,
+      affected_systems: alert.affected_systems,
+      logs: alert.logs,
+      tags: alert.tags,
+      alert_fingerprint: alert.fingerprint,
+      alert_count: 1,
+      last_alert_at: at,
+      alert_url: alert.url || undefined,
+    })
+  );
+  await audit(tx, created, "incident_created", actor, {
+    severity: created.severity,
+    source: created.source,
+    fingerprint: alert.fingerprint,
+  });
+  return { outcome: "created", incident: created };
+}
+
+// `payload` is the webhook body (object or JSON text); `format` an
+// ./ingest normalizer id, detected when left out.
+// -> [{ fingerprint, status, title, outcome, incident_id }], one per alert.
+export async function ingestPayload(payload, { format, actor } = {}) {
+  const alerts = normalizePayload(payload, format);
+  const now = new Date().toISOString();
+  return db.transaction(async (tx) => {
+    const results = [];
+    for (const alert of alerts) {
+      const { outcome, incident } = await fileAlert(tx, alert, actor, now);
+      results.push({
+        fingerprint: alert.fingerprint,
+        status: alert.status,
+        title: alert.title,
+        outcome,
+        incident_id: incident?.id || null,
+      });
+    }
+    return results;
+  });
+}
@@ -3,45 +3,260 @@
 // without relying on any external backend.
 
 import { db } from "./localDb";
+import { matchesWhere } from "./query";
 import { ensureSeeded } from "./seed";
+import { prepareCreate, prepareUpdate } from "./schemas";
+import { exportBundle, importBundle, validateBundle } from "./bundle";
+import { hasPermission, PERMISSION_LABELS, requiredPermissions } from "./rbac";
+import { PermissionError } from "./errors";
+import { currentSession, currentUser, listProviders, login, logout, setPassword } from "./auth/session";
+import { REVISION_TABLE, diffStates, stateAt } from "./revisions";
+import { listTrash, purge, purgeExpired, restore, retentionDays, softDelete } from "./trash";
+import { approvalPolicies, castVote, escalateOverdue, listRequests, setApprovalPolicies } from "./approvals";
+import { AUDIT_TABLE, verifyChain } from "./auditChain";
+import { signingKeyInfo, verifyBundleSignature } from "./signing";
+import { activeWorkspace, switchWorkspace, workspacesOf } from "./workspaces";
+import { assertInitialStatus, transition } from "./lifecycle";
+import { recordBreaches, setSlaPolicies, slaPolicies } from "./sla";
+import { assertValidSchedule } from "./oncall";
+import {
+  ESCALATION_TABLE,
+  acknowledgeIncident,
+  assertValidPolicy,
+  deliverNotifications,
+  runEscalations,
+} from "./paging";
+import { recordUpdateSent, roleHolder, staffIncident } from "./responders";
+import { COMMENT_TABLE, addComment, editComment, setPinned } from "./comments";
+import { attachReport, findDuplicates } from "./duplicates";
+import { incidentGraph, linkIncidents, mergeIncidents, splitIncident, unlinkIncidents } from "./incidentLinks";
+import { ingestPayload } from "./alerts";
 
-ensureSeeded();
+// Storage loads asynchronously (see ./storage); every entry point below waits
+// for hydration + seeding (and the scheduled checks) before touching the db.
+const ready = ensureSeeded().then(runScheduledChecks);
+
+// `ready`, plus a check that the signed-in user still belongs to the active
+// workspace (currentUser moves them if not; see ./workspaces). localDb keeps
+// every read and write inside that workspace.
+const workspaceReady = () => ready.then(() => (db.getMeta("session") ? currentUser() : null));
+
+// Time-based housekeeping: trash retention, approval escalation, SLA
+// breaches and paging, for the active workspace. Runs at startup and
+// whenever the app invokes "runScheduledChecks".
+async function runScheduledChecks() {
+  const purged = await purgeExpired();
+  const escalated = await escalateOverdue();
+  const breached = await recordBreaches();
+  const paged = await runEscalations();
+  return { purged, escalated, breached, paged };
+}
+
+// `source` is db or a transaction.
+async function findWithDeleted(source, entity, id) {
+  const [record] = await source.filter(entity, { where: { id }, withDeleted: true, limit: 1 });
+  if (!record) throw new Error(`Record not found: ${entity}.${id}`);
+  return record;
+}
+
+const currentActor = () => db.getMeta("currentUser")?.email || "SYSTEM";
+const currentUserId = () => db.getMeta("currentUser")?.id;
+
+// Checks beyond the entity schema, run on the record as it would be saved.
+const RECORD_CHECKS = {
+  OnCallSchedule: assertValidSchedule,
+  EscalationPolicy: assertValidPolicy,
+};
+
+// Status changes go through the incident lifecycle (see ./lifecycle).
+const changesStatus = (entity, patch, previous) =>
+  entity === "Incident" && patch.status !== undefined && patch.status !== previous.status;
+
+// Incident writes that need more than tx.update: role changes go through
+// ./responders first, then status changes through the lifecycle.
+const needsIncidentWrite = (entity, patch, previous) =>
+  entity === "Incident" && (patch.roles !== undefined || changesStatus(entity, patch, previous));
+
+// -> { record, notifications }; deliver the notifications once `tx` commits.
+async function writeIncident(tx, current, patch, { note, ...updateOptions } = {}) {
+  const actor = currentActor();
+  let notifications = [];
+  if (patch.roles !== undefined) ({ patch, notifications } = await staffIncident(tx, current, patch, { actor, note }));
+  const record = changesStatus("Incident", patch, current)
+    ? await transition(tx, current, patch, { actor, ...updateOptions })
+    : await tx.update("Incident", current.id, patch, updateOptions);
+  return { record, notifications };
+}
+
+// Where a record's audit entries go.
+const auditTarget = (entity, record) => ({
+  entity,
+  id: record?.id,
+  incident_id: entity === "Incident" ? record?.id : record?.incident_id,
+});
+
+// Checks the signed-in user holds every permission (see ./rbac). A denied
+// attempt is audited, then raised as a PermissionError.
+async function authorize(permissions, target = {}) {
+  if (!permissions.length) return;
+  const user = await currentUser();
+  const missing = permissions.find((permission) => !hasPermission(user, permission));
+  if (!missing) return;
+  await db.create("AuditLog", {
+    incident_id: target.incident_id,
+    entity_type: target.entity,
+    entity_id: target.id,
+    action_type: "access_denied",
+    actor: user.email,
+    details: { permission: missing, roles: user.roles || [] },
+  });
+  throw new PermissionError(missing, user, PERMISSION_LABELS[missing]);
+}
 
 const entityFactory = (tableName) => {
   return {
     async list(sort = "-created_date", limit = 100) {
+      await workspaceReady();
       return db.list(tableName, { sort, limit });
     },
+    // `where` supports query operators ($in, $gt, $contains, $or, ...); see ./query.js
     async filter(where = {}, sort = "-created_date", limit = 1000) {
+      await workspaceReady();
       return db.filter(tableName, { where, sort, limit });
     },
+    // Cursor pagination, shaped for useInfiniteQuery:
+    //   queryFn: ({ pageParam }) => Entity.page({ cursor: pageParam, ... })
+    //   getNextPageParam: (last) => last.nextCursor
+    // Returns { items, nextCursor, total }. `sort` may be an array of fields.
+    async page({ where = {}, sort = "-created_date", limit = 25, cursor = null } = {}) {
+      await workspaceReady();
+      return db.page(tableName, { where, sort, limit, cursor });
+    },
+    async count(where = {}) {
+      await workspaceReady();
+      return db.count(tableName, where);
+    },
+    // Every matching record, walked page by page (for aggregates).
+    async listAll(where = {}, sort = "-created_date") {
+      await workspaceReady();
+      const all = [];
+      let cursor = null;
+      do {
+        const page = await db.page(tableName, { where, sort, limit: 500, cursor });
+        all.push(...page.items);
+        cursor = page.nextCursor;
+      } while (cursor);
+      return all;
+    },
+    // create/update throw ValidationError (./errors) when the schema rejects the data.
+    // Writes are checked against the signed-in user's roles (see ./rbac) and
+    // throw PermissionError when denied. Incident status changes that break
+    // the lifecycle throw TransitionError; incident roles are audited (see ./responders).
     async create(data) {
-      return db.create(tableName, data);
+      await workspaceReady();
+      const record = prepareCreate(tableName, data);
+      if (tableName === "Incident") assertInitialStatus(record);
+      RECORD_CHECKS[tableName]?.(record);
+      await authorize(
+        requiredPermissions(tableName, "create", record, null, { userId: currentUserId() }),
+        auditTarget(tableName, record)
+      );
+      const created = await db.create(tableName, record);
+      // New incidents are paged straight away (see ./paging).
+      if (tableName === "Incident") await runEscalations();
+      return created;
     },
-    async update(id, data) {
-      return db.update(tableName, id, data);
+    // Pass { expectedVersion: record.version ?? 0 } to get a ConflictError
+    // (./errors) instead of overwriting someone else's newer change.
+    async update(id, data, { expectedVersion } = {}) {
+      await workspaceReady();
+      const patch = prepareUpdate(tableName, data);
+      const previous = await findWithDeleted(db, tableName, id);
+      RECORD_CHECKS[tableName]?.({ ...previous, ...patch });
+      await authorize(
+        requiredPermissions(tableName, "update", patch, previous, { userId: currentUserId() }),
+        auditTarget(tableName, previous)
+      );
+      if (needsIncidentWrite(tableName, patch, previous)) {
+        const { record, notifications } = await db.transaction(async (tx) =>
+          writeIncident(tx, await findWithDeleted(tx, tableName, id), patch, { expectedVersion })
+        );
+        await deliverNotifications(notifications);
+        return record;
+      }
+      return db.update(tableName, id, patch, { expectedVersion });
     },
+    // Soft delete: the record moves to the trash (see ./trash) and drops out
+    // of list/filter/page/count until restored.
     async delete(id) {
-      return db.remove(tableName, id);
+      await workspaceReady();
+      await authorize(requiredPermissions(tableName, "delete"), auditTarget(tableName, await findWithDeleted(db, tableName, id)));
+      return softDelete(tableName, id);
+    },
+    async restore(id) {
+      await workspaceReady();
+      await authorize(requiredPermissions(tableName, "restore"), auditTarget(tableName, await findWithDeleted(db, tableName, id)));
+      return restore(tableName, id);
+    },
+    // Permanently remove a trashed record.
+    async purge(id) {
+      await workspaceReady();
+      await authorize(requiredPermissions(tableName, "purge"), auditTarget(tableName, await findWithDeleted(db, tableName, id)));
+      return purge(tableName, id);
+    },
+    // callback(event) whenever a record matching `where` is created, changed
+    // (before or after the change) or removed; bulk replaces/reloads always
+    // notify. Returns an unsubscribe function.
+    subscribe(where, callback) {
+      return db.subscribe((event) => {
+        if (event.table !== tableName && event.table !== "*") return;
+        if (!event.record) return callback(event);
+        if (matchesWhere(event.record, where) || (event.previous && matchesWhere(event.previous, where))) {
+          callback(event);
+        }
+      });
     },
   };
 };
 
+// The reads of entityFactory, for tables only appClient itself writes.
+const readOnlyFactory = (tableName) => {
+  const { list, filter, page, count, listAll, subscribe } = entityFactory(tableName);
+  return { list, filter, page, count, listAll, subscribe };
+};
+
+// Pluggable providers (see ./auth); errors are AuthError with a `code`.
 const auth = {
+  // -> [{ id, label, type }] for the login page.
+  providers() {
+    return listProviders();
+  },
+  // login("local", { username, password }) | login("oidc", { login_hint })
+  async login(providerId, input) {
+    await ready;
+    return login(providerId, input);
+  },
+  // The signed-in User; throws AuthError("unauthenticated" | "session_expired").
   async me() {
-    // Simple local identity for demo/dev.
-    const saved = db.getMeta("currentUser");
-    if (saved) return saved;
-    const user = {
-      id: "user_demo",
-      email: "demo.user@example.com",
-      full_name: "Demo User",
-    };
-    db.setMeta("currentUser", user);
-    return user;
+    await ready;
+    return currentUser();
+  },
+  // -> { user_id, provider, issued_at, expires_at } | null
+  async session() {
+    await ready;
+    return currentSession();
+  },
+  // Signed-in users may set their own password; anyone else's needs
+  // user.manage_roles. Audited as `password_changed`.
+  async setPassword(userId, password, { username } = {}) {
+    await workspaceReady();
+    const user = await currentUser();
+    if (user.id !== userId) await authorize(["user.manage_roles"], { entity: "User", id: userId });
+    return setPassword(userId, password, { username, actor: user.email });
   },
   async logout() {
-    db.setMeta("currentUser", null);
+    await ready;
+    await logout();
     // Keep data by default; user can clear storage manually.
     if (typeof window !== "undefined") window.location.reload();
   },
@@ -213,9 +428,73 @@ function buildAutomationForIncident(incident, analysis) {
   };
 }
 
+// What the analysis prompt asks InvokeLLM for.
+const ANALYSIS_SCHEMA = {
+  type: "object",
+  properties: {
+    summary: { type: "string" },
+    root_causes: {
+      type: "array",
+      items: {
+        type: "object",
+        properties: {
+          cause: { type: "string" },
+          probability: { type: "number" },
+          evidence: { type: "array", items: { type: "string" } },
+        },
+      },
+    },
+    recommendations: {
+      type: "array",
+      items: {
+        type: "object",
+        properties: {
+          action: { type: "string" },
+          priority: { type: "string" },
+          confidence: { type: "number" },
+          rationale: { type: "string" },
+          risks: { type: "string" },
+          verification_steps: { type: "array", items: { type: "string" } },
+        },
+      },
+    },
+    estimated_recovery_time: { type: "string" },
+    confidence_score: { type: "number" },
+    data_quality_notes: { type: "string" },
+    limitations: { type: "array", items: { type: "string" } },
+  },
+};
+
+const analysisPrompt = (incident) => `You are an expert Site Reliability Engineer analyzing an incident. 
+    
+Incident Details:
+- Title: ${incident.title}
+- Description: ${incident.description || "Not provided"}
+- Severity: ${incident.severity}
+- Source: ${incident.source || "Unknown"}
+- Affected Systems: ${incident.affected_systems?.join(", ") || "Not specified"}
+- Logs/Errors: ${incident.logs || "No logs provided"}
+
+Provide a comprehensive analysis in JSON format with:
+1. A concise executive summary (2-3 sentences)
+2. Top 3 most likely root causes with probability scores (0-1) and supporting evidence
+3. 3-5 recommended actions with priority (critical/high/medium/low), confidence scores (0-1), rationale, potential risks, and verification steps
+4. Estimated time to recovery
+5. Overall confidence score (0-1) based on data quality
+6. Data quality notes (what information is missing or unclear)
+7. Limitations of this analysis (what could be wrong)`;
+
 const functions = {
   async invoke(name, payload = {}) {
+    await workspaceReady();
     // keep response shape consistent with callers: { data?: any }
+    if (name === "runScheduledChecks") {
+      return { data: await runScheduledChecks() };
+    }
+    if (name === "ingestAlert") {
+      return { data: await alerts.ingest(payload.payload, { format: payload.format }) };
+    }
+
     if (name === "generatePredictions") {
       const incidents = await db.list("Incident", { sort: "-created_date", limit: 50 });
       const now = new Date();
@@ -288,6 +567,29 @@ const functions = {
       return { data: { created } };
     }
 
+    // The analyzing → awaiting_approval move is made by the system, not the
+    // reporter, so it needs none of their roles.
+    if (name === "analyzeIncident") {
+      const incident = await findWithDeleted(db, "Incident", payload.incident_id);
+      const analysis = await integrations.Core.InvokeLLM({
+        prompt: analysisPrompt(incident),
+        response_json_schema: ANALYSIS_SCHEMA,
+      });
+      const record = await db.transaction(async (tx) => {
+        const current = await findWithDeleted(tx, "Incident", incident.id);
+        const patch = prepareUpdate("Incident", { ai_analysis: analysis, status: "awaiting_approval" });
+        const updated = await transition(tx, current, patch, { actor: "SYSTEM" });
+        await tx.create("AuditLog", {
+          incident_id: incident.id,
+          action_type: "ai_analysis_generated",
+          actor: "SYSTEM",
+          details: { confidence_score: analysis.confidence_score },
+        });
+        return updated;
+      });
+      return { data: { incident: record } };
+    }
+
     if (name === "automateIncidentResponse") {
       const incident = (await db.filter("Incident", { where: { id: payload.incident_id } }))[0];
       if (!incident) return { data: { ok: false } };
@@ -295,17 +597,20 @@ const functions = {
       const analysis = incident.ai_analysis || buildAnalysisFromIncident(incident);
       const automation = buildAutomationForIncident(incident, analysis);
 
-      // Upsert IncidentAutomation by incident_id
-      const existing = (await db.filter("IncidentAutomation", { where: { incident_id: payload.incident_id } }))[0];
-      const record = existing
-        ? await db.update("IncidentAutomation", existing.id, { ...automation })
-        : await db.create("IncidentAutomation", { incident_id: payload.incident_id, ...automation });
+      const record = await db.transaction(async (tx) => {
+        // Upsert IncidentAutomation by incident_id
+        const existing = (await tx.filter("IncidentAutomation", { where: { incident_id: payload.incident_id } }))[0];
+        const saved = existing
+          ? await tx.update("IncidentAutomation", existing.id, { ...automation })
+          : await tx.create("IncidentAutomation", { incident_id: payload.incident_id, ...automation });
 
-      await db.create("AuditLog", {
-        incident_id: payload.incident_id,
-        action_type: "automation_generated",
-        actor: "SYSTEM",
-        details: { assigned_team: record.assigned_team, confidence: record.automation_confidence },
+        await tx.create("AuditLog", {
+          incident_id: payload.incident_id,
+          action_type: "automation_generated",
+          actor: "SYSTEM",
+          details: { assigned_team: saved.assigned_team, confidence: saved.automation_confidence },
+        });
+        return saved;
       });
 
       return { data: { automation: record } };
@@ -317,37 +622,121 @@ const functions = {
 
       const logs = await db.filter("AuditLog", { where: { incident_id: payload.incident_id }, sort: "created_date" });
       const decisions = await db.filter("Decision", { where: { incident_id: payload.incident_id } });
+      const discussion = await db.filter(COMMENT_TABLE, {
+        where: { incident_id: payload.incident_id },
+        sort: "created_date",
+        limit: Infinity,
+      });
       const summary = incident.ai_analysis?.summary || buildAnalysisFromIncident(incident).summary;
 
+      const countOf = (value) => decisions.filter((d) => d.decision === value).length;
       const review = {
         incident_id: payload.incident_id,
         executive_summary: summary,
-        customer_impact: incident.severity === "critical" ? "High" : incident.severity === "high" ? "Moderate" : "Low",
-        timeline: logs.map((l) => ({ at: l.created_date, action: l.action_type, details: l.details })),
-        decisions: decisions.map((d) => ({ action: d.recommendation_action, decision: d.decision, reason: d.decision_reason })),
-        what_went_well: ["Rapid triage and clear ownership", "Audit trail captured key actions"],
-        what_went_wrong: ["Limited early signals / missing data", "Dependency coupling increased blast radius"],
-        action_items: [
-          { owner: "SRE", item: "Add alerting for leading indicators (latency/queue depth)", due: "2 weeks" },
-          { owner: "App Team", item: "Document rollback steps and add runbook", due: "1 week" },
+        confidence_score: incident.ai_analysis?.confidence_score,
+        impact_assessment: {
+          severity_level: incident.severity,
+          duration: incident.resolved_at
+            ? `${Math.max(1, Math.round((new Date(incident.resolved_at) - new Date(incident.created_date)) / 60000))} minutes`
+            : "Ongoing",
+          systems_affected: incident.affected_systems || [],
+          business_impact:
+            incident.severity === "critical" ? "High customer impact" : incident.severity === "high" ? "Moderate customer impact" : "Low customer impact",
+        },
+        timeline_summary: logs.map((l) => `${l.created_date} — ${l.action_type}`).join("\n"),
+        root_cause_analysis: incident.ai_analysis?.root_causes?.[0]?.cause || buildAnalysisFromIncident(incident).root_causes[0].cause,
+        decision_effectiveness: {
+          ai_recommendations_count: incident.ai_analysis?.recommendations?.length || decisions.length,
+          approved_count: countOf("approved"),
+          modified_count: countOf("modified"),
+          rejected_count: countOf("rejected"),
+          effectiveness_score: decisions.length ? countOf("approved") / decisions.length : 0,
+          analysis: decisions.length
+            ? `${decisions.length} recommendation decision(s) recorded by responders.`
+            : "No recommendation decisions were recorded for this incident.",
+        },
+        key_learnings: [
+          { category: "Process", priority: "medium", learning: "Rapid triage and clear ownership" },
+          { category: "Process", priority: "medium", learning: "Audit trail captured key actions" },
+          { category: "Technical", priority: "high", learning: "Limited early signals / missing data" },
+          { category: "Technical", priority: "high", learning: "Dependency coupling increased blast radius" },
+        ],
+        follow_up_actions: [
+          { owner: "SRE", action: "Add alerting for leading indicators (latency/queue depth)", deadline: "2 weeks", priority: "high" },
+          { owner: "App Team", action: "Document rollback steps and add runbook", deadline: "1 week", priority: "medium" },
         ],
+        // Pinned comments are the responders' own findings.
+        key_findings: discussion
+          .filter((c) => c.pinned)
+          .map((c) => ({ finding: c.body, author: c.author_email, pinned_by: c.pinned_by, comment_id: c.id })),
+        discussion: {
+          comments: discussion.length,
+          threads: discussion.filter((c) => !c.parent_id).length,
+          participants: [...new Set(discussion.map((c) => c.author_email))],
+        },
       };
 
-      const existing = (await db.filter("PostIncidentReview", { where: { incident_id: payload.incident_id } }))[0];
-      const record = existing
-        ? await db.update("PostIncidentReview", existing.id, review)
-        : await db.create("PostIncidentReview", review);
+      const record = await db.transaction(async (tx) => {
+        const existing = (await tx.filter("PostIncidentReview", { where: { incident_id: payload.incident_id } }))[0];
+        const saved = existing
+          ? await tx.update("PostIncidentReview", existing.id, review)
+          : await tx.create("PostIncidentReview", review);
 
-      await db.create("AuditLog", {
-        incident_id: payload.incident_id,
-        action_type: "post_incident_review_generated",
-        actor: "SYSTEM",
-        details: { review_id: record.id },
+        await tx.create("AuditLog", {
+          incident_id: payload.incident_id,
+          action_type: "post_incident_review_generated",
+          actor: "SYSTEM",
+          details: { review_id: saved.id },
+        });
+        return saved;
       });
 
       return { data: { review: record } };
     }
 
+    if (name === "submitDecision") {
+      const { incident_id, decision } = payload;
+      await authorize(["decision.approve"], { entity: "Incident", id: incident_id, incident_id });
+      const user = await auth.me();
+      const incident = (await db.filter("Incident", { where: { id: incident_id } }))[0];
+      if (!incident) throw new Error(`Record not found: Incident.${incident_id}`);
+
+      const decisionRecord = prepareCreate("Decision", {
+        ...decision,
+        incident_id,
+        decided_by: user?.email,
+        decided_at: new Date().toISOString(),
+      });
+
+      // Vote, decision, audit entry and status change land together or not
+      // at all. The vote throws an ApprovalError if the policy refuses it.
+      const saved = await db.transaction(async (tx) => {
+        const { request, settled } = await castVote(tx, incident, decision, user);
+        const created = await tx.create("Decision", { ...decisionRecord, approval_request_id: request.id });
+        await tx.create("AuditLog", {
+          incident_id,
+          action_type: "decision_made",
+          actor: user?.email,
+          details: {
+            action: decision.recommendation_action,
+            decision: decision.decision,
+            reason: decision.decision_reason,
+            approval_status: request.status,
+            approvals: request.approvals.length,
+            needed: request.policy.min_approvals,
+          },
+        });
+
+        // Work starts once every recommendation's approval is settled.
+        if (settled && incident.status === "awaiting_approval") {
+          await transition(tx, incident, { status: "in_progress" }, { actor: user?.email });
+        }
+        return created;
+      });
+
+      return { data: { decision: saved } };
+    }
+
     if (name === "suggestKnowledgeArticles") {
       const incident = (await db.filter("Incident", { where: { id: payload.incident_id } }))[0];
       const articles = await db.list("KnowledgeBaseArticle", { sort: "-created_date", limit: 200 });
@@ -416,17 +805,425 @@ const integrations = {
   },
 };
 
+// Export/import of the active workspace (see ./bundle.js). Exports are signed.
+const data = {
+  async exportBundle() {
+    await workspaceReady();
+    return exportBundle();
+  },
+  validateBundle,
+  // Checks an exported file: its signature and the audit chain it carries,
+  // anchored at the head recorded when it was exported.
+  // -> { signature: { ok, key_id, reason? }, chain: { ok, length, head, issues } }
+  async verifyBundle(bundle) {
+    return {
+      signature: await verifyBundleSignature(bundle),
+      chain: verifyChain(bundle?.tables?.[AUDIT_TABLE] || [], { anchor: bundle?.audit_chain?.head }),
+    };
+  },
+  // Imports can rewrite any table, User roles included. A successful import
+  // is logged.
+  async importBundle(bundle, options) {
+    await workspaceReady();
+    await authorize(["data.import"]);
+    const report = await importBundle(bundle, options);
+    if (report.ok) {
+      await db.create(AUDIT_TABLE, {
+        action_type: "data_imported",
+        actor: currentActor(),
+        details: {
+          mode: report.mode,
+          exported_at: bundle.exported_at,
+          source_workspace: bundle.workspace?.id,
+          added: report.added,
+          updated: report.updated,
+          conflicts: report.conflicts.length,
+        },
+      });
+    }
+    return report;
+  },
+};
+
+// Entries pages may add through audit.record, with the permission each needs.
+// Everything else in the log is written by appClient itself.
+const RECORDABLE_ACTIONS = {
+  incident_created: "incident.report",
+};
+
+// Integrity of the hash-chained AuditLog (see ./auditChain).
+const audit = {
+  // Adds an entry about an incident as the signed-in user.
+  async record({ incident_id, action_type, details = {} }) {
+    await workspaceReady();
+    const user = await currentUser();
+    const permission = RECORDABLE_ACTIONS[action_type];
+    if (!permission) throw new Error(`Audit entries of type ${action_type} are written by appClient only`);
+    const incident = await findWithDeleted(db, "Incident", incident_id);
+    await authorize([permission], auditTarget("Incident", incident));
+    return db.create(AUDIT_TABLE, { incident_id, action_type, actor: user.email, details });
+  },
+  // Replays the active workspace's chain. Each check is itself logged.
+  async verify({ anchor } = {}) {
+    await workspaceReady();
+    const user = await currentUser();
+    const entries = await db.filter(AUDIT_TABLE, { withDeleted: true, limit: Infinity });
+    const result = verifyChain(entries, { anchor });
+    await db.create(AUDIT_TABLE, {
+      action_type: "audit_chain_verified",
+      actor: user.email,
+      details: { ok: result.ok, length: result.length, issues: result.issues.length },
+    });
+    return result;
+  },
+  // Public half of the key exports are signed with.
+  async signingKey() {
+    await ready;
+    return signingKeyInfo();
+  },
+};
+
+// Workspaces (tenants) the signed-in user can work in. Creating workspaces
+// and changing members goes through entities.Workspace (admins only).
+const workspaces = {
+  // -> { active, workspaces }
+  async mine() {
+    await ready;
+    const user = await currentUser();
+    return { active: await activeWorkspace(), workspaces: await workspacesOf(user) };
+  },
+  // Members only; anyone else gets a PermissionError.
+  async switch(id) {
+    await ready;
+    return switchWorkspace(await currentUser(), id);
+  },
+};
+
+// Approval state of AI recommendations (see ./approvals).
+const approvals = {
+  // An incident's requests in recommendation order.
+  async list(incidentId) {
+    await workspaceReady();
+    return listRequests(incidentId);
+  },
+  async policies() {
+    await workspaceReady();
+    return approvalPolicies();
+  },
+  async setPolicies(policies) {
+    await workspaceReady();
+    await authorize(["approval.configure"]);
+    return setApprovalPolicies(policies);
+  },
+};
+
+// Acknowledging pages (see ./paging).
+const paging = {
+  // The incident's escalation (latest first), or null if it was never paged.
+  async escalation(incidentId) {
+    await workspaceReady();
+    const [escalation] = await db.filter(ESCALATION_TABLE, { where: { incident_id: incidentId }, limit: 1 });
+    return escalation || null;
+  },
+  async acknowledge(incidentId) {
+    await workspaceReady();
+    const incident = await findWithDeleted(db, "Incident", incidentId);
+    await authorize(["incident.acknowledge"], auditTarget("Incident", incident));
+    return acknowledgeIncident(incident.id, await currentUser());
+  },
+};
+
+// Incident roles and handoffs (see ./responders).
+const responders = {
+  // `roles` is merged over the current ones, e.g. { scribe: userId } or
+  // { commander: null }. `note` goes into the audit entry and the
+  // notification, e.g. the context handed over.
+  async assign(incidentId, roles, { note, expectedVersion } = {}) {
+    await workspaceReady();
+    const current = await findWithDeleted(db, "Incident", incidentId);
+    const patch = prepareUpdate("Incident", { roles });
+    await authorize(requiredPermissions("Incident", "update", patch, current), auditTarget("Incident", current));
+    const { record, notifications } = await db.transaction(async (tx) =>
+      writeIncident(tx, await findWithDeleted(tx, "Incident", incidentId), patch, { note, expectedVersion })
+    );
+    await deliverNotifications(notifications);
+    return record;
+  },
+  // Stakeholder updates belong to the communications lead (the commander
+  // until one is named); anyone else needs incident.communicate.
+  async markUpdateSent(incidentId, key) {
+    await workspaceReady();
+    const user = await currentUser();
+    const incident = await findWithDeleted(db, "Incident", incidentId);
+    if (roleHolder(incident, "communications_lead") !== user.id) {
+      await authorize(["incident.communicate"], auditTarget("Incident", incident));
+    }
+    return recordUpdateSent(incidentId, key, user);
+  },
+};
+
+// Merging, splitting and linking incidents (see ./incidentLinks).
+const links = {
+  // -> { nodes, edges } for every incident linked to this one, directly or not.
+  async graph(incidentId) {
+    await workspaceReady();
+    return incidentGraph(await db.filter("Incident", { limit: Infinity }), incidentId);
+  },
+  // `kind` is "parent" (otherId becomes the parent), "child" or "related".
+  async link(incidentId, otherId, kind) {
+    await workspaceReady();
+    const incident = await findWithDeleted(db, "Incident", incidentId);
+    await authorize(["incident.link"], auditTarget("Incident", incident));
+    await db.transaction(async (tx) => {
+      const other = await findWithDeleted(tx, "Incident", otherId);
+      await linkIncidents(tx, await findWithDeleted(tx, "Incident", incidentId), other, kind, { actor: currentActor() });
+    });
+  },
+  async unlink(incidentId, otherId) {
+    await workspaceReady();
+    const incident = await findWithDeleted(db, "Incident", incidentId);
+    await authorize(["incident.link"], auditTarget("Incident", incident));
+    await db.transaction(async (tx) => {
+      const other = await findWithDeleted(tx, "Incident", otherId);
+      await unlinkIncidents(tx, await findWithDeleted(tx, "Incident", incidentId), other, { actor: currentActor() });
+    });
+  },
+  // Fold the duplicates `sourceIds` into `targetId`. -> the updated target.
+  async merge(targetId, sourceIds) {
+    await workspaceReady();
+    const target = await findWithDeleted(db, "Incident", targetId);
+    await authorize(["incident.merge"], auditTarget("Incident", target));
+    return db.transaction(async (tx) => {
+      const sources = [];
+      for (const id of sourceIds) sources.push(await findWithDeleted(tx, "Incident", id));
+      return mergeIncidents(tx, await findWithDeleted(tx, "Incident", targetId), sources, { actor: currentActor() });
+    });
+  },
+  // `parts`: [{ title, description?, severity?, affected_systems? }]. -> the new incidents.
+  async split(incidentId, parts) {
+    await workspaceReady();
+    const incident = await findWithDeleted(db, "Incident", incidentId);
+    await authorize(["incident.link"], auditTarget("Incident", incident));
+    const created = await db.transaction(async (tx) =>
+      splitIncident(tx, await findWithDeleted(tx, "Incident", incidentId), parts, { actor: currentActor() })
+    );
+    // New incidents are paged straight away (see ./paging).
+    await runEscalations();
+    return created;
+  },
+};
+
+// Duplicate detection for new reports (see ./duplicates).
+const duplicates = {
+  // -> [{ incident, score, reasons }] among open incidents, best first.
+  async find(draft) {
+    await workspaceReady();
+    const open = await db.filter("Incident", { where: { status: { $nin: ["resolved", "closed"] } }, limit: Infinity });
+    return findDuplicates(draft, open);
+  },
+  // File `draft` on an open incident instead of opening a new one. Needs the
+  // same permission as reporting it.
+  async attach(incidentId, draft, { score } = {}) {
+    await workspaceReady();
+    const incident = await findWithDeleted(db, "Incident", incidentId);
+    await authorize(["incident.report"], auditTarget("Incident", incident));
+    return attachReport(incidentId, draft, await currentUser(), { score });
+  },
+};
+
+// Monitoring webhooks (see ./alerts). Also reachable as
+// functions.invoke("ingestAlert", { payload, format }).
+const alerts = {
+  // -> [{ fingerprint, status, title, outcome, incident_id }], one per alert.
+  async ingest(payload, { format } = {}) {
+    await workspaceReady();
+    await authorize(["alert.ingest"]);
+    const results = await ingestPayload(payload, { format, actor: currentActor() });
+    // New incidents are paged straight away (see ./paging).
+    if (results.some((r) => r.outcome === "created")) await runEscalations();
+    return results;
+  },
+};
+
+// Incident discussion (see ./comments). Authors may edit or delete their own
+// comments; anyone else needs comment.moderate.
+const comments = {
+  // Oldest first, deleted ones included with their body and mentions blanked
+  // so their replies keep a place in the thread.
+  async list(incidentId) {
+    await workspaceReady();
+    const all = await db.filter(COMMENT_TABLE, {
+      where: { incident_id: incidentId },
+      sort: "created_date",
+      withDeleted: true,
+      limit: Infinity,
+    });
+    return all.map((c) => (c.deleted_at ? { ...c, body: "", mentions: [] } : c));
+  },
+  async add(incidentId, { body, parentId } = {}) {
+    await workspaceReady();
+    const incident = await findWithDeleted(db, "Incident", incidentId);
+    await authorize(["incident.comment"], auditTarget("Incident", incident));
+    const { comment, notifications } = await addComment({ incidentId, body, parentId }, await currentUser());
+    await deliverNotifications(notifications);
+    return comment;
+  },
+  async edit(id, body) {
+    await workspaceReady();
+    const { user, comment } = await ownComment(id);
+    const { comment: updated, notifications } = await editComment(comment, body, user);
+    await deliverNotifications(notifications);
+    return updated;
+  },
+  async remove(id) {
+    await workspaceReady();
+    await ownComment(id);
+    return softDelete(COMMENT_TABLE, id);
+  },
+  async pin(id, pinned = true) {
+    await workspaceReady();
+    const comment = await findWithDeleted(db, COMMENT_TABLE, id);
+    await authorize(["comment.pin"], auditTarget(COMMENT_TABLE, comment));
+    return setPinned(comment, pinned, await currentUser());
+  },
+};
+
+// -> { user, comment } once the signed-in user may change the comment.
+async function ownComment(id) {
+  const user = await currentUser();
+  const comment = await findWithDeleted(db, COMMENT_TABLE, id);
+  if (comment.deleted_at) throw new Error(`Comment ${id} was deleted`);
+  if (comment.author_id !== user.id) await authorize(["comment.moderate"], auditTarget(COMMENT_TABLE, comment));
+  return { user, comment };
+}
+
+// The signed-in user's notifications, newest first.
+const notifications = {
+  async mine({ limit = 50 } = {}) {
+    await workspaceReady();
+    const user = await currentUser();
+    return db.filter("Notification", { where: { user_id: user.id }, limit });
+  },
+  async markRead(ids) {
+    await workspaceReady();
+    const user = await currentUser();
+    const unread = await db.filter("Notification", {
+      where: { id: { $in: ids }, user_id: user.id, read_at: { $exists: false } },
+    });
+    const at = new Date().toISOString();
+    await db.transaction(async (tx) => {
+      for (const notification of unread) await tx.update("Notification", notification.id, { read_at: at });
+    });
+    return unread.length;
+  },
+};
+
+// SLA targets per severity and system (see ./sla).
+const sla = {
+  async policies() {
+    await workspaceReady();
+    return slaPolicies();
+  },
+  async setPolicies(policies) {
+    await workspaceReady();
+    await authorize(["sla.configure"]);
+    return setSlaPolicies(policies);
+  },
+};
+
+const trash = {
+  async list() {
+    await workspaceReady();
+    return listTrash();
+  },
+  async retentionDays() {
+    await workspaceReady();
+    return retentionDays();
+  },
+};
+
+// Revision history for revisioned entities (Incident, KnowledgeBaseArticle,
+// Comment).
+// Revisions are numbered per record from 1; see ./revisions.
+const TRASH_FIELDS = ["deleted_at", "deleted_by"];
+
+const revisions = {
+  // Newest first.
+  async list(entity, id) {
+    await workspaceReady();
+    return db.filter(REVISION_TABLE, { where: { record_id: id, table: entity }, sort: "-rev" });
+  },
+  // -> [{ field, from, to }] between revision `fromRev` and `toRev` (the
+  // current record when omitted).
+  async diff(entity, id, fromRev, toRev = null) {
+    await workspaceReady();
+    const current = await findWithDeleted(db, entity, id);
+    const history = await db.filter(REVISION_TABLE, { where: { record_id: id, table: entity } });
+    const to = toRev == null ? current : stateAt(current, history, toRev);
+    return diffStates(stateAt(current, history, fromRev), to);
+  },
+  // Restore the fields as of revision `rev`. The revert is itself recorded as
+  // a new revision; trash state is left alone.
+  async revert(entity, id, rev) {
+    await workspaceReady();
+    const { record, notifications = [] } = await db.transaction(async (tx) => {
+      const current = await findWithDeleted(tx, entity, id);
+      const history = await tx.filter(REVISION_TABLE, { where: { record_id: id, table: entity } });
+      if (!history.some((r) => r.rev === rev)) throw new Error(`Unknown revision ${rev} for ${entity}.${id}`);
+      const patch = Object.fromEntries(
+        diffStates(current, stateAt(current, history, rev))
+          .filter(({ field }) => !TRASH_FIELDS.includes(field))
+          .map(({ field, to }) => [field, to])
+      );
+      if (!Object.keys(patch).length) return { record: current };
+      await authorize(
+        requiredPermissions(entity, "update", patch, current, { userId: currentUserId() }),
+        auditTarget(entity, current)
+      );
+      if (needsIncidentWrite(entity, patch, current)) {
+        return writeIncident(tx, current, prepareUpdate(entity, patch), { revertedTo: rev });
+      }
+      return { record: await tx.update(entity, id, prepareUpdate(entity, patch), { revertedTo: rev }) };
+    });
+    await deliverNotifications(notifications);
+    return record;
+  },
+};
+
 export const appClient = {
   entities: {
     Incident: entityFactory("Incident"),
     Decision: entityFactory("Decision"),
-    AuditLog: entityFactory("AuditLog"),
+    // Entries are written by appClient or through audit.record.
+    AuditLog: readOnlyFactory(AUDIT_TABLE),
     PredictiveAlert: entityFactory("PredictiveAlert"),
     PostIncidentReview: entityFactory("PostIncidentReview"),
     IncidentAutomation: entityFactory("IncidentAutomation"),
     KnowledgeBaseArticle: entityFactory("KnowledgeBaseArticle"),
+    User: entityFactory("User"),
+    ApprovalRequest: entityFactory("ApprovalRequest"),
+    Workspace: entityFactory("Workspace"),
+    OnCallSchedule: entityFactory("OnCallSchedule"),
+    EscalationPolicy: entityFactory("EscalationPolicy"),
+    Escalation: entityFactory("Escalation"),
+    Notification: entityFactory("Notification"),
+    Comment: entityFactory("Comment"),
   },
   functions,
   integrations,
   auth,
+  workspaces,
+  data,
+  trash,
+  revisions,
+  approvals,
+  sla,
+  paging,
+  responders,
+  links,
+  duplicates,
+  alerts,
+  comments,
+  notifications,
+  audit,
 };
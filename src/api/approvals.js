@@ -0,0 +1,216 @@
+/*
+  Approval policies for AI recommendations.
+
+  Every recommendation on an incident gets an ApprovalRequest. Each Decision
+  counts as a vote on it, and the request stays `pending` until the policy
+  for the recommendation's priority is met:
+    { min_approvals, required_roles, allow_self_approval, escalate_after_minutes }
+  - min_approvals: distinct approvers needed.
+  - required_roles: at least one approver must hold one of these roles.
+    Admins count for any role.
+  - allow_self_approval: whether the person who proposed a modified action
+    counts toward approving it.
+  A single rejection settles the request. A modification replaces the action
+  under vote and restarts the count.
+
+  Requests still pending after `escalate_after_minutes` are escalated once.
+  They are flagged, audited and routed to the workspace members who can
+  still satisfy them. Override the defaults per priority with the
+  `approvalPolicies` meta key, which is kept per workspace (see
+  setApprovalPolicies).
+*/
+
+import { db } from "./localDb";
+import { ApprovalError, ValidationError } from "./errors";
+import { prepareCreate } from "./schemas";
+import { ROLES } from "./rbac";
+import { activeWorkspace, isMember } from "./workspaces";
+
+export const APPROVAL_TABLE = "ApprovalRequest";
+
+export const DEFAULT_APPROVAL_POLICIES = {
+  critical: { min_approvals: 2, required_roles: ["incident_commander"], allow_self_approval: false, escalate_after_minutes: 15 },
+  high: { min_approvals: 1, required_roles: [], allow_self_approval: true, escalate_after_minutes: 60 },
+  medium: { min_approvals: 1, required_roles: [], allow_self_approval: true, escalate_after_minutes: 240 },
+  low: { min_approvals: 1, required_roles: [], allow_self_approval: true, escalate_after_minutes: 240 },
+};
+
+const MINUTE_MS = 60 * 1000;
+
+// Roles that may vote at all (see PERMISSIONS["decision.approve"]).
+const DECIDER_ROLES = ["approver", "incident_commander"];
+
+const holdsAny = (roles = [], wanted) => roles.includes("admin") || roles.some((role) => wanted.includes(role));
+
+export function approvalPolicies() {
+  const overrides = db.getMeta("approvalPolicies") || {};
+  return Object.fromEntries(
+    Object.entries(DEFAULT_APPROVAL_POLICIES).map(([priority, policy]) => [priority, { ...policy, ...overrides[priority] }])
+  );
+}
+
+export function policyFor(priority) {
+  const policies = approvalPolicies();
+  return policies[priority] || policies.medium;
+}
+
+function validatePolicies(policies) {
+  return Object.entries(policies).flatMap(([priority, policy]) => {
+    const errors = [];
+    if (!DEFAULT_APPROVAL_POLICIES[priority]) {
+      errors.push({ field: priority, code: "enum", message: "is not a recommendation priority" });
+      return errors;
+    }
+    const { min_approvals, required_roles = [], escalate_after_minutes } = policy;
+    if (min_approvals !== undefined && !(Number.isInteger(min_approvals) && min_approvals >= 1)) {
+      errors.push({ field: `${priority}.min_approvals`, code: "min", message: "must be a whole number of at least 1" });
+    }
+    if (!Array.isArray(required_roles) || required_roles.some((role) => !ROLES.includes(role))) {
+      errors.push({ field: `${priority}.required_roles`, code: "enum", message: `must be some of: ${ROLES.join(", ")}` });
+    }
+    if (escalate_after_minutes !== undefined && !(escalate_after_minutes > 0)) {
+      errors.push({ field: `${priority}.escalate_after_minutes`, code: "min", message: "must be greater than 0" });
+    }
+    return errors;
+  });
+}
+
+// Store per-priority overrides. Only requests opened afterwards use them;
+// open requests keep the policy they started with.
+export async function setApprovalPolicies(policies) {
+  const errors = validatePolicies(policies);
+  if (errors.length) throw new ValidationError("ApprovalPolicy", errors);
+  await db.setMeta("approvalPolicies", policies);
+  return approvalPolicies();
+}
+
+// -> { met, approvals, needed, missing_roles } for a request's policy.
+export function quorum(request) {
+  const { policy, approvals = [] } = request;
+  const rolesMet = !policy.required_roles?.length || approvals.some((a) => holdsAny(a.roles, policy.required_roles));
+  return {
+    met: approvals.length >= policy.min_approvals && rolesMet,
+    approvals: approvals.length,
+    needed: policy.min_approvals,
+    missing_roles: rolesMet ? [] : policy.required_roles,
+  };
+}
+
+// The fields one vote changes on a pending request. Throws ApprovalError when
+// the policy forbids the vote.
+export function applyVote(request, { decision, modified_action, user, at }) {
+  if (request.status !== "pending") {
+    throw new ApprovalError("not_pending", `This recommendation was already ${request.status}`);
+  }
+  if (decision === "rejected") return { status: "rejected", resolved_at: at };
+
+  const vote = { by: user.email, roles: user.roles || [], at };
+  const { allow_self_approval } = request.policy;
+  let changes;
+  if (decision === "modified") {
+    changes = { modified_action, proposed_by: user.email, approvals: allow_self_approval ? [vote] : [] };
+  } else {
+    if (request.approvals.some((a) => a.by === user.email)) {
+      throw new ApprovalError("duplicate_approval", "You have already approved this recommendation");
+    }
+    if (request.proposed_by === user.email && !allow_self_approval) {
+      throw new ApprovalError("self_approval", "You cannot approve your own modification");
+    }
+    changes = { approvals: [...request.approvals, vote] };
+  }
+
+  const next = { ...request, ...changes };
+  if (quorum(next).met) {
+    changes.status = next.modified_action ? "modified" : "approved";
+    changes.resolved_at = at;
+  }
+  return changes;
+}
+
+function newRequest(incident, index, now) {
+  const recommendation = incident.ai_analysis.recommendations[index];
+  const priority = recommendation.priority || "medium";
+  const policy = policyFor(priority);
+  return prepareCreate(APPROVAL_TABLE, {
+    incident_id: incident.id,
+    recommendation_index: index,
+    recommendation_action: recommendation.action,
+    priority,
+    policy,
+    requested_at: now.toISOString(),
+    due_at: new Date(now.getTime() + policy.escalate_after_minutes * MINUTE_MS).toISOString(),
+  });
+}
+
+// An incident's requests in recommendation order, opening any that are
+// missing. `source` is db or a transaction.
+export async function openRequests(source, incident, now = new Date()) {
+  const existing = await source.filter(APPROVAL_TABLE, { where: { incident_id: incident.id } });
+  const requests = [];
+  const recommendations = incident.ai_analysis?.recommendations || [];
+  for (let index = 0; index < recommendations.length; index++) {
+    const found = existing.find((r) => r.recommendation_index === index);
+    requests.push(found || (await source.create(APPROVAL_TABLE, newRequest(incident, index, now))));
+  }
+  return requests;
+}
+
+export async function listRequests(incidentId) {
+  const requests = await db.filter(APPROVAL_TABLE, { where: { incident_id: incidentId } });
+  return requests.sort((a, b) => a.recommendation_index - b.recommendation_index);
+}
+
+// Record one Decision as a vote, inside the caller's transaction.
+// -> { request, settled } where `settled` means no request on the incident
+// is still pending.
+export async function castVote(tx, incident, decision, user, now = new Date()) {
+  const requests = await openRequests(tx, incident, now);
+  const request = requests.find((r) => r.recommendation_index === decision.recommendation_index);
+  if (!request) {
+    throw new ApprovalError("unknown_recommendation", `Incident has no recommendation #${decision.recommendation_index}`);
+  }
+  const changes = applyVote(request, { ...decision, user, at: now.toISOString() });
+  const updated = await tx.update(APPROVAL_TABLE, request.id, changes);
+  const settled = requests.every((r) => (r.id === updated.id ? updated : r).status !== "pending");
+  return { request: updated, settled };
+}
+
+// Escalate every pending request on an awaiting-approval incident that is
+// past due. Returns the number escalated.
+export async function escalateOverdue({ now = new Date() } = {}) {
+  return db.transaction(async (tx) => {
+    const incidents = await tx.filter("Incident", { where: { status: "awaiting_approval" } });
+    const workspace = await activeWorkspace(tx);
+    const users = (await tx.list("User", { limit: 10000 })).filter((u) => isMember(workspace, u));
+    let escalated = 0;
+    for (const incident of incidents) {
+      const requests = await openRequests(tx, incident, now);
+      for (const request of requests) {
+        if (request.status !== "pending" || request.escalated_at || Date.parse(request.due_at) > now.getTime()) continue;
+        const status = quorum(request);
+        const wanted = status.missing_roles.length ? status.missing_roles : DECIDER_ROLES;
+        const escalated_to = users
+          .filter((u) => holdsAny(u.roles, wanted) && !request.approvals.some((a) => a.by === u.email))
+          .map((u) => u.email);
+        await tx.update(APPROVAL_TABLE, request.id, { escalated_at: now.toISOString(), escalated_to });
+        await tx.create("AuditLog", {
+          incident_id: incident.id,
+          entity_type: APPROVAL_TABLE,
+          entity_id: request.id,
+          action_type: "approval_escalated",
+          actor: "SYSTEM",
+          details: {
+            action: request.modified_action || request.recommendation_action,
+            priority: request.priority,
+            approvals: status.approvals,
+            needed: status.needed,
+            missing_roles: status.missing_roles,
+            escalated_to,
+          },
+        });
+        escalated++;
+      }
+    }
+    return escalated;
+  });
+}
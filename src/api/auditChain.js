@@ -0,0 +1,104 @@
+/*
+  Tamper-evident, append-only AuditLog.
+
+  localDb seals every new AuditLog entry as it commits:
+    seq        1, 2, 3, ... in commit order
+    prev_hash  the previous entry's hash (GENESIS_HASH for the first)
+    hash       SHA-256 of the entry's canonical JSON, `hash` itself excluded
+  It refuses to update or remove AuditLog entries. verifyChain() replays the
+  chain and reports entries that were edited, removed or spliced in. Removing
+  entries from the end can't be seen from the chain alone, so pass the head
+  recorded in an earlier signed export (see ./signing) as `anchor`.
+
+  Everything here is pure.
+*/
+
+import { canonicalJson, sha256Hex } from "./hashing";
+
+export const AUDIT_TABLE = "AuditLog";
+export const GENESIS_HASH = "0".repeat(64);
+
+export const isSealed = (entry) => typeof entry.seq === "number" && typeof entry.hash === "string";
+
+export function entryHash(entry) {
+  const body = { ...entry };
+  delete body.hash;
+  return sha256Hex(canonicalJson(body));
+}
+
+// Seals `entry` in place as the successor of `head` (null for the first).
+export function sealEntry(entry, head) {
+  entry.seq = (head?.seq ?? 0) + 1;
+  entry.prev_hash = head?.hash ?? GENESIS_HASH;
+  entry.hash = entryHash(entry);
+  return entry;
+}
+
+// The sealed entry with the highest seq, or null.
+export function chainHead(entries) {
+  return entries.reduce((head, e) => (isSealed(e) && (!head || e.seq > head.seq) ? e : head), null);
+}
+
+// Seals the unsealed entries (oldest first) onto the end of the chain.
+// Returns new records; already sealed entries are returned as they are.
+export function chainEntries(entries) {
+  let head = chainHead(entries);
+  const unsealed = entries
+    .filter((e) => !isSealed(e))
+    .sort((a, b) => (a.created_date || "").localeCompare(b.created_date || ""))
+    .map((e) => {
+      head = sealEntry({ ...e }, head);
+      return head;
+    });
+  return [...entries.filter(isSealed), ...unsealed];
+}
+
+/*
+  -> { ok, length, head: { seq, hash } | null, issues: [{ seq, id, problem }] }
+  `problem` is one of:
+    unsealed      entry has no seq/hash (written around the chain)
+    duplicate     two entries claim the same seq
+    missing       seq numbers skip, so entries were removed
+    broken_link   prev_hash doesn't match the entry before it
+    edited        hash doesn't match the entry's content
+    truncated     the chain ends before `anchor`
+    anchor_mismatch  the entry at `anchor.seq` isn't the anchored one
+*/
+export function verifyChain(entries, { anchor = null } = {}) {
+  const issues = [];
+  const sealed = [];
+  entries.forEach((e) => {
+    if (isSealed(e)) sealed.push(e);
+    else issues.push({ seq: null, id: e.id, problem: "unsealed" });
+  });
+  sealed.sort((a, b) => a.seq - b.seq);
+
+  let previous = null;
+  sealed.forEach((entry) => {
+    if (previous && entry.seq === previous.seq) {
+      issues.push({ seq: entry.seq, id: entry.id, problem: "duplicate" });
+      return;
+    }
+    const expectedSeq = (previous?.seq ?? 0) + 1;
+    if (entry.seq !== expectedSeq) {
+      issues.push({ seq: expectedSeq, id: null, problem: "missing" });
+    } else if (entry.prev_hash !== (previous?.hash ?? GENESIS_HASH)) {
+      issues.push({ seq: entry.seq, id: entry.id, problem: "broken_link" });
+    }
+    if (entryHash(entry) !== entry.hash) issues.push({ seq: entry.seq, id: entry.id, problem: "edited" });
+    previous = entry;
+  });
+
+  if (anchor) {
+    const anchored = sealed.find((e) => e.seq === anchor.seq);
+    if (!anchored) issues.push({ seq: anchor.seq, id: null, problem: "truncated" });
+    else if (anchored.hash !== anchor.hash) issues.push({ seq: anchor.seq, id: anchored.id, problem: "anchor_mismatch" });
+  }
+
+  return {
+    ok: issues.length === 0,
+    length: sealed.length,
+    head: previous ? { seq: previous.seq, hash: previous.hash } : null,
+    issues,
+  };
+}
@@ -0,0 +1,61 @@
+/*
+  Auth providers for appClient.auth.
+
+  Provider interface:
+  - id, label
+  - type                            "password" | "oidc" (picks the login form)
+  - authenticate(input, directory)  -> identity, or throws AuthError
+      identity is { user_id } for a known local user, or
+      { subject, email, full_name, team?, avatar_url? } for an external
+      one (matched to a User by email, provisioned on first sign-in).
+  `directory` gives providers read access to users and credentials.
+
+  Enabled providers come from VITE_ICDI_AUTH_PROVIDERS (comma separated,
+  default "local,oidc" in development and "local" otherwise); sessions last
+  VITE_ICDI_SESSION_TTL_MINUTES (default 480). The mock identity provider
+  behind "oidc" signs anyone in, so outside development it also needs
+  VITE_ICDI_OIDC_MOCK=true.
+*/
+
+import { createLocalProvider } from "./localProvider";
+import { createMockOidcClient, createOidcProvider } from "./oidcProvider";
+
+export { createLocalProvider, createOidcProvider, createMockOidcClient };
+export { hashPassword, verifyPassword } from "./password";
+
+export const DEFAULT_SESSION_TTL_MINUTES = 480;
+
+function readEnv(key) {
+  try {
+    return import.meta.env?.[key];
+  } catch {
+    return undefined;
+  }
+}
+
+export function sessionTtlMs() {
+  const minutes = Number(readEnv("VITE_ICDI_SESSION_TTL_MINUTES")) || DEFAULT_SESSION_TTL_MINUTES;
+  return minutes * 60 * 1000;
+}
+
+const isDev = () => readEnv("DEV") === true;
+
+export function createAuthProviders(kinds = readEnv("VITE_ICDI_AUTH_PROVIDERS") || (isDev() ? "local,oidc" : "local")) {
+  return kinds
+    .split(",")
+    .map((kind) => kind.trim().toLowerCase())
+    .filter(Boolean)
+    .map((kind) => {
+      switch (kind) {
+        case "local":
+          return createLocalProvider();
+        case "oidc":
+          if (!isDev() && readEnv("VITE_ICDI_OIDC_MOCK") !== "true") {
+            throw new Error("The oidc provider only has a mock identity provider; set VITE_ICDI_OIDC_MOCK=true to use it");
+          }
+          return createOidcProvider({ clientId: readEnv("VITE_ICDI_OIDC_CLIENT_ID") || "icdi-web" });
+        default:
+          throw new Error(`Unknown auth provider: ${kind}`);
+      }
+    });
+}
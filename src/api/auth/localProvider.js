@@ -0,0 +1,23 @@
+/*
+  Username/password provider backed by hashed credentials in the local
+  `Credential` table (see ./password). The directory is supplied by appClient.
+*/
+
+import { AuthError } from "../errors";
+import { verifyPassword } from "./password";
+
+export function createLocalProvider() {
+  return {
+    id: "local",
+    label: "Username & password",
+    type: "password",
+    async authenticate({ username, password } = {}, directory) {
+      const credential = username ? await directory.findCredential(username.trim().toLowerCase()) : null;
+      // Same error either way so usernames can't be probed.
+      if (!credential || !(await verifyPassword(password || "", credential))) {
+        throw new AuthError("invalid_credentials", "Invalid username or password");
+      }
+      return { user_id: credential.user_id };
+    },
+  };
+}
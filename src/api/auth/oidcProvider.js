@@ -0,0 +1,104 @@
+/*
+  OpenID Connect-style provider.
+
+  The provider drives an authorization-code exchange through a `client`:
+    client.authorize({ client_id, state, nonce, login_hint }) -> { code, state }
+    client.token({ client_id, code })                         -> { id_token }
+  then checks the id_token claims (iss, aud, nonce, exp) and returns the
+  identity { subject, email, full_name, team, avatar_url }. Users are
+  provisioned from the claims on first sign-in.
+
+  createMockOidcClient() is a local stand-in for an identity provider: it
+  signs anyone in by email (login_hint) and issues unsigned id_tokens, so the
+  whole flow runs without a network. Swap in a real client to go live.
+*/
+
+import { AuthError } from "../errors";
+
+const randomId = () =>
+  globalThis.crypto?.randomUUID?.() || `${Date.now().toString(36)}${Math.random().toString(36).slice(2)}`;
+
+// JSON <-> base64url, UTF-8 safe.
+const encodeSegment = (value) =>
+  btoa(String.fromCharCode(...new TextEncoder().encode(JSON.stringify(value))))
+    .replace(/\+/g, "-")
+    .replace(/\//g, "_")
+    .replace(/=+$/, "");
+const decodeSegment = (segment) => {
+  const binary = atob(segment.replace(/-/g, "+").replace(/_/g, "/"));
+  return JSON.parse(new TextDecoder().decode(Uint8Array.from(binary, (c) => c.charCodeAt(0))));
+};
+
+function decodeIdToken(idToken) {
+  try {
+    return decodeSegment(idToken.split(".")[1]);
+  } catch {
+    throw new AuthError("oidc_error", "Malformed id_token");
+  }
+}
+
+// Known accounts get real profile data; any other email is accepted as-is.
+const MOCK_ACCOUNTS = [
+  { email: "priya.natarajan@example.com", name: "Priya Natarajan", team: "SRE" },
+  { email: "marcus.chen@example.com", name: "Marcus Chen", team: "Cloud Platform" },
+];
+
+export function createMockOidcClient({ issuer = "https://idp.mock.local", accounts = MOCK_ACCOUNTS } = {}) {
+  const pending = new Map();
+  return {
+    issuer,
+    async authorize({ client_id, state, nonce, login_hint }) {
+      const email = (login_hint || "").trim().toLowerCase();
+      if (!email.includes("@")) throw new AuthError("oidc_error", "The identity provider needs an email address");
+      const code = randomId();
+      pending.set(code, { client_id, nonce, email });
+      return { code, state };
+    },
+    async token({ client_id, code }) {
+      const grant = pending.get(code);
+      pending.delete(code);
+      if (!grant || grant.client_id !== client_id) throw new AuthError("oidc_error", "Invalid authorization code");
+      const account = accounts.find((a) => a.email === grant.email);
+      const now = Math.floor(Date.now() / 1000);
+      const claims = {
+        iss: issuer,
+        aud: client_id,
+        sub: `mock|${grant.email}`,
+        email: grant.email,
+        name: account?.name || grant.email.split("@")[0],
+        team: account?.team,
+        nonce: grant.nonce,
+        iat: now,
+        exp: now + 300,
+      };
+      return { id_token: `${encodeSegment({ alg: "none", typ: "JWT" })}.${encodeSegment(claims)}.` };
+    },
+  };
+}
+
+export function createOidcProvider({ clientId = "icdi-web", client = createMockOidcClient(), label = "Single sign-on" } = {}) {
+  return {
+    id: "oidc",
+    label,
+    type: "oidc",
+    async authenticate({ login_hint } = {}) {
+      const state = randomId();
+      const nonce = randomId();
+      const grant = await client.authorize({ client_id: clientId, state, nonce, login_hint });
+      if (grant.state !== state) throw new AuthError("oidc_error", "State mismatch");
+      const { id_token } = await client.token({ client_id: clientId, code: grant.code });
+      const claims = decodeIdToken(id_token);
+      if (claims.iss !== client.issuer) throw new AuthError("oidc_error", "Unexpected token issuer");
+      if (claims.aud !== clientId) throw new AuthError("oidc_error", "Token was issued for another client");
+      if (claims.nonce !== nonce) throw new AuthError("oidc_error", "Nonce mismatch");
+      if (claims.exp * 1000 < Date.now()) throw new AuthError("oidc_error", "Token has expired");
+      return {
+        subject: claims.sub,
+        email: claims.email,
+        full_name: claims.name,
+        team: claims.team,
+        avatar_url: claims.picture,
+      };
+    },
+  };
+}
@@ -0,0 +1,39 @@
+/*
+  Password hashing for the local auth provider: PBKDF2-SHA256 through
+  WebCrypto, with a random per-credential salt. Stored credentials look like
+    { algorithm: "PBKDF2-SHA256", iterations, salt, hash }   (base64 strings)
+*/
+
+import { AuthError } from "../errors";
+
+export const PASSWORD_ALGORITHM = "PBKDF2-SHA256";
+const DEFAULT_ITERATIONS = 210000;
+
+function subtle() {
+  const s = globalThis.crypto?.subtle;
+  if (!s) throw new AuthError("unsupported", "Password sign-in needs WebCrypto (HTTPS or localhost)");
+  return s;
+}
+
+const toBase64 = (bytes) => btoa(String.fromCharCode(...new Uint8Array(bytes)));
+const fromBase64 = (text) => Uint8Array.from(atob(text), (c) => c.charCodeAt(0));
+
+async function derive(password, salt, iterations) {
+  const key = await subtle().importKey("raw", new TextEncoder().encode(password), "PBKDF2", false, ["deriveBits"]);
+  return subtle().deriveBits({ name: "PBKDF2", hash: "SHA-256", salt, iterations }, key, 256);
+}
+
+export async function hashPassword(password, { iterations = DEFAULT_ITERATIONS } = {}) {
+  const salt = globalThis.crypto.getRandomValues(new Uint8Array(16));
+  const hash = await derive(password, salt, iterations);
+  return { algorithm: PASSWORD_ALGORITHM, iterations, salt: toBase64(salt), hash: toBase64(hash) };
+}
+
+export async function verifyPassword(password, credential) {
+  if (credential?.algorithm !== PASSWORD_ALGORITHM) return false;
+  const actual = new Uint8Array(await derive(password, fromBase64(credential.salt), credential.iterations));
+  const expected = fromBase64(credential.hash);
+  if (actual.length !== expected.length) return false;
+  // Compare every byte so timing doesn't reveal how much matched.
+  return actual.reduce((diff, byte, i) => diff | (byte ^ expected[i]), 0) === 0;
+}
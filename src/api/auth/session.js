@@ -0,0 +1,159 @@
+/*
+  Sessions and the user directory behind appClient.auth.
+
+  A session is kept in meta as { user_id, provider, issued_at, expires_at };
+  `currentUser` meta mirrors the signed-in user's public profile so writes
+  can be attributed (see localDb). Credentials live in their own table and
+  are never exported (see ../bundle). Signing in, and every currentUser()
+  check, keeps the active workspace one the user belongs to (see
+  ../workspaces).
+*/
+
+import { db } from "../localDb";
+import { AuthError } from "../errors";
+import { prepareCreate } from "../schemas";
+import { createAuthProviders, sessionTtlMs } from "./index";
+import { hashPassword } from "./password";
+import { ensureActiveWorkspace, joinDefaultWorkspace } from "../workspaces";
+
+export const CREDENTIAL_TABLE = "Credential";
+
+const providers = createAuthProviders();
+
+const directory = {
+  async findCredential(username) {
+    const [credential] = await db.filter(CREDENTIAL_TABLE, { where: { username }, limit: 1 });
+    return credential || null;
+  },
+};
+
+const profileOf = (user) => ({
+  id: user.id,
+  email: user.email,
+  full_name: user.full_name,
+  team: user.team,
+  avatar_url: user.avatar_url,
+});
+
+async function findUser(where, opts = {}) {
+  const [user] = await db.filter("User", { where, limit: 1, ...opts });
+  return user || null;
+}
+
+// Map a provider identity to a User, provisioning external users on first
+// sign-in (into the default workspace). Deactivated (trashed) users are
+// refused.
+async function resolveIdentity(provider, identity) {
+  const last_login_at = new Date().toISOString();
+  const user = identity.user_id ? await findUser({ id: identity.user_id }) : await findUser({ email: identity.email });
+  // An external identity only signs in users that provider provisioned, so
+  // an email claim can't take over a password account.
+  if (user && !identity.user_id && user.auth_provider !== provider.id) {
+    throw new AuthError("invalid_credentials", "This account signs in with a username and password");
+  }
+  if (user) return db.update("User", user.id, { last_login_at });
+  if (identity.user_id || (await findUser({ email: identity.email }, { withDeleted: true }))) {
+    throw new AuthError("invalid_credentials", "This account has been deactivated");
+  }
+  const created = await db.create(
+    "User",
+    prepareCreate("User", {
+      email: identity.email,
+      full_name: identity.full_name || identity.email,
+      team: identity.team,
+      avatar_url: identity.avatar_url,
+      auth_provider: provider.id,
+      external_subject: identity.subject,
+      last_login_at,
+    })
+  );
+  await joinDefaultWorkspace(created);
+  return created;
+}
+
+async function endSession() {
+  await db.setMeta("session", null);
+  await db.setMeta("currentUser", null);
+}
+
+export function listProviders() {
+  return providers.map(({ id, label, type }) => ({ id, label, type }));
+}
+
+export async function login(providerId, input) {
+  const provider = providers.find((p) => p.id === providerId);
+  if (!provider) throw new AuthError("unknown_provider", `Unknown sign-in method: ${providerId}`);
+  const user = await resolveIdentity(provider, await provider.authenticate(input, directory));
+  await ensureActiveWorkspace(user);
+  const issued = Date.now();
+  await db.setMeta("session", {
+    user_id: user.id,
+    provider: provider.id,
+    issued_at: new Date(issued).toISOString(),
+    expires_at: new Date(issued + sessionTtlMs()).toISOString(),
+  });
+  await db.setMeta("currentUser", profileOf(user));
+  return user;
+}
+
+// -> the session, or null when signed out / expired (expired ones are ended).
+export async function currentSession() {
+  const session = db.getMeta("session");
+  if (!session) return null;
+  if (Date.parse(session.expires_at) <= Date.now()) {
+    await endSession();
+    return null;
+  }
+  return session;
+}
+
+export async function currentUser() {
+  const session = db.getMeta("session");
+  if (!session) throw new AuthError("unauthenticated", "Not signed in");
+  if (!(await currentSession())) throw new AuthError("session_expired", "Your session has expired");
+  const user = await findUser({ id: session.user_id });
+  if (!user) {
+    await endSession();
+    throw new AuthError("unauthenticated", "Not signed in");
+  }
+  try {
+    await ensureActiveWorkspace(user);
+  } catch (err) {
+    await endSession();
+    throw err;
+  }
+  return user;
+}
+
+export async function logout() {
+  await endSession();
+}
+
+// Create or replace the local password for a user. `username` defaults to the
+// user's existing username, then the local part of their email. With an
+// `actor` the change is audited as `password_changed`. Callers check who may
+// do this (see appClient.auth.setPassword).
+export async function setPassword(userId, password, { username, actor } = {}) {
+  const user = await findUser({ id: userId });
+  if (!user) throw new Error(`Record not found: User.${userId}`);
+  const login = (username || user.username || user.email.split("@")[0]).trim().toLowerCase();
+  const hashed = await hashPassword(password);
+  return db.transaction(async (tx) => {
+    const [taken] = await tx.filter(CREDENTIAL_TABLE, { where: { username: login }, limit: 1 });
+    if (taken && taken.user_id !== userId) throw new AuthError("invalid_credentials", `Username ${login} is taken`);
+    const [existing] = await tx.filter(CREDENTIAL_TABLE, { where: { user_id: userId }, limit: 1 });
+    if (existing) await tx.update(CREDENTIAL_TABLE, existing.id, { username: login, ...hashed });
+    else await tx.create(CREDENTIAL_TABLE, { user_id: userId, username: login, ...hashed });
+    if (user.username !== login) await tx.update("User", userId, { username: login });
+    if (actor) {
+      await tx.create("AuditLog", {
+        entity_type: "User",
+        entity_id: userId,
+        action_type: "password_changed",
+        actor,
+        details: { username: login, own: actor === user.email },
+      });
+    }
+    return { ok: true };
+  });
+}
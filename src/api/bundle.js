@@ -0,0 +1,288 @@
+/*
+  Export / import of the whole local database as a versioned JSON bundle.
+
+  Bundle shape:
+    {
+      format: "icdi-export",
+      format_version: 1,
+      schema_version,        // snapshot version (see ./migrations)
+      exported_at,
+      workspace: { id, name },
+      tables: { [table]: record[] },
+      meta: { ... },         // session-only keys are left out
+      audit_chain: { ok, length, head },  // see ./auditChain
+      signature: { alg, key_id, public_key, value }
+    }
+
+  A bundle holds the active workspace's data (see ./tenancy), and imports go
+  into the active workspace. Exports are signed and carry the audit chain
+  head (see ./signing). Imports are validated in full before anything is
+  written. Bundles from an older schema are upgraded with migrateSnapshot
+  first.
+*/
+
+import { db } from "./localDb";
+import { LATEST_VERSION, migrateSnapshot } from "./migrations";
+import { validateEntity } from "./schemas";
+import { CREDENTIAL_TABLE } from "./auth/session";
+import { AUDIT_TABLE, chainEntries, verifyChain } from "./auditChain";
+import { signBundle } from "./signing";
+import { WORKSPACE_TABLE, isSharedTable, workspaceOf } from "./tenancy";
+import { activeWorkspace, activeWorkspaceId } from "./workspaces";
+
+export const BUNDLE_FORMAT = "icdi-export";
+export const BUNDLE_FORMAT_VERSION = 1;
+
+// Meta keys that describe this browser/session rather than the data.
+const LOCAL_META_KEYS = [
+  "currentUser",
+  "session",
+  "workspace",
+  "seeded",
+  "migrations",
+  "migrationBackups",
+  "signingKey",
+];
+// Tables that never leave this browser (password hashes, workspace membership).
+const LOCAL_TABLES = [CREDENTIAL_TABLE, WORKSPACE_TABLE];
+
+function omitLocalMeta(meta = {}) {
+  return Object.fromEntries(Object.entries(meta).filter(([k]) => !LOCAL_META_KEYS.includes(k)));
+}
+
+export async function exportBundle() {
+  const [snapshot, meta, workspace] = await Promise.all([db.snapshot(), db.metaSnapshot(), activeWorkspace()]);
+  const { ok, length, head } = verifyChain(snapshot.tables[AUDIT_TABLE] || []);
+  return signBundle({
+    format: BUNDLE_FORMAT,
+    format_version: BUNDLE_FORMAT_VERSION,
+    schema_version: snapshot.version ?? 1,
+    exported_at: new Date().toISOString(),
+    workspace: { id: activeWorkspaceId(), name: workspace?.name ?? null },
+    tables: Object.fromEntries(Object.entries(snapshot.tables).filter(([table]) => !LOCAL_TABLES.includes(table))),
+    meta: omitLocalMeta(meta),
+    audit_chain: { ok, length, head },
+  });
+}
+
+// Returns { ok, errors: string[], tables } where `tables` is the bundle data
+// upgraded to the current schema version.
+export function validateBundle(bundle) {
+  const errors = [];
+  if (!bundle || typeof bundle !== "object") return { ok: false, errors: ["Bundle is not an object"], tables: null };
+  if (bundle.format !== BUNDLE_FORMAT) errors.push(`Unknown bundle format: ${bundle.format}`);
+  if (bundle.format_version !== BUNDLE_FORMAT_VERSION) {
+    errors.push(`Unsupported bundle format_version: ${bundle.format_version}`);
+  }
+  const schemaVersion = bundle.schema_version ?? 1;
+  if (typeof schemaVersion !== "number" || schemaVersion > LATEST_VERSION) {
+    errors.push(`Bundle schema_version ${schemaVersion} is newer than this app (${LATEST_VERSION})`);
+  }
+  if (!bundle.tables || typeof bundle.tables !== "object" || Array.isArray(bundle.tables)) {
+    errors.push("Bundle has no tables object");
+  } else {
+    LOCAL_TABLES.filter((table) => table in bundle.tables).forEach((table) => {
+      errors.push(`${table}: this table can't be imported`);
+    });
+  }
+  if (bundle.meta !== undefined && (typeof bundle.meta !== "object" || Array.isArray(bundle.meta))) {
+    errors.push("Bundle meta must be an object");
+  }
+  if (errors.length) return { ok: false, errors, tables: null };
+
+  const { snapshot } = migrateSnapshot({ tables: bundle.tables, version: schemaVersion });
+
+  Object.entries(snapshot.tables).forEach(([table, records]) => {
+    if (!Array.isArray(records)) {
+      errors.push(`${table}: expected an array of records`);
+      return;
+    }
+    const seen = new Set();
+    records.forEach((record, i) => {
+      if (!record || typeof record !== "object") {
+        errors.push(`${table}[${i}]: not an object`);
+        return;
+      }
+      if (typeof record.id !== "string" || !record.id) {
+        errors.push(`${table}[${i}]: missing id`);
+        return;
+      }
+      if (seen.has(record.id)) errors.push(`${table}.${record.id}: duplicate id in bundle`);
+      seen.add(record.id);
+      validateEntity(table, record).forEach((e) => errors.push(`${table}.${record.id}: ${e.field} ${e.message}`));
+    });
+  });
+
+  return { ok: errors.length === 0, errors, tables: errors.length ? null : snapshot.tables };
+}
+
+// Audit entries moved into the active workspace, unsealed so they can be
+// sealed onto its chain. Their seq/hash in the source chain are kept as
+// `imported_from`.
+function unsealForImport(entries, workspaceId) {
+  return entries.map((entry) => {
+    const copy = { ...entry, workspace_id: workspaceId };
+    delete copy.seq;
+    delete copy.prev_hash;
+    delete copy.hash;
+    return entry.seq != null ? { ...copy, imported_from: { seq: entry.seq, hash: entry.hash } } : copy;
+  });
+}
+
+// Records exported from another workspace join the active one. Audit entries
+// can't be re-stamped without breaking their seal, so they are re-sealed.
+function adoptRecords(table, records, workspaceId) {
+  if (isSharedTable(table) || records.every((r) => workspaceOf(r) === workspaceId)) return records;
+  if (table === AUDIT_TABLE) return chainEntries(unsealForImport(records, workspaceId));
+  return records.map((r) => ({ ...r, workspace_id: workspaceId }));
+}
+
+// AuditLog is append-only: local entries always win, and entries new to this
+// workspace are re-sealed onto the local chain (see unsealForImport).
+function mergeAuditLog(local, incoming, report, workspaceId) {
+  const byId = new Map(local.map((e) => [e.id, e]));
+  const fresh = [];
+  incoming.forEach((entry) => {
+    const existing = byId.get(entry.id);
+    if (!existing) {
+      fresh.push(entry);
+      return;
+    }
+    if (existing.hash === entry.hash || existing.imported_from?.hash === entry.hash) {
+      report.skipped++;
+      return;
+    }
+    report.conflicts.push({
+      table: AUDIT_TABLE,
+      id: entry.id,
+      local_updated_date: existing.updated_date,
+      incoming_updated_date: entry.updated_date,
+      kept: "local",
+    });
+  });
+  report.added += fresh.length;
+  return chainEntries([...local, ...unsealForImport(fresh, workspaceId)]);
+}
+
+// Ids already used in another workspace make localDb refuse the write.
+async function replaceOrReport(tables, report) {
+  try {
+    await db.replaceTables(tables);
+    return true;
+  } catch (err) {
+    report.errors.push(err.message);
+    return false;
+  }
+}
+
+function pickConflictWinner(local, incoming, strategy) {
+  if (strategy === "keep_local") return local;
+  if (strategy === "take_incoming") return incoming;
+  // "newest": ISO strings compare lexically.
+  return (incoming.updated_date || "") > (local.updated_date || "") ? incoming : local;
+}
+
+// Records de-duplicated by id; see importBundle for how conflicts go.
+function mergeRecords(table, local, incoming, report, strategy) {
+  const byId = new Map(local.map((r) => [r.id, r]));
+  incoming.forEach((record) => {
+    const existing = byId.get(record.id);
+    if (!existing) {
+      byId.set(record.id, record);
+      report.added++;
+      return;
+    }
+    if (existing.updated_date === record.updated_date) {
+      report.skipped++;
+      return;
+    }
+    const winner = pickConflictWinner(existing, record, strategy);
+    report.conflicts.push({
+      table,
+      id: record.id,
+      local_updated_date: existing.updated_date,
+      incoming_updated_date: record.updated_date,
+      kept: winner === record ? "incoming" : "local",
+    });
+    if (winner === record) {
+      byId.set(record.id, record);
+      report.updated++;
+    }
+  });
+  return [...byId.values()];
+}
+
+/*
+  Import a bundle into the active workspace.
+  - mode "replace": tables in the bundle replace the workspace's tables
+                    wholesale, except AuditLog, which is append-only in
+                    both modes: its entries are merged (see mergeAuditLog),
+                    and the shared tables (see ./tenancy), whose new
+                    records are added while local ones are kept.
+  - mode "merge":   records are de-duplicated by id. Same id + same
+                    updated_date is skipped; a differing updated_date is a
+                    conflict resolved by `conflictStrategy`
+                    ("newest" | "keep_local" | "take_incoming").
+                    AuditLog entries are never overwritten (see
+                    mergeAuditLog).
+  Returns a report: { ok, mode, errors, added, updated, skipped, conflicts }.
+  Nothing is written when validation fails.
+*/
+export async function importBundle(bundle, { mode = "merge", conflictStrategy = "newest" } = {}) {
+  const report = { ok: false, mode, errors: [], added: 0, updated: 0, skipped: 0, conflicts: [] };
+  if (!["merge", "replace"].includes(mode)) {
+    report.errors.push(`Unknown import mode: ${mode}`);
+    return report;
+  }
+
+  const { ok, errors, tables } = validateBundle(bundle);
+  if (!ok) {
+    report.errors = errors;
+    return report;
+  }
+
+  const incomingMeta = omitLocalMeta(bundle.meta);
+  const workspaceId = activeWorkspaceId();
+
+  const current = await db.snapshot();
+
+  if (mode === "replace") {
+    const replaced = {};
+    Object.entries(tables).forEach(([table, records]) => {
+      const local = current.tables[table] || [];
+      if (table === AUDIT_TABLE) {
+        replaced[table] = mergeAuditLog(local, records, report, workspaceId);
+        return;
+      }
+      // The user directory is every workspace's: users are added, never
+      // replaced or removed.
+      if (isSharedTable(table)) {
+        replaced[table] = mergeRecords(table, local, records, report, "keep_local");
+        return;
+      }
+      replaced[table] = adoptRecords(table, records, workspaceId);
+      report.added += records.length;
+    });
+    if (!(await replaceOrReport(replaced, report))) return report;
+    for (const [key, value] of Object.entries(incomingMeta)) await db.setMeta(key, value);
+    report.ok = true;
+    return report;
+  }
+
+  const merged = {};
+  Object.entries(tables).forEach(([table, records]) => {
+    const local = current.tables[table] || [];
+    merged[table] =
+      table === AUDIT_TABLE
+        ? mergeAuditLog(local, records, report, workspaceId)
+        : mergeRecords(table, local, adoptRecords(table, records, workspaceId), report, conflictStrategy);
+  });
+
+  if (!(await replaceOrReport(merged, report))) return report;
+  const localMeta = await db.metaSnapshot();
+  for (const [key, value] of Object.entries(incomingMeta)) {
+    if (localMeta[key] === undefined) await db.setMeta(key, value);
+  }
+  report.ok = true;
+  return report;
+}
@@ -0,0 +1,75 @@
+import { beforeEach, describe, expect, it } from "vitest";
+import { BUNDLE_FORMAT, BUNDLE_FORMAT_VERSION, importBundle } from "./bundle";
+import { configureStorage, db } from "./localDb";
+import { LATEST_VERSION } from "./migrations";
+import { createMemoryAdapter } from "./storage";
+
+const T0 = "2026-01-01T09:00:00.000Z";
+const T1 = "2026-01-02T09:00:00.000Z";
+
+// Two workspaces sharing one user directory; ws_a is active.
+const FIXTURE = {
+  version: LATEST_VERSION,
+  tables: {
+    User: [
+      { id: "user_admin", email: "admin@example.com", full_name: "Admin", roles: ["admin"], updated_date: T0 },
+      { id: "user_b", email: "b@example.com", full_name: "B", roles: ["responder"], updated_date: T0 },
+    ],
+    Workspace: [
+      { id: "ws_a", name: "A", member_ids: ["user_admin"] },
+      { id: "ws_b", name: "B", member_ids: ["user_admin", "user_b"] },
+    ],
+    Incident: [
+      { id: "inc_a", title: "A's incident", severity: "low", status: "new", workspace_id: "ws_a" },
+      { id: "inc_b", title: "B's incident", severity: "low", status: "new", workspace_id: "ws_b" },
+    ],
+  },
+};
+
+// A bundle from a browser whose directory lacks the admin and has B's roles
+// changed.
+const BUNDLE = {
+  format: BUNDLE_FORMAT,
+  format_version: BUNDLE_FORMAT_VERSION,
+  schema_version: LATEST_VERSION,
+  exported_at: T1,
+  workspace: { id: "ws_elsewhere", name: "Elsewhere" },
+  tables: {
+    User: [
+      { id: "user_b", email: "b@example.com", full_name: "B", roles: ["admin"], updated_date: T1 },
+      { id: "user_new", email: "new@example.com", full_name: "New", roles: ["viewer"], updated_date: T1 },
+    ],
+    Incident: [{ id: "inc_new", title: "Imported", severity: "high", status: "new", workspace_id: "ws_elsewhere" }],
+  },
+};
+
+const all = (table) => db.filter(table, { withDeleted: true, limit: Infinity });
+const ids = (records) => records.map((r) => r.id).sort();
+
+describe("replace imports", () => {
+  beforeEach(async () => {
+    configureStorage(createMemoryAdapter({ initial: FIXTURE, initialMeta: { workspace: "ws_a" } }));
+    await db.ready();
+  });
+
+  it("replaces the active workspace's tables and leaves other workspaces alone", async () => {
+    const report = await importBundle(BUNDLE, { mode: "replace" });
+    expect(report.ok).toBe(true);
+    expect(ids(await all("Incident"))).toEqual(["inc_new"]);
+
+    await db.setMeta("workspace", "ws_b");
+    expect(ids(await all("Incident"))).toEqual(["inc_b"]);
+  });
+
+  it("adds new users but keeps every existing user as it was", async () => {
+    const report = await importBundle(BUNDLE, { mode: "replace" });
+    const users = await all("User");
+    expect(ids(users)).toEqual(["user_admin", "user_b", "user_new"]);
+    expect(users.find((u) => u.id === "user_b").roles).toEqual(["responder"]);
+    expect(report.conflicts).toEqual([expect.objectContaining({ table: "User", id: "user_b", kept: "local" })]);
+
+    // The directory is shared, so ws_b sees the same users.
+    await db.setMeta("workspace", "ws_b");
+    expect(ids(await all("User"))).toEqual(["user_admin", "user_b", "user_new"]);
+  });
+});
@@ -0,0 +1,163 @@
+/*
+  Incident discussion.
+
+  A Comment belongs to an incident. `parent_id` makes it a reply, so
+  discussions are threads. Bodies are markdown. `@handle` mentions resolve
+  to workspace members when a comment is written: a handle is the user's
+  username or the part of their email before the "@". Resolved ids are
+  stored in `mentions`, and each newly mentioned person gets a notification.
+
+  Comments are revisioned (see ./revisions), so an edit keeps what was there
+  before. Deleting moves a comment to the trash (see ./trash); its replies
+  stay, under a "deleted" placeholder. Pinned comments are the incident's key
+  findings, and the post-incident review lists them.
+
+  Every change is audited against the incident: `comment_added`,
+  `comment_edited`, `comment_pinned` / `comment_unpinned`, and
+  `record_deleted` from the trash.
+*/
+
+import { db } from "./localDb";
+import { ValidationError } from "./errors";
+import { prepareCreate, prepareUpdate } from "./schemas";
+import { activeWorkspace, isMember } from "./workspaces";
+
+export const COMMENT_TABLE = "Comment";
+export const MAX_COMMENT_LENGTH = 10000;
+
+const MENTION_PATTERN = /(^|[^\w@.])@([\w][\w.-]*[\w]|[\w])/g;
+
+export const mentionHandle = (user) => user.username || user.email.split("@")[0];
+
+const handlesOf = (user) => [mentionHandle(user), user.email.split("@")[0]].map((h) => h.toLowerCase());
+
+// -> ids of the `users` mentioned in `body`, in order of first mention.
+export function parseMentions(body, users) {
+  const ids = [];
+  for (const [, , handle] of (body || "").matchAll(MENTION_PATTERN)) {
+    const user = users.find((u) => handlesOf(u).includes(handle.toLowerCase()));
+    if (user && !ids.includes(user.id)) ids.push(user.id);
+  }
+  return ids;
+}
+
+// Comments (oldest first) -> root comments, each with nested `replies`.
+// A reply whose parent is missing is shown as a root.
+export function commentThreads(comments) {
+  const byId = new Map(comments.map((c) => [c.id, { ...c, replies: [] }]));
+  const roots = [];
+  for (const comment of byId.values()) {
+    const parent = comment.parent_id && byId.get(comment.parent_id);
+    (parent ? parent.replies : roots).push(comment);
+  }
+  return roots;
+}
+
+const excerpt = (body) => (body.length > 120 ? `${body.slice(0, 120)}…` : body);
+
+function assertBody(body) {
+  const text = (body || "").trim();
+  if (!text) throw new ValidationError(COMMENT_TABLE, [{ field: "body", code: "required", message: "is required" }]);
+  if (text.length > MAX_COMMENT_LENGTH) {
+    throw new ValidationError(COMMENT_TABLE, [
+      { field: "body", code: "max", message: `must be at most ${MAX_COMMENT_LENGTH} characters` },
+    ]);
+  }
+  return text;
+}
+
+async function members(tx) {
+  const workspace = await activeWorkspace(tx);
+  return (await tx.list("User", { limit: 10000 })).filter((u) => isMember(workspace, u));
+}
+
+async function mentionNotifications(tx, comment, userIds, author) {
+  const [incident] = await tx.filter("Incident", { where: { id: comment.incident_id }, limit: 1 });
+  const notifications = [];
+  for (const userId of userIds.filter((id) => id !== author.id)) {
+    const notification = prepareCreate("Notification", {
+      user_id: userId,
+      kind: "mention",
+      title: `${author.full_name || author.email} mentioned you on ${incident?.title || "an incident"}`,
+      body: excerpt(comment.body),
+      incident_id: comment.incident_id,
+    });
+    notifications.push(await tx.create("Notification", notification));
+  }
+  return notifications;
+}
+
+function auditEntry(comment, action_type, actor, details = {}) {
+  return {
+    incident_id: comment.incident_id,
+    entity_type: COMMENT_TABLE,
+    entity_id: comment.id,
+    action_type,
+    actor,
+    details: { excerpt: excerpt(comment.body), ...details },
+  };
+}
+
+// -> { comment, notifications }; deliver the notifications afterwards
+// (see ./paging).
+export async function addComment({ incidentId, body, parentId = null }, author) {
+  const text = assertBody(body);
+  return db.transaction(async (tx) => {
+    const [incident] = await tx.filter("Incident", { where: { id: incidentId }, limit: 1 });
+    if (!incident) throw new Error(`Record not found: Incident.${incidentId}`);
+    if (parentId) {
+      const [parent] = await tx.filter(COMMENT_TABLE, { where: { id: parentId }, withDeleted: true, limit: 1 });
+      if (!parent || parent.incident_id !== incidentId) {
+        throw new ValidationError(COMMENT_TABLE, [
+          { field: "parent_id", code: "reference", message: "must be a comment on the same incident" },
+        ]);
+      }
+    }
+    const mentions = parseMentions(text, await members(tx));
+    const comment = await tx.create(
+      COMMENT_TABLE,
+      prepareCreate(COMMENT_TABLE, {
+        incident_id: incidentId,
+        ...(parentId && { parent_id: parentId }),
+        body: text,
+        author_id: author.id,
+        author_email: author.email,
+        mentions,
+      })
+    );
+    await tx.create("AuditLog", auditEntry(comment, "comment_added", author.email, parentId ? { reply_to: parentId } : {}));
+    return { comment, notifications: await mentionNotifications(tx, comment, mentions, author) };
+  });
+}
+
+// Only people mentioned for the first time are notified.
+export async function editComment(comment, body, editor) {
+  const text = assertBody(body);
+  return db.transaction(async (tx) => {
+    if (text === comment.body) return { comment, notifications: [] };
+    const mentions = parseMentions(text, await members(tx));
+    const updated = await tx.update(
+      COMMENT_TABLE,
+      comment.id,
+      prepareUpdate(COMMENT_TABLE, { body: text, mentions, edited_at: new Date().toISOString() })
+    );
+    await tx.create("AuditLog", auditEntry(updated, "comment_edited", editor.email));
+    const added = mentions.filter((id) => !(comment.mentions || []).includes(id));
+    return { comment: updated, notifications: await mentionNotifications(tx, updated, added, editor) };
+  });
+}
+
+export async function setPinned(comment, pinned, user) {
+  if (!!comment.pinned === pinned) return comment;
+  return db.transaction(async (tx) => {
+    const updated = await tx.update(
+      COMMENT_TABLE,
+      comment.id,
+      pinned
+        ? { pinned: true, pinned_by: user.email, pinned_at: new Date().toISOString() }
+        : { pinned: false, pinned_by: null, pinned_at: null }
+    );
+    await tx.create("AuditLog", auditEntry(updated, pinned ? "comment_pinned" : "comment_unpinned", user.email));
+    return updated;
+  });
+}
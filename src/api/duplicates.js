@@ -0,0 +1,134 @@
+/*
+  Duplicate detection for new incident reports.
+
+  scoreDuplicate() compares a draft report with an open incident:
+
+    wording   shared title/description tokens (Jaccard)        0.45
+    systems   affected systems in common (over the smaller set) 0.35
+    source    same alert source                                 0.10
+    timing    how recently the incident opened (full within an
+              hour, fading to nothing at TIME_WINDOW_HOURS)     0.10
+
+  Anything at DUPLICATE_THRESHOLD or above is suggested while the form is
+  filled in. Attaching a report to an existing incident instead of opening a
+  new one adds its systems and tags there and keeps the report in
+  `attached_reports`, audited as `report_attached`. A report filed anyway
+  lists the suggestions it passed over in its `incident_created` entry.
+*/
+
+import { db } from "./localDb";
+import { ValidationError } from "./errors";
+
+export const DUPLICATE_THRESHOLD = 0.35;
+export const TIME_WINDOW_HOURS = 24;
+
+const WEIGHTS = { wording: 0.45, systems: 0.35, source: 0.1, timing: 0.1 };
+
+const STOP_WORDS = new Set(
+  "the and for with from that this are was were has have not but all any can its our out into over after when then than via per due".split(" ")
+);
+
+export function tokenize(text) {
+  return new Set(
+    (text || "")
+      .toLowerCase()
+      .split(/[^a-z0-9]+/)
+      .filter((token) => token.length > 2 && !STOP_WORDS.has(token))
+  );
+}
+
+const normalizeSystem = (system) => system.trim().toLowerCase();
+
+/*
+  -> { score, reasons } for `draft` ({ title, description, source,
+  affected_systems }) against `incident`, score 0..1. `reasons` are short
+  phrases for the UI, strongest signal first.
+*/
+export function scoreDuplicate(draft, incident, { now = new Date() } = {}) {
+  const words = tokenize(`${draft.title} ${draft.description}`);
+  const theirs = tokenize(`${incident.title} ${incident.description}`);
+  const sharedWords = [...words].filter((w) => theirs.has(w));
+  const wording = sharedWords.length ? sharedWords.length / new Set([...words, ...theirs]).size : 0;
+
+  const systems = (draft.affected_systems || []).map(normalizeSystem);
+  const theirSystems = (incident.affected_systems || []).map(normalizeSystem);
+  const sharedSystems = systems.filter((s) => theirSystems.includes(s));
+  const systemsScore = sharedSystems.length ? sharedSystems.length / Math.min(systems.length, theirSystems.length) : 0;
+
+  const source = !!draft.source?.trim() && draft.source.trim().toLowerCase() === (incident.source || "").toLowerCase();
+
+  const ageHours = (now - new Date(incident.created_date)) / 3600000;
+  const timing = ageHours <= 1 ? 1 : Math.max(0, 1 - (ageHours - 1) / (TIME_WINDOW_HOURS - 1));
+
+  const signals = [
+    { weight: WEIGHTS.wording * wording, reason: sharedWords.length && `similar wording (${sharedWords.slice(0, 4).join(", ")})` },
+    { weight: WEIGHTS.systems * systemsScore, reason: sharedSystems.length && `same systems (${sharedSystems.join(", ")})` },
+    { weight: source ? WEIGHTS.source : 0, reason: source && `same source (${incident.source})` },
+    { weight: WEIGHTS.timing * timing, reason: timing > 0 && `opened ${ageHours < 1 ? "within the hour" : `${Math.round(ageHours)}h ago`}` },
+  ];
+  return {
+    score: Math.round(signals.reduce((sum, s) => sum + s.weight, 0) * 100) / 100,
+    reasons: signals
+      .filter((s) => s.weight > 0 && s.reason)
+      .sort((a, b) => b.weight - a.weight)
+      .map((s) => s.reason),
+  };
+}
+
+const isOpen = (incident) => !["resolved", "closed"].includes(incident.status) && !incident.merged_into;
+
+// -> [{ incident, score, reasons }] for the open incidents at or above
+// `threshold`, best first.
+export function findDuplicates(draft, incidents, { now = new Date(), threshold = DUPLICATE_THRESHOLD, limit = 3 } = {}) {
+  if (!draft.title?.trim() && !draft.affected_systems?.length) return [];
+  return incidents
+    .filter(isOpen)
+    .map((incident) => ({ incident, ...scoreDuplicate(draft, incident, { now }) }))
+    .filter((match) => match.score >= threshold)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+}
+
+const union = (...lists) => [...new Set(lists.flat().filter(Boolean))];
+
+// Attach `draft` to the open incident `incidentId` instead of opening a new
+// one. -> the updated incident.
+export async function attachReport(incidentId, draft, reporter, { score } = {}) {
+  if (!draft.title?.trim()) {
+    throw new ValidationError("Incident", [{ field: "title", code: "required", message: "is required" }]);
+  }
+  return db.transaction(async (tx) => {
+    const [incident] = await tx.filter("Incident", { where: { id: incidentId }, limit: 1 });
+    if (!incident) throw new Error(`Record not found: Incident.${incidentId}`);
+    if (!isOpen(incident)) {
+      throw new ValidationError("Incident", [
+        { field: "status", code: "closed", message: "is closed; file a new incident instead" },
+      ]);
+    }
+    const report = {
+      title: draft.title.trim(),
+      description: draft.description || "",
+      severity: draft.severity || null,
+      source: draft.source || null,
+      affected_systems: draft.affected_systems || [],
+      logs: draft.logs || "",
+      reported_by: reporter.email,
+      reported_at: new Date().toISOString(),
+      score: score ?? scoreDuplicate(draft, incident).score,
+    };
+    const updated = await tx.update("Incident", incident.id, {
+      affected_systems: union(incident.affected_systems || [], report.affected_systems),
+      tags: union(incident.tags || [], draft.tags || []),
+      attached_reports: [...(incident.attached_reports || []), report],
+    });
+    await tx.create("AuditLog", {
+      incident_id: incident.id,
+      entity_type: "Incident",
+      entity_id: incident.id,
+      action_type: "report_attached",
+      actor: reporter.email,
+      details: { title: report.title, source: report.source || "—", score: report.score },
+    });
+    return updated;
+  });
+}
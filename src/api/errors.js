@@ -0,0 +1,85 @@
+// Typed errors raised by appClient so pages can react to them specifically
+// (e.g. show field messages) instead of string-matching messages.
+
+export class ValidationError extends Error {
+  constructor(entity, errors) {
+    super(`${entity} failed validation: ${errors.map((e) => `${e.field} ${e.message}`).join("; ")}`);
+    this.name = "ValidationError";
+    this.entity = entity;
+    // [{ field, code, message }]
+    this.errors = errors;
+  }
+
+  // { field: message } — first message per field, handy for forms.
+  get fieldErrors() {
+    return this.errors.reduce((acc, e) => {
+      if (!acc[e.field]) acc[e.field] = e.message;
+      return acc;
+    }, {});
+  }
+}
+
+// Raised by update({ expectedVersion }) when the record moved on since the
+// caller read it. `current` is the latest record so the UI can show what
+// changed and offer a merge or retry.
+export class ConflictError extends Error {
+  constructor(entity, id, { expectedVersion, current }) {
+    super(
+      `${entity} ${id} was changed by ${current.updated_by || "someone else"} ` +
+        `(expected version ${expectedVersion}, found ${current.version ?? 0})`
+    );
+    this.name = "ConflictError";
+    this.entity = entity;
+    this.id = id;
+    this.expectedVersion = expectedVersion;
+    this.actualVersion = current.version ?? 0;
+    this.current = current;
+  }
+}
+
+// Raised by appClient.auth. `code` is one of "invalid_credentials",
+// "unauthenticated", "session_expired", "unknown_provider", "oidc_error",
+// "unsupported", "no_workspace".
+export class AuthError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = "AuthError";
+    this.code = code;
+  }
+}
+
+// Raised when the signed-in user lacks a permission (see ./rbac). The attempt
+// has already been written to the AuditLog.
+export class PermissionError extends Error {
+  constructor(permission, user, action = permission) {
+    super(`${user?.full_name || user?.email || "You"} may not ${action}`);
+    this.name = "PermissionError";
+    this.permission = permission;
+    this.roles = user?.roles || [];
+  }
+}
+
+// Raised when a vote breaks the approval policy (see ./approvals). `code` is
+// one of "not_pending", "duplicate_approval", "self_approval",
+// "unknown_recommendation".
+export class ApprovalError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = "ApprovalError";
+    this.code = code;
+  }
+}
+
+// Raised when an incident status change breaks the lifecycle (see
+// ./lifecycle). `code` is one of "not_allowed", "missing_fields" (see
+// `missing`) or "guard_failed".
+export class TransitionError extends Error {
+  constructor(code, message, { from, to, missing = [] } = {}) {
+    super(message);
+    this.name = "TransitionError";
+    this.code = code;
+    this.from = from;
+    this.to = to;
+    this.missing = missing;
+  }
+}
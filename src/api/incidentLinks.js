@@ -0,0 +1,301 @@
+/*
+  Links between incidents: parent/child, related, merged and split.
+
+  Fields on Incident:
+    parent_id     the incident this one is part of (its parent)
+    related_ids   incidents that share a cause; kept on both sides
+    merged_into   set on a duplicate once it is merged; it is closed
+    merged_ids    the duplicates merged into this one
+    split_from    set on incidents split out of another; they are its children
+
+  mergeIncidents() folds duplicates into a target: affected systems, tags and
+  AI analysis are combined, severity takes the worst, and decisions, approval
+  requests and comments move over (recommendation indexes shifted past the
+  target's own). Audit logs are hash-chained (see ./auditChain), so they stay
+  where they are; read them across `[id, ...merged_ids]`. Each duplicate is
+  closed through the lifecycle's `merge` move (see ./lifecycle), and its
+  children and related links move to the target.
+
+  splitIncident() creates new incidents from part of one, as its children,
+  taking the affected systems they name with them.
+
+  Changes are audited against every incident involved: `incident_linked`,
+  `incident_unlinked`, `incident_merged`, `incident_merged_into` and
+  `incident_split`. All writes go through the caller's transaction.
+*/
+
+import { ValidationError } from "./errors";
+import { SEVERITIES, prepareCreate } from "./schemas";
+import { transition } from "./lifecycle";
+
+export const LINK_KINDS = ["parent", "child", "related"];
+
+export const LINK_LABELS = {
+  parent: "Parent",
+  child: "Child",
+  related: "Related",
+  merged: "Merged",
+};
+
+// Comments move with a merge; audit logs can't (see above).
+const MOVED_TABLES = ["Decision", "ApprovalRequest", "Comment"];
+
+const union = (...lists) => [...new Set(lists.flat().filter(Boolean))];
+
+const worstSeverity = (incidents) =>
+  SEVERITIES.find((severity) => incidents.some((i) => i.severity === severity)) || incidents[0].severity;
+
+// -> the ids whose audit logs and history belong to the incident.
+export const historyIds = (incident) => [incident.id, ...(incident.merged_ids || [])];
+
+/*
+  -> { nodes, edges } for the incidents connected to `rootId` through any link,
+  from a list of incidents (the whole workspace, say). Edges are
+  { from, to, kind } with kind "parent" (from is the parent), "related",
+  "merged" (from is the target) or "split" (from is the original).
+*/
+export function incidentGraph(incidents, rootId) {
+  const byId = new Map(incidents.map((i) => [i.id, i]));
+  const edges = [];
+  const seen = new Set();
+  const addEdge = (from, to, kind) => {
+    const key = kind === "related" ? [from, to].sort().join("|") : `${from}|${to}`;
+    if (byId.has(from) && byId.has(to) && !seen.has(`${kind}:${key}`)) {
+      seen.add(`${kind}:${key}`);
+      edges.push({ from, to, kind });
+    }
+  };
+  for (const incident of incidents) {
+    if (incident.parent_id) addEdge(incident.parent_id, incident.id, incident.split_from ? "split" : "parent");
+    for (const id of incident.related_ids || []) addEdge(incident.id, id, "related");
+    if (incident.merged_into) addEdge(incident.merged_into, incident.id, "merged");
+  }
+
+  const connected = new Set([rootId]);
+  const queue = [rootId];
+  while (queue.length) {
+    const id = queue.shift();
+    for (const { from, to } of edges) {
+      const next = from === id ? to : to === id ? from : null;
+      if (next && !connected.has(next)) {
+        connected.add(next);
+        queue.push(next);
+      }
+    }
+  }
+  return {
+    nodes: [...connected].map((id) => byId.get(id)).filter(Boolean),
+    edges: edges.filter(({ from, to }) => connected.has(from) && connected.has(to)),
+  };
+}
+
+// Incidents to count in analytics: merged duplicates never count, and with
+// `groupChildren` a child counts only through its parent when both are in
+// the list.
+export function countableIncidents(incidents, { groupChildren = true } = {}) {
+  const ids = new Set(incidents.map((i) => i.id));
+  return incidents.filter((i) => !i.merged_into && !(groupChildren && i.parent_id && ids.has(i.parent_id)));
+}
+
+function audit(tx, incident, action_type, actor, details) {
+  return tx.create("AuditLog", {
+    incident_id: incident.id,
+    entity_type: "Incident",
+    entity_id: incident.id,
+    action_type,
+    actor,
+    details,
+  });
+}
+
+const invalid = (field, message) => new ValidationError("Incident", [{ field, code: "link", message }]);
+
+async function load(tx, id) {
+  const [incident] = await tx.filter("Incident", { where: { id }, limit: 1 });
+  if (!incident) throw new Error(`Record not found: Incident.${id}`);
+  return incident;
+}
+
+// True when `ancestorId` is `incident` or one of its parents.
+async function isAncestor(tx, incident, ancestorId) {
+  for (let current = incident, hops = 0; current && hops < 100; hops++) {
+    if (current.id === ancestorId) return true;
+    current = current.parent_id ? (await tx.filter("Incident", { where: { id: current.parent_id }, limit: 1 }))[0] : null;
+  }
+  return false;
+}
+
+// Link `incident` to `other`: "parent" makes `other` its parent, "child"
+// makes it the parent of `other`, "related" links both ways.
+export async function linkIncidents(tx, incident, other, kind, { actor } = {}) {
+  if (!LINK_KINDS.includes(kind)) throw invalid("kind", `must be one of ${LINK_KINDS.join(", ")}`);
+  if (incident.id === other.id) throw invalid(kind, "can't link an incident to itself");
+  if (incident.merged_into || other.merged_into) throw invalid(kind, "can't link a merged incident");
+
+  if (kind === "related") {
+    await tx.update("Incident", incident.id, { related_ids: union(incident.related_ids, [other.id]) });
+    await tx.update("Incident", other.id, { related_ids: union(other.related_ids, [incident.id]) });
+  } else {
+    const [child, parent] = kind === "parent" ? [incident, other] : [other, incident];
+    if (await isAncestor(tx, parent, child.id)) throw invalid("parent_id", "would make an incident its own ancestor");
+    await tx.update("Incident", child.id, { parent_id: parent.id });
+  }
+  const reverse = { parent: "child", child: "parent", related: "related" }[kind];
+  await audit(tx, incident, "incident_linked", actor, { kind, incident: other.id, title: other.title });
+  await audit(tx, other, "incident_linked", actor, { kind: reverse, incident: incident.id, title: incident.title });
+}
+
+// Remove whatever parent/child or related link joins the two.
+export async function unlinkIncidents(tx, incident, other, { actor } = {}) {
+  const kinds = [];
+  if (incident.parent_id === other.id) {
+    await tx.update("Incident", incident.id, { parent_id: null, split_from: null });
+    kinds.push("parent");
+  }
+  if (other.parent_id === incident.id) {
+    await tx.update("Incident", other.id, { parent_id: null, split_from: null });
+    kinds.push("child");
+  }
+  if ((incident.related_ids || []).includes(other.id) || (other.related_ids || []).includes(incident.id)) {
+    await tx.update("Incident", incident.id, { related_ids: (incident.related_ids || []).filter((id) => id !== other.id) });
+    await tx.update("Incident", other.id, { related_ids: (other.related_ids || []).filter((id) => id !== incident.id) });
+    kinds.push("related");
+  }
+  if (!kinds.length) throw invalid("link", "these incidents aren't linked");
+  await audit(tx, incident, "incident_unlinked", actor, { kinds: kinds.join(", "), incident: other.id, title: other.title });
+  await audit(tx, other, "incident_unlinked", actor, { incident: incident.id, title: incident.title });
+}
+
+// Recommendations from every analysis, in order; root causes de-duplicated.
+function combineAnalyses(target, sources) {
+  const analyses = [target, ...sources].map((i) => i.ai_analysis).filter(Boolean);
+  if (!analyses.length) return undefined;
+  const [first] = analyses;
+  return {
+    ...first,
+    summary: analyses.map((a) => a.summary).filter(Boolean).join("\n\n"),
+    root_causes: analyses
+      .flatMap((a) => a.root_causes || [])
+      .filter((cause, i, all) => all.findIndex((c) => c.cause === cause.cause) === i),
+    recommendations: analyses.flatMap((a) => a.recommendations || []),
+    confidence_score: Math.min(...analyses.map((a) => a.confidence_score ?? 1)),
+  };
+}
+
+/*
+  Merge `sources` (duplicates) into `target`. -> the updated target. Throws
+  ValidationError when a source is the target, is already merged, or when
+  the target itself was merged into something else.
+*/
+export async function mergeIncidents(tx, target, sources, { actor } = {}) {
+  if (!sources.length) throw invalid("merged_ids", "needs at least one incident to merge");
+  if (target.merged_into) throw invalid("merged_into", "can't merge into an incident that was itself merged");
+  for (const source of sources) {
+    if (source.id === target.id) throw invalid("merged_ids", "can't merge an incident into itself");
+    if (source.merged_into) throw invalid("merged_ids", `${source.title} was already merged`);
+  }
+  const sourceIds = sources.map((s) => s.id);
+
+  // Decisions and approval requests point at recommendations by index, so
+  // the ones from each source shift past the recommendations before them.
+  let offset = target.ai_analysis?.recommendations?.length || 0;
+  for (const source of sources) {
+    for (const table of MOVED_TABLES) {
+      const records = await tx.filter(table, { where: { incident_id: source.id }, withDeleted: true, limit: Infinity });
+      for (const record of records) {
+        await tx.update(table, record.id, {
+          incident_id: target.id,
+          ...(record.recommendation_index != null && { recommendation_index: record.recommendation_index + offset }),
+        });
+      }
+    }
+    offset += source.ai_analysis?.recommendations?.length || 0;
+  }
+
+  // Children and related links of the duplicates now belong to the target.
+  // A target that was a duplicate's child loses that parent instead.
+  const children = await tx.filter("Incident", { where: { parent_id: { $in: sourceIds } }, limit: Infinity });
+  for (const child of children.filter((c) => c.id !== target.id)) {
+    await tx.update("Incident", child.id, { parent_id: target.id });
+  }
+  const orphaned = sourceIds.includes(target.parent_id);
+  const related = union(...sources.map((s) => s.related_ids || [])).filter((id) => id !== target.id && !sourceIds.includes(id));
+  for (const id of related) {
+    const other = await load(tx, id);
+    await tx.update("Incident", id, {
+      related_ids: union((other.related_ids || []).filter((r) => !sourceIds.includes(r)), [target.id]),
+    });
+  }
+
+  const all = [target, ...sources];
+  const analysis = combineAnalyses(target, sources);
+  const updated = await tx.update("Incident", target.id, {
+    severity: worstSeverity(all),
+    affected_systems: union(...all.map((i) => i.affected_systems || [])),
+    tags: union(...all.map((i) => i.tags || [])),
+    related_ids: union((target.related_ids || []).filter((id) => !sourceIds.includes(id)), related),
+    merged_ids: union(target.merged_ids || [], sourceIds, ...sources.map((s) => s.merged_ids || [])),
+    ...(orphaned && { parent_id: null, split_from: null }),
+    ...(analysis && { ai_analysis: analysis }),
+  });
+
+  for (const source of sources) {
+    const notes = `Merged into ${target.title}`;
+    const closing =
+      source.status === "closed"
+        ? null
+        : {
+            status: "closed",
+            merged_into: target.id,
+            ...(source.status === "resolved" ? {} : { resolution_notes: source.resolution_notes || notes }),
+          };
+    if (closing) {
+      await transition(tx, source, closing, { actor, internal: true });
+    }
+    await tx.update("Incident", source.id, { merged_into: target.id, related_ids: [], merged_ids: [] });
+    await audit(tx, source, "incident_merged_into", actor, { incident: target.id, title: target.title });
+  }
+  await audit(tx, updated, "incident_merged", actor, {
+    merged: sourceIds.join(", "),
+    titles: sources.map((s) => s.title).join("; "),
+  });
+  return updated;
+}
+
+/*
+  Split `parts` out of `incident` as new child incidents. Each part is
+  { title, description?, severity?, affected_systems? }; the systems it names
+  leave the original. -> the created incidents.
+*/
+export async function splitIncident(tx, incident, parts, { actor } = {}) {
+  if (!parts.length) throw invalid("split", "needs at least one new incident");
+  if (incident.merged_into) throw invalid("split", "can't split a merged incident");
+  const created = [];
+  for (const part of parts) {
+    const record = prepareCreate("Incident", {
+      title: part.title,
+      description: part.description || `Split from ${incident.title}`,
+      severity: part.severity || incident.severity,
+      source: incident.source,
+      affected_systems: part.affected_systems || [],
+      tags: incident.tags || [],
+      parent_id: incident.id,
+      split_from: incident.id,
+    });
+    const child = await tx.create("Incident", record);
+    await audit(tx, child, "incident_created", actor, {
+      severity: child.severity,
+      source: `split from ${incident.title}`,
+    });
+    created.push(child);
+  }
+  const moved = union(...created.map((c) => c.affected_systems));
+  await tx.update("Incident", incident.id, {
+    affected_systems: (incident.affected_systems || []).filter((s) => !moved.includes(s)),
+  });
+  await audit(tx, incident, "incident_split", actor, {
+    into: created.map((c) => c.id).join(", "),
+    titles: created.map((c) => c.title).join("; "),
+  });
+  return created;
+}
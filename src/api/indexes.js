@@ -0,0 +1,112 @@
+/*
+  In-memory secondary indexes for localDb.
+
+  Every table gets a primary index on `id`; the fields in DECLARED_INDEXES get
+  a value -> Set<id> index. Indexes are built lazily on first use and kept up
+  to date by localDb on every committed create/update/remove. Bulk changes
+  (replace, reload, rollback) simply drop a table's index so it is rebuilt.
+*/
+
+export const DECLARED_INDEXES = {
+  ApprovalRequest: ["incident_id"],
+  AuditLog: ["incident_id"],
+  Decision: ["incident_id"],
+  IncidentAutomation: ["incident_id"],
+  PostIncidentReview: ["incident_id"],
+  Incident: ["status", "alert_fingerprint"],
+  PredictiveAlert: ["status"],
+  Revision: ["record_id"],
+};
+
+function addTo(fieldIndex, value, id) {
+  if (value === undefined) return;
+  let ids = fieldIndex.get(value);
+  if (!ids) {
+    ids = new Set();
+    fieldIndex.set(value, ids);
+  }
+  ids.add(id);
+}
+
+function removeFrom(fieldIndex, value, id) {
+  const ids = fieldIndex.get(value);
+  if (!ids) return;
+  ids.delete(id);
+  if (!ids.size) fieldIndex.delete(value);
+}
+
+// Values an equality-style condition can match, or null when the condition
+// can't be answered from an index ($gt, $contains, ...).
+function lookupValues(condition) {
+  if (condition === null || ["string", "number", "boolean"].includes(typeof condition)) return [condition];
+  if (!condition || typeof condition !== "object" || Array.isArray(condition)) return null;
+  const keys = Object.keys(condition);
+  if (keys.length !== 1) return null;
+  if (keys[0] === "$eq") return [condition.$eq];
+  if (keys[0] === "$in" && Array.isArray(condition.$in)) return condition.$in;
+  return null;
+}
+
+export function createIndexStore(declared = DECLARED_INDEXES) {
+  const tables = new Map();
+
+  function build(table, records) {
+    const entry = { byId: new Map(), fields: new Map() };
+    (declared[table] || []).forEach((field) => entry.fields.set(field, new Map()));
+    records.forEach((r) => {
+      entry.byId.set(r.id, r);
+      entry.fields.forEach((fieldIndex, field) => addTo(fieldIndex, r[field], r.id));
+    });
+    tables.set(table, entry);
+    return entry;
+  }
+
+  return {
+    // `records` is only read when the index has to be (re)built.
+    get(table, records) {
+      return tables.get(table) || build(table, records);
+    },
+    drop(table) {
+      tables.delete(table);
+    },
+    clear() {
+      tables.clear();
+    },
+    put(table, record, previous) {
+      const entry = tables.get(table);
+      if (!entry) return;
+      entry.byId.set(record.id, record);
+      entry.fields.forEach((fieldIndex, field) => {
+        if (previous && previous[field] === record[field]) return;
+        if (previous) removeFrom(fieldIndex, previous[field], record.id);
+        addTo(fieldIndex, record[field], record.id);
+      });
+    },
+    remove(table, record) {
+      const entry = tables.get(table);
+      if (!entry) return;
+      entry.byId.delete(record.id);
+      entry.fields.forEach((fieldIndex, field) => removeFrom(fieldIndex, record[field], record.id));
+    },
+    /*
+      Narrow a where-clause to candidate records using the primary index or
+      one declared index. Returns null when no index applies (full scan).
+      Callers must still run the full where-clause over the candidates.
+    */
+    candidates(table, records, where) {
+      if (!where) return null;
+      const entry = this.get(table, records);
+      const fields = ["id", ...entry.fields.keys()];
+      for (const field of fields) {
+        if (!(field in where)) continue;
+        const values = lookupValues(where[field]);
+        if (!values) continue;
+        if (field === "id") return values.map((v) => entry.byId.get(v)).filter(Boolean);
+        const ids = new Set();
+        values.forEach((v) => entry.fields.get(field).get(v)?.forEach((id) => ids.add(id)));
+        return [...ids].map((id) => entry.byId.get(id));
+      }
+      return null;
+    },
+  };
+}
@@ -0,0 +1,60 @@
+import { beforeAll, describe, expect, it } from "vitest";
+import { configureStorage, db } from "./localDb";
+import { createMemoryAdapter } from "./storage";
+
+// Benchmark: filters on a declared index (AuditLog.incident_id) against the
+// same lookups on an unindexed field with identical values (entity_id).
+const ROWS = 30000;
+const INCIDENTS = 300;
+const LOOKUPS = 200;
+
+async function time(fn) {
+  const start = performance.now();
+  for (let i = 0; i < LOOKUPS; i++) await fn(`inc_${i % INCIDENTS}`);
+  return performance.now() - start;
+}
+
+describe(`indexed filter over ${ROWS} audit entries`, () => {
+  beforeAll(async () => {
+    configureStorage(createMemoryAdapter());
+    await db.transaction(async (tx) => {
+      for (let i = 0; i < ROWS; i++) {
+        const incident = `inc_${i % INCIDENTS}`;
+        await tx.create("AuditLog", {
+          incident_id: incident,
+          entity_id: incident,
+          entity_type: "Incident",
+          action_type: "comment_added",
+          actor: "bench@example.com",
+          details: {},
+        });
+      }
+    });
+  }, 60000);
+
+  it("returns what a full scan returns", async () => {
+    const ids = (records) => records.map((r) => r.id).sort();
+    for (const incident of ["inc_0", "inc_150", "inc_299", "inc_missing"]) {
+      const indexed = await db.filter("AuditLog", { where: { incident_id: incident }, limit: Infinity });
+      const scanned = await db.filter("AuditLog", { where: { entity_id: incident }, limit: Infinity });
+      expect(ids(indexed)).toEqual(ids(scanned));
+    }
+    const some = await db.filter("AuditLog", { where: { incident_id: { $in: ["inc_1", "inc_2"] } }, limit: Infinity });
+    expect(some).toHaveLength((ROWS / INCIDENTS) * 2);
+  });
+
+  it("is much faster than a full scan", async () => {
+    const scan = await time((incident) => db.filter("AuditLog", { where: { entity_id: incident } }));
+    const indexed = await time((incident) => db.filter("AuditLog", { where: { incident_id: incident } }));
+    expect(indexed * 5).toBeLessThan(scan);
+  }, 60000);
+
+  it("follows updates and removals", async () => {
+    const incident = await db.create("Incident", { title: "Bench", severity: "low", status: "new" });
+    await db.update("Incident", incident.id, { status: "analyzing" });
+    expect(await db.filter("Incident", { where: { status: "new" } })).toHaveLength(0);
+    expect(await db.filter("Incident", { where: { status: "analyzing" } })).toHaveLength(1);
+    await db.remove("Incident", incident.id);
+    expect(await db.filter("Incident", { where: { status: "analyzing" } })).toHaveLength(0);
+  });
+});
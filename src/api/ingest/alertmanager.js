@@ -0,0 +1,37 @@
+import { canonicalJson, sha256Hex } from "../hashing";
+import { mapSeverity, toIso, uniqueSystems } from "./shared";
+
+// Labels that name the service an alert is about, most specific first.
+const SYSTEM_LABELS = ["service", "app", "job", "component", "deployment"];
+
+// Prometheus Alertmanager webhook (version 4): one payload groups many alerts.
+export const alertmanager = {
+  id: "alertmanager",
+  label: "Prometheus Alertmanager",
+  source: "Prometheus",
+
+  matches: (payload) => Array.isArray(payload?.alerts) && ("receiver" in payload || "groupKey" in payload),
+
+  normalize(payload) {
+    return payload.alerts.map((alert) => {
+      const labels = { ...payload.commonLabels, ...alert.labels };
+      const annotations = { ...payload.commonAnnotations, ...alert.annotations };
+      const resolved = (alert.status || payload.status) === "resolved";
+      return {
+        fingerprint: `alertmanager:${alert.fingerprint || sha256Hex(canonicalJson(labels)).slice(0, 16)}`,
+        status: resolved ? "resolved" : "firing",
+        title: annotations.summary || labels.alertname || "Prometheus alert",
+        description: annotations.description || annotations.message || "",
+        severity: mapSeverity([labels.severity, labels.priority]),
+        source: this.source,
+        affected_systems: uniqueSystems(SYSTEM_LABELS.map((label) => labels[label])),
+        logs: Object.entries(labels)
+          .map(([key, value]) => `${key}=${value}`)
+          .join("\n"),
+        tags: uniqueSystems([labels.alertname, labels.namespace, labels.cluster]),
+        occurred_at: toIso(resolved ? alert.endsAt : alert.startsAt),
+        url: alert.generatorURL || payload.externalURL || null,
+      };
+    });
+  },
+};
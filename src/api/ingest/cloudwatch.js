@@ -0,0 +1,67 @@
+import { mapSeverity, toIso, uniqueSystems } from "./shared";
+
+const STATES = { ALARM: "firing", OK: "resolved" };
+
+// A CloudWatch alarm has no severity; a "severity:<level>" (or bare level)
+// word in its name or description sets one.
+function alarmSeverity(alarm) {
+  const words = `${alarm.AlarmName} ${alarm.AlarmDescription || ""}`
+    .toLowerCase()
+    .split(/[^a-z0-9:]+/)
+    .map((word) => word.replace(/^severity:/, ""));
+  return mapSeverity(words);
+}
+
+// The alarm JSON, from an SNS envelope (Message is a JSON string) or bare.
+function alarmOf(payload) {
+  if (payload?.AlarmName) return payload;
+  if (payload?.Type !== "Notification" || typeof payload.Message !== "string") return null;
+  try {
+    const message = JSON.parse(payload.Message);
+    return message?.AlarmName ? message : null;
+  } catch {
+    return null;
+  }
+}
+
+// CloudWatch alarm state changes delivered through SNS. OK resolves;
+// INSUFFICIENT_DATA and SNS subscription confirmations are skipped.
+export const cloudwatch = {
+  id: "cloudwatch",
+  label: "Amazon CloudWatch (SNS)",
+  source: "CloudWatch",
+
+  matches: (payload) => !!payload?.AlarmName || (typeof payload?.TopicArn === "string" && "Type" in payload),
+
+  normalize(payload) {
+    const alarm = alarmOf(payload);
+    const status = alarm && STATES[alarm.NewStateValue];
+    if (!status) return [];
+    const trigger = alarm.Trigger || {};
+    const dimensions = trigger.Dimensions || trigger.dimensions || [];
+    return [
+      {
+        fingerprint: `cloudwatch:${alarm.AlarmArn || `${alarm.AWSAccountId}:${alarm.Region}:${alarm.AlarmName}`}`,
+        status,
+        title: alarm.AlarmName,
+        description: alarm.AlarmDescription || alarm.NewStateReason || "",
+        severity: alarmSeverity(alarm),
+        source: this.source,
+        affected_systems: uniqueSystems([
+          ...dimensions.map((d) => d.value ?? d.Value),
+          (trigger.Namespace || "").replace(/^AWS\//, ""),
+        ]),
+        logs: [
+          alarm.NewStateReason,
+          trigger.MetricName && `${trigger.Namespace}/${trigger.MetricName} ${trigger.ComparisonOperator || ""} ${trigger.Threshold ?? ""}`.trim(),
+          alarm.Region && `Region: ${alarm.Region}`,
+        ]
+          .filter(Boolean)
+          .join("\n"),
+        tags: uniqueSystems(["aws", alarm.Region]),
+        occurred_at: toIso(alarm.StateChangeTime || payload.Timestamp),
+        url: null,
+      },
+    ];
+  },
+};
@@ -0,0 +1,51 @@
+import { sha256Hex } from "../hashing";
+import { invalidPayload, mapSeverity, toIso, uniqueSystems } from "./shared";
+
+const RESOLVED_TRANSITIONS = ["recovered", "resolved"];
+
+// Datadog tags come as "a:b,c" ($TAGS) or as an array.
+const tagList = (tags) => (Array.isArray(tags) ? tags : String(tags || "").split(",")).map((t) => t.trim()).filter(Boolean);
+
+// The monitor an alert comes from: $ALERT_ID, else $AGGREG_KEY, else the
+// monitor query. ($ID names the event, which changes every notification.)
+function monitorKey(payload) {
+  if (payload.alert_id) return String(payload.alert_id);
+  if (payload.aggreg_key) return `aggreg:${payload.aggreg_key}`;
+  if (payload.alert_query) return `query:${sha256Hex(payload.alert_query).slice(0, 16)}`;
+  throw invalidPayload("has no alert_id, aggreg_key or alert_query to tell this Datadog alert apart");
+}
+
+// Datadog webhook with the default-style template variables
+// ($ALERT_ID, $ALERT_TRANSITION, $ALERT_PRIORITY, $TAGS, ...).
+export const datadog = {
+  id: "datadog",
+  label: "Datadog",
+  source: "Datadog",
+
+  matches: (payload) => !!(payload?.alert_transition || payload?.alert_id || payload?.event_type === "query_alert_monitor"),
+
+  normalize(payload) {
+    const tags = tagList(payload.tags);
+    const valueOf = (key) => tags.filter((t) => t.startsWith(`${key}:`)).map((t) => t.slice(key.length + 1));
+    const transition = String(payload.alert_transition || "").toLowerCase();
+    const resolved = RESOLVED_TRANSITIONS.includes(transition) || payload.alert_type === "success";
+    const scope = payload.alert_scope ? `:${payload.alert_scope}` : "";
+    return [
+      {
+        fingerprint: `datadog:${monitorKey(payload)}${scope}`,
+        status: resolved ? "resolved" : "firing",
+        title: (payload.alert_title || payload.title || "Datadog alert").replace(/^\[(Triggered|Recovered|Warn|Re-Triggered)[^\]]*\]\s*/i, ""),
+        description: payload.body || payload.event_msg || "",
+        severity: mapSeverity([payload.alert_priority, ...valueOf("severity"), payload.alert_type]),
+        source: this.source,
+        affected_systems: uniqueSystems([...valueOf("service"), payload.hostname]),
+        logs: [payload.alert_query, payload.alert_metric && `metric: ${payload.alert_metric}`, payload.alert_scope && `scope: ${payload.alert_scope}`]
+          .filter(Boolean)
+          .join("\n"),
+        tags: tags.filter((t) => !t.startsWith("service:")),
+        occurred_at: toIso(payload.last_updated || payload.date),
+        url: payload.link || null,
+      },
+    ];
+  },
+};
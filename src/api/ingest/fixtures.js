@@ -0,0 +1,82 @@
+// Sample webhook payloads, one firing and one resolved per format, as each
+// tool sends them. The Governance page offers them for trying out ingestion.
+
+const alertmanagerPayload = (status) => ({
+  version: "4",
+  groupKey: '{}:{alertname="HighErrorRate"}',
+  receiver: "icdi",
+  status,
+  externalURL: "http://alertmanager.internal:9093",
+  commonLabels: { alertname: "HighErrorRate", severity: "critical", cluster: "prod-eu" },
+  commonAnnotations: {},
+  alerts: [
+    {
+      status,
+      fingerprint: "a1b2c3d4e5f60718",
+      labels: { alertname: "HighErrorRate", severity: "critical", service: "checkout-api", job: "checkout", cluster: "prod-eu" },
+      annotations: {
+        summary: "Checkout API 5xx rate above 5%",
+        description: "checkout-api has returned more than 5% server errors for 5 minutes.",
+      },
+      startsAt: "2026-10-19T08:12:00Z",
+      endsAt: status === "resolved" ? "2026-10-19T08:41:00Z" : "0001-01-01T00:00:00Z",
+      generatorURL: "http://prometheus.internal:9090/graph?g0.expr=job%3Acheckout%3Aerror_rate",
+    },
+  ],
+});
+
+const cloudwatchPayload = (state) => ({
+  Type: "Notification",
+  MessageId: `0f6c2d9e-${state.toLowerCase()}`,
+  TopicArn: "arn:aws:sns:us-east-1:123456789012:icdi-alarms",
+  Subject: `${state}: "orders-db-cpu-high" in US East (N. Virginia)`,
+  Timestamp: state === "OK" ? "2026-10-19T09:30:00.000Z" : "2026-10-19T09:05:00.000Z",
+  Message: JSON.stringify({
+    AlarmName: "orders-db-cpu-high",
+    AlarmDescription: "severity:high Orders database CPU above 90%",
+    AWSAccountId: "123456789012",
+    NewStateValue: state,
+    NewStateReason:
+      state === "OK"
+        ? "Threshold Crossed: 1 datapoint [41.2] was not greater than the threshold (90.0)."
+        : "Threshold Crossed: 3 datapoints [97.1, 95.4, 93.8] were greater than the threshold (90.0).",
+    StateChangeTime: state === "OK" ? "2026-10-19T09:30:00.000+0000" : "2026-10-19T09:05:00.000+0000",
+    Region: "US East (N. Virginia)",
+    AlarmArn: "arn:aws:cloudwatch:us-east-1:123456789012:alarm:orders-db-cpu-high",
+    OldStateValue: state === "OK" ? "ALARM" : "OK",
+    Trigger: {
+      MetricName: "CPUUtilization",
+      Namespace: "AWS/RDS",
+      Statistic: "AVERAGE",
+      Dimensions: [{ name: "DBInstanceIdentifier", value: "orders-db" }],
+      ComparisonOperator: "GreaterThanThreshold",
+      Threshold: 90.0,
+    },
+  }),
+});
+
+const datadogPayload = (transition) => ({
+  id: "7364019283746501928",
+  alert_id: "48211937",
+  alert_transition: transition,
+  alert_type: transition === "Recovered" ? "success" : "error",
+  alert_priority: "P2",
+  alert_title: `[${transition}] Search latency p99 above 2s`,
+  alert_query: "avg(last_5m):p99:trace.http.request{service:search-api} > 2",
+  alert_scope: "env:prod",
+  title: `[${transition}] Search latency p99 above 2s`,
+  body: "p99 latency for search-api has been above 2s for 5 minutes.",
+  tags: "env:prod,service:search-api,team:discovery",
+  hostname: "search-api-7f9c",
+  last_updated: transition === "Recovered" ? "1792405800000" : "1792404000000",
+  link: "https://app.datadoghq.com/event/event?id=7364019283746501928",
+});
+
+export const ALERT_FIXTURES = [
+  { id: "alertmanager-firing", label: "Alertmanager · firing", format: "alertmanager", payload: alertmanagerPayload("firing") },
+  { id: "alertmanager-resolved", label: "Alertmanager · resolved", format: "alertmanager", payload: alertmanagerPayload("resolved") },
+  { id: "cloudwatch-alarm", label: "CloudWatch · ALARM", format: "cloudwatch", payload: cloudwatchPayload("ALARM") },
+  { id: "cloudwatch-ok", label: "CloudWatch · OK", format: "cloudwatch", payload: cloudwatchPayload("OK") },
+  { id: "datadog-triggered", label: "Datadog · triggered", format: "datadog", payload: datadogPayload("Triggered") },
+  { id: "datadog-recovered", label: "Datadog · recovered", format: "datadog", payload: datadogPayload("Recovered") },
+];
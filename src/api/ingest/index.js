@@ -0,0 +1,52 @@
+/*
+  Normalizers turn raw monitoring webhook payloads into alerts that
+  ../alerts files as incidents.
+
+  Normalizer interface:
+  - id, label, source  (source is the Incident `source` it files under)
+  - matches(payload)   -> true when the payload is in this format
+  - normalize(payload) -> [alert]; a payload may carry several alerts or
+      none (e.g. an SNS subscription confirmation). Throws a ValidationError
+      when an alert can't be told apart from others (no fingerprint).
+
+  alert: { fingerprint, status: "firing" | "resolved", title, description,
+  severity, source, affected_systems, logs, tags, occurred_at, url }.
+  `fingerprint` stays the same for every notification about one alert, so
+  it is what duplicates and resolutions are matched on.
+*/
+
+import { alertmanager } from "./alertmanager";
+import { cloudwatch } from "./cloudwatch";
+import { datadog } from "./datadog";
+import { invalidPayload as invalid } from "./shared";
+
+export const NORMALIZERS = [alertmanager, cloudwatch, datadog];
+
+// -> the normalizer for `format` (a normalizer id), or the first that
+// recognises `payload`.
+export function detectFormat(payload, format) {
+  if (format) {
+    const named = NORMALIZERS.find((n) => n.id === format);
+    if (!named) throw invalid(`has unknown format "${format}"`);
+    return named;
+  }
+  const found = NORMALIZERS.find((n) => n.matches(payload));
+  if (!found) throw invalid(`isn't an Alertmanager, CloudWatch or Datadog webhook`);
+  return found;
+}
+
+// `payload` may be the parsed JSON or its text. -> [alert].
+export function normalizePayload(payload, format) {
+  let parsed = payload;
+  if (typeof payload === "string") {
+    try {
+      parsed = JSON.parse(payload);
+    } catch {
+      throw invalid("isn't valid JSON");
+    }
+  }
+  if (!parsed || typeof parsed !== "object") throw invalid("must be a JSON object");
+  return detectFormat(parsed, format)
+    .normalize(parsed)
+    .filter((alert) => alert.title);
+}
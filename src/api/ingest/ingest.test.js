@@ -0,0 +1,133 @@
+import { beforeEach, describe, expect, it } from "vitest";
+import { configureStorage, db } from "../localDb";
+import { createMemoryAdapter } from "../storage";
+import { ingestPayload } from "../alerts";
+import { detectFormat, normalizePayload } from "./index";
+import { ALERT_FIXTURES } from "./fixtures";
+
+const fixture = (id) => structuredClone(ALERT_FIXTURES.find((f) => f.id === id).payload);
+
+describe("normalizers", () => {
+  it.each(ALERT_FIXTURES)("detects $id as $format", ({ payload, format }) => {
+    expect(detectFormat(payload).id).toBe(format);
+  });
+
+  it("normalizes an Alertmanager group", () => {
+    const [alert] = normalizePayload(fixture("alertmanager-firing"));
+    expect(alert).toMatchObject({
+      fingerprint: "alertmanager:a1b2c3d4e5f60718",
+      status: "firing",
+      title: "Checkout API 5xx rate above 5%",
+      severity: "critical",
+      source: "Prometheus",
+      affected_systems: ["checkout-api", "checkout"],
+      occurred_at: "2026-10-19T08:12:00.000Z",
+    });
+    expect(alert.logs).toContain("service=checkout-api");
+    expect(normalizePayload(fixture("alertmanager-resolved"))[0]).toMatchObject({
+      fingerprint: alert.fingerprint,
+      status: "resolved",
+      occurred_at: "2026-10-19T08:41:00.000Z",
+    });
+  });
+
+  it("fingerprints Alertmanager alerts without one by their labels", () => {
+    const payload = fixture("alertmanager-firing");
+    delete payload.alerts[0].fingerprint;
+    const [first] = normalizePayload(payload);
+    payload.alerts[0].labels.service = "cart-api";
+    const [second] = normalizePayload(payload);
+    expect(first.fingerprint).toMatch(/^alertmanager:[0-9a-f]{16}$/);
+    expect(second.fingerprint).not.toBe(first.fingerprint);
+  });
+
+  it("unwraps CloudWatch alarms from SNS", () => {
+    const [alarm] = normalizePayload(fixture("cloudwatch-alarm"));
+    expect(alarm).toMatchObject({
+      fingerprint: "cloudwatch:arn:aws:cloudwatch:us-east-1:123456789012:alarm:orders-db-cpu-high",
+      status: "firing",
+      severity: "high",
+      source: "CloudWatch",
+      affected_systems: ["orders-db", "RDS"],
+    });
+    expect(normalizePayload(fixture("cloudwatch-ok"))[0].status).toBe("resolved");
+  });
+
+  it("skips SNS confirmations and INSUFFICIENT_DATA", () => {
+    expect(normalizePayload({ Type: "SubscriptionConfirmation", TopicArn: "arn:aws:sns:x", Message: "confirm" })).toEqual([]);
+    const payload = fixture("cloudwatch-alarm");
+    payload.Message = payload.Message.replace('"NewStateValue":"ALARM"', '"NewStateValue":"INSUFFICIENT_DATA"');
+    expect(normalizePayload(payload)).toEqual([]);
+  });
+
+  it("normalizes Datadog transitions, priorities and tags", () => {
+    const [alert] = normalizePayload(fixture("datadog-triggered"));
+    expect(alert).toMatchObject({
+      fingerprint: "datadog:48211937:env:prod",
+      status: "firing",
+      title: "Search latency p99 above 2s",
+      severity: "high",
+      affected_systems: ["search-api", "search-api-7f9c"],
+      tags: ["env:prod", "team:discovery"],
+      occurred_at: "2026-10-19T10:00:00.000Z",
+    });
+    expect(normalizePayload(fixture("datadog-recovered"))[0]).toMatchObject({
+      fingerprint: alert.fingerprint,
+      status: "resolved",
+    });
+  });
+
+  it("fingerprints Datadog alerts by monitor, never by event id", () => {
+    const payload = fixture("datadog-triggered");
+    delete payload.alert_id;
+    const [byQuery] = normalizePayload(payload);
+    expect(byQuery.fingerprint).toMatch(/^datadog:query:[0-9a-f]{16}:env:prod$/);
+    delete payload.alert_query;
+    expect(() => normalizePayload(payload)).toThrow(/alert_id, aggreg_key or alert_query/);
+  });
+
+  it("rejects unknown and malformed payloads", () => {
+    expect(() => normalizePayload({ hello: "world" })).toThrow(/isn't an Alertmanager/);
+    expect(() => normalizePayload("{nope")).toThrow(/isn't valid JSON/);
+    expect(() => normalizePayload(fixture("datadog-triggered"), "pagerduty")).toThrow(/unknown format/);
+  });
+});
+
+describe("ingestPayload", () => {
+  beforeEach(() => configureStorage(createMemoryAdapter()));
+
+  const incidents = () => db.filter("Incident", { limit: Infinity });
+
+  it("opens, counts and resolves an incident per fingerprint", async () => {
+    const [created] = await ingestPayload(fixture("alertmanager-firing"), { actor: "test" });
+    expect(created.outcome).toBe("created");
+    const [repeat] = await ingestPayload(fixture("alertmanager-firing"), { actor: "test" });
+    expect(repeat).toMatchObject({ outcome: "deduplicated", incident_id: created.incident_id });
+
+    let [incident] = await incidents();
+    expect(incident).toMatchObject({ status: "new", severity: "critical", source: "Prometheus", alert_count: 2 });
+
+    const [resolved] = await ingestPayload(fixture("alertmanager-resolved"), { actor: "test" });
+    expect(resolved).toMatchObject({ outcome: "resolved", incident_id: created.incident_id });
+    [incident] = await incidents();
+    expect(incident.status).toBe("resolved");
+    expect(incident.resolution_notes).toMatch(/Alert resolved at Prometheus/);
+  });
+
+  it("ignores resolutions with nothing open and reopens as a new incident", async () => {
+    expect((await ingestPayload(fixture("cloudwatch-ok"), { actor: "test" }))[0].outcome).toBe("ignored");
+    await ingestPayload(fixture("cloudwatch-alarm"), { actor: "test" });
+    await ingestPayload(fixture("cloudwatch-ok"), { actor: "test" });
+    const [again] = await ingestPayload(fixture("cloudwatch-alarm"), { actor: "test" });
+    expect(again.outcome).toBe("created");
+    expect(await incidents()).toHaveLength(2);
+  });
+
+  it("keeps unrelated Datadog monitors apart", async () => {
+    const other = fixture("datadog-triggered");
+    other.alert_id = "99999";
+    await ingestPayload(fixture("datadog-triggered"), { actor: "test" });
+    const [second] = await ingestPayload(other, { actor: "test" });
+    expect(second.outcome).toBe("created");
+  });
+});
@@ -0,0 +1,50 @@
+// Helpers shared by the payload normalizers.
+
+import { ValidationError } from "../errors";
+
+export const invalidPayload = (message) => new ValidationError("Alert", [{ field: "payload", code: "format", message }]);
+
+// Words monitoring tools use for severity -> Incident severity.
+const SEVERITY_WORDS = {
+  critical: "critical",
+  crit: "critical",
+  page: "critical",
+  fatal: "critical",
+  emergency: "critical",
+  sev1: "critical",
+  p1: "critical",
+  high: "high",
+  error: "high",
+  major: "high",
+  sev2: "high",
+  p2: "high",
+  warning: "medium",
+  warn: "medium",
+  medium: "medium",
+  minor: "medium",
+  sev3: "medium",
+  p3: "medium",
+  low: "low",
+  info: "low",
+  informational: "low",
+  none: "low",
+  p4: "low",
+  p5: "low",
+};
+
+// -> the Incident severity for the first value that names one, else `fallback`.
+export function mapSeverity(values, fallback = "high") {
+  for (const value of values) {
+    const severity = SEVERITY_WORDS[String(value ?? "").trim().toLowerCase()];
+    if (severity) return severity;
+  }
+  return fallback;
+}
+
+export const uniqueSystems = (systems) => [...new Set(systems.map((s) => String(s || "").trim()).filter(Boolean))];
+
+// Dates arrive as ISO strings or epoch milliseconds (possibly as a string).
+export const toIso = (value) => {
+  const date = value ? new Date(/^\d+$/.test(String(value)) ? Number(value) : value) : null;
+  return date && !Number.isNaN(date.getTime()) ? date.toISOString() : null;
+};
@@ -0,0 +1,218 @@
+/*
+  Incident lifecycle.
+
+    new → analyzing → awaiting_approval → in_progress → mitigated → resolved → closed
+
+  plus the ways back listed in TRANSITIONS, reopening among them, the
+  `merge` move that closes a duplicate (see ./incidentLinks) and the
+  `auto_resolve` move for alerts that clear on their own (see ./alerts). An
+  incident's status only changes through transition(): appClient sends every
+  Incident update that touches `status` here. A move that isn't listed, lacks
+  a required field or fails its guard is refused with a TransitionError
+  (./errors). Otherwise the move's timestamps are stamped, the registered
+  hooks run, and the move is audited as `status_changed`. All of it happens
+  inside the caller's transaction.
+*/
+
+import { TransitionError } from "./errors";
+import { openRequests } from "./approvals";
+
+export const STATUS_LABELS = {
+  new: "New",
+  analyzing: "AI Analyzing",
+  awaiting_approval: "Awaiting Approval",
+  in_progress: "In Progress",
+  mitigated: "Mitigated",
+  resolved: "Resolved",
+  closed: "Closed",
+};
+
+// Fields a move can require, as they read in "Resolving needs resolution notes".
+export const FIELD_LABELS = {
+  ai_analysis: "an AI analysis",
+  mitigation_notes: "mitigation notes",
+  resolution_notes: "resolution notes",
+  reopen_reason: "a reason for reopening",
+  merged_into: "the incident it was merged into",
+};
+
+// Incidents are created in one of these. Seeds and imports load as they are.
+export const INITIAL_STATUSES = ["new", "analyzing"];
+
+async function approvalsSettled(tx, incident) {
+  const pending = (await openRequests(tx, incident)).filter((r) => r.status === "pending").length;
+  return pending ? `${pending} recommendation${pending === 1 ? " still needs" : "s still need"} a decision` : null;
+}
+
+/*
+  One entry per allowed move; (from, to) pairs are unique.
+    requires  fields the incident must have once the update is applied;
+              the notes in MOVE_NOTES must come with the update itself
+    guard     (tx, incident) -> reason to refuse, or null
+    stamp     (incident, now) -> fields set by the move
+    internal  made by other modules only; not offered by transitionsFrom
+*/
+export const TRANSITIONS = [
+  { name: "start_analysis", label: "Start analysis", from: ["new"], to: "analyzing" },
+  { name: "abandon_analysis", label: "Abandon analysis", from: ["analyzing"], to: "new" },
+  {
+    name: "request_approval",
+    label: "Request approval",
+    from: ["analyzing"],
+    to: "awaiting_approval",
+    requires: ["ai_analysis"],
+  },
+  {
+    name: "start_work",
+    label: "Start work",
+    from: ["awaiting_approval"],
+    to: "in_progress",
+    guard: approvalsSettled,
+  },
+  {
+    name: "mitigate",
+    label: "Mark mitigated",
+    from: ["in_progress"],
+    to: "mitigated",
+    requires: ["mitigation_notes"],
+    stamp: (incident, now) => ({ mitigated_at: now }),
+  },
+  { name: "mitigation_failed", label: "Mitigation didn't hold", from: ["mitigated"], to: "in_progress" },
+  {
+    name: "resolve",
+    label: "Resolve",
+    from: ["in_progress", "mitigated"],
+    to: "resolved",
+    requires: ["resolution_notes"],
+    stamp: (incident, now) => ({ resolved_at: now }),
+  },
+  {
+    name: "auto_resolve",
+    label: "Auto-resolve",
+    from: ["new", "analyzing", "awaiting_approval"],
+    to: "resolved",
+    requires: ["resolution_notes"],
+    internal: true,
+    stamp: (incident, now) => ({ resolved_at: now }),
+  },
+  {
+    name: "close",
+    label: "Close",
+    from: ["resolved"],
+    to: "closed",
+    stamp: (incident, now) => ({ closed_at: now }),
+  },
+  {
+    name: "merge",
+    label: "Merge",
+    from: ["new", "analyzing", "awaiting_approval", "in_progress", "mitigated"],
+    to: "closed",
+    requires: ["merged_into"],
+    internal: true,
+    stamp: (incident, now) => ({ closed_at: now }),
+  },
+  {
+    name: "reopen",
+    label: "Reopen",
+    from: ["resolved", "closed"],
+    to: "in_progress",
+    requires: ["reopen_reason"],
+    guard: (tx, incident) => (incident.merged_into ? "a merged incident stays closed; reopen the one it was merged into" : null),
+    stamp: (incident, now) => ({
+      reopened_at: now,
+      reopen_count: (incident.reopen_count || 0) + 1,
+      resolved_at: null,
+      closed_at: null,
+      resolution_notes: null,
+    }),
+  },
+];
+
+// Internal moves are only found when asked for.
+export const findTransition = (from, to, { internal = false } = {}) =>
+  TRANSITIONS.find((t) => t.from.includes(from) && t.to === to && (internal || !t.internal)) || null;
+
+export const transitionsFrom = (status) => TRANSITIONS.filter((t) => t.from.includes(status) && !t.internal);
+
+const isBlank = (value) => value == null || (typeof value === "string" && value.trim() === "");
+
+// Notes written for one move. A value left on the incident from an earlier
+// round (say, the last resolve before a reopen) doesn't count.
+const MOVE_NOTES = ["mitigation_notes", "resolution_notes", "reopen_reason"];
+
+export function assertInitialStatus(incident) {
+  const status = incident.status ?? "new";
+  if (!INITIAL_STATUSES.includes(status)) {
+    throw new TransitionError("not_allowed", `New incidents can't start as ${STATUS_LABELS[status] || status}`, {
+      from: null,
+      to: status,
+    });
+  }
+}
+
+const hooks = [];
+
+// hook({ tx, incident, transition, changes, actor }) runs after the checks
+// and before the write. It may throw (a TransitionError) to veto the move,
+// stage related writes through `tx`, or return extra fields to set.
+// Returns an unregister function.
+export function onTransition(hook) {
+  hooks.push(hook);
+  return () => hooks.splice(hooks.indexOf(hook), 1);
+}
+
+// Moves `incident` to `patch.status` inside `tx`. `patch` may change other
+// fields too; `updateOptions` go to tx.update (expectedVersion, revertedTo).
+// `internal` allows the internal moves. -> the updated incident.
+export async function transition(tx, incident, patch, { actor, internal, ...updateOptions } = {}) {
+  const from = incident.status;
+  const to = patch.status;
+  const move = findTransition(from, to, { internal });
+  if (!move) {
+    throw new TransitionError(
+      "not_allowed",
+      `Can't move an incident from ${STATUS_LABELS[from] || from} to ${STATUS_LABELS[to] || to}`,
+      { from, to }
+    );
+  }
+  const after = { ...incident, ...patch };
+  const missing = (move.requires || []).filter(
+    (field) => isBlank(after[field]) || (MOVE_NOTES.includes(field) && isBlank(patch[field]))
+  );
+  if (missing.length) {
+    throw new TransitionError(
+      "missing_fields",
+      `${move.label} needs ${missing.map((field) => FIELD_LABELS[field] || field).join(" and ")}`,
+      { from, to, missing }
+    );
+  }
+  const refused = move.guard ? await move.guard(tx, incident) : null;
+  if (refused) throw new TransitionError("guard_failed", `${move.label}: ${refused}`, { from, to });
+
+  const stamped = move.stamp?.(incident, new Date().toISOString()) || {};
+  let changes = { ...patch, ...stamped };
+  for (const hook of [...hooks]) {
+    changes = { ...changes, ...(await hook({ tx, incident, transition: move, changes, actor })) };
+  }
+  const updated = await tx.update("Incident", incident.id, changes, updateOptions);
+  await tx.create("AuditLog", {
+    incident_id: incident.id,
+    entity_type: "Incident",
+    entity_id: incident.id,
+    action_type: "status_changed",
+    actor,
+    details: {
+      previous: from,
+      new: to,
+      transition: move.name,
+      ...Object.fromEntries((move.requires || []).filter((f) => f !== "ai_analysis").map((f) => [f, changes[f] ?? after[f]])),
+      // What the move cleared, e.g. the resolution notes of a reopened incident.
+      ...Object.fromEntries(
+        Object.keys(stamped)
+          .filter((f) => stamped[f] === null && !isBlank(incident[f]))
+          .map((f) => [`previous_${f}`, incident[f]])
+      ),
+    },
+  });
+  return updated;
+}
@@ -1,27 +1,51 @@
 /*
-  Tiny local "database" backed by localStorage (when available).
-  Falls back to in-memory storage during SSR/build.
+  Tiny local "database" kept in memory and persisted through a storage
+  adapter (localStorage by default; see ./storage).
 
   Tables are stored as arrays of records.
   Each record has at least: { id, created_date, updated_date }
-*/
 
-const STORAGE_KEY = "icdi_local_db_v1";
-const META_KEY = "icdi_local_meta_v1";
+  Every committed write emits a change event
+    { table, op: "create" | "update" | "remove" | "replace", record?, previous?, id?, remote }
+  to db.subscribe listeners, and is broadcast to other tabs (BroadcastChannel,
+  falling back to `storage` events) so their in-memory copy stays current.
+  Remote "reload" events ({ table: "*" }) mean the whole snapshot was re-read.
 
-const hasLocalStorage = () => {
-  try {
-    return typeof window !== "undefined" && typeof window.localStorage !== "undefined";
-  } catch {
-    return false;
-  }
-};
+  AuditLog is append-only: new entries are hash-chained as they commit and
+  updates or removals are refused (see ./auditChain).
+
+  Data is partitioned by workspace (see ./tenancy): reads, writes, change
+  events, snapshots and workspace settings only cover the active workspace,
+  and each workspace has its own audit chain.
+*/
+
+import { compareBy, decodeCursor, encodeCursor, matchesWhere, normalizeSort } from "./query";
+import { createStorageAdapter } from "./storage";
+import { LATEST_VERSION, migrateSnapshot } from "./migrations";
+import { createIndexStore } from "./indexes";
+import { REVISION_TABLE, changedFields, isRevisioned } from "./revisions";
+import { ConflictError } from "./errors";
+import { AUDIT_TABLE, chainHead, sealEntry } from "./auditChain";
+import { DEFAULT_WORKSPACE_ID, WORKSPACE_META_KEYS, inWorkspace, isSharedTable, workspaceOf } from "./tenancy";
 
 const memory = {
+  adapter: null,
   db: null,
   meta: null,
+  ready: null,
+  // Serializes adapter writes so they land in the order they were made.
+  queue: Promise.resolve(),
+  listeners: new Set(),
+  channel: null,
+  indexes: createIndexStore(),
+  // Last sealed AuditLog entry per workspace; missing = look it up again.
+  auditHeads: new Map(),
 };
 
+const CHANNEL_NAME = "icdi_local_db_changes";
+// Pre-migration backups kept in storage; older ones are removed.
+const MIGRATION_BACKUPS_KEPT = 3;
+
 function nowIso() {
   return new Date().toISOString();
 }
@@ -32,44 +56,146 @@ function uuid() {
   return `id_${Math.random().toString(16).slice(2)}_${Date.now().toString(16)}`;
 }
 
-function loadJson(key, fallback) {
-  if (!hasLocalStorage()) return fallback;
-  const raw = window.localStorage.getItem(key);
-  if (!raw) return fallback;
-  try {
-    return JSON.parse(raw);
-  } catch {
-    return fallback;
+function getAdapter() {
+  if (!memory.adapter) memory.adapter = createStorageAdapter();
+  return memory.adapter;
+}
+
+function activeWorkspace() {
+  return loadMeta().workspace || DEFAULT_WORKSPACE_ID;
+}
+
+const inScope = (table, record) => inWorkspace(table, record, activeWorkspace());
+
+function notify(event) {
+  if (event.record && !inScope(event.table, event.record)) return;
+  memory.listeners.forEach((listener) => {
+    try {
+      listener(event);
+    } catch (err) {
+      console.error("localDb change listener failed", err);
+    }
+  });
+}
+
+function emit(event) {
+  notify({ ...event, remote: false });
+  memory.channel?.postMessage(event);
+}
+
+async function reloadFromStorage() {
+  memory.ready = null;
+  await hydrate();
+  notify({ table: "*", op: "reload", remote: true });
+}
+
+// Mirror a change committed by another tab into this tab's working copy.
+function applyRemote(event) {
+  if (!memory.db) return;
+  if (event.op === "replace") {
+    reloadFromStorage();
+    return;
+  }
+  if (event.op === "remove") applyChange({ table: event.table, op: "delete", id: event.id });
+  else applyChange({ table: event.table, op: "put", record: event.record });
+  if (event.table === AUDIT_TABLE) memory.auditHeads.clear();
+  notify({ ...event, remote: true });
+}
+
+function connectTabs() {
+  if (memory.channel || typeof window === "undefined") return;
+  if (typeof BroadcastChannel !== "undefined") {
+    memory.channel = new BroadcastChannel(CHANNEL_NAME);
+    memory.channel.onmessage = (e) => applyRemote(e.data);
+    return;
   }
+  // Older browsers: localStorage writes from other tabs fire `storage` events.
+  memory.channel = { postMessage() {} };
+  window.addEventListener("storage", (e) => {
+    if (e.key?.startsWith("icdi_local_db")) reloadFromStorage();
+  });
+}
+
+function hydrate() {
+  if (!memory.ready) {
+    connectTabs();
+    memory.ready = (async () => {
+      const adapter = getAdapter();
+      const [loaded, meta] = await Promise.all([adapter.load(), adapter.loadMeta()]);
+      memory.meta = { seeded: false, currentUser: null, migrations: [], ...(meta || {}) };
+      // A brand-new database is created at the latest schema version.
+      memory.db = loaded || { tables: {}, version: LATEST_VERSION };
+      await runMigrations(adapter);
+      memory.indexes.clear();
+      memory.auditHeads.clear();
+    })();
+  }
+  return memory.ready;
 }
 
-function saveJson(key, value) {
-  if (!hasLocalStorage()) return;
-  window.localStorage.setItem(key, JSON.stringify(value));
+async function runMigrations(adapter) {
+  const before = memory.db;
+  const { snapshot, applied } = migrateSnapshot(before, memory.meta.migrations);
+  if (!applied.length) return;
+
+  // Never upgrade in place without a copy of what we started from.
+  const backupLabel = `v${before.version ?? 1}_${Date.now()}`;
+  const backupRef = adapter.backup ? await adapter.backup(before, backupLabel) : null;
+
+  memory.db = snapshot;
+  const changes = Object.entries(snapshot.tables).map(([table, records]) => ({ table, op: "replace", records }));
+  await adapter.write(changes, snapshot);
+
+  memory.meta.migrations = [...memory.meta.migrations, ...applied];
+  const backup = { ref: backupRef, from_version: before.version ?? 1, created_at: nowIso() };
+  memory.meta.migrationBackups = await pruneBackups(adapter, [...(memory.meta.migrationBackups || []), backup]);
+  await adapter.saveMeta(memory.meta);
+}
+
+// -> the backups to keep listing: the newest MIGRATION_BACKUPS_KEPT, plus
+// older ones the adapter failed to remove (tried again after the next upgrade).
+async function pruneBackups(adapter, backups) {
+  const failed = [];
+  for (const backup of backups.slice(0, -MIGRATION_BACKUPS_KEPT)) {
+    try {
+      if (backup.ref != null) await adapter.removeBackup?.(backup.ref);
+    } catch {
+      failed.push(backup);
+    }
+  }
+  return [...failed, ...backups.slice(-MIGRATION_BACKUPS_KEPT)];
 }
 
 function loadDb() {
-  if (memory.db) return memory.db;
-  const initial = { tables: {}, version: 1 };
-  memory.db = hasLocalStorage() ? loadJson(STORAGE_KEY, initial) : initial;
+  if (!memory.db) throw new Error("localDb used before it was ready; await db.ready() first");
   return memory.db;
 }
 
-function saveDb() {
-  if (!memory.db) return;
-  saveJson(STORAGE_KEY, memory.db);
+function loadMeta() {
+  return memory.meta || { seeded: false, currentUser: null, migrations: [] };
 }
 
-function loadMeta() {
-  if (memory.meta) return memory.meta;
-  const initial = { seeded: false, currentUser: null };
-  memory.meta = hasLocalStorage() ? loadJson(META_KEY, initial) : initial;
-  return memory.meta;
+function enqueue(task) {
+  const run = memory.queue.then(task);
+  // Keep the chain alive after a failure; the caller still sees the rejection.
+  memory.queue = run.catch(() => {});
+  return run;
+}
+
+function persist(changes) {
+  const adapter = getAdapter();
+  return enqueue(() => adapter.write(changes, memory.db));
 }
 
 function saveMeta() {
-  if (!memory.meta) return;
-  saveJson(META_KEY, memory.meta);
+  if (!memory.meta) return Promise.resolve();
+  const adapter = getAdapter();
+  const meta = memory.meta;
+  return enqueue(() => adapter.saveMeta(meta));
+}
+
+function currentActor() {
+  return loadMeta().currentUser?.email || "SYSTEM";
 }
 
 function ensureTable(table) {
@@ -79,90 +205,380 @@ function ensureTable(table) {
 }
 
 function sortByField(items, sort) {
-  if (!sort) return items;
-  const desc = sort.startsWith("-");
-  const field = desc ? sort.slice(1) : sort;
-  const copy = [...items];
-  copy.sort((a, b) => {
-    const av = a?.[field];
-    const bv = b?.[field];
-    if (av === bv) return 0;
-    // Dates often stored as ISO strings; lexical sort works.
-    return (av > bv ? 1 : -1) * (desc ? -1 : 1);
-  });
-  return copy;
-}
-
-function matchesWhere(record, where) {
-  if (!where) return true;
-  return Object.entries(where).every(([k, v]) => {
-    if (v === undefined) return true;
-    if (Array.isArray(v)) {
-      // Match any overlap for arrays.
-      const rv = record?.[k];
-      if (!Array.isArray(rv)) return false;
-      return v.some((x) => rv.includes(x));
+  const spec = normalizeSort(sort);
+  if (!spec.length) return items;
+  return [...items].sort(compareBy(spec));
+}
+
+// Soft-deleted records (see ./trash) are hidden unless asked for.
+const isVisible = (record, withDeleted) => withDeleted || record.deleted_at == null;
+
+// Records of the active workspace matching `where`, narrowed through an
+// index when one applies.
+function liveMatches(table, where, withDeleted = false) {
+  const records = ensureTable(table);
+  const candidates = memory.indexes.candidates(table, records, where);
+  return (candidates || records).filter(
+    (r) => inScope(table, r) && isVisible(r, withDeleted) && matchesWhere(r, where)
+  );
+}
+
+// Settings saved before workspaces existed belong to the default one.
+function workspaceSetting(meta, key) {
+  const workspace = activeWorkspace();
+  const settings = meta.workspaceSettings?.[workspace] || {};
+  if (key in settings) return settings[key];
+  return workspace === DEFAULT_WORKSPACE_ID ? meta[key] : undefined;
+}
+
+function sortAndLimit(records, { sort = "-created_date", limit = 100 } = {}) {
+  return sortByField(records, sort).slice(0, limit);
+}
+
+// Keyset pagination: `cursor` is the nextCursor of the previous page, so
+// records inserted meanwhile never shift or duplicate what follows.
+function pageOf(records, { sort = "-created_date", limit = 25, cursor = null } = {}) {
+  const spec = normalizeSort(sort);
+  const compare = compareBy(spec);
+  const sorted = [...records].sort(compare);
+  let start = 0;
+  if (cursor) {
+    const after = decodeCursor(cursor, spec);
+    start = sorted.findIndex((r) => compare(r, after) > 0);
+    if (start === -1) start = sorted.length;
+  }
+  const items = sorted.slice(start, start + limit);
+  const hasMore = start + limit < sorted.length;
+  return {
+    items,
+    nextCursor: hasMore && items.length ? encodeCursor(items[items.length - 1], spec) : null,
+    total: sorted.length,
+  };
+}
+
+function refuseAuditChange(table) {
+  if (table === AUDIT_TABLE) throw new Error(`${AUDIT_TABLE} entries are append-only`);
+}
+
+/*
+  A write set stages record writes as a per-table overlay (id -> record, or
+  null once removed). Nothing is visible to the rest of the app until
+  commit(), which replays the staged puts/deletes onto the live tables (so
+  unrelated writes made meanwhile are kept), persists them in one adapter
+  call and emits the change events.
+*/
+function createWriteSet() {
+  const staged = new Map();
+  const changes = [];
+  const events = [];
+
+  const stagedFor = (table) => {
+    if (!staged.has(table)) staged.set(table, new Map());
+    return staged.get(table);
+  };
+
+  // Records of other workspaces are never found.
+  const lookup = (table, id) => {
+    const overlay = staged.get(table);
+    if (overlay?.has(id)) return overlay.get(id);
+    const record = memory.indexes.get(table, ensureTable(table)).byId.get(id);
+    return record && inScope(table, record) ? record : null;
+  };
+
+  // Reads inside a transaction see its own staged writes.
+  const matches = (table, where, withDeleted = false) => {
+    const overlay = staged.get(table);
+    if (!overlay) return liveMatches(table, where, withDeleted);
+    const base = ensureTable(table).filter((r) => !overlay.has(r.id) && inScope(table, r));
+    const added = [...overlay.values()].filter(Boolean);
+    return [...base, ...added].filter((r) => isVisible(r, withDeleted) && matchesWhere(r, where));
+  };
+
+  const put = (table, op, rec, previous) => {
+    stagedFor(table).set(rec.id, rec);
+    changes.push({ table, op: "put", record: rec });
+    events.push({ table, op, record: rec, previous });
+  };
+
+  // Append a Revision row for revisioned tables (see ./revisions), in the
+  // record's workspace like any other create.
+  const recordRevision = (table, previous, rec, { revertedTo } = {}) => {
+    if (!isRevisioned(table)) return;
+    const changed = changedFields(table, previous || {}, rec);
+    if (!changed) return;
+    const revision = {
+      id: uuid(),
+      created_date: rec.updated_date,
+      updated_date: rec.updated_date,
+      table,
+      record_id: rec.id,
+      rev: matches(REVISION_TABLE, { record_id: rec.id }).length + 1,
+      op: revertedTo != null ? "revert" : previous ? "update" : "create",
+      actor: currentActor(),
+      ...changed,
+      ...(revertedTo != null && { reverted_to: revertedTo }),
+      workspace_id: workspaceOf(rec),
+    };
+    put(REVISION_TABLE, "create", revision);
+  };
+
+  return {
+    changes,
+    events,
+    matches,
+    create(table, data) {
+      const rec = {
+        id: uuid(),
+        created_date: nowIso(),
+        updated_date: nowIso(),
+        ...data,
+        version: 1,
+        ...(!isSharedTable(table) && { workspace_id: activeWorkspace() }),
+      };
+      const clash = memory.indexes.get(table, ensureTable(table)).byId.get(rec.id);
+      if (clash && !inScope(table, clash)) throw new Error(`${table}.${rec.id} already exists in another workspace`);
+      put(table, "create", rec);
+      recordRevision(table, null, rec);
+      return rec;
+    },
+    // Every update bumps `version` (records that predate versioning count as
+    // 0). With `opts.expectedVersion` the update is refused with a
+    // ConflictError unless the record is still at that version.
+    // `opts.revertedTo` marks the revision as a revert (see appClient.revisions).
+    update(table, id, patch, opts = {}) {
+      refuseAuditChange(table);
+      const previous = lookup(table, id);
+      if (!previous) throw new Error(`Record not found: ${table}.${id}`);
+      if (patch.workspace_id !== undefined && patch.workspace_id !== previous.workspace_id) {
+        throw new Error(`${table}.${id} can't move to another workspace`);
+      }
+      const version = previous.version ?? 0;
+      if (opts.expectedVersion != null && opts.expectedVersion !== version) {
+        throw new ConflictError(table, id, { expectedVersion: opts.expectedVersion, current: previous });
+      }
+      const rec = { ...previous, ...patch, updated_date: nowIso(), updated_by: currentActor(), version: version + 1 };
+      put(table, "update", rec, previous);
+      recordRevision(table, previous, rec, opts);
+      return rec;
+    },
+    remove(table, id) {
+      refuseAuditChange(table);
+      const removed = lookup(table, id);
+      if (!removed) return { ok: true };
+      stagedFor(table).set(id, null);
+      changes.push({ table, op: "delete", id });
+      events.push({ table, op: "remove", id, record: removed });
+      return { ok: true };
+    },
+  };
+}
+
+// Apply one put/delete to the live table and its indexes; returns the inverse.
+function applyChange({ table, op, record, id }) {
+  const t = ensureTable(table);
+  const existing = memory.indexes.get(table, t).byId.get(op === "put" ? record.id : id);
+  if (op === "put") {
+    if (!existing) {
+      t.push(record);
+      memory.indexes.put(table, record);
+      return () => applyChange({ table, op: "delete", id: record.id });
     }
-    return record?.[k] === v;
-  });
+    t[t.indexOf(existing)] = record;
+    memory.indexes.put(table, record, existing);
+    return () => applyChange({ table, op: "put", record: existing });
+  }
+  if (!existing) return () => {};
+  t.splice(t.indexOf(existing), 1);
+  memory.indexes.remove(table, existing);
+  return () => applyChange({ table, op: "put", record: existing });
+}
+
+// Chain the batch's new AuditLog entries onto their workspace's head. Runs
+// synchronously just before they are applied, so concurrent commits can't
+// fork a chain.
+function sealAuditEntries(changes) {
+  changes
+    .filter((c) => c.table === AUDIT_TABLE && c.op === "put")
+    .forEach(({ record }) => {
+      const workspace = workspaceOf(record);
+      const head =
+        memory.auditHeads.get(workspace) ??
+        chainHead(ensureTable(AUDIT_TABLE).filter((e) => workspaceOf(e) === workspace));
+      memory.auditHeads.set(workspace, sealEntry(record, head));
+    });
+}
+
+async function commit(ws) {
+  if (!ws.changes.length) return;
+  sealAuditEntries(ws.changes);
+  const undo = ws.changes.map(applyChange);
+  try {
+    await persist(ws.changes);
+  } catch (err) {
+    // Storage rejected the batch: undo it in reverse order.
+    undo.reverse().forEach((fn) => fn());
+    memory.auditHeads.clear();
+    throw err;
+  }
+  ws.events.forEach(emit);
+}
+
+async function runWrite(fn) {
+  await hydrate();
+  const ws = createWriteSet();
+  const result = fn(ws);
+  await commit(ws);
+  return result;
+}
+
+// Swap the storage backend. Call before the first db access (e.g. in tests
+// with createMemoryAdapter); any cached state is dropped.
+export function configureStorage(adapter) {
+  memory.adapter = adapter;
+  memory.db = null;
+  memory.meta = null;
+  memory.ready = null;
+  memory.queue = Promise.resolve();
+  memory.indexes.clear();
+  memory.auditHeads.clear();
 }
 
 export const db = {
+  ready() {
+    return hydrate();
+  },
+
+  // listener(event) for every committed change, local or from another tab.
+  // Returns an unsubscribe function.
+  subscribe(listener) {
+    memory.listeners.add(listener);
+    return () => memory.listeners.delete(listener);
+  },
+
   // meta helpers
+  // WORKSPACE_META_KEYS (see ./tenancy) read and write the active workspace's value.
   getMeta(key) {
     const m = loadMeta();
-    return m[key];
+    return WORKSPACE_META_KEYS.includes(key) ? workspaceSetting(m, key) : m[key];
   },
   setMeta(key, value) {
-    const m = loadMeta();
-    m[key] = value;
-    saveMeta();
+    if (!memory.meta) memory.meta = loadMeta();
+    if (WORKSPACE_META_KEYS.includes(key)) {
+      const all = memory.meta.workspaceSettings || {};
+      const workspace = activeWorkspace();
+      memory.meta.workspaceSettings = { ...all, [workspace]: { ...all[workspace], [key]: value } };
+    } else {
+      memory.meta[key] = value;
+    }
+    return saveMeta();
   },
 
   // table helpers
-  async list(table, { sort = "-created_date", limit = 100 } = {}) {
-    const t = ensureTable(table);
-    return sortByField(t, sort).slice(0, limit);
+  // Reads skip soft-deleted records unless `withDeleted` is set.
+  async list(table, { sort = "-created_date", limit = 100, withDeleted = false } = {}) {
+    await hydrate();
+    return sortAndLimit(liveMatches(table, null, withDeleted), { sort, limit });
+  },
+
+  // Uses a declared index (see ./indexes) when `where` hits an indexed field.
+  async filter(table, { where = {}, sort = "-created_date", limit = 1000, withDeleted = false } = {}) {
+    await hydrate();
+    return sortAndLimit(liveMatches(table, where, withDeleted), { sort, limit });
   },
 
-  async filter(table, { where = {}, sort = "-created_date", limit = 1000 } = {}) {
-    const t = ensureTable(table);
-    const filtered = t.filter((r) => matchesWhere(r, where));
-    return sortByField(filtered, sort).slice(0, limit);
+  // -> { items, nextCursor, total }
+  async page(table, { where = {}, withDeleted = false, ...opts } = {}) {
+    await hydrate();
+    return pageOf(liveMatches(table, where, withDeleted), opts);
+  },
+
+  async count(table, where = {}, { withDeleted = false } = {}) {
+    await hydrate();
+    return liveMatches(table, where, withDeleted).length;
   },
 
   async create(table, data) {
-    const t = ensureTable(table);
-    const rec = {
-      id: uuid(),
-      created_date: nowIso(),
-      updated_date: nowIso(),
-      ...data,
-    };
-    t.push(rec);
-    saveDb();
-    return rec;
+    return runWrite((ws) => ws.create(table, data));
   },
 
-  async update(table, id, patch) {
-    const t = ensureTable(table);
-    const idx = t.findIndex((r) => r.id === id);
-    if (idx === -1) throw new Error(`Record not found: ${table}.${id}`);
-    t[idx] = { ...t[idx], ...patch, updated_date: nowIso() };
-    saveDb();
-    return t[idx];
+  async update(table, id, patch, opts) {
+    return runWrite((ws) => ws.update(table, id, patch, opts));
   },
 
   async remove(table, id) {
-    const t = ensureTable(table);
-    const idx = t.findIndex((r) => r.id === id);
-    if (idx === -1) return { ok: true };
-    t.splice(idx, 1);
-    saveDb();
-    return { ok: true };
+    return runWrite((ws) => ws.remove(table, id));
+  },
+
+  // Stage several writes and commit them atomically: one persist, then one
+  // change event per write. If `fn` throws (or persisting fails) nothing is
+  // applied. Use the `tx` argument (list/filter/create/update/remove) inside
+  // `fn`; its reads see the staged writes.
+  async transaction(fn) {
+    await hydrate();
+    const ws = createWriteSet();
+    const tx = {
+      list: async (table, { sort, limit, withDeleted } = {}) =>
+        sortAndLimit(ws.matches(table, null, withDeleted), { sort, limit }),
+      filter: async (table, { where = {}, sort, limit = 1000, withDeleted } = {}) =>
+        sortAndLimit(ws.matches(table, where, withDeleted), { sort, limit }),
+      page: async (table, { where = {}, withDeleted, ...opts } = {}) =>
+        pageOf(ws.matches(table, where, withDeleted), opts),
+      create: async (table, data) => ws.create(table, data),
+      update: async (table, id, patch, opts) => ws.update(table, id, patch, opts),
+      remove: async (table, id) => ws.remove(table, id),
+    };
+    const result = await fn(tx);
+    await commit(ws);
+    return result;
+  },
+
+  // Replace whole tables at once (seeding, bulk loads). Partitioned tables
+  // only have the active workspace's records replaced, and every record
+  // given must belong to it.
+  async replaceTables(tables) {
+    await hydrate();
+    const d = loadDb();
+    Object.entries(tables).forEach(([table, records]) => {
+      const foreign = records.find((r) => !inScope(table, r));
+      if (foreign) throw new Error(`${table}.${foreign.id} belongs to another workspace`);
+      const { byId } = memory.indexes.get(table, ensureTable(table));
+      const clash = records.find((r) => byId.has(r.id) && !inScope(table, byId.get(r.id)));
+      if (clash) throw new Error(`${table}.${clash.id} already exists in another workspace`);
+    });
+    const changes = Object.entries(tables).map(([table, records]) => {
+      const others = isSharedTable(table) ? [] : ensureTable(table).filter((r) => !inScope(table, r));
+      d.tables[table] = [...others, ...records];
+      memory.indexes.drop(table);
+      if (table === AUDIT_TABLE) memory.auditHeads.clear();
+      return { table, op: "replace", records: d.tables[table] };
+    });
+    await persist(changes);
+    Object.keys(tables).forEach((table) => emit({ table, op: "replace" }));
+  },
+
+  // Deep copies of the active workspace's data / meta (export, diagnostics).
+  // Workspace settings appear under their plain keys.
+  async snapshot() {
+    await hydrate();
+    const { tables, ...rest } = loadDb();
+    const scoped = Object.fromEntries(
+      Object.entries(tables).map(([table, records]) => [table, records.filter((r) => inScope(table, r))])
+    );
+    return JSON.parse(JSON.stringify({ ...rest, tables: scoped }));
+  },
+  async metaSnapshot() {
+    await hydrate();
+    const m = loadMeta();
+    const meta = { ...m };
+    delete meta.workspaceSettings;
+    WORKSPACE_META_KEYS.forEach((key) => {
+      meta[key] = workspaceSetting(m, key);
+      if (meta[key] === undefined) delete meta[key];
+    });
+    return JSON.parse(JSON.stringify(meta));
   },
 
-  // for debugging / export
+  // for debugging
   _unsafeDump() {
     return loadDb();
   },
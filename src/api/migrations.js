@@ -0,0 +1,191 @@
+/*
+  Schema migrations for the local database.
+
+  Each migration upgrades a snapshot ({ tables, version }) to `version`.
+  Steps run in order on load, only when the snapshot is older than the step
+  and the step id is not already recorded in meta.migrations. Steps must be
+  idempotent: running one twice leaves the data unchanged.
+
+  `migrateSnapshot` is pure so it can be exercised against fixture databases
+  without any storage attached.
+*/
+
+import { AUDIT_TABLE, chainEntries, isSealed } from "./auditChain";
+import { REVISION_TABLE } from "./revisions";
+import { workspaceOf } from "./tenancy";
+
+function mapTable(snapshot, table, fn) {
+  const records = snapshot.tables?.[table];
+  if (!Array.isArray(records)) return;
+  snapshot.tables[table] = records.map(fn);
+}
+
+// Reviews generated before v2 used a flat shape (customer_impact,
+// what_went_well, action_items, ...) that PostIncidentReviewPanel never read.
+function upgradeLegacyReview(review) {
+  const isLegacy =
+    review.action_items !== undefined ||
+    review.what_went_well !== undefined ||
+    review.customer_impact !== undefined;
+  if (!isLegacy) return review;
+
+  const {
+    customer_impact,
+    timeline,
+    decisions,
+    what_went_well,
+    what_went_wrong,
+    action_items,
+    ...rest
+  } = review;
+
+  const decisionList = decisions || [];
+  const countOf = (value) => decisionList.filter((d) => d.decision === value).length;
+
+  return {
+    ...rest,
+    impact_assessment: rest.impact_assessment || {
+      severity_level: customer_impact,
+      business_impact: customer_impact ? `${customer_impact} customer impact` : undefined,
+      systems_affected: [],
+    },
+    timeline_summary:
+      rest.timeline_summary ||
+      (timeline || []).map((t) => `${t.at} — ${t.action}`).join("\n") ||
+      undefined,
+    decision_effectiveness: rest.decision_effectiveness || {
+      ai_recommendations_count: decisionList.length,
+      approved_count: countOf("approved"),
+      modified_count: countOf("modified"),
+      rejected_count: countOf("rejected"),
+      effectiveness_score: decisionList.length ? countOf("approved") / decisionList.length : 0,
+    },
+    key_learnings: rest.key_learnings || [
+      ...(what_went_well || []).map((learning) => ({ category: "Process", priority: "medium", learning })),
+      ...(what_went_wrong || []).map((learning) => ({ category: "Technical", priority: "high", learning })),
+    ],
+    follow_up_actions:
+      rest.follow_up_actions ||
+      (action_items || []).map((a) => ({ action: a.item, owner: a.owner, deadline: a.due, priority: "medium" })),
+  };
+}
+
+// Directory users created before roles existed. The demo accounts keep the
+// access they had in practice; anyone else starts read-only.
+const LEGACY_ROLES = {
+  user_demo: ["admin"],
+  user_priya: ["incident_commander", "approver"],
+  user_marcus: ["responder"],
+};
+
+// Audit entries could be trashed before the log became append-only.
+function untrash(entry) {
+  if (isSealed(entry)) return entry;
+  const rest = { ...entry };
+  delete rest.deleted_at;
+  delete rest.deleted_by;
+  return rest;
+}
+
+// Revisions were written without a workspace, so every record's history sat
+// in the default workspace and records elsewhere restarted at rev 1. Move
+// each revision to its record's workspace and renumber those histories.
+function moveRevisions(snapshot) {
+  const revisions = snapshot.tables?.[REVISION_TABLE];
+  if (!Array.isArray(revisions)) return;
+  const workspaces = new Map();
+  for (const revision of revisions) {
+    const record = (snapshot.tables[revision.table] || []).find((r) => r.id === revision.record_id);
+    if (revision.workspace_id === undefined && record?.workspace_id) workspaces.set(revision.id, workspaceOf(record));
+  }
+  if (!workspaces.size) return;
+  const moved = revisions.filter((r) => workspaces.has(r.id));
+  const renumbered = new Map();
+  for (const recordId of new Set(moved.map((r) => r.record_id))) {
+    moved
+      .filter((r) => r.record_id === recordId)
+      .sort((a, b) => a.created_date.localeCompare(b.created_date) || a.rev - b.rev)
+      .forEach((r, i) => renumbered.set(r.id, i + 1));
+  }
+  snapshot.tables[REVISION_TABLE] = revisions.map((r) =>
+    workspaces.has(r.id) ? { ...r, workspace_id: workspaces.get(r.id), rev: renumbered.get(r.id) } : r
+  );
+}
+
+// Incidents past approval were picked up before `acknowledged_at` existed.
+const ACKNOWLEDGED_STATUSES = ["in_progress", "mitigated", "resolved", "closed"];
+
+export const MIGRATIONS = [
+  {
+    id: "0002_post_incident_review_shape",
+    version: 2,
+    description: "Upgrade legacy PostIncidentReview records to the panel shape",
+    up(snapshot) {
+      mapTable(snapshot, "PostIncidentReview", upgradeLegacyReview);
+    },
+  },
+  {
+    id: "0003_user_roles",
+    version: 3,
+    description: "Give directory users a roles list",
+    up(snapshot) {
+      mapTable(snapshot, "User", (user) =>
+        Array.isArray(user.roles) ? user : { ...user, roles: LEGACY_ROLES[user.id] || ["viewer"] }
+      );
+    },
+  },
+  {
+    id: "0004_audit_chain",
+    version: 4,
+    description: "Restore trashed audit entries and hash-chain the AuditLog",
+    up(snapshot) {
+      const entries = snapshot.tables?.[AUDIT_TABLE];
+      if (!Array.isArray(entries)) return;
+      snapshot.tables[AUDIT_TABLE] = chainEntries(entries.map(untrash));
+    },
+  },
+  {
+    id: "0005_revision_workspace",
+    version: 5,
+    description: "Move revisions into their record's workspace",
+    up: moveRevisions,
+  },
+  {
+    id: "0006_incident_acknowledged",
+    version: 6,
+    description: "Mark incidents already being worked on as acknowledged",
+    up(snapshot) {
+      mapTable(snapshot, "Incident", (incident) =>
+        incident.acknowledged_at || !ACKNOWLEDGED_STATUSES.includes(incident.status)
+          ? incident
+          : { ...incident, acknowledged_at: incident.mitigated_at || incident.resolved_at || incident.updated_date }
+      );
+    },
+  },
+];
+
+export const LATEST_VERSION = MIGRATIONS.reduce((v, m) => Math.max(v, m.version), 1);
+
+export function pendingMigrations(snapshot, applied = [], migrations = MIGRATIONS) {
+  const done = new Set(applied.map((a) => a.id));
+  const from = snapshot?.version ?? 1;
+  return [...migrations]
+    .sort((a, b) => a.version - b.version)
+    .filter((m) => m.version > from && !done.has(m.id));
+}
+
+// Returns { snapshot, applied } without mutating the input.
+export function migrateSnapshot(snapshot, applied = [], { migrations = MIGRATIONS, now = new Date() } = {}) {
+  const pending = pendingMigrations(snapshot, applied, migrations);
+  if (!pending.length) return { snapshot, applied: [] };
+
+  const next = JSON.parse(JSON.stringify(snapshot));
+  next.tables = next.tables || {};
+  const ran = [];
+  for (const migration of pending) {
+    migration.up(next);
+    next.version = migration.version;
+    ran.push({ id: migration.id, version: migration.version, applied_at: now.toISOString() });
+  }
+  return { snapshot: next, applied: ran };
+}
@@ -0,0 +1,145 @@
+import { describe, expect, it, vi } from "vitest";
+import { LATEST_VERSION, MIGRATIONS, migrateSnapshot } from "./migrations";
+import { verifyChain } from "./auditChain";
+import { configureStorage, db } from "./localDb";
+import { createMemoryAdapter } from "./storage";
+
+// A v1 database as the app wrote it before any migration existed.
+const FIXTURE_V1 = {
+  version: 1,
+  tables: {
+    PostIncidentReview: [
+      {
+        id: "pir_legacy",
+        incident_id: "inc_1",
+        customer_impact: "high",
+        timeline: [{ at: "09:00", action: "Paged" }],
+        decisions: [{ decision: "approved" }, { decision: "rejected" }],
+        what_went_well: ["Fast page"],
+        what_went_wrong: ["No runbook"],
+        action_items: [{ item: "Write runbook", owner: "sre", due: "2026-01-01" }],
+      },
+      { id: "pir_current", incident_id: "inc_2", timeline_summary: "Already upgraded" },
+    ],
+    User: [
+      { id: "user_demo", email: "demo.user@example.com", full_name: "Demo" },
+      { id: "user_other", email: "other@example.com", full_name: "Other" },
+      { id: "user_set", email: "set@example.com", full_name: "Set", roles: ["approver"] },
+    ],
+    AuditLog: [
+      { id: "a2", action_type: "status_changed", created_date: "2026-01-01T10:00:00Z", deleted_at: "2026-01-02T00:00:00Z" },
+      { id: "a1", action_type: "incident_created", created_date: "2026-01-01T09:00:00Z" },
+    ],
+    Incident: [
+      { id: "inc_1", status: "in_progress", updated_date: "2026-01-01T10:00:00Z", workspace_id: "ws_b" },
+      { id: "inc_2", status: "resolved", mitigated_at: "2026-01-01T11:00:00Z", resolved_at: "2026-01-01T12:00:00Z" },
+      { id: "inc_3", status: "new", updated_date: "2026-01-01T10:00:00Z" },
+      { id: "inc_4", status: "closed", acknowledged_at: "2026-01-01T08:00:00Z" },
+    ],
+    Revision: [
+      { id: "r2", table: "Incident", record_id: "inc_1", rev: 1, created_date: "2026-01-01T10:00:00Z" },
+      { id: "r1", table: "Incident", record_id: "inc_1", rev: 1, created_date: "2026-01-01T09:00:00Z" },
+      { id: "r3", table: "Incident", record_id: "inc_2", rev: 1, created_date: "2026-01-01T09:00:00Z" },
+    ],
+  },
+};
+
+// Runs one step against the fixture as it stood just before that step.
+function runStep(id, snapshot = FIXTURE_V1) {
+  const step = MIGRATIONS.find((m) => m.id === id);
+  const before = { ...snapshot, version: step.version - 1 };
+  const { snapshot: after, applied } = migrateSnapshot(before, [], { migrations: [step] });
+  expect(applied.map((a) => a.id)).toEqual([id]);
+  // Idempotent: the same step over its own output changes nothing.
+  const again = migrateSnapshot({ ...after, version: step.version - 1 }, [], { migrations: [step] }).snapshot;
+  expect(again.tables).toEqual(after.tables);
+  return after.tables;
+}
+
+const byId = (records, id) => records.find((r) => r.id === id);
+
+describe("migrations", () => {
+  it("0002 upgrades legacy post-incident reviews", () => {
+    const { PostIncidentReview: reviews } = runStep("0002_post_incident_review_shape");
+    const legacy = byId(reviews, "pir_legacy");
+    expect(legacy).not.toHaveProperty("action_items");
+    expect(legacy.timeline_summary).toBe("09:00 — Paged");
+    expect(legacy.decision_effectiveness).toMatchObject({ ai_recommendations_count: 2, approved_count: 1, rejected_count: 1 });
+    expect(legacy.key_learnings).toHaveLength(2);
+    expect(legacy.follow_up_actions).toEqual([
+      { action: "Write runbook", owner: "sre", deadline: "2026-01-01", priority: "medium" },
+    ]);
+    expect(byId(reviews, "pir_current")).toEqual(byId(FIXTURE_V1.tables.PostIncidentReview, "pir_current"));
+  });
+
+  it("0003 gives users roles", () => {
+    const { User: users } = runStep("0003_user_roles");
+    expect(byId(users, "user_demo").roles).toEqual(["admin"]);
+    expect(byId(users, "user_other").roles).toEqual(["viewer"]);
+    expect(byId(users, "user_set").roles).toEqual(["approver"]);
+  });
+
+  it("0004 restores trashed audit entries and chains them in order", () => {
+    const { AuditLog: entries } = runStep("0004_audit_chain");
+    expect(entries.every((e) => !e.deleted_at)).toBe(true);
+    expect([...entries].sort((a, b) => a.seq - b.seq).map((e) => e.id)).toEqual(["a1", "a2"]);
+    expect(verifyChain(entries)).toMatchObject({ ok: true, length: 2 });
+  });
+
+  it("0005 moves revisions into their record's workspace", () => {
+    const { Revision: revisions } = runStep("0005_revision_workspace");
+    expect(byId(revisions, "r1")).toMatchObject({ workspace_id: "ws_b", rev: 1 });
+    expect(byId(revisions, "r2")).toMatchObject({ workspace_id: "ws_b", rev: 2 });
+    expect(byId(revisions, "r3")).not.toHaveProperty("workspace_id");
+  });
+
+  it("0006 acknowledges incidents already being worked on", () => {
+    const { Incident: incidents } = runStep("0006_incident_acknowledged");
+    expect(byId(incidents, "inc_1").acknowledged_at).toBe("2026-01-01T10:00:00Z");
+    expect(byId(incidents, "inc_2").acknowledged_at).toBe("2026-01-01T11:00:00Z");
+    expect(byId(incidents, "inc_3").acknowledged_at).toBeUndefined();
+    expect(byId(incidents, "inc_4").acknowledged_at).toBe("2026-01-01T08:00:00Z");
+  });
+
+  it("runs every step in order, skipping recorded ones", () => {
+    const { snapshot, applied } = migrateSnapshot(FIXTURE_V1, []);
+    expect(snapshot.version).toBe(LATEST_VERSION);
+    expect(applied.map((a) => a.id)).toEqual(MIGRATIONS.map((m) => m.id));
+    expect(FIXTURE_V1.version).toBe(1);
+
+    const partial = migrateSnapshot(FIXTURE_V1, [{ id: "0002_post_incident_review_shape" }]);
+    expect(partial.applied.map((a) => a.id)).not.toContain("0002_post_incident_review_shape");
+    expect(byId(partial.snapshot.tables.PostIncidentReview, "pir_legacy").action_items).toBeDefined();
+    expect(migrateSnapshot(snapshot, applied).applied).toEqual([]);
+  });
+
+  it("migrates a stored database on load and keeps a backup", async () => {
+    const adapter = createMemoryAdapter({ initial: FIXTURE_V1 });
+    configureStorage(adapter);
+    await db.ready();
+    expect(db.getMeta("migrations").map((m) => m.id)).toEqual(MIGRATIONS.map((m) => m.id));
+    const [{ ref, from_version }] = db.getMeta("migrationBackups");
+    expect(from_version).toBe(1);
+    expect(adapter.getBackup(ref)).toEqual(FIXTURE_V1);
+    expect((await adapter.load()).version).toBe(LATEST_VERSION);
+  });
+
+  it("keeps only the newest backups", async () => {
+    vi.useFakeTimers({ toFake: ["Date"] });
+    const adapter = createMemoryAdapter();
+    const refs = [];
+    for (let day = 1; day <= 5; day++) {
+      vi.setSystemTime(new Date(`2026-03-0${day}T00:00:00Z`));
+      // Back to v1 with no steps recorded, so every load upgrades again.
+      await adapter.write([], FIXTURE_V1);
+      await adapter.saveMeta({ ...(await adapter.loadMeta()), migrations: [] });
+      configureStorage(adapter);
+      await db.ready();
+      refs.push(db.getMeta("migrationBackups").at(-1).ref);
+    }
+    vi.useRealTimers();
+    expect(db.getMeta("migrationBackups").map((b) => b.ref)).toEqual(refs.slice(-3));
+    refs.slice(0, 2).forEach((ref) => expect(adapter.getBackup(ref)).toBeUndefined());
+    refs.slice(-3).forEach((ref) => expect(adapter.getBackup(ref)).toEqual(FIXTURE_V1));
+  });
+});
@@ -0,0 +1,35 @@
+/*
+  Notifiers deliver Notification records (pages, for now) to people.
+
+  Notifier interface:
+  - id, label
+  - send(notification, recipient)  -> { channel } once delivered; throws
+      when delivery fails. `recipient` is the User record.
+  Delivery happens after the transaction that created the notification has
+  committed, and its outcome is written back to the record
+  (`delivery_status`, `delivery_channel`, `delivery_error`).
+
+  The notifier is picked at startup from VITE_ICDI_NOTIFIER (default
+  "local"). Tests can swap it with configureNotifier (see ../paging).
+*/
+
+import { createLocalNotifier } from "./localNotifier";
+
+export { createLocalNotifier };
+
+function readEnv(key) {
+  try {
+    return import.meta.env?.[key];
+  } catch {
+    return undefined;
+  }
+}
+
+export function createNotifier(kind = readEnv("VITE_ICDI_NOTIFIER")) {
+  switch ((kind || "local").toLowerCase()) {
+    case "local":
+      return createLocalNotifier();
+    default:
+      throw new Error(`Unknown notifier: ${kind}`);
+  }
+}
@@ -0,0 +1,20 @@
+/*
+  Local notifier for development and tests. Nothing leaves the browser:
+  the Notification record itself is the in-app message (see the header's
+  notification bell), and each send is echoed to the console. `sent` keeps
+  every delivery for inspection.
+*/
+
+export function createLocalNotifier({ log = console } = {}) {
+  const sent = [];
+  return {
+    id: "local",
+    label: "In-app and console",
+    sent,
+    async send(notification, recipient) {
+      sent.push({ notification, recipient });
+      log.info?.(`[notify] ${recipient.email}: ${notification.title}`);
+      return { channel: "in_app" };
+    },
+  };
+}
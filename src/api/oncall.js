@@ -0,0 +1,127 @@
+/*
+  On-call schedules.
+
+  An OnCallSchedule rotates through `participant_ids` in order. Each shift
+  lasts `shift_days` days and hands off at `handoff_time` ("HH:mm") in the
+  schedule's `time_zone`. The first shift starts at that time on
+  `start_date` ("YYYY-MM-DD"). Handoffs follow the local clock, so they
+  stay at 09:00 across daylight-saving changes.
+
+  `overrides` ([{ user_id, starts_at, ends_at, reason }], instants) put
+  someone else on call for a while. They win over the rotation; the latest
+  one wins when overrides overlap.
+
+  Everything here is pure, so schedules can be checked without a database.
+*/
+
+import { ValidationError } from "./errors";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+export function isTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// -> { year, month, day, hour, minute } of `date` on the wall clock in `timeZone`.
+function zonedParts(date, timeZone) {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    hourCycle: "h23",
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+  }).formatToParts(date);
+  const get = (type) => Number(parts.find((p) => p.type === type).value);
+  return { year: get("year"), month: get("month"), day: get("day"), hour: get("hour"), minute: get("minute") };
+}
+
+// The instant at which the wall clock in `timeZone` reads the given local
+// date and "HH:mm".
+function zonedInstant(year, month, day, time, timeZone) {
+  const [hour, minute] = time.split(":").map(Number);
+  const asUtc = Date.UTC(year, month - 1, day, hour, minute);
+  const seen = zonedParts(new Date(asUtc), timeZone);
+  const offset = Date.UTC(seen.year, seen.month - 1, seen.day, seen.hour, seen.minute) - asUtc;
+  return new Date(asUtc - offset);
+}
+
+const minutesOf = (time) => {
+  const [hour, minute] = time.split(":").map(Number);
+  return hour * 60 + minute;
+};
+
+// Shift number at `at`: 0 for the first shift, negative before it starts.
+function shiftIndex(schedule, at) {
+  const local = zonedParts(at, schedule.time_zone);
+  const [year, month, day] = schedule.start_date.split("-").map(Number);
+  let days = Math.round((Date.UTC(local.year, local.month - 1, local.day) - Date.UTC(year, month - 1, day)) / DAY_MS);
+  // Before today's handoff it is still yesterday's shift.
+  if (local.hour * 60 + local.minute < minutesOf(schedule.handoff_time)) days -= 1;
+  return Math.floor(days / schedule.shift_days);
+}
+
+export function activeOverride(schedule, at = new Date()) {
+  const time = at.getTime();
+  return (
+    (schedule.overrides || [])
+      .filter((o) => Date.parse(o.starts_at) <= time && time < Date.parse(o.ends_at))
+      .sort((a, b) => Date.parse(b.starts_at) - Date.parse(a.starts_at))[0] || null
+  );
+}
+
+// -> the user id on call at `at`, or null when the rotation is empty or
+// hasn't started.
+export function onCallAt(schedule, at = new Date()) {
+  const override = activeOverride(schedule, at);
+  if (override) return override.user_id;
+  const participants = schedule.participant_ids || [];
+  const index = shiftIndex(schedule, at);
+  if (!participants.length || index < 0) return null;
+  return participants[index % participants.length];
+}
+
+// -> the instant the current rotation shift ends (overrides aside).
+export function nextHandoff(schedule, at = new Date()) {
+  const [year, month, day] = schedule.start_date.split("-").map(Number);
+  const index = Math.max(shiftIndex(schedule, at) + 1, 0);
+  const date = new Date(Date.UTC(year, month - 1, day) + index * schedule.shift_days * DAY_MS);
+  return zonedInstant(date.getUTCFullYear(), date.getUTCMonth() + 1, date.getUTCDate(), schedule.handoff_time, schedule.time_zone);
+}
+
+// -> [{ field, code, message }] for what the entity schema can't check.
+export function scheduleErrors(schedule) {
+  const errors = [];
+  if (schedule.time_zone !== undefined && !isTimeZone(schedule.time_zone)) {
+    errors.push({ field: "time_zone", code: "enum", message: "is not a known time zone" });
+  }
+  if (schedule.handoff_time !== undefined && !TIME_PATTERN.test(schedule.handoff_time)) {
+    errors.push({ field: "handoff_time", code: "format", message: "must be HH:mm" });
+  }
+  if (schedule.start_date !== undefined && !DATE_PATTERN.test(schedule.start_date)) {
+    errors.push({ field: "start_date", code: "format", message: "must be YYYY-MM-DD" });
+  }
+  if (schedule.shift_days !== undefined && !Number.isInteger(schedule.shift_days)) {
+    errors.push({ field: "shift_days", code: "type", message: "must be a whole number of days" });
+  }
+  (schedule.overrides || []).forEach((override, i) => {
+    if (!override.user_id) errors.push({ field: `overrides.${i}.user_id`, code: "required", message: "is required" });
+    if (!(Date.parse(override.starts_at) < Date.parse(override.ends_at))) {
+      errors.push({ field: `overrides.${i}`, code: "range", message: "must end after it starts" });
+    }
+  });
+  return errors;
+}
+
+export function assertValidSchedule(schedule) {
+  const errors = scheduleErrors(schedule);
+  if (errors.length) throw new ValidationError("OnCallSchedule", errors);
+}
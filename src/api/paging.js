@@ -0,0 +1,253 @@
+/*
+  Paging and escalation.
+
+  An EscalationPolicy lists tiers:
+    { escalate_after_minutes, schedule_ids, user_ids }
+  A tier pages the named users plus whoever is on call in the named
+  schedules (see ./oncall). If nobody acknowledges within
+  `escalate_after_minutes`, the next tier is paged. After the last tier the
+  escalation is `exhausted`, and nobody else is paged.
+
+  An open incident that isn't acknowledged gets an Escalation, which holds
+  its paging state. Its policy is the most specific one matching the
+  incident: system-specific policies win over severity-specific ones, and
+  those win over catch-all ones. Empty `severities` / `systems` match
+  everything. Only workspace members are paged.
+
+  runEscalations() starts and advances escalations. appClient runs it with
+  its scheduled checks and right after an incident is created. Each page is
+  a Notification, handed to the configured notifier (./notifiers) once the
+  transaction has committed. acknowledgeIncident() stops the escalation and
+  stamps `acknowledged_at`, which also stops the SLA acknowledge clock
+  (see ./sla). Moving an incident into in progress acknowledges it as well.
+*/
+
+import { db } from "./localDb";
+import { ValidationError } from "./errors";
+import { prepareCreate } from "./schemas";
+import { onCallAt } from "./oncall";
+import { createNotifier } from "./notifiers";
+import { recordIncidentBreaches } from "./sla";
+import { staffIncident } from "./responders";
+import { activeWorkspace, isMember } from "./workspaces";
+
+export const ESCALATION_TABLE = "Escalation";
+
+const MINUTE_MS = 60 * 1000;
+const OPEN = { status: { $nin: ["resolved", "closed"] } };
+
+let notifier = createNotifier();
+
+// Swap the notifier (see ./notifiers), e.g. for tests. -> the previous one.
+export function configureNotifier(next) {
+  const previous = notifier;
+  notifier = next;
+  return previous;
+}
+
+export function policyErrors(policy) {
+  return (policy.tiers || []).flatMap((tier, i) => {
+    const errors = [];
+    if (!(tier.escalate_after_minutes > 0)) {
+      errors.push({ field: `tiers.${i}.escalate_after_minutes`, code: "min", message: "must be greater than 0" });
+    }
+    if (!tier.schedule_ids?.length && !tier.user_ids?.length) {
+      errors.push({ field: `tiers.${i}`, code: "required", message: "needs a schedule or a user to page" });
+    }
+    return errors;
+  });
+}
+
+export function assertValidPolicy(policy) {
+  const errors = policyErrors(policy);
+  if (errors.length) throw new ValidationError("EscalationPolicy", errors);
+}
+
+const specificity = (policy) => (policy.systems?.length ? 2 : 0) + (policy.severities?.length ? 1 : 0);
+
+// `policies` in creation order; the oldest wins a tie.
+export function escalationPolicyFor(incident, policies) {
+  const matching = policies.filter(
+    (p) =>
+      p.tiers?.length &&
+      (!p.severities?.length || p.severities.includes(incident.severity)) &&
+      (!p.systems?.length || p.systems.some((system) => (incident.affected_systems || []).includes(system)))
+  );
+  return [...matching].sort((a, b) => specificity(b) - specificity(a))[0] || null;
+}
+
+// -> the user ids one tier pages at `at`.
+export function tierTargets(tier, schedules, at = new Date()) {
+  const onCall = (tier.schedule_ids || []).map((id) => {
+    const schedule = schedules.find((s) => s.id === id);
+    return schedule ? onCallAt(schedule, at) : null;
+  });
+  return [...new Set([...(tier.user_ids || []), ...onCall].filter(Boolean))];
+}
+
+async function pageTier(tx, { incident, escalation, policy, tier, users, schedules, now }) {
+  const targets = tierTargets(policy.tiers[tier], schedules, now)
+    .map((id) => users.find((u) => u.id === id))
+    .filter(Boolean);
+  const updated = await tx.update(ESCALATION_TABLE, escalation.id, {
+    tier,
+    paged_at: now.toISOString(),
+    next_at: new Date(now.getTime() + policy.tiers[tier].escalate_after_minutes * MINUTE_MS).toISOString(),
+  });
+  const notifications = [];
+  for (const user of targets) {
+    const page = prepareCreate("Notification", {
+      user_id: user.id,
+      kind: "page",
+      title: `[${incident.severity.toUpperCase()}] ${incident.title}`,
+      body: `Tier ${tier + 1} of ${policy.name}. Acknowledge to stop the escalation.`,
+      incident_id: incident.id,
+      escalation_id: escalation.id,
+      tier,
+    });
+    notifications.push(await tx.create("Notification", page));
+  }
+  await tx.create("AuditLog", {
+    incident_id: incident.id,
+    entity_type: ESCALATION_TABLE,
+    entity_id: escalation.id,
+    action_type: "incident_paged",
+    actor: "SYSTEM",
+    details: {
+      policy: policy.name,
+      tier: tier + 1,
+      paged: targets.map((u) => u.email).join(", ") || "nobody on call",
+    },
+  });
+  return { escalation: updated, notifications };
+}
+
+// Hand notifications to the notifier once their transaction has committed,
+// and record how it went.
+export async function deliverNotifications(notifications, users) {
+  if (!notifications.length) return;
+  const recipients = users || (await db.list("User", { limit: 10000 }));
+  for (const notification of notifications) {
+    const recipient = recipients.find((u) => u.id === notification.user_id);
+    try {
+      const { channel } = await notifier.send(notification, recipient);
+      await db.update("Notification", notification.id, {
+        delivery_status: "delivered",
+        delivery_channel: channel,
+        delivered_at: new Date().toISOString(),
+      });
+    } catch (error) {
+      await db.update("Notification", notification.id, { delivery_status: "failed", delivery_error: error.message });
+    }
+  }
+}
+
+// Start escalations for open, unacknowledged incidents, page the next tier
+// of those past due, and settle the ones no longer needed. Returns the
+// number of pages sent.
+export async function runEscalations({ now = new Date() } = {}) {
+  const { notifications, users } = await db.transaction(async (tx) => {
+    const incidents = await tx.filter("Incident", { where: OPEN, limit: Infinity });
+    const policies = await tx.filter("EscalationPolicy", { sort: "created_date", limit: Infinity });
+    const schedules = await tx.filter("OnCallSchedule", { limit: Infinity });
+    const escalations = await tx.filter(ESCALATION_TABLE, { where: { status: "paging" }, limit: Infinity });
+    const workspace = await activeWorkspace(tx);
+    const users = (await tx.list("User", { limit: 10000 })).filter((u) => isMember(workspace, u));
+    const notifications = [];
+
+    for (const escalation of escalations) {
+      const incident = incidents.find((i) => i.id === escalation.incident_id);
+      if (incident && !incident.acknowledged_at) continue;
+      await tx.update(
+        ESCALATION_TABLE,
+        escalation.id,
+        incident
+          ? { status: "acknowledged", acknowledged_at: incident.acknowledged_at, acknowledged_by: incident.acknowledged_by }
+          : { status: "stopped" }
+      );
+    }
+
+    const started = await tx.filter(ESCALATION_TABLE, { limit: Infinity });
+    for (const incident of incidents.filter((i) => !i.acknowledged_at)) {
+      // An incident gets at most one escalation.
+      const current = started.find((e) => e.incident_id === incident.id);
+      let step = null;
+      if (!current) {
+        const policy = escalationPolicyFor(incident, policies);
+        if (!policy) continue;
+        const escalation = await tx.create(
+          ESCALATION_TABLE,
+          prepareCreate(ESCALATION_TABLE, { incident_id: incident.id, policy_id: policy.id })
+        );
+        step = { escalation, policy, tier: 0 };
+      } else if (current.status === "paging" && Date.parse(current.next_at) <= now.getTime()) {
+        const policy = policies.find((p) => p.id === current.policy_id);
+        const tier = current.tier + 1;
+        if (!policy || tier >= policy.tiers.length) {
+          await tx.update(ESCALATION_TABLE, current.id, { status: "exhausted" });
+          await tx.create("AuditLog", {
+            incident_id: incident.id,
+            entity_type: ESCALATION_TABLE,
+            entity_id: current.id,
+            action_type: "escalation_exhausted",
+            actor: "SYSTEM",
+            details: { policy: policy?.name || current.policy_id, tiers: current.tier + 1 },
+          });
+          continue;
+        }
+        step = { escalation: current, policy, tier };
+      }
+      if (step) {
+        const paged = await pageTier(tx, { ...step, incident, users, schedules, now });
+        notifications.push(...paged.notifications);
+      }
+    }
+    return { notifications, users };
+  });
+  await deliverNotifications(notifications, users);
+  return notifications.length;
+}
+
+// Acknowledge an open incident as `user`: stops its escalation, marks its
+// pages read and makes `user` commander if nobody is (see ./responders).
+// Acknowledging twice changes nothing.
+export async function acknowledgeIncident(incidentId, user, { now = new Date() } = {}) {
+  return db.transaction(async (tx) => {
+    const [incident] = await tx.filter("Incident", { where: { id: incidentId }, limit: 1 });
+    if (!incident) throw new Error(`Record not found: Incident.${incidentId}`);
+    if (incident.acknowledged_at) return incident;
+    const at = now.toISOString();
+
+    const [escalation] = await tx.filter(ESCALATION_TABLE, { where: { incident_id: incidentId, status: "paging" } });
+    if (escalation) {
+      await tx.update(ESCALATION_TABLE, escalation.id, { status: "acknowledged", acknowledged_at: at, acknowledged_by: user.email });
+    }
+    const pages = await tx.filter("Notification", {
+      where: { incident_id: incidentId, kind: "page", read_at: { $exists: false } },
+      limit: Infinity,
+    });
+    for (const page of pages) await tx.update("Notification", page.id, { read_at: at });
+
+    const staffed = incident.roles?.commander
+      ? null
+      : await staffIncident(tx, incident, { roles: { commander: user.id } }, { actor: user.email, note: "Acknowledged the page" });
+    const updated = await tx.update("Incident", incidentId, {
+      ...staffed?.patch,
+      acknowledged_at: at,
+      acknowledged_by: user.email,
+    });
+    await recordIncidentBreaches(tx, updated, now);
+    await tx.create("AuditLog", {
+      incident_id: incidentId,
+      entity_type: "Incident",
+      entity_id: incidentId,
+      action_type: "incident_acknowledged",
+      actor: user.email,
+      details: {
+        after_minutes: Math.round((now.getTime() - Date.parse(incident.created_date)) / MINUTE_MS),
+        ...(escalation && { tier: escalation.tier + 1 }),
+      },
+    });
+    return updated;
+  });
+}
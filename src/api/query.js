@@ -0,0 +1,146 @@
+/*
+  Query operators for localDb.filter.
+
+  A where-clause is an object of field -> condition. Fields may be dot-paths
+  into nested objects (e.g. "ai_analysis.confidence_score").
+
+  Conditions:
+  - plain value          strict equality
+  - array                any overlap with an array field (legacy behavior)
+  - { $op: value, ... }  every operator must match
+
+  Field operators: $eq, $ne, $gt, $gte, $lt, $lte, $in, $nin, $contains,
+  $exists, $not. Top-level logical operators: $and, $or, $not.
+
+  Sorts are a field name or an array of them, each optionally prefixed with
+  "-" for descending (e.g. ["-severity", "created_date"]). Enum-like fields
+  listed in FIELD_RANKS sort by rank instead of alphabetically.
+*/
+
+const FIELD_OPERATORS = {
+  $eq: (v, arg) => v === arg,
+  $ne: (v, arg) => v !== arg,
+  $gt: (v, arg) => v != null && v > arg,
+  $gte: (v, arg) => v != null && v >= arg,
+  $lt: (v, arg) => v != null && v < arg,
+  $lte: (v, arg) => v != null && v <= arg,
+  $in: (v, arg) => {
+    const set = Array.isArray(arg) ? arg : [arg];
+    if (Array.isArray(v)) return v.some((x) => set.includes(x));
+    return set.includes(v);
+  },
+  $nin: (v, arg) => !FIELD_OPERATORS.$in(v, arg),
+  $contains: (v, arg) => {
+    // Arrays: element membership. Strings: case-insensitive substring.
+    if (Array.isArray(v)) return v.includes(arg);
+    if (typeof v !== "string" || arg == null) return false;
+    return v.toLowerCase().includes(String(arg).toLowerCase());
+  },
+  $exists: (v, arg) => (v !== undefined && v !== null) === Boolean(arg),
+  $not: (v, arg) => !matchesCondition(v, arg),
+};
+
+export function getPath(record, path) {
+  if (record == null) return undefined;
+  if (!path.includes(".")) return record[path];
+  return path.split(".").reduce((acc, key) => (acc == null ? undefined : acc[key]), record);
+}
+
+function isOperatorObject(value) {
+  if (!value || typeof value !== "object" || Array.isArray(value)) return false;
+  const keys = Object.keys(value);
+  return keys.length > 0 && keys.every((k) => k.startsWith("$"));
+}
+
+function matchesCondition(value, condition) {
+  if (condition === undefined) return true;
+  if (Array.isArray(condition)) {
+    // Match any overlap for arrays.
+    if (!Array.isArray(value)) return false;
+    return condition.some((x) => value.includes(x));
+  }
+  if (isOperatorObject(condition)) {
+    return Object.entries(condition).every(([op, arg]) => {
+      const fn = FIELD_OPERATORS[op];
+      if (!fn) throw new Error(`Unknown query operator: ${op}`);
+      return fn(value, arg);
+    });
+  }
+  return value === condition;
+}
+
+export function matchesWhere(record, where) {
+  if (!where) return true;
+  return Object.entries(where).every(([k, v]) => {
+    if (k === "$and") return (v || []).every((w) => matchesWhere(record, w));
+    if (k === "$or") return (v || []).some((w) => matchesWhere(record, w));
+    if (k === "$not") return !matchesWhere(record, v);
+    return matchesCondition(getPath(record, k), v);
+  });
+}
+
+// Ordinal ranks for enum fields so "-severity" puts critical first.
+export const FIELD_RANKS = {
+  severity: { low: 0, medium: 1, high: 2, critical: 3 },
+  priority: { low: 0, medium: 1, high: 2, critical: 3 },
+};
+
+export function normalizeSort(sort) {
+  if (!sort) return [];
+  return (Array.isArray(sort) ? sort : [sort]).filter(Boolean).map((s) => {
+    const desc = s.startsWith("-");
+    return { field: desc ? s.slice(1) : s, desc };
+  });
+}
+
+function rankOf(field, value) {
+  const ranks = FIELD_RANKS[field.split(".").pop()];
+  return ranks && value in ranks ? ranks[value] : value;
+}
+
+// Missing values (null or undefined alike) sort before present ones (ascending).
+function compareValues(av, bv) {
+  if (av === bv || (av == null && bv == null)) return 0;
+  if (av == null) return -1;
+  if (bv == null) return 1;
+  // Dates often stored as ISO strings; lexical sort works.
+  return av > bv ? 1 : -1;
+}
+
+// Comparator over a normalized sort, with `id` as the final tie-breaker so the
+// order is total (required for cursor pagination).
+export function compareBy(sortSpec) {
+  return (a, b) => {
+    for (const { field, desc } of sortSpec) {
+      const c = compareValues(rankOf(field, getPath(a, field)), rankOf(field, getPath(b, field)));
+      if (c !== 0) return desc ? -c : c;
+    }
+    return compareValues(a?.id, b?.id);
+  };
+}
+
+// Opaque keyset cursor: the sort values + id of the last record on a page.
+export function encodeCursor(record, sortSpec) {
+  const key = { values: sortSpec.map(({ field }) => getPath(record, field) ?? null), id: record.id };
+  return btoa(encodeURIComponent(JSON.stringify(key)));
+}
+
+export function decodeCursor(cursor, sortSpec) {
+  try {
+    const { values, id } = JSON.parse(decodeURIComponent(atob(cursor)));
+    // Rebuild a stand-in record the comparator can position.
+    const record = { id };
+    sortSpec.forEach(({ field }, i) => {
+      const parts = field.split(".");
+      let target = record;
+      parts.slice(0, -1).forEach((p) => {
+        target[p] = target[p] || {};
+        target = target[p];
+      });
+      target[parts[parts.length - 1]] = values[i];
+    });
+    return record;
+  } catch {
+    throw new Error("Invalid pagination cursor");
+  }
+}
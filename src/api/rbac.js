@@ -0,0 +1,141 @@
+/*
+  Roles and permissions.
+
+  Users carry `roles` (see the User schema). appClient checks the permissions
+  a write needs (requiredPermissions) against the signed-in user before it
+  touches the db; a denied attempt is written to the AuditLog and raised as a
+  PermissionError (./errors). Pages use hasPermission only to hide controls.
+*/
+
+export const ROLES = ["viewer", "responder", "incident_commander", "approver", "admin"];
+
+export const ROLE_LABELS = {
+  viewer: "Viewer",
+  responder: "Responder",
+  incident_commander: "Incident Commander",
+  approver: "Approver",
+  admin: "Admin",
+};
+
+// permission -> roles that hold it. Admin holds everything.
+export const PERMISSIONS = {
+  "decision.approve": ["approver", "incident_commander"],
+  "incident.report": ["responder", "incident_commander"],
+  "incident.change_status": ["responder", "incident_commander"],
+  "incident.resolve": ["incident_commander"],
+  "incident.acknowledge": ["responder", "incident_commander"],
+  "incident.assign_roles": ["responder", "incident_commander"],
+  "incident.communicate": ["incident_commander"],
+  "incident.link": ["responder", "incident_commander"],
+  "incident.merge": ["incident_commander"],
+  "incident.comment": ["responder", "incident_commander", "approver"],
+  "comment.pin": ["responder", "incident_commander"],
+  "comment.moderate": ["incident_commander"],
+  "article.publish": ["approver", "incident_commander"],
+  "record.delete": [],
+  "user.manage_roles": [],
+  "data.import": [],
+  "approval.configure": [],
+  "sla.configure": [],
+  "workspace.manage": [],
+  "oncall.manage": [],
+  "alert.ingest": [],
+};
+
+export const PERMISSION_LABELS = {
+  "decision.approve": "decide on AI recommendations",
+  "incident.report": "report incidents or attach reports to open ones",
+  "incident.change_status": "change incident status",
+  "incident.resolve": "resolve, close or reopen incidents",
+  "incident.acknowledge": "acknowledge pages",
+  "incident.assign_roles": "assign or hand off incident roles",
+  "incident.communicate": "send stakeholder updates they don't own",
+  "incident.link": "link or split incidents",
+  "incident.merge": "merge duplicate incidents",
+  "incident.comment": "comment on incidents",
+  "comment.pin": "pin comments as key findings",
+  "comment.moderate": "edit or delete other people's comments",
+  "article.publish": "publish knowledge base articles",
+  "record.delete": "delete, restore or purge records",
+  "user.manage_roles": "manage users and their roles",
+  "data.import": "import data bundles",
+  "approval.configure": "change approval policies or requests",
+  "sla.configure": "change SLA policies",
+  "workspace.manage": "create workspaces or change their members",
+  "oncall.manage": "change on-call schedules or escalation policies",
+  "alert.ingest": "ingest monitoring alerts",
+};
+
+const CLOSING_STATUSES = ["resolved", "closed"];
+const LINK_FIELDS = ["parent_id", "related_ids", "split_from"];
+const MERGE_FIELDS = ["merged_into", "merged_ids"];
+const ON_CALL_TABLES = ["OnCallSchedule", "EscalationPolicy", "Escalation", "Notification"];
+// How a user signs in; not theirs to change.
+const USER_IDENTITY_FIELDS = ["auth_provider", "external_subject"];
+
+export function hasPermission(user, permission) {
+  const roles = user?.roles || [];
+  if (roles.includes("admin")) return true;
+  return (PERMISSIONS[permission] || []).some((role) => roles.includes(role));
+}
+
+// `roles` is merged over `previous` (see ./responders); experts compare as a set.
+const changesRoles = (roles, previous = {}) =>
+  Object.entries(roles).some(([role, value]) =>
+    Array.isArray(value)
+      ? !sameRoles(value, previous[role])
+      : (value || null) !== (previous[role] || null)
+  );
+
+const sameRoles = (a = [], b = []) => a.length === b.length && a.every((r) => b.includes(r));
+
+// Empty values and the order of ids don't count as a change.
+const linkValue = (value) => (Array.isArray(value) ? [...value].sort().join() : value || "");
+const changesLink = (data, previous, field) =>
+  data[field] !== undefined && linkValue(data[field]) !== linkValue(previous?.[field]);
+
+const sameValue = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+// Permissions an entity write needs. `op` is "create" | "update" | "delete" |
+// "restore" | "purge"; `previous` is the record before an update; `userId`
+// is the signed-in user's id.
+export function requiredPermissions(entity, op, data = {}, previous = null, { userId } = {}) {
+  if (["delete", "restore", "purge"].includes(op)) return ["record.delete"];
+  const needed = [];
+  if (entity === "Decision" && ["create", "update"].includes(op)) needed.push("decision.approve");
+  if (entity === "Incident" && op === "create") needed.push("incident.report");
+  if (entity === "Incident" && op === "update" && data.status !== undefined && data.status !== previous?.status) {
+    const closing = CLOSING_STATUSES.includes(data.status) || CLOSING_STATUSES.includes(previous?.status);
+    needed.push(closing ? "incident.resolve" : "incident.change_status");
+  }
+  if (entity === "Incident" && data.roles !== undefined && changesRoles(data.roles, previous?.roles)) {
+    needed.push("incident.assign_roles");
+  }
+  // Links are written through appClient.links (see ./incidentLinks).
+  if (entity === "Incident" && LINK_FIELDS.some((field) => changesLink(data, previous, field))) needed.push("incident.link");
+  if (entity === "Incident" && MERGE_FIELDS.some((field) => changesLink(data, previous, field))) needed.push("incident.merge");
+  if (entity === "KnowledgeBaseArticle" && data.status === "published" && previous?.status !== "published") {
+    needed.push("article.publish");
+  }
+  // Approval requests only move through submitDecision.
+  if (entity === "ApprovalRequest" && ["create", "update"].includes(op)) needed.push("approval.configure");
+  // Comments are written through appClient.comments, which lets authors
+  // change their own (see ./comments).
+  if (entity === "Comment" && ["create", "update"].includes(op)) needed.push("comment.moderate");
+  if (entity === "Workspace" && ["create", "update"].includes(op)) needed.push("workspace.manage");
+  // Escalations and notifications are written by the paging engine (see ./paging).
+  if (ON_CALL_TABLES.includes(entity) && ["create", "update"].includes(op)) needed.push("oncall.manage");
+  if (entity === "User" && data.roles !== undefined && !sameRoles(data.roles, previous?.roles)) {
+    needed.push("user.manage_roles");
+  }
+  // Users may edit their own profile; adding users or editing anyone else's
+  // is for user.manage_roles.
+  if (entity === "User" && !needed.includes("user.manage_roles")) {
+    const own = op === "update" && previous?.id === userId;
+    const changed = Object.keys(data).filter((field) => field !== "roles" && !sameValue(data[field], previous?.[field]));
+    if (op === "create" || changed.some((field) => !own || USER_IDENTITY_FIELDS.includes(field))) {
+      needed.push("user.manage_roles");
+    }
+  }
+  return needed;
+}
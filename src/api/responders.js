@@ -0,0 +1,148 @@
+/*
+  Incident roles: who runs the response.
+
+  Incident.roles holds one user id per lead role, plus a list of experts:
+    { commander, operations_lead, communications_lead, scribe,
+      subject_matter_experts: [] }
+  A lead role nobody holds falls to the commander (roleHolder). So the
+  stakeholder updates drafted by automation belong to the communications
+  lead, or to the commander until one is named. `assigned_to` stays the
+  owning team.
+
+  Roles only change through staffIncident(). appClient sends every Incident
+  update that touches `roles` there, reverts included. Each change is
+  audited as `role_changed` { role, from, to, note }. The person taking a
+  role gets an in-app notification. Acknowledging a page makes the
+  acknowledger commander when there is none (see ./paging).
+
+  recordUpdateSent() marks a drafted stakeholder update as sent, audited as
+  `stakeholder_update_sent`.
+*/
+
+import { db } from "./localDb";
+import { ValidationError } from "./errors";
+import { prepareCreate } from "./schemas";
+import { activeWorkspace, isMember } from "./workspaces";
+
+export const LEAD_ROLES = ["commander", "operations_lead", "communications_lead", "scribe"];
+export const EXPERTS_ROLE = "subject_matter_experts";
+
+export const INCIDENT_ROLE_LABELS = {
+  commander: "Incident Commander",
+  operations_lead: "Operations Lead",
+  communications_lead: "Communications Lead",
+  scribe: "Scribe",
+  subject_matter_experts: "Subject-Matter Expert",
+};
+
+// -> the user id responsible for `role`; unfilled lead roles fall to the commander.
+export function roleHolder(incident, role) {
+  const roles = incident?.roles || {};
+  return roles[role] || roles.commander || null;
+}
+
+// -> the roles `userId` holds on the incident, lead roles first.
+export function rolesOf(incident, userId) {
+  const roles = incident?.roles || {};
+  return [
+    ...LEAD_ROLES.filter((role) => roles[role] === userId),
+    ...((roles[EXPERTS_ROLE] || []).includes(userId) ? [EXPERTS_ROLE] : []),
+  ];
+}
+
+// Empty values become null; experts are de-duplicated.
+function normalize(roles = {}) {
+  const normalized = Object.fromEntries(LEAD_ROLES.map((role) => [role, roles[role] || null]));
+  normalized[EXPERTS_ROLE] = [...new Set((roles[EXPERTS_ROLE] || []).filter(Boolean))];
+  return normalized;
+}
+
+// -> [{ role, from, to }] between two roles objects. An expert joining or
+// leaving is one change each.
+export function roleChanges(before, after) {
+  const a = normalize(before);
+  const b = normalize(after);
+  const changes = LEAD_ROLES.filter((role) => a[role] !== b[role]).map((role) => ({ role, from: a[role], to: b[role] }));
+  for (const id of b[EXPERTS_ROLE]) {
+    if (!a[EXPERTS_ROLE].includes(id)) changes.push({ role: EXPERTS_ROLE, from: null, to: id });
+  }
+  for (const id of a[EXPERTS_ROLE]) {
+    if (!b[EXPERTS_ROLE].includes(id)) changes.push({ role: EXPERTS_ROLE, from: id, to: null });
+  }
+  return changes;
+}
+
+/*
+  Apply `patch.roles` (merged over the incident's current roles) inside `tx`.
+  Audits each change and notifies whoever takes a role. Returns
+  { patch, notifications }: the patch with the full roles object, for the
+  caller to write (or hand to the lifecycle), and the notifications to
+  deliver once `tx` commits. Throws ValidationError when a role goes to
+  someone outside the active workspace.
+*/
+export async function staffIncident(tx, incident, patch, { actor, note } = {}) {
+  const roles = normalize({ ...incident.roles, ...patch.roles });
+  const changes = roleChanges(incident.roles, roles);
+  if (!changes.length) return { patch: { ...patch, roles }, notifications: [] };
+
+  const workspace = await activeWorkspace(tx);
+  const users = await tx.list("User", { limit: 10000 });
+  const userOf = (id) => users.find((u) => u.id === id);
+  const errors = changes
+    .filter(({ to }) => to && !(userOf(to) && isMember(workspace, userOf(to))))
+    .map(({ role }) => ({ field: `roles.${role}`, code: "member", message: "must be a member of this workspace" }));
+  if (errors.length) throw new ValidationError("Incident", errors);
+
+  const emailOf = (id) => (id ? userOf(id)?.email || id : null);
+  const notifications = [];
+  for (const { role, from, to } of changes) {
+    await tx.create("AuditLog", {
+      incident_id: incident.id,
+      entity_type: "Incident",
+      entity_id: incident.id,
+      action_type: "role_changed",
+      actor,
+      details: { role, from: emailOf(from), to: emailOf(to), ...(note && { note }) },
+    });
+    if (to && emailOf(to) !== actor) {
+      const notification = prepareCreate("Notification", {
+        user_id: to,
+        kind: "role",
+        title: `You are ${INCIDENT_ROLE_LABELS[role]} on ${incident.title}`,
+        body: [from ? `Handed over by ${emailOf(from)}.` : `Assigned by ${actor}.`, note].filter(Boolean).join(" "),
+        incident_id: incident.id,
+      });
+      notifications.push(await tx.create("Notification", notification));
+    }
+  }
+  return { patch: { ...patch, roles }, notifications };
+}
+
+// Mark one of the stakeholder updates drafted by automation (a key of
+// IncidentAutomation.stakeholder_communication) as sent by `user`. appClient
+// checks that `user` owns it (the communications lead) or may send any.
+export async function recordUpdateSent(incidentId, key, user, { now = new Date() } = {}) {
+  return db.transaction(async (tx) => {
+    const [automation] = await tx.filter("IncidentAutomation", { where: { incident_id: incidentId }, limit: 1 });
+    if (!automation?.stakeholder_communication?.[key]) {
+      throw new ValidationError("IncidentAutomation", [
+        { field: `stakeholder_communication.${key}`, code: "required", message: "has no drafted update" },
+      ]);
+    }
+    const updated = await tx.update("IncidentAutomation", automation.id, {
+      communications_sent: {
+        ...automation.communications_sent,
+        [key]: { sent_by: user.email, sent_at: now.toISOString() },
+      },
+    });
+    await tx.create("AuditLog", {
+      incident_id: incidentId,
+      entity_type: "IncidentAutomation",
+      entity_id: automation.id,
+      action_type: "stakeholder_update_sent",
+      actor: user.email,
+      details: { update: key },
+    });
+    return updated;
+  });
+}
@@ -0,0 +1,93 @@
+/*
+  Append-only revision history for selected tables.
+
+  Every create/update of a record in REVISIONED_TABLES stages a Revision row in
+  the same write set:
+    { table, record_id, rev, op, actor, patch, previous, reverted_to? }
+  `patch` holds the new values of the fields that changed and `previous` their
+  old values (null when the field was absent), so any earlier state can be
+  rebuilt by walking back from the current record. Revisions are never
+  updated, and only deleted along with their record when it is purged (see
+  ./trash).
+
+  Everything here is pure; localDb stages the rows and appClient.revisions
+  exposes list/diff/revert. mergeChanges() backs the conflict dialog shown when
+  an update hits a ConflictError (see ./errors).
+*/
+
+export const REVISION_TABLE = "Revision";
+export const REVISIONED_TABLES = ["Incident", "KnowledgeBaseArticle", "Comment"];
+
+// Bookkeeping fields that never appear in a patch or diff.
+const META_FIELDS = ["id", "created_date", "updated_date", "updated_by", "version", "workspace_id"];
+
+// Counters bumped by readers; changing only these records no revision.
+const UNTRACKED_FIELDS = {
+  KnowledgeBaseArticle: ["views", "helpful_count"],
+  // Pinning is audited instead (see ./comments).
+  Comment: ["pinned", "pinned_by", "pinned_at"],
+};
+
+const sameValue = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+export function isRevisioned(table) {
+  return REVISIONED_TABLES.includes(table);
+}
+
+// -> { patch, previous } for the tracked fields that differ, or null if
+// nothing did.
+export function changedFields(table, before = {}, after) {
+  const ignored = [...META_FIELDS, ...(UNTRACKED_FIELDS[table] || [])];
+  const patch = {};
+  const previous = {};
+  Object.keys(after).forEach((field) => {
+    if (ignored.includes(field) || sameValue(before[field], after[field])) return;
+    patch[field] = after[field] ?? null;
+    previous[field] = before[field] ?? null;
+  });
+  return Object.keys(patch).length ? { patch, previous } : null;
+}
+
+// Rebuild the record as of revision `rev` from the current record and its
+// revisions (any order).
+export function stateAt(current, revisions, rev) {
+  const state = { ...current };
+  [...revisions]
+    .filter((r) => r.rev > rev)
+    .sort((a, b) => b.rev - a.rev)
+    .forEach((r) => Object.assign(state, r.previous));
+  return state;
+}
+
+// -> [{ field, from, to }] for every non-bookkeeping field that differs.
+export function diffStates(from, to) {
+  const fields = new Set([...Object.keys(from), ...Object.keys(to)]);
+  return [...fields]
+    .filter((field) => !META_FIELDS.includes(field) && !sameValue(from[field], to[field]))
+    .sort()
+    .map((field) => ({ field, from: from[field] ?? null, to: to[field] ?? null }));
+}
+
+/*
+  Three-way merge of an edit that lost an optimistic-concurrency race.
+  `base` is the record the user started from, `mine` the patch they tried to
+  save and `theirs` the record as it is now. Returns
+    { patch, conflicts: [{ field, base, mine, theirs }] }
+  where `patch` holds the user's changes that don't collide with anyone
+  else's. Fields both sides changed differently are left to the caller.
+*/
+export function mergeChanges(base, mine, theirs) {
+  const patch = {};
+  const conflicts = [];
+  Object.entries(mine).forEach(([field, value]) => {
+    if (sameValue(value, theirs[field])) return;
+    // Form patches resend untouched fields; keep their newer value.
+    if (sameValue(value, base[field])) return;
+    if (sameValue(base[field], theirs[field])) {
+      patch[field] = value;
+      return;
+    }
+    conflicts.push({ field, base: base[field] ?? null, mine: value, theirs: theirs[field] ?? null });
+  });
+  return { patch, conflicts };
+}
@@ -0,0 +1,308 @@
+/*
+  Declarative entity schemas enforced by appClient.entities create/update.
+
+  Field spec: { type, required?, enum?, default?, min?, max?, items? }
+  (`enum` on an array field applies to each element)
+  Types: "string" | "number" | "boolean" | "array" | "object" | "date"
+  ("date" = ISO-8601 string). Fields not listed are allowed through untouched.
+*/
+
+import { ValidationError } from "./errors";
+import { ROLES } from "./rbac";
+
+export const SEVERITIES = ["critical", "high", "medium", "low"];
+// Moves between them are governed by ./lifecycle.
+export const INCIDENT_STATUSES = ["new", "analyzing", "awaiting_approval", "in_progress", "mitigated", "resolved", "closed"];
+export const DECISIONS = ["approved", "rejected", "modified"];
+export const APPROVAL_STATUSES = ["pending", "approved", "modified", "rejected"];
+export const ALERT_STATUSES = ["active", "prevented", "dismissed", "occurred"];
+export const ARTICLE_CATEGORIES = ["general", "troubleshooting", "runbook", "postmortem", "best_practices", "architecture"];
+export const ARTICLE_STATUSES = ["draft", "published", "archived"];
+export const AUTH_PROVIDERS = ["local", "oidc"];
+export const ESCALATION_STATUSES = ["paging", "acknowledged", "exhausted", "stopped"];
+export const DELIVERY_STATUSES = ["pending", "delivered", "failed"];
+
+const score = { type: "number", min: 0, max: 1 };
+
+export const SCHEMAS = {
+  Incident: {
+    title: { type: "string", required: true },
+    description: { type: "string" },
+    severity: { type: "string", enum: SEVERITIES, required: true },
+    status: { type: "string", enum: INCIDENT_STATUSES, default: "new" },
+    source: { type: "string" },
+    affected_systems: { type: "array", items: "string", default: [] },
+    assigned_to: { type: "string" },
+    // Who runs the response (see ./responders).
+    roles: { type: "object", default: {} },
+    logs: { type: "string" },
+    tags: { type: "array", items: "string", default: [] },
+    ai_analysis: { type: "object" },
+    acknowledged_at: { type: "date" },
+    acknowledged_by: { type: "string" },
+    mitigated_at: { type: "date" },
+    mitigation_notes: { type: "string" },
+    resolved_at: { type: "date" },
+    resolution_notes: { type: "string" },
+    closed_at: { type: "date" },
+    reopened_at: { type: "date" },
+    reopen_reason: { type: "string" },
+    reopen_count: { type: "number", min: 0 },
+    // Links to other incidents (see ./incidentLinks).
+    parent_id: { type: "string" },
+    related_ids: { type: "array", items: "string", default: [] },
+    merged_into: { type: "string" },
+    merged_ids: { type: "array", items: "string", default: [] },
+    split_from: { type: "string" },
+    // Reports filed against this incident as duplicates (see ./duplicates).
+    attached_reports: { type: "array", items: "object", default: [] },
+    // Set on incidents filed from monitoring alerts (see ./alerts).
+    alert_fingerprint: { type: "string" },
+    alert_count: { type: "number", min: 0 },
+    last_alert_at: { type: "date" },
+    alert_url: { type: "string" },
+  },
+  Decision: {
+    incident_id: { type: "string", required: true },
+    recommendation_index: { type: "number" },
+    recommendation_action: { type: "string" },
+    decision: { type: "string", enum: DECISIONS, required: true },
+    decision_reason: { type: "string" },
+    modified_action: { type: "string" },
+    decided_by: { type: "string" },
+    decided_at: { type: "date" },
+    approval_request_id: { type: "string" },
+  },
+  // One per AI recommendation; collects Decision votes until its policy is met (see ./approvals).
+  ApprovalRequest: {
+    incident_id: { type: "string", required: true },
+    recommendation_index: { type: "number", required: true },
+    recommendation_action: { type: "string" },
+    priority: { type: "string", default: "medium" },
+    status: { type: "string", enum: APPROVAL_STATUSES, default: "pending" },
+    policy: { type: "object", required: true },
+    approvals: { type: "array", items: "object", default: [] },
+    modified_action: { type: "string" },
+    proposed_by: { type: "string" },
+    requested_at: { type: "date" },
+    due_at: { type: "date" },
+    escalated_at: { type: "date" },
+    escalated_to: { type: "array", items: "string" },
+    resolved_at: { type: "date" },
+  },
+  AuditLog: {
+    // Optional: trash entries for records outside an incident have none.
+    incident_id: { type: "string" },
+    entity_type: { type: "string" },
+    entity_id: { type: "string" },
+    action_type: { type: "string", required: true },
+    actor: { type: "string" },
+    details: { type: "object", default: {} },
+    // Hash chain, set by localDb on commit (see ./auditChain).
+    seq: { type: "number" },
+    prev_hash: { type: "string" },
+    hash: { type: "string" },
+  },
+  PredictiveAlert: {
+    predicted_issue: { type: "string", required: true },
+    description: { type: "string" },
+    severity: { type: "string", enum: SEVERITIES, required: true },
+    status: { type: "string", enum: ALERT_STATUSES, default: "active" },
+    likelihood: score,
+    confidence_score: score,
+    predicted_timeframe: { type: "string" },
+    affected_systems: { type: "array", items: "string", default: [] },
+    contributing_factors: { type: "array" },
+    preventative_actions: { type: "array" },
+    dismissed_reason: { type: "string" },
+  },
+  PostIncidentReview: {
+    incident_id: { type: "string", required: true },
+    executive_summary: { type: "string" },
+    confidence_score: score,
+    impact_assessment: { type: "object" },
+    timeline_summary: { type: "string" },
+    root_cause_analysis: { type: "string" },
+    decision_effectiveness: { type: "object" },
+    key_learnings: { type: "array" },
+    improvement_areas: { type: "array" },
+    follow_up_actions: { type: "array" },
+    prevention_recommendations: { type: "array", items: "string" },
+    // From the incident's discussion (see ./comments).
+    key_findings: { type: "array" },
+    discussion: { type: "object" },
+  },
+  IncidentAutomation: {
+    incident_id: { type: "string", required: true },
+    assigned_team: { type: "string" },
+    assignment_rationale: { type: "string" },
+    automation_confidence: score,
+    diagnostic_scripts: { type: "array" },
+    stakeholder_communication: { type: "object" },
+    // { [stakeholder_communication key]: { sent_by, sent_at } }
+    communications_sent: { type: "object", default: {} },
+  },
+  KnowledgeBaseArticle: {
+    title: { type: "string", required: true },
+    summary: { type: "string" },
+    content: { type: "string" },
+    category: { type: "string", enum: ARTICLE_CATEGORIES, default: "general" },
+    status: { type: "string", enum: ARTICLE_STATUSES, default: "draft" },
+    tags: { type: "array", items: "string", default: [] },
+    related_systems: { type: "array", items: "string", default: [] },
+    author: { type: "string" },
+  },
+  User: {
+    email: { type: "string", required: true },
+    full_name: { type: "string", required: true },
+    team: { type: "string" },
+    avatar_url: { type: "string" },
+    username: { type: "string" },
+    roles: { type: "array", items: "string", enum: ROLES, default: ["viewer"] },
+    auth_provider: { type: "string", enum: AUTH_PROVIDERS, default: "local" },
+    external_subject: { type: "string" },
+    last_login_at: { type: "date" },
+  },
+  // Tenants; see ./tenancy and ./workspaces.
+  Workspace: {
+    name: { type: "string", required: true },
+    description: { type: "string" },
+    member_ids: { type: "array", items: "string", default: [] },
+  },
+  // A rotation of users; see ./oncall for how shifts are counted.
+  OnCallSchedule: {
+    name: { type: "string", required: true },
+    description: { type: "string" },
+    time_zone: { type: "string", default: "UTC" },
+    handoff_time: { type: "string", default: "09:00" },
+    shift_days: { type: "number", min: 1, default: 7 },
+    start_date: { type: "string", required: true },
+    participant_ids: { type: "array", items: "string", default: [] },
+    // [{ user_id, starts_at, ends_at, reason }]
+    overrides: { type: "array", items: "object", default: [] },
+  },
+  // Tiers paged in turn until someone acknowledges (see ./paging).
+  EscalationPolicy: {
+    name: { type: "string", required: true },
+    description: { type: "string" },
+    // Empty matches every incident.
+    severities: { type: "array", items: "string", enum: SEVERITIES, default: [] },
+    systems: { type: "array", items: "string", default: [] },
+    // [{ escalate_after_minutes, schedule_ids, user_ids }]
+    tiers: { type: "array", items: "object", default: [] },
+  },
+  // Paging state of one unacknowledged incident.
+  Escalation: {
+    incident_id: { type: "string", required: true },
+    policy_id: { type: "string", required: true },
+    tier: { type: "number", min: 0, default: 0 },
+    status: { type: "string", enum: ESCALATION_STATUSES, default: "paging" },
+    paged_at: { type: "date" },
+    next_at: { type: "date" },
+    acknowledged_by: { type: "string" },
+    acknowledged_at: { type: "date" },
+  },
+  // A message for one user, delivered by the configured notifier (see ./notifiers).
+  Notification: {
+    user_id: { type: "string", required: true },
+    kind: { type: "string", required: true },
+    title: { type: "string", required: true },
+    body: { type: "string" },
+    incident_id: { type: "string" },
+    escalation_id: { type: "string" },
+    tier: { type: "number" },
+    delivery_status: { type: "string", enum: DELIVERY_STATUSES, default: "pending" },
+    delivery_channel: { type: "string" },
+    delivery_error: { type: "string" },
+    delivered_at: { type: "date" },
+    read_at: { type: "date" },
+  },
+  // Incident discussion; written through appClient.comments (see ./comments).
+  Comment: {
+    incident_id: { type: "string", required: true },
+    parent_id: { type: "string" },
+    body: { type: "string", required: true },
+    author_id: { type: "string", required: true },
+    author_email: { type: "string" },
+    mentions: { type: "array", items: "string", default: [] },
+    pinned: { type: "boolean", default: false },
+    pinned_by: { type: "string" },
+    pinned_at: { type: "date" },
+    edited_at: { type: "date" },
+  },
+};
+
+function typeOf(value) {
+  if (Array.isArray(value)) return "array";
+  return typeof value;
+}
+
+function checkType(type, value) {
+  if (type === "date") return typeof value === "string" && !Number.isNaN(Date.parse(value));
+  if (type === "object") return typeOf(value) === "object";
+  return typeOf(value) === type;
+}
+
+function isBlank(value) {
+  return value === undefined || value === null || (typeof value === "string" && value.trim() === "");
+}
+
+function validateField(field, spec, value) {
+  if (isBlank(value)) {
+    return spec.required ? [{ field, code: "required", message: "is required" }] : [];
+  }
+  if (!checkType(spec.type, value)) {
+    return [{ field, code: "type", message: `must be a ${spec.type}` }];
+  }
+  // On arrays, `enum` constrains each element.
+  if (spec.enum && ![].concat(value).every((v) => spec.enum.includes(v))) {
+    return [{ field, code: "enum", message: `must be one of: ${spec.enum.join(", ")}` }];
+  }
+  if (spec.min !== undefined && value < spec.min) {
+    return [{ field, code: "min", message: `must be at least ${spec.min}` }];
+  }
+  if (spec.max !== undefined && value > spec.max) {
+    return [{ field, code: "max", message: `must be at most ${spec.max}` }];
+  }
+  if (spec.items && value.some((item) => !checkType(spec.items, item))) {
+    return [{ field, code: "items", message: `must only contain ${spec.items} values` }];
+  }
+  return [];
+}
+
+function withDefaults(schema, data) {
+  const out = { ...data };
+  Object.entries(schema).forEach(([field, spec]) => {
+    if (out[field] === undefined && spec.default !== undefined) {
+      out[field] = typeof spec.default === "object" ? JSON.parse(JSON.stringify(spec.default)) : spec.default;
+    }
+  });
+  return out;
+}
+
+// Returns [{ field, code, message }]. With `partial`, only fields present in
+// `data` are checked (updates).
+export function validateEntity(entity, data, { partial = false } = {}) {
+  const schema = SCHEMAS[entity];
+  if (!schema) return [];
+  return Object.entries(schema).flatMap(([field, spec]) => {
+    if (partial && !(field in data)) return [];
+    return validateField(field, spec, data[field]);
+  });
+}
+
+// Applies defaults, validates and throws ValidationError on failure.
+export function prepareCreate(entity, data) {
+  const schema = SCHEMAS[entity];
+  if (!schema) return data;
+  const record = withDefaults(schema, data);
+  const errors = validateEntity(entity, record);
+  if (errors.length) throw new ValidationError(entity, errors);
+  return record;
+}
+
+export function prepareUpdate(entity, patch) {
+  const errors = validateEntity(entity, patch, { partial: true });
+  if (errors.length) throw new ValidationError(entity, errors);
+  return patch;
+}
@@ -1,12 +1,115 @@
 import { db } from "./localDb";
+import { setPassword } from "./auth/session";
+import { chainEntries } from "./auditChain";
+import { DEFAULT_WORKSPACE_ID, WORKSPACE_TABLE } from "./tenancy";
 
 // Seed the app with realistic starter data so the UI isn't empty on first load.
-// This runs in the browser only (localStorage-backed); during build/SSR the db
-// is in-memory and will reseed on runtime.
-export function ensureSeeded() {
-  const seeded = db.getMeta("seeded");
-  if (seeded) return;
+// Whatever storage adapter is configured, seeding happens once; during
+// build/SSR the db is in-memory and will reseed on runtime.
+export async function ensureSeeded() {
+  await db.ready();
+  if (!db.getMeta("seeded")) await seedData();
+  await ensureDirectory();
+  await ensureWorkspaces();
+  await ensureOnCall();
+}
+
+// Demo accounts (password "demo"). Runs whenever the directory is empty, so
+// databases seeded before users existed get them too.
+const SEED_USERS = [
+  {
+    id: "user_demo",
+    username: "demo",
+    email: "demo.user@example.com",
+    full_name: "Demo User",
+    team: "Incident Command",
+    roles: ["admin"],
+  },
+  {
+    id: "user_priya",
+    username: "priya",
+    email: "priya.natarajan@example.com",
+    full_name: "Priya Natarajan",
+    team: "SRE",
+    roles: ["incident_commander", "approver"],
+  },
+  {
+    id: "user_marcus",
+    username: "marcus",
+    email: "marcus.chen@example.com",
+    full_name: "Marcus Chen",
+    team: "Cloud Platform",
+    roles: ["responder"],
+  },
+];
+
+async function ensureDirectory() {
+  if (await db.count("User", {}, { withDeleted: true })) return;
+  for (const { username, ...user } of SEED_USERS) {
+    await db.create("User", { ...user, auth_provider: "local" });
+    await setPassword(user.id, "demo", { username });
+  }
+}
+
+// Runs whenever there are no workspaces, so a database from before
+// workspaces keeps all of its data (and users) in the default one.
+async function ensureWorkspaces() {
+  if (await db.count(WORKSPACE_TABLE, {}, { withDeleted: true })) return;
+  const users = await db.filter("User", { withDeleted: true, limit: Infinity });
+  const ids = users.map((u) => u.id);
+  await db.create(WORKSPACE_TABLE, {
+    id: DEFAULT_WORKSPACE_ID,
+    name: "Default",
+    description: "Incidents and knowledge recorded before workspaces were added",
+    member_ids: ids,
+  });
+  await db.create(WORKSPACE_TABLE, {
+    id: "ws_platform",
+    name: "Platform",
+    description: "Shared infrastructure and cloud platform",
+    member_ids: ids.filter((id) => ["user_demo", "user_marcus"].includes(id)),
+  });
+}
 
+// Seeds a rotation and a catch-all escalation policy once, into the
+// workspace that is active at the time. Databases from before paging get
+// them too.
+async function ensureOnCall() {
+  if (db.getMeta("onCallSeeded")) return;
+  await db.create("OnCallSchedule", {
+    id: "sched_sre",
+    name: "SRE primary",
+    description: "Weekly rotation, handing off Monday 09:00 New York time",
+    time_zone: "America/New_York",
+    handoff_time: "09:00",
+    shift_days: 7,
+    start_date: "2026-01-05",
+    participant_ids: ["user_marcus", "user_priya"],
+  });
+  await db.create("OnCallSchedule", {
+    id: "sched_ic",
+    name: "Incident command",
+    description: "Daily rotation, handing off at 08:00 UTC",
+    time_zone: "UTC",
+    handoff_time: "08:00",
+    shift_days: 1,
+    start_date: "2026-01-05",
+    participant_ids: ["user_priya", "user_demo"],
+  });
+  await db.create("EscalationPolicy", {
+    id: "esc_default",
+    name: "Default",
+    description: "Pages SRE first, then incident command, then the admin",
+    tiers: [
+      { escalate_after_minutes: 5, schedule_ids: ["sched_sre"], user_ids: [] },
+      { escalate_after_minutes: 10, schedule_ids: ["sched_ic"], user_ids: [] },
+      { escalate_after_minutes: 15, schedule_ids: [], user_ids: ["user_demo"] },
+    ],
+  });
+  await db.setMeta("onCallSeeded", true);
+}
+
+async function seedData() {
   const now = Date.now();
   const ago = (hours) => new Date(now - hours * 60 * 60 * 1000).toISOString();
 
@@ -58,9 +161,17 @@ export function ensureSeeded() {
         "Gradual memory increase over 72 hours leading to OOM kills. Pod restarts every 4-6 hours.",
       severity: "medium",
       status: "in_progress",
+      acknowledged_at: ago(21.5),
       source: "Prometheus",
       affected_systems: ["Auth Service", "Kubernetes Cluster"],
       assigned_to: "Identity & Access",
+      roles: {
+        commander: "user_priya",
+        operations_lead: "user_marcus",
+        communications_lead: null,
+        scribe: null,
+        subject_matter_experts: [],
+      },
       ai_analysis: {
         confidence_score: 0.75,
         summary:
@@ -75,11 +186,19 @@ export function ensureSeeded() {
         "TLS certificate approaching expiration on edge endpoints. No customer impact yet; renew before expiry to avoid outages.",
       severity: "low",
       status: "resolved",
+      acknowledged_at: ago(47),
       source: "Security Scanner",
       affected_systems: ["Load Balancer", "CDN"],
       resolved_at: ago(40),
       resolution_notes: "Renewed certificate and validated chain across edge points-of-presence.",
       assigned_to: "Security Ops",
+      roles: {
+        commander: "user_priya",
+        operations_lead: null,
+        communications_lead: "user_demo",
+        scribe: "user_marcus",
+        subject_matter_experts: [],
+      },
       ai_analysis: {
         confidence_score: 0.74,
         summary:
@@ -111,11 +230,11 @@ export function ensureSeeded() {
     },
   ];
 
-  // Write directly into db tables while preserving db helpers.
-  const dump = db._unsafeDump();
-  dump.tables.Incident = seedIncidents;
-  dump.tables.KnowledgeBaseArticle = seedArticles;
-  dump.tables.AuditLog = [
+  const tables = {};
+  tables.Incident = seedIncidents;
+  tables.KnowledgeBaseArticle = seedArticles;
+  // replaceTables bypasses commit, so seal the seed entries here.
+  tables.AuditLog = chainEntries([
     {
       id: "log_001",
       created_date: ago(26),
@@ -143,8 +262,8 @@ export function ensureSeeded() {
       actor: "demo.user@example.com",
       details: { severity: "medium", source: "Prometheus" },
     },
-  ];
-  dump.tables.Decision = [
+  ]);
+  tables.Decision = [
     {
       id: "dec_001",
       created_date: ago(18),
@@ -169,7 +288,7 @@ export function ensureSeeded() {
     },
   ];
   // 9 active predictive alerts: 2 critical (>=70%), 7 medium/high.
-  dump.tables.PredictiveAlert = [
+  tables.PredictiveAlert = [
     {
       id: "pa_001",
       created_date: ago(3),
@@ -315,12 +434,9 @@ export function ensureSeeded() {
       status: "active",
     },
   ];
-  dump.tables.PostIncidentReview = [];
-  dump.tables.IncidentAutomation = [];
+  tables.PostIncidentReview = [];
+  tables.IncidentAutomation = [];
 
-  // Persist
-  if (typeof window !== "undefined" && window?.localStorage) {
-    window.localStorage.setItem("icdi_local_db_v1", JSON.stringify(dump));
-  }
-  db.setMeta("seeded", true);
+  await db.replaceTables(tables);
+  await db.setMeta("seeded", true);
 }
@@ -0,0 +1,88 @@
+/*
+  Signed exports for auditors.
+
+  This browser holds an ECDSA P-256 key pair, created on first use and kept
+  in the `signingKey` meta key. That key is never exported (see ./bundle).
+  signBundle() adds
+    signature: { alg: "ES256", key_id, public_key, value }
+  computed over the canonical JSON of the rest of the bundle.
+  verifyBundleSignature() checks it. `key_id` is a fingerprint of the public
+  key: auditors compare it with the one shown on the Governance page to
+  confirm who signed.
+*/
+
+import { db } from "./localDb";
+import { canonicalJson, sha256Hex } from "./hashing";
+
+const KEY_ALGORITHM = { name: "ECDSA", namedCurve: "P-256" };
+const SIGN_ALGORITHM = { name: "ECDSA", hash: "SHA-256" };
+
+function subtle() {
+  const s = globalThis.crypto?.subtle;
+  if (!s) throw new Error("Signing needs WebCrypto (HTTPS or localhost)");
+  return s;
+}
+
+const toBase64 = (bytes) => btoa(String.fromCharCode(...new Uint8Array(bytes)));
+const fromBase64 = (text) => Uint8Array.from(atob(text), (c) => c.charCodeAt(0));
+
+const keyId = (jwk) => sha256Hex(canonicalJson({ crv: jwk.crv, kty: jwk.kty, x: jwk.x, y: jwk.y })).slice(0, 16);
+
+const signedBytes = (bundle) => {
+  const unsigned = { ...bundle };
+  delete unsigned.signature;
+  return new TextEncoder().encode(canonicalJson(unsigned));
+};
+
+let creating = null;
+
+async function signingKey() {
+  const stored = db.getMeta("signingKey");
+  if (stored) return stored;
+  // Two exports racing on a fresh install must not mint two keys.
+  if (!creating) {
+    creating = (async () => {
+      const pair = await subtle().generateKey(KEY_ALGORITHM, true, ["sign", "verify"]);
+      const [private_key, public_key] = await Promise.all([
+        subtle().exportKey("jwk", pair.privateKey),
+        subtle().exportKey("jwk", pair.publicKey),
+      ]);
+      const key = { key_id: keyId(public_key), public_key, private_key, created_at: new Date().toISOString() };
+      await db.setMeta("signingKey", key);
+      return key;
+    })().finally(() => {
+      creating = null;
+    });
+  }
+  return creating;
+}
+
+// -> { key_id, public_key, created_at }
+export async function signingKeyInfo() {
+  const { key_id, public_key, created_at } = await signingKey();
+  return { key_id, public_key, created_at };
+}
+
+export async function signBundle(bundle) {
+  const { key_id, public_key, private_key } = await signingKey();
+  const key = await subtle().importKey("jwk", private_key, KEY_ALGORITHM, false, ["sign"]);
+  const value = await subtle().sign(SIGN_ALGORITHM, key, signedBytes(bundle));
+  return { ...bundle, signature: { alg: "ES256", key_id, public_key, value: toBase64(value) } };
+}
+
+// -> { ok, key_id, reason? } where `reason` is "unsigned", "unsupported_alg",
+// "key_mismatch" or "bad_signature".
+export async function verifyBundleSignature(bundle) {
+  const signature = bundle?.signature;
+  if (!signature) return { ok: false, key_id: null, reason: "unsigned" };
+  const { alg, key_id, public_key, value } = signature;
+  if (alg !== "ES256") return { ok: false, key_id, reason: "unsupported_alg" };
+  if (!public_key || keyId(public_key) !== key_id) return { ok: false, key_id, reason: "key_mismatch" };
+  try {
+    const key = await subtle().importKey("jwk", public_key, KEY_ALGORITHM, false, ["verify"]);
+    const ok = await subtle().verify(SIGN_ALGORITHM, key, fromBase64(value), signedBytes(bundle));
+    return ok ? { ok, key_id } : { ok, key_id, reason: "bad_signature" };
+  } catch {
+    return { ok: false, key_id, reason: "bad_signature" };
+  }
+}
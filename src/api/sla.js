@@ -0,0 +1,182 @@
+/*
+  Service-level targets for incidents.
+
+  Two clocks start when an incident is created:
+    acknowledge  stops at `acknowledged_at`, which is stamped when someone
+                 acknowledges a page (see ./paging) or by the first move
+                 into in progress, mitigated or resolved (see ./lifecycle)
+    resolve      stops at `resolved_at`; reopening clears it, so the clock
+                 runs on from the original start
+  Targets come from the policy for the incident's severity:
+    { acknowledge_minutes, resolve_minutes }
+  Per-system policies can tighten them. An incident that touches several
+  systems gets the strictest target for each clock. Override the defaults
+  with the `slaPolicies` meta key, which is kept per workspace (see
+  setSlaPolicies). Clocks are read from the current policies, so a change
+  applies to open incidents straight away.
+
+  A breach is audited once per clock as `sla_breached`: when an incident is
+  moved after its target, or by recordBreaches() (part of appClient's
+  scheduled checks) while it is still open.
+*/
+
+import { db } from "./localDb";
+import { ValidationError } from "./errors";
+import { SEVERITIES } from "./schemas";
+import { onTransition } from "./lifecycle";
+
+export const SLA_CLOCKS = ["acknowledge", "resolve"];
+export const SLA_CLOCK_LABELS = { acknowledge: "Acknowledge", resolve: "Resolve" };
+
+export const DEFAULT_SLA_POLICIES = {
+  critical: { acknowledge_minutes: 5, resolve_minutes: 240 },
+  high: { acknowledge_minutes: 15, resolve_minutes: 480 },
+  medium: { acknowledge_minutes: 60, resolve_minutes: 1440 },
+  low: { acknowledge_minutes: 240, resolve_minutes: 4320 },
+};
+
+const MINUTE_MS = 60 * 1000;
+
+// Statuses in which someone has picked the incident up.
+const ACKNOWLEDGED_STATUSES = ["in_progress", "mitigated", "resolved"];
+
+// Records from before SLAs were tracked have no `acknowledged_at`; resolving
+// or mitigating an incident implies it was picked up.
+const stoppedAt = {
+  acknowledge: (incident) => incident.acknowledged_at || incident.mitigated_at || incident.resolved_at,
+  resolve: (incident) => incident.resolved_at || incident.closed_at,
+};
+
+// -> { severities: { [severity]: policy }, systems: { [system]: { [severity]: partial policy } } }
+export function slaPolicies() {
+  const overrides = db.getMeta("slaPolicies") || {};
+  return {
+    severities: Object.fromEntries(
+      Object.entries(DEFAULT_SLA_POLICIES).map(([severity, policy]) => [
+        severity,
+        { ...policy, ...overrides.severities?.[severity] },
+      ])
+    ),
+    systems: overrides.systems || {},
+  };
+}
+
+// -> { acknowledge_minutes, resolve_minutes, set_by } for one incident, where
+// `set_by` maps a clock to the system whose policy set its target.
+export function slaPolicyFor(incident, policies = slaPolicies()) {
+  const policy = { ...(policies.severities[incident.severity] || policies.severities.medium), set_by: {} };
+  for (const system of incident.affected_systems || []) {
+    const override = policies.systems[system]?.[incident.severity];
+    if (!override) continue;
+    for (const clock of SLA_CLOCKS) {
+      const minutes = override[`${clock}_minutes`];
+      if (minutes !== undefined && minutes < policy[`${clock}_minutes`]) {
+        policy[`${clock}_minutes`] = minutes;
+        policy.set_by[clock] = system;
+      }
+    }
+  }
+  return policy;
+}
+
+// -> { acknowledge, resolve }, each
+//   { target_minutes, due_at, stopped_at, state, remaining_ms }
+// where state is "running", "met" or "breached" and remaining_ms is negative
+// once the target has passed.
+export function slaStatus(incident, policy = slaPolicyFor(incident), now = new Date()) {
+  const started = Date.parse(incident.created_date);
+  return Object.fromEntries(
+    SLA_CLOCKS.map((clock) => {
+      const target_minutes = policy[`${clock}_minutes`];
+      const due = started + target_minutes * MINUTE_MS;
+      const stopped_at = stoppedAt[clock](incident) || null;
+      const end = stopped_at ? Date.parse(stopped_at) : now.getTime();
+      const state = end > due ? "breached" : stopped_at ? "met" : "running";
+      return [clock, { target_minutes, due_at: new Date(due).toISOString(), stopped_at, state, remaining_ms: due - end }];
+    })
+  );
+}
+
+function validatePolicySet(prefix, policies, errors) {
+  for (const [severity, policy] of Object.entries(policies || {})) {
+    if (!SEVERITIES.includes(severity)) {
+      errors.push({ field: `${prefix}${severity}`, code: "enum", message: "is not a severity" });
+      continue;
+    }
+    for (const clock of SLA_CLOCKS) {
+      const minutes = policy[`${clock}_minutes`];
+      if (minutes !== undefined && !(minutes > 0)) {
+        errors.push({ field: `${prefix}${severity}.${clock}_minutes`, code: "min", message: "must be greater than 0" });
+      }
+    }
+  }
+}
+
+// Store overrides as { severities, systems }; both are optional.
+export async function setSlaPolicies({ severities = {}, systems = {} }) {
+  const errors = [];
+  validatePolicySet("severities.", severities, errors);
+  for (const [system, policies] of Object.entries(systems)) {
+    if (!system.trim()) errors.push({ field: "systems", code: "required", message: "needs a system name" });
+    validatePolicySet(`systems.${system}.`, policies, errors);
+  }
+  if (errors.length) throw new ValidationError("SlaPolicy", errors);
+  await db.setMeta("slaPolicies", { severities, systems });
+  return slaPolicies();
+}
+
+async function breachesRecorded(source, incident) {
+  const entries = await source.filter("AuditLog", { where: { incident_id: incident.id, action_type: "sla_breached" } });
+  return entries.map((entry) => entry.details.clock);
+}
+
+// Audit every breached clock of `incident` that isn't audited yet, inside
+// the caller's transaction. -> the number of new breaches.
+export async function recordIncidentBreaches(tx, incident, now = new Date()) {
+  const policy = slaPolicyFor(incident);
+  const status = slaStatus(incident, policy, now);
+  const breached = SLA_CLOCKS.filter((clock) => status[clock].state === "breached");
+  if (!breached.length) return 0;
+  const recorded = await breachesRecorded(tx, incident);
+  let count = 0;
+  for (const clock of breached.filter((c) => !recorded.includes(c))) {
+    await tx.create("AuditLog", {
+      incident_id: incident.id,
+      entity_type: "Incident",
+      entity_id: incident.id,
+      action_type: "sla_breached",
+      actor: "SYSTEM",
+      details: {
+        clock,
+        severity: incident.severity,
+        target_minutes: status[clock].target_minutes,
+        due_at: status[clock].due_at,
+        ...(policy.set_by[clock] && { system: policy.set_by[clock] }),
+      },
+    });
+    count++;
+  }
+  return count;
+}
+
+// Audit breaches on open incidents. Returns the number of new breaches.
+export async function recordBreaches({ now = new Date() } = {}) {
+  return db.transaction(async (tx) => {
+    const incidents = await tx.filter("Incident", { where: { status: { $nin: ["resolved", "closed"] } } });
+    let count = 0;
+    for (const incident of incidents) count += await recordIncidentBreaches(tx, incident, now);
+    return count;
+  });
+}
+
+// Stop the acknowledge clock on the first move that picks the incident up,
+// and audit clocks that stop (or were already) past their target.
+onTransition(async ({ tx, incident, transition, changes, actor }) => {
+  const now = new Date();
+  const stamp =
+    !incident.acknowledged_at && ACKNOWLEDGED_STATUSES.includes(transition.to)
+      ? { acknowledged_at: now.toISOString(), acknowledged_by: actor }
+      : {};
+  await recordIncidentBreaches(tx, { ...incident, ...changes, ...stamp }, now);
+  return stamp;
+});
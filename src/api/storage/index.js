@@ -0,0 +1,56 @@
+/*
+  Storage adapters for localDb.
+
+  Adapter interface (all methods async):
+  - load()                   -> { tables, version } | null
+  - loadMeta()               -> meta object | null
+  - saveMeta(meta)
+  - write(changes, snapshot) persist a batch of changes; each change is
+                             { table, op: "put", record } | { table, op: "delete", id }
+                             | { table, op: "replace", records }.
+                             `snapshot` is the full post-change database for
+                             adapters that store it whole.
+  - backup(snapshot, label)  keep a copy of a snapshot (taken before
+                             migrations); resolves to where it was stored
+  - removeBackup(ref)        drop a copy made by backup(); `ref` is what
+                             backup() resolved to
+  - clear()                  wipe everything
+
+  The adapter is picked at startup from VITE_ICDI_STORAGE
+  ("localStorage" | "indexeddb" | "memory" | "rest", with VITE_ICDI_REST_URL).
+*/
+
+import { createLocalStorageAdapter } from "./localStorageAdapter";
+import { createMemoryAdapter } from "./memoryAdapter";
+import { createIndexedDbAdapter } from "./indexedDbAdapter";
+import { createRestAdapter } from "./restAdapter";
+
+export { createLocalStorageAdapter, createMemoryAdapter, createIndexedDbAdapter, createRestAdapter };
+
+function readEnv(key) {
+  try {
+    return import.meta.env?.[key];
+  } catch {
+    return undefined;
+  }
+}
+
+export function createStorageAdapter(kind = readEnv("VITE_ICDI_STORAGE"), options = {}) {
+  switch ((kind || "localStorage").toLowerCase()) {
+    case "indexeddb":
+      try {
+        return createIndexedDbAdapter(options);
+      } catch {
+        // Private browsing / SSR: keep the app usable.
+        return createLocalStorageAdapter(options);
+      }
+    case "memory":
+      return createMemoryAdapter(options);
+    case "rest":
+      return createRestAdapter({ baseUrl: readEnv("VITE_ICDI_REST_URL"), ...options });
+    case "localstorage":
+      return createLocalStorageAdapter(options);
+    default:
+      throw new Error(`Unknown storage adapter: ${kind}`);
+  }
+}
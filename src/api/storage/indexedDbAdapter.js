@@ -0,0 +1,174 @@
+/*
+  IndexedDB adapter.
+  One object store per table (keyPath "id") with indexes on the hot fields,
+  plus a "_meta" store for app meta and the snapshot version. Writes apply
+  only the records that changed instead of re-serializing everything.
+*/
+
+const META_STORE = "_meta";
+const INDEXED_FIELDS = ["incident_id", "status", "created_date"];
+
+const hasIndexedDb = () => {
+  try {
+    return typeof indexedDB !== "undefined";
+  } catch {
+    return false;
+  }
+};
+
+function promisify(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function transactionDone(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onabort = () => reject(tx.error || new Error("IndexedDB transaction aborted"));
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
+function createStore(idb, table) {
+  const store = idb.createObjectStore(table, { keyPath: "id" });
+  INDEXED_FIELDS.forEach((field) => store.createIndex(field, field, { unique: false }));
+}
+
+export function createIndexedDbAdapter({ dbName = "icdi_local_db" } = {}) {
+  if (!hasIndexedDb()) throw new Error("IndexedDB is not available in this environment");
+
+  let connection = null;
+  let connecting = Promise.resolve();
+
+  // Another tab adding a store asks every open connection to close first; we
+  // step aside and reopen at the new version on next use. If a connection
+  // elsewhere won't close (a tab running older code), the open is `blocked`:
+  // it fails with an error instead of waiting, so the write queue moves on.
+  function open(version, missingStores = []) {
+    return new Promise((resolve, reject) => {
+      const req = indexedDB.open(dbName, version);
+      let settled = false;
+      req.onupgradeneeded = () => {
+        const idb = req.result;
+        if (!idb.objectStoreNames.contains(META_STORE)) idb.createObjectStore(META_STORE);
+        missingStores.forEach((table) => {
+          if (!idb.objectStoreNames.contains(table)) createStore(idb, table);
+        });
+      };
+      req.onsuccess = () => {
+        const idb = req.result;
+        if (settled) {
+          idb.close();
+          return;
+        }
+        settled = true;
+        idb.onversionchange = () => {
+          idb.close();
+          if (connection === idb) connection = null;
+        };
+        resolve(idb);
+      };
+      req.onerror = () => {
+        settled = true;
+        reject(req.error);
+      };
+      req.onblocked = () => {
+        settled = true;
+        reject(new Error(`${dbName} is open in another tab that blocks a storage upgrade; close or reload it`));
+      };
+    });
+  }
+
+  // Calls are serialized so concurrent reads and writes share one upgrade.
+  function getConnection(tables = []) {
+    const next = connecting.then(() => connect(tables));
+    connecting = next.catch(() => {});
+    return next;
+  }
+
+  async function connect(tables) {
+    if (!connection) connection = await open();
+    const missing = tables.filter((t) => !connection.objectStoreNames.contains(t));
+    if (!missing.length && connection.objectStoreNames.contains(META_STORE)) return connection;
+    // New tables require a schema upgrade, which means reopening at version + 1.
+    const next = connection.version + 1;
+    connection.close();
+    connection = null;
+    connection = await open(next, missing);
+    return connection;
+  }
+
+  async function readMeta(key) {
+    const idb = await getConnection();
+    const tx = idb.transaction(META_STORE, "readonly");
+    return promisify(tx.objectStore(META_STORE).get(key));
+  }
+
+  async function writeMeta(key, value) {
+    const idb = await getConnection();
+    const tx = idb.transaction(META_STORE, "readwrite");
+    tx.objectStore(META_STORE).put(value, key);
+    await transactionDone(tx);
+  }
+
+  return {
+    name: "indexeddb",
+    async load() {
+      const idb = await getConnection();
+      const tableNames = [...idb.objectStoreNames].filter((n) => n !== META_STORE);
+      const version = await readMeta("version");
+      if (!tableNames.length && version === undefined) return null;
+
+      const tables = {};
+      if (tableNames.length) {
+        const tx = idb.transaction(tableNames, "readonly");
+        await Promise.all(
+          tableNames.map(async (name) => {
+            tables[name] = await promisify(tx.objectStore(name).getAll());
+          })
+        );
+      }
+      return { tables, version: version ?? 1 };
+    },
+    async loadMeta() {
+      return (await readMeta("meta")) ?? null;
+    },
+    async saveMeta(meta) {
+      await writeMeta("meta", meta);
+    },
+    async write(changes, snapshot) {
+      if (!changes.length) return;
+      const tableNames = [...new Set(changes.map((c) => c.table))];
+      const idb = await getConnection(tableNames);
+      const tx = idb.transaction([...tableNames, META_STORE], "readwrite");
+      changes.forEach((change) => {
+        const store = tx.objectStore(change.table);
+        if (change.op === "put") store.put(change.record);
+        else if (change.op === "delete") store.delete(change.id);
+        else if (change.op === "replace") {
+          store.clear();
+          change.records.forEach((r) => store.put(r));
+        }
+      });
+      tx.objectStore(META_STORE).put(snapshot.version, "version");
+      await transactionDone(tx);
+    },
+    async backup(snapshot, label) {
+      await writeMeta(`backup:${label}`, snapshot);
+      return `backup:${label}`;
+    },
+    async removeBackup(ref) {
+      const idb = await getConnection();
+      const tx = idb.transaction(META_STORE, "readwrite");
+      tx.objectStore(META_STORE).delete(ref);
+      await transactionDone(tx);
+    },
+    async clear() {
+      if (connection) connection.close();
+      connection = null;
+      await promisify(indexedDB.deleteDatabase(dbName));
+    },
+  };
+}
@@ -0,0 +1,34 @@
+import "fake-indexeddb/auto";
+import { describe, expect, it } from "vitest";
+import { createIndexedDbAdapter } from "./indexedDbAdapter";
+
+const put = (table, id) => ({ table, op: "put", record: { id, title: id } });
+const snapshot = { version: 6 };
+
+describe("indexedDbAdapter", () => {
+  it("lets another tab add stores while this one is open", async () => {
+    const first = createIndexedDbAdapter({ dbName: "tabs" });
+    const second = createIndexedDbAdapter({ dbName: "tabs" });
+    await first.write([put("Incident", "a")], snapshot);
+    await second.write([put("Comment", "c")], snapshot);
+    // The first tab closed for the upgrade and reopens at the new version.
+    await first.write([put("Decision", "d")], snapshot);
+    const { tables } = await second.load();
+    expect(Object.keys(tables).sort()).toEqual(["Comment", "Decision", "Incident"]);
+  });
+
+  it("fails instead of stalling when another connection blocks the upgrade", async () => {
+    const adapter = createIndexedDbAdapter({ dbName: "blocked" });
+    await adapter.write([put("Incident", "a")], snapshot);
+    // A connection that ignores versionchange, like a tab on older code.
+    const stale = await new Promise((resolve) => {
+      const req = indexedDB.open("blocked");
+      req.onsuccess = () => resolve(req.result);
+    });
+    const other = createIndexedDbAdapter({ dbName: "blocked" });
+    await expect(other.write([put("Comment", "c")], snapshot)).rejects.toThrow(/blocks a storage upgrade/);
+    stale.close();
+    await other.write([put("Comment", "c")], snapshot);
+    expect((await adapter.load()).tables.Comment).toHaveLength(1);
+  });
+});
@@ -0,0 +1,63 @@
+/*
+  localStorage adapter (default).
+  Keeps the whole snapshot under a single key, matching the original layout,
+  so existing browser data keeps loading.
+*/
+
+const hasLocalStorage = () => {
+  try {
+    return typeof window !== "undefined" && typeof window.localStorage !== "undefined";
+  } catch {
+    return false;
+  }
+};
+
+function loadJson(key) {
+  if (!hasLocalStorage()) return null;
+  const raw = window.localStorage.getItem(key);
+  if (!raw) return null;
+  try {
+    return JSON.parse(raw);
+  } catch {
+    return null;
+  }
+}
+
+function saveJson(key, value) {
+  if (!hasLocalStorage()) return;
+  window.localStorage.setItem(key, JSON.stringify(value));
+}
+
+export function createLocalStorageAdapter({
+  dbKey = "icdi_local_db_v1",
+  metaKey = "icdi_local_meta_v1",
+} = {}) {
+  return {
+    name: "localStorage",
+    async load() {
+      return loadJson(dbKey);
+    },
+    async loadMeta() {
+      return loadJson(metaKey);
+    },
+    async saveMeta(meta) {
+      saveJson(metaKey, meta);
+    },
+    // Change lists are ignored: the snapshot is small enough to rewrite whole.
+    async write(_changes, snapshot) {
+      saveJson(dbKey, snapshot);
+    },
+    async backup(snapshot, label) {
+      saveJson(`${dbKey}_backup_${label}`, snapshot);
+      return `${dbKey}_backup_${label}`;
+    },
+    async removeBackup(ref) {
+      if (hasLocalStorage()) window.localStorage.removeItem(ref);
+    },
+    async clear() {
+      if (!hasLocalStorage()) return;
+      window.localStorage.removeItem(dbKey);
+      window.localStorage.removeItem(metaKey);
+    },
+  };
+}
@@ -0,0 +1,46 @@
+/*
+  In-memory adapter. Nothing survives a page reload; intended for tests,
+  SSR/build and fixture databases (pass `initial` / `initialMeta`).
+*/
+
+const clone = (value) => (value == null ? value : JSON.parse(JSON.stringify(value)));
+
+export function createMemoryAdapter({ initial = null, initialMeta = null } = {}) {
+  const state = {
+    snapshot: clone(initial),
+    meta: clone(initialMeta),
+    backups: {},
+  };
+
+  return {
+    name: "memory",
+    async load() {
+      return clone(state.snapshot);
+    },
+    async loadMeta() {
+      return clone(state.meta);
+    },
+    async saveMeta(meta) {
+      state.meta = clone(meta);
+    },
+    async write(_changes, snapshot) {
+      state.snapshot = clone(snapshot);
+    },
+    async backup(snapshot, label) {
+      state.backups[label] = clone(snapshot);
+      return label;
+    },
+    async removeBackup(ref) {
+      delete state.backups[ref];
+    },
+    // Test helper: inspect backups taken before migrations.
+    getBackup(label) {
+      return clone(state.backups[label]);
+    },
+    async clear() {
+      state.snapshot = null;
+      state.meta = null;
+      state.backups = {};
+    },
+  };
+}
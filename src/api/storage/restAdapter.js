@@ -0,0 +1,60 @@
+/*
+  Generic REST adapter. Expects a backend exposing:
+
+    GET  {baseUrl}/snapshot  -> { tables, version }   (404 when empty)
+    GET  {baseUrl}/meta      -> meta object            (404 when empty)
+    PUT  {baseUrl}/meta      <- meta object
+    POST {baseUrl}/changes   <- { changes: [{ table, op, record?, id?, records? }], version }
+    PUT  {baseUrl}/backups/{label} <- snapshot
+    DELETE {baseUrl}/backups/{label}
+    DELETE {baseUrl}         -> wipe everything
+*/
+
+export function createRestAdapter({ baseUrl, fetch: fetchImpl, headers = {} } = {}) {
+  if (!baseUrl) throw new Error("REST storage adapter requires a baseUrl");
+  const root = baseUrl.replace(/\/+$/, "");
+  const doFetch = fetchImpl || ((...args) => globalThis.fetch(...args));
+
+  async function request(method, path, body) {
+    const res = await doFetch(`${root}${path}`, {
+      method,
+      headers: { "Content-Type": "application/json", ...headers },
+      body: body === undefined ? undefined : JSON.stringify(body),
+    });
+    if (res.status === 404 && method === "GET") return null;
+    if (!res.ok) throw new Error(`Storage request failed: ${method} ${path} (${res.status})`);
+    if (res.status === 204) return null;
+    const text = await res.text();
+    return text ? JSON.parse(text) : null;
+  }
+
+  return {
+    name: "rest",
+    async load() {
+      const snapshot = await request("GET", "/snapshot");
+      return snapshot && { ...snapshot, version: snapshot.version ?? 1 };
+    },
+    async loadMeta() {
+      return request("GET", "/meta");
+    },
+    async saveMeta(meta) {
+      await request("PUT", "/meta", meta);
+    },
+    // The snapshot version goes with every batch, so the next load knows
+    // which migrations already ran.
+    async write(changes, snapshot) {
+      if (!changes.length) return;
+      await request("POST", "/changes", { changes, version: snapshot.version });
+    },
+    async backup(snapshot, label) {
+      await request("PUT", `/backups/${encodeURIComponent(label)}`, snapshot);
+      return label;
+    },
+    async removeBackup(ref) {
+      await request("DELETE", `/backups/${encodeURIComponent(ref)}`);
+    },
+    async clear() {
+      await request("DELETE", "");
+    },
+  };
+}
@@ -0,0 +1,30 @@
+import { describe, expect, it } from "vitest";
+import { createRestAdapter } from "./restAdapter";
+
+// A backend that keeps what it is sent, as restAdapter.js describes it.
+function fakeBackend() {
+  let stored = null;
+  const json = (body, status = 200) => ({ ok: true, status, text: async () => JSON.stringify(body) });
+  return async (url, { method, body }) => {
+    const path = url.replace("https://storage.test", "");
+    if (method === "GET" && path === "/snapshot") return stored ? json(stored) : { ok: false, status: 404 };
+    if (method === "POST" && path === "/changes") {
+      const { changes, version } = JSON.parse(body);
+      stored = { tables: { ...stored?.tables }, version };
+      changes.forEach(({ table, op, record }) => {
+        if (op === "put") stored.tables[table] = [...(stored.tables[table] || []), record];
+      });
+      return { ok: true, status: 204 };
+    }
+    throw new Error(`Unexpected ${method} ${path}`);
+  };
+}
+
+describe("restAdapter", () => {
+  it("stores the snapshot version with the changes and loads it back", async () => {
+    const adapter = createRestAdapter({ baseUrl: "https://storage.test", fetch: fakeBackend() });
+    expect(await adapter.load()).toBeNull();
+    await adapter.write([{ table: "Incident", op: "put", record: { id: "a" } }], { version: 6 });
+    expect(await adapter.load()).toEqual({ tables: { Incident: [{ id: "a" }] }, version: 6 });
+  });
+});
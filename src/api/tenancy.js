@@ -0,0 +1,29 @@
+/*
+  Workspace (tenant) partitioning rules used by localDb.
+
+  Every table except SHARED_TABLES is partitioned by `workspace_id`. localDb
+  stamps new records with the active workspace (the `workspace` meta key)
+  and only ever reads, updates or removes records from it. Change events
+  for other workspaces' records are not delivered. The meta keys in
+  WORKSPACE_META_KEYS are settings, kept per workspace.
+
+  Records and settings written before workspaces existed have no
+  `workspace_id`. They belong to DEFAULT_WORKSPACE_ID. Rewriting them would
+  break the audit chain (see ./auditChain).
+
+  Everything here is pure; membership and switching live in ./workspaces.
+*/
+
+export const WORKSPACE_TABLE = "Workspace";
+export const DEFAULT_WORKSPACE_ID = "ws_default";
+
+// The user directory, credentials and the workspaces themselves.
+export const SHARED_TABLES = ["User", "Credential", WORKSPACE_TABLE];
+
+export const WORKSPACE_META_KEYS = ["approvalPolicies", "slaPolicies", "trashRetentionDays"];
+
+export const isSharedTable = (table) => SHARED_TABLES.includes(table);
+
+export const workspaceOf = (record) => record.workspace_id ?? DEFAULT_WORKSPACE_ID;
+
+export const inWorkspace = (table, record, workspaceId) => isSharedTable(table) || workspaceOf(record) === workspaceId;
@@ -0,0 +1,120 @@
+/*
+  Soft delete, restore and purge for every entity.
+
+  Deleting a record stamps `deleted_at` / `deleted_by` instead of removing it;
+  localDb reads skip such records unless `withDeleted` is passed. Trashed
+  records are kept for TRASH_RETENTION_DAYS (override per workspace with the
+  `trashRetentionDays` meta key) and then purged for good by purgeExpired(),
+  which appClient runs with its scheduled checks.
+
+  Each delete, restore and purge writes an AuditLog entry in the same
+  transaction as the change itself. A purge also removes the record's
+  revision history (see ./revisions).
+*/
+
+import { db } from "./localDb";
+import { SCHEMAS } from "./schemas";
+import { REVISION_TABLE, isRevisioned } from "./revisions";
+
+export const TRASH_RETENTION_DAYS = 30;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const TRASHED = { deleted_at: { $exists: true } };
+
+function currentActor() {
+  return db.getMeta("currentUser")?.email || "SYSTEM";
+}
+
+export function retentionDays() {
+  return db.getMeta("trashRetentionDays") ?? TRASH_RETENTION_DAYS;
+}
+
+// Audit entries hang off the incident a record belongs to, when it has one.
+function auditEntry(table, record, action_type, actor, details = {}) {
+  return {
+    incident_id: table === "Incident" ? record.id : record.incident_id,
+    entity_type: table,
+    entity_id: record.id,
+    action_type,
+    actor,
+    details: { title: record.title || record.predicted_issue || null, ...details },
+  };
+}
+
+async function findAny(tx, table, id) {
+  const [record] = await tx.filter(table, { where: { id }, withDeleted: true, limit: 1 });
+  if (!record) throw new Error(`Record not found: ${table}.${id}`);
+  return record;
+}
+
+// A purged record's revision history goes with it, so nothing can bring the
+// record back.
+async function removeForGood(tx, table, id) {
+  await tx.remove(table, id);
+  if (!isRevisioned(table)) return;
+  const history = await tx.filter(REVISION_TABLE, { where: { record_id: id, table }, limit: Infinity });
+  for (const revision of history) await tx.remove(REVISION_TABLE, revision.id);
+}
+
+export async function softDelete(table, id, { actor = currentActor() } = {}) {
+  return db.transaction(async (tx) => {
+    const record = await findAny(tx, table, id);
+    if (record.deleted_at) return record;
+    const deleted = await tx.update(table, id, { deleted_at: new Date().toISOString(), deleted_by: actor });
+    await tx.create("AuditLog", auditEntry(table, record, "record_deleted", actor));
+    return deleted;
+  });
+}
+
+export async function restore(table, id, { actor = currentActor() } = {}) {
+  return db.transaction(async (tx) => {
+    const record = await findAny(tx, table, id);
+    if (!record.deleted_at) return record;
+    const restored = await tx.update(table, id, { deleted_at: null, deleted_by: null });
+    await tx.create(
+      "AuditLog",
+      auditEntry(table, record, "record_restored", actor, { deleted_at: record.deleted_at, deleted_by: record.deleted_by })
+    );
+    return restored;
+  });
+}
+
+// Permanently remove a record that is already in the trash.
+export async function purge(table, id, { actor = currentActor() } = {}) {
+  return db.transaction(async (tx) => {
+    const record = await findAny(tx, table, id);
+    if (!record.deleted_at) throw new Error(`Only trashed records can be purged: ${table}.${id}`);
+    await removeForGood(tx, table, id);
+    await tx.create("AuditLog", auditEntry(table, record, "record_purged", actor, { reason: "manual" }));
+    return { ok: true };
+  });
+}
+
+// -> [{ entity, record }] across all tables, most recently deleted first.
+export async function listTrash() {
+  const groups = await Promise.all(
+    Object.keys(SCHEMAS).map(async (entity) => {
+      const records = await db.filter(entity, { where: TRASHED, withDeleted: true, sort: "-deleted_at" });
+      return records.map((record) => ({ entity, record }));
+    })
+  );
+  return groups.flat().sort((a, b) => (a.record.deleted_at < b.record.deleted_at ? 1 : -1));
+}
+
+// Purge everything deleted longer ago than the retention window. Returns the
+// number of records removed.
+export async function purgeExpired({ now = Date.now() } = {}) {
+  const cutoff = new Date(now - retentionDays() * DAY_MS).toISOString();
+  return db.transaction(async (tx) => {
+    let purged = 0;
+    for (const table of Object.keys(SCHEMAS)) {
+      const expired = await tx.filter(table, { where: { deleted_at: { $lt: cutoff } }, withDeleted: true });
+      for (const record of expired) {
+        await removeForGood(tx, table, record.id);
+        await tx.create("AuditLog", auditEntry(table, record, "record_purged", "SYSTEM", { reason: "retention" }));
+        purged++;
+      }
+    }
+    return purged;
+  });
+}
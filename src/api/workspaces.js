@@ -0,0 +1,64 @@
+/*
+  Workspace membership and the active workspace.
+
+  A Workspace lists its members in `member_ids`. The active workspace is the
+  `workspace` meta key, which localDb uses to partition every read and write
+  (see ./tenancy). A user must be a member of it. ensureActiveWorkspace()
+  runs at sign-in and on every currentUser() check (see ./auth/session). If
+  the user was removed from the active workspace, it moves them to their
+  first remaining one.
+*/
+
+import { db } from "./localDb";
+import { AuthError, PermissionError } from "./errors";
+import { DEFAULT_WORKSPACE_ID, WORKSPACE_TABLE } from "./tenancy";
+
+export const isMember = (workspace, user) => (workspace?.member_ids || []).includes(user.id);
+
+export const activeWorkspaceId = () => db.getMeta("workspace") || DEFAULT_WORKSPACE_ID;
+
+// `source` is db or a transaction.
+export async function activeWorkspace(source = db) {
+  const [workspace] = await source.filter(WORKSPACE_TABLE, { where: { id: activeWorkspaceId() }, limit: 1 });
+  return workspace || null;
+}
+
+export async function workspacesOf(user) {
+  const all = await db.filter(WORKSPACE_TABLE, { sort: "name", limit: Infinity });
+  return all.filter((workspace) => isMember(workspace, user));
+}
+
+// -> the active Workspace, after moving `user` to one they belong to if
+// needed. Throws AuthError("no_workspace") when they belong to none.
+export async function ensureActiveWorkspace(user) {
+  const mine = await workspacesOf(user);
+  const active = mine.find((workspace) => workspace.id === activeWorkspaceId());
+  if (active) return active;
+  if (!mine.length) throw new AuthError("no_workspace", "You are not a member of any workspace");
+  await db.setMeta("workspace", mine[0].id);
+  return mine[0];
+}
+
+// Members only. A refused switch is audited in the workspace the user is in.
+export async function switchWorkspace(user, workspaceId) {
+  const target = (await workspacesOf(user)).find((workspace) => workspace.id === workspaceId);
+  if (!target) {
+    await db.create("AuditLog", {
+      entity_type: WORKSPACE_TABLE,
+      entity_id: workspaceId,
+      action_type: "access_denied",
+      actor: user.email,
+      details: { permission: "workspace.access", roles: user.roles || [] },
+    });
+    throw new PermissionError("workspace.access", user, "open that workspace");
+  }
+  await db.setMeta("workspace", target.id);
+  return target;
+}
+
+// Users provisioned on first SSO sign-in join the default workspace.
+export async function joinDefaultWorkspace(user) {
+  const [workspace] = await db.filter(WORKSPACE_TABLE, { where: { id: DEFAULT_WORKSPACE_ID }, limit: 1 });
+  if (!workspace || isMember(workspace, user)) return;
+  await db.update(WORKSPACE_TABLE, workspace.id, { member_ids: [...workspace.member_ids, user.id] });
+}
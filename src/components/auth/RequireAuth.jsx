@@ -0,0 +1,48 @@
+import { useEffect } from "react";
+import { Navigate, useLocation } from "react-router-dom";
+import { useQuery, useQueryClient } from "@tanstack/react-query";
+import { Loader2 } from "lucide-react";
+import { appClient } from "@/api/appClient";
+import { createPageUrl } from "@/utils";
+
+// Renders children for a signed-in user; otherwise redirects to the login
+// page with a `next` param so sign-in returns here.
+export default function RequireAuth({ children }) {
+  const location = useLocation();
+  const queryClient = useQueryClient();
+
+  const { data: user, error, isLoading } = useQuery({
+    queryKey: ["auth", "me"],
+    queryFn: () => appClient.auth.me()
+  });
+
+  const { data: session } = useQuery({
+    queryKey: ["auth", "session"],
+    queryFn: () => appClient.auth.session(),
+    enabled: !!user
+  });
+
+  // Re-check once the session is due to expire so the user is sent to login.
+  useEffect(() => {
+    if (!session?.expires_at) return;
+    const delay = Math.max(Date.parse(session.expires_at) - Date.now(), 0) + 1000;
+    const timer = setTimeout(() => queryClient.invalidateQueries({ queryKey: ["auth"] }), delay);
+    return () => clearTimeout(timer);
+  }, [session, queryClient]);
+
+  if (isLoading) {
+    return (
+      <div className="min-h-screen bg-slate-950 flex items-center justify-center">
+        <Loader2 className="h-8 w-8 animate-spin text-blue-500" />
+      </div>
+    );
+  }
+
+  if (error || !user) {
+    const params = new URLSearchParams({ next: location.pathname + location.search });
+    if (error?.code === "session_expired") params.set("reason", "expired");
+    return <Navigate to={`${createPageUrl("Login")}?${params}`} replace />;
+  }
+
+  return children;
+}
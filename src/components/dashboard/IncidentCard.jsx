@@ -5,10 +5,15 @@ import { format, formatDistanceToNow } from "date-fns";
 import SeverityBadge from "./SeverityBadge";
 import StatusBadge from "./StatusBadge";
 import ConfidenceIndicator from "./ConfidenceIndicator";
+import SlaCountdown from "@/components/sla/SlaCountdown";
+import { useSlaStatus } from "@/hooks/use-sla";
 import { cn } from "@/lib/utils";
 
 export default function IncidentCard({ incident }) {
   const hasAnalysis = incident.ai_analysis?.confidence_score;
+  // The first SLA clock still ticking: acknowledge, then resolve.
+  const sla = useSlaStatus(incident);
+  const openClock = sla && Object.entries(sla.clocks).find(([, clock]) => !clock.stopped_at);
   
   return (
     <Link 
@@ -20,9 +25,10 @@ export default function IncidentCard({ incident }) {
     >
       <div className="flex items-start justify-between gap-4">
         <div className="flex-1 min-w-0">
-          <div className="flex items-center gap-2 mb-2">
+          <div className="flex flex-wrap items-center gap-2 mb-2">
             <SeverityBadge severity={incident.severity} />
             <StatusBadge status={incident.status} />
+            {openClock && <SlaCountdown name={openClock[0]} clock={openClock[1]} />}
           </div>
           
           <h3 className="font-semibold text-white truncate group-hover:text-blue-400 transition-colors">
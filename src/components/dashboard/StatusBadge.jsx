@@ -5,6 +5,7 @@ const statusConfig = {
   analyzing: { bg: "bg-violet-50", text: "text-violet-700", label: "AI Analyzing" },
   awaiting_approval: { bg: "bg-amber-50", text: "text-amber-700", label: "Awaiting Approval" },
   in_progress: { bg: "bg-sky-50", text: "text-sky-700", label: "In Progress" },
+  mitigated: { bg: "bg-teal-50", text: "text-teal-700", label: "Mitigated" },
   resolved: { bg: "bg-emerald-50", text: "text-emerald-700", label: "Resolved" },
   closed: { bg: "bg-slate-100", text: "text-slate-600", label: "Closed" }
 };
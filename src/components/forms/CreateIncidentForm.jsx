@@ -1,4 +1,6 @@
-import { useState } from "react";
+import { useEffect, useState } from "react";
+import { useQuery } from "@tanstack/react-query";
+import { appClient } from "@/api/appClient";
 import { Button } from "@/components/ui/button";
 import { Input } from "@/components/ui/input";
 import { Label } from "@/components/ui/label";
@@ -12,8 +14,18 @@ import {
 } from "@/components/ui/select";
 import { Badge } from "@/components/ui/badge";
 import { X, Plus, Server, AlertCircle } from "lucide-react";
+import DuplicateSuggestions from "@/components/forms/DuplicateSuggestions";
 
-export default function CreateIncidentForm({ onSubmit, isSubmitting }) {
+function FieldError({ message, label }) {
+  if (!message) return null;
+  return <p className="text-sm text-rose-600">{label} {message}</p>;
+}
+
+// `errors` is a { field: message } map, e.g. ValidationError.fieldErrors.
+// While the form is filled in, open incidents that look the same are offered
+// through `onAttach(incident, formData, { score })`; `onSubmit(formData,
+// { possibleDuplicates })` gets the ones passed over.
+export default function CreateIncidentForm({ onSubmit, onAttach, attachingId, isSubmitting, errors = {} }) {
   const [formData, setFormData] = useState({
     title: "",
     description: "",
@@ -25,6 +37,21 @@ export default function CreateIncidentForm({ onSubmit, isSubmitting }) {
   });
   const [systemInput, setSystemInput] = useState("");
   const [tagInput, setTagInput] = useState("");
+  const [draft, setDraft] = useState(null);
+
+  // Check for duplicates once typing pauses.
+  useEffect(() => {
+    const { title, description, source, affected_systems } = formData;
+    const timer = setTimeout(() => setDraft({ title, description, source, affected_systems }), 400);
+    return () => clearTimeout(timer);
+  }, [formData]);
+
+  const { data: duplicates = [] } = useQuery({
+    queryKey: ["duplicates", draft],
+    queryFn: () => appClient.duplicates.find(draft),
+    enabled: !!draft,
+    placeholderData: (previous) => previous
+  });
   
   const handleAddSystem = () => {
     if (systemInput.trim() && !formData.affected_systems.includes(systemInput.trim())) {
@@ -62,7 +89,7 @@ export default function CreateIncidentForm({ onSubmit, isSubmitting }) {
   
   const handleSubmit = (e) => {
     e.preventDefault();
-    onSubmit(formData);
+    onSubmit(formData, { possibleDuplicates: duplicates });
   };
   
   const isValid = formData.title.trim() && formData.severity;
@@ -77,6 +104,7 @@ export default function CreateIncidentForm({ onSubmit, isSubmitting }) {
           value={formData.title}
           onChange={(e) => setFormData(prev => ({ ...prev, title: e.target.value }))}
         />
+        <FieldError label="Title" message={errors.title} />
       </div>
       
       <div className="space-y-2">
@@ -127,6 +155,7 @@ export default function CreateIncidentForm({ onSubmit, isSubmitting }) {
               </SelectItem>
             </SelectContent>
           </Select>
+          <FieldError label="Severity" message={errors.severity} />
         </div>
         
         <div className="space-y-2">
@@ -137,6 +166,7 @@ export default function CreateIncidentForm({ onSubmit, isSubmitting }) {
             value={formData.source}
             onChange={(e) => setFormData(prev => ({ ...prev, source: e.target.value }))}
           />
+          <FieldError label="Source" message={errors.source} />
         </div>
       </div>
       
@@ -171,6 +201,15 @@ export default function CreateIncidentForm({ onSubmit, isSubmitting }) {
           </div>
         )}
       </div>
+
+      {onAttach && (
+        <DuplicateSuggestions
+          matches={duplicates}
+          attachingId={attachingId}
+          onAttach={(incident, score) => onAttach(incident, formData, { score })}
+        />
+      )}
+      <FieldError label="That incident" message={errors.status} />
       
       <div className="space-y-2">
         <Label htmlFor="logs">Log Data / Error Messages</Label>
@@ -181,6 +220,7 @@ export default function CreateIncidentForm({ onSubmit, isSubmitting }) {
           onChange={(e) => setFormData(prev => ({ ...prev, logs: e.target.value }))}
           className="min-h-[120px] font-mono text-sm"
         />
+        <FieldError label="Logs" message={errors.logs} />
       </div>
       
       <div className="space-y-2">
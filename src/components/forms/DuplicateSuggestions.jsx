@@ -0,0 +1,59 @@
+import { Link } from "react-router-dom";
+import { formatDistanceToNow } from "date-fns";
+import { createPageUrl } from "@/utils";
+import { Copy, Paperclip } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import SeverityBadge from "@/components/dashboard/SeverityBadge";
+import StatusBadge from "@/components/dashboard/StatusBadge";
+
+// Open incidents that look like the report being filled in (see
+// src/api/duplicates.js), each with an "Attach" action.
+export default function DuplicateSuggestions({ matches, onAttach, attachingId }) {
+  if (!matches.length) return null;
+
+  return (
+    <div className="p-4 bg-sky-50 border border-sky-200 rounded-lg space-y-3">
+      <div className="flex items-center gap-2">
+        <Copy className="h-4 w-4 text-sky-700" />
+        <p className="text-sm font-medium text-sky-900">
+          {matches.length === 1 ? "An open incident looks like this one" : "Open incidents look like this one"}
+        </p>
+      </div>
+      {matches.map(({ incident, score, reasons }) => (
+        <div key={incident.id} className="bg-white border border-sky-100 rounded-md p-3 space-y-2">
+          <div className="flex items-start justify-between gap-3">
+            <div className="min-w-0">
+              <Link
+                to={createPageUrl(`IncidentDetail?id=${incident.id}`)}
+                target="_blank"
+                className="text-sm font-medium text-slate-900 hover:underline"
+              >
+                {incident.title}
+              </Link>
+              <div className="flex flex-wrap items-center gap-2 mt-1">
+                <SeverityBadge severity={incident.severity} />
+                <StatusBadge status={incident.status} />
+                <span className="text-xs text-slate-400">
+                  opened {formatDistanceToNow(new Date(incident.created_date), { addSuffix: true })}
+                </span>
+              </div>
+            </div>
+            <span className="text-xs font-medium text-sky-700 whitespace-nowrap">{Math.round(score * 100)}% match</span>
+          </div>
+          <p className="text-xs text-slate-500">{reasons.join(" · ")}</p>
+          <Button
+            type="button"
+            size="sm"
+            variant="outline"
+            disabled={!!attachingId}
+            onClick={() => onAttach(incident, score)}
+          >
+            <Paperclip className="h-3.5 w-3.5 mr-1.5" />
+            {attachingId === incident.id ? "Attaching..." : "Attach to this incident"}
+          </Button>
+        </div>
+      ))}
+      <p className="text-xs text-sky-800">Not the same problem? Create the incident as usual.</p>
+    </div>
+  );
+}
@@ -0,0 +1,130 @@
+import { useState } from "react";
+import { useMutation } from "@tanstack/react-query";
+import { Link } from "react-router-dom";
+import { createPageUrl } from "@/utils";
+import { appClient } from "@/api/appClient";
+import { NORMALIZERS } from "@/api/ingest";
+import { ALERT_FIXTURES } from "@/api/ingest/fixtures";
+import { usePermissions } from "@/hooks/use-permissions";
+import { BellRing, Loader2 } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { Textarea } from "@/components/ui/textarea";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import { cn } from "@/lib/utils";
+
+const OUTCOMES = {
+  created: { label: "Opened incident", className: "text-indigo-700 bg-indigo-50" },
+  deduplicated: { label: "Counted on open incident", className: "text-amber-700 bg-amber-50" },
+  resolved: { label: "Resolved incident", className: "text-emerald-700 bg-emerald-50" },
+  ignored: { label: "Nothing open to resolve", className: "text-slate-600 bg-slate-100" },
+};
+
+// Feeds a webhook payload to appClient.alerts.ingest (see src/api/alerts.js),
+// from the sample fixtures or pasted JSON.
+export default function AlertIngestionCard() {
+  const { can } = usePermissions();
+  const [format, setFormat] = useState("auto");
+  const [payload, setPayload] = useState("");
+
+  const ingestMutation = useMutation({
+    mutationFn: () => appClient.alerts.ingest(payload, { format: format === "auto" ? undefined : format })
+  });
+
+  const loadFixture = (id) => {
+    const fixture = ALERT_FIXTURES.find((f) => f.id === id);
+    setPayload(JSON.stringify(fixture.payload, null, 2));
+    setFormat(fixture.format);
+    ingestMutation.reset();
+  };
+
+  if (!can("alert.ingest")) return null;
+
+  return (
+    <Card className="mb-8">
+      <CardHeader>
+        <CardTitle className="text-lg flex items-center gap-2">
+          <BellRing className="h-5 w-5 text-indigo-600" />
+          Alert Ingestion
+        </CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <p className="text-sm text-slate-500">
+          Alertmanager, CloudWatch (SNS) and Datadog webhooks open incidents, count repeats of an alert on the incident
+          it already opened, and resolve it when the alert clears.
+        </p>
+
+        <div className="flex flex-wrap items-center gap-3">
+          <Select value="" onValueChange={loadFixture}>
+            <SelectTrigger className="w-[220px]">
+              <SelectValue placeholder="Load a sample payload..." />
+            </SelectTrigger>
+            <SelectContent>
+              {ALERT_FIXTURES.map((fixture) => (
+                <SelectItem key={fixture.id} value={fixture.id}>{fixture.label}</SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+
+          <Select value={format} onValueChange={setFormat}>
+            <SelectTrigger className="w-[220px]">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              <SelectItem value="auto">Detect format</SelectItem>
+              {NORMALIZERS.map((normalizer) => (
+                <SelectItem key={normalizer.id} value={normalizer.id}>{normalizer.label}</SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+
+          <Button onClick={() => ingestMutation.mutate()} disabled={!payload.trim() || ingestMutation.isPending}>
+            {ingestMutation.isPending && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+            Ingest
+          </Button>
+        </div>
+
+        <Textarea
+          value={payload}
+          onChange={(e) => setPayload(e.target.value)}
+          placeholder="Paste a webhook payload (JSON)"
+          className="font-mono text-xs min-h-[160px]"
+        />
+
+        {ingestMutation.error && <p className="text-sm text-rose-600">{ingestMutation.error.message}</p>}
+
+        {ingestMutation.data && (
+          <ul className="space-y-1.5">
+            {ingestMutation.data.length === 0 && (
+              <li className="text-sm text-slate-500">The payload carried no alerts to file.</li>
+            )}
+            {ingestMutation.data.map((result, i) => (
+              <li key={i} className="flex flex-wrap items-center gap-2 text-sm">
+                <span className={cn("px-2 py-0.5 rounded text-xs font-medium", OUTCOMES[result.outcome].className)}>
+                  {OUTCOMES[result.outcome].label}
+                </span>
+                {result.incident_id ? (
+                  <Link
+                    to={createPageUrl(`IncidentDetail?id=${result.incident_id}`)}
+                    className="text-indigo-600 hover:underline"
+                  >
+                    {result.title}
+                  </Link>
+                ) : (
+                  <span className="text-slate-700">{result.title}</span>
+                )}
+                <span className="text-xs text-slate-400 font-mono">{result.fingerprint}</span>
+              </li>
+            ))}
+          </ul>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
@@ -0,0 +1,151 @@
+import { useState } from "react";
+import { useQuery, useMutation, useQueryClient } from "@tanstack/react-query";
+import { appClient } from "@/api/appClient";
+import { ROLE_LABELS } from "@/api/rbac";
+import { usePermissions } from "@/hooks/use-permissions";
+import { Scale, Save } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Switch } from "@/components/ui/switch";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from "@/components/ui/table";
+
+const ANY_ROLE = "any";
+const ROLE_CHOICES = ["incident_commander", "approver", "admin"];
+
+function PolicyEditor({ policies, canEdit }) {
+  const queryClient = useQueryClient();
+  const [draft, setDraft] = useState(policies);
+
+  const save = useMutation({
+    mutationFn: () => appClient.approvals.setPolicies(draft),
+    onSuccess: () => queryClient.invalidateQueries({ queryKey: ["approvals", "policies"] })
+  });
+
+  const setField = (priority, field, value) =>
+    setDraft({ ...draft, [priority]: { ...draft[priority], [field]: value } });
+
+  return (
+    <>
+      <Table>
+        <TableHeader>
+          <TableRow>
+            <TableHead>Priority</TableHead>
+            <TableHead>Approvals</TableHead>
+            <TableHead>Must include</TableHead>
+            <TableHead>Self-approval</TableHead>
+            <TableHead>Escalate after (min)</TableHead>
+          </TableRow>
+        </TableHeader>
+        <TableBody>
+          {Object.entries(draft).map(([priority, policy]) => (
+            <TableRow key={priority}>
+              <TableCell className="font-medium capitalize">{priority}</TableCell>
+              <TableCell>
+                <Input
+                  type="number"
+                  min={1}
+                  value={policy.min_approvals}
+                  disabled={!canEdit}
+                  onChange={(e) => setField(priority, "min_approvals", Number(e.target.value))}
+                  className="w-20"
+                />
+              </TableCell>
+              <TableCell>
+                <Select
+                  value={policy.required_roles[0] || ANY_ROLE}
+                  disabled={!canEdit}
+                  onValueChange={(value) => setField(priority, "required_roles", value === ANY_ROLE ? [] : [value])}
+                >
+                  <SelectTrigger className="w-[180px]">
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    <SelectItem value={ANY_ROLE}>Any approver</SelectItem>
+                    {ROLE_CHOICES.map((role) => (
+                      <SelectItem key={role} value={role}>{ROLE_LABELS[role]}</SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </TableCell>
+              <TableCell>
+                <Switch
+                  checked={policy.allow_self_approval}
+                  disabled={!canEdit}
+                  onCheckedChange={(checked) => setField(priority, "allow_self_approval", checked)}
+                />
+              </TableCell>
+              <TableCell>
+                <Input
+                  type="number"
+                  min={1}
+                  value={policy.escalate_after_minutes}
+                  disabled={!canEdit}
+                  onChange={(e) => setField(priority, "escalate_after_minutes", Number(e.target.value))}
+                  className="w-24"
+                />
+              </TableCell>
+            </TableRow>
+          ))}
+        </TableBody>
+      </Table>
+
+      {save.error && (
+        <p className="text-sm text-rose-600">{save.error.message}</p>
+      )}
+
+      {canEdit && (
+        <div className="flex justify-end">
+          <Button onClick={() => save.mutate()} disabled={save.isPending}>
+            <Save className="h-4 w-4 mr-2" />
+            {save.isPending ? "Saving..." : "Save Policies"}
+          </Button>
+        </div>
+      )}
+    </>
+  );
+}
+
+export default function ApprovalPoliciesCard() {
+  const { can } = usePermissions();
+
+  const { data: policies } = useQuery({
+    queryKey: ["approvals", "policies"],
+    queryFn: () => appClient.approvals.policies()
+  });
+
+  return (
+    <Card className="mb-8">
+      <CardHeader>
+        <CardTitle className="text-lg flex items-center gap-2">
+          <Scale className="h-5 w-5 text-indigo-600" />
+          Approval Policies
+        </CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <p className="text-sm text-slate-500">
+          How many distinct people must approve a recommendation of each priority before work starts. Changes apply
+          to approvals requested after saving; open requests keep their policy. Requests still pending after the
+          escalation window are escalated to everyone who could complete them.
+        </p>
+        {policies && (
+          <PolicyEditor key={JSON.stringify(policies)} policies={policies} canEdit={can("approval.configure")} />
+        )}
+      </CardContent>
+    </Card>
+  );
+}
@@ -0,0 +1,137 @@
+import { useRef, useState } from "react";
+import { useQuery, useMutation } from "@tanstack/react-query";
+import { appClient } from "@/api/appClient";
+import { Link2, ShieldCheck, ShieldAlert, FileCheck, Loader2 } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+
+const PROBLEM_LABELS = {
+  unsealed: "entry is not part of the chain",
+  duplicate: "sequence number used twice",
+  missing: "entry missing",
+  broken_link: "link to the previous entry is broken",
+  edited: "entry was changed after it was written",
+  truncated: "entries missing from the end",
+  anchor_mismatch: "entry differs from the exported head"
+};
+
+const SIGNATURE_REASONS = {
+  unsigned: "the file is not signed",
+  unsupported_alg: "unknown signature algorithm",
+  key_mismatch: "the public key does not match its fingerprint",
+  bad_signature: "the contents were changed after signing"
+};
+
+const shortHash = (hash) => `${hash.slice(0, 12)}…`;
+
+function ChainResult({ result }) {
+  if (result.ok) {
+    return (
+      <div className="p-3 bg-emerald-50 border border-emerald-200 rounded-lg">
+        <p className="text-sm font-medium text-emerald-700 flex items-center gap-2">
+          <ShieldCheck className="h-4 w-4" />
+          Chain intact: {result.length} entries
+          {result.head && <span className="font-mono text-xs">(head #{result.head.seq} {shortHash(result.head.hash)})</span>}
+        </p>
+      </div>
+    );
+  }
+  return (
+    <div className="p-3 bg-rose-50 border border-rose-200 rounded-lg">
+      <p className="text-sm font-medium text-rose-700 flex items-center gap-2 mb-1">
+        <ShieldAlert className="h-4 w-4" />
+        {result.issues.length} integrity problem(s) in {result.length} entries
+      </p>
+      <ul className="text-xs text-rose-600 space-y-0.5 max-h-40 overflow-auto">
+        {result.issues.map((issue, i) => (
+          <li key={i}>
+            {issue.seq != null ? `#${issue.seq}` : issue.id}: {PROBLEM_LABELS[issue.problem] || issue.problem}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+export default function AuditIntegrityCard() {
+  const fileInput = useRef(null);
+  const [fileCheck, setFileCheck] = useState(null);
+
+  const { data: signingKey } = useQuery({
+    queryKey: ["audit", "signingKey"],
+    queryFn: () => appClient.audit.signingKey()
+  });
+
+  const verify = useMutation({
+    mutationFn: () => appClient.audit.verify()
+  });
+
+  const handleFile = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    let bundle;
+    try {
+      bundle = JSON.parse(await file.text());
+    } catch {
+      setFileCheck({ name: file.name, error: "File is not valid JSON" });
+      return;
+    }
+    try {
+      setFileCheck({ name: file.name, ...(await appClient.data.verifyBundle(bundle)) });
+    } catch (err) {
+      setFileCheck({ name: file.name, error: err.message });
+    }
+  };
+
+  return (
+    <Card className="mb-8">
+      <CardHeader>
+        <CardTitle className="text-lg flex items-center gap-2">
+          <Link2 className="h-5 w-5 text-indigo-600" />
+          Audit Log Integrity
+        </CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <p className="text-sm text-slate-500">
+          Audit entries are append-only, and each one stores the hash of the entry before it. Any entry that is
+          edited or removed breaks the chain. Exports are signed with this browser&apos;s key
+          {signingKey && <> (fingerprint <span className="font-mono text-slate-700">{signingKey.key_id}</span>)</>}.
+        </p>
+
+        <div className="flex flex-wrap items-center gap-3">
+          <Button onClick={() => verify.mutate()} disabled={verify.isPending}>
+            {verify.isPending ? <Loader2 className="h-4 w-4 mr-2 animate-spin" /> : <ShieldCheck className="h-4 w-4 mr-2" />}
+            Verify Integrity
+          </Button>
+          <Button variant="outline" onClick={() => fileInput.current?.click()}>
+            <FileCheck className="h-4 w-4 mr-2" />
+            Check Export File
+          </Button>
+          <input ref={fileInput} type="file" accept="application/json,.json" className="hidden" onChange={handleFile} />
+        </div>
+
+        {verify.error && <p className="text-sm text-rose-600">{verify.error.message}</p>}
+        {verify.data && <ChainResult result={verify.data} />}
+
+        {fileCheck && (
+          <div className="space-y-2">
+            <p className="text-xs uppercase tracking-wider text-slate-400">{fileCheck.name}</p>
+            {fileCheck.error ? (
+              <p className="text-sm text-rose-600">{fileCheck.error}</p>
+            ) : (
+              <>
+                <p className={fileCheck.signature.ok ? "text-sm text-emerald-700" : "text-sm text-rose-600"}>
+                  {fileCheck.signature.ok
+                    ? `Signature valid (key ${fileCheck.signature.key_id})`
+                    : `Signature invalid: ${SIGNATURE_REASONS[fileCheck.signature.reason] || fileCheck.signature.reason}`}
+                </p>
+                <ChainResult result={fileCheck.chain} />
+              </>
+            )}
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
@@ -0,0 +1,153 @@
+import { useRef, useState } from "react";
+import { useQueryClient } from "@tanstack/react-query";
+import { appClient } from "@/api/appClient";
+import { format } from "date-fns";
+import { Database, Download, Upload, AlertTriangle, CheckCircle2, Loader2 } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+
+function downloadJson(filename, value) {
+  const blob = new Blob([JSON.stringify(value, null, 2)], { type: "application/json" });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
+export default function DataTransferCard() {
+  const queryClient = useQueryClient();
+  const fileInput = useRef(null);
+  const [mode, setMode] = useState("merge");
+  const [conflictStrategy, setConflictStrategy] = useState("newest");
+  const [isWorking, setIsWorking] = useState(false);
+  const [report, setReport] = useState(null);
+
+  const handleExport = async () => {
+    setIsWorking(true);
+    try {
+      const bundle = await appClient.data.exportBundle();
+      downloadJson(`icdi-export-${format(new Date(), "yyyyMMdd-HHmm")}.json`, bundle);
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  const handleFile = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    setIsWorking(true);
+    setReport(null);
+    try {
+      let bundle;
+      try {
+        bundle = JSON.parse(await file.text());
+      } catch {
+        setReport({ ok: false, errors: ["File is not valid JSON"], conflicts: [] });
+        return;
+      }
+      const result = await appClient.data.importBundle(bundle, { mode, conflictStrategy });
+      setReport(result);
+      if (result.ok) queryClient.invalidateQueries();
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  return (
+    <Card className="mb-8">
+      <CardHeader>
+        <CardTitle className="text-lg flex items-center gap-2">
+          <Database className="h-5 w-5 text-indigo-600" />
+          Data Export &amp; Import
+        </CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <p className="text-sm text-slate-500">
+          Export every table as a signed, versioned JSON bundle for auditors or backups, or import a bundle.
+          Imports are validated before anything is written.
+        </p>
+
+        <div className="flex flex-wrap items-center gap-3">
+          <Button variant="outline" onClick={handleExport} disabled={isWorking}>
+            <Download className="h-4 w-4 mr-2" />
+            Export Bundle
+          </Button>
+
+          <Select value={mode} onValueChange={setMode}>
+            <SelectTrigger className="w-[150px]">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              <SelectItem value="merge">Merge</SelectItem>
+              <SelectItem value="replace">Replace</SelectItem>
+            </SelectContent>
+          </Select>
+
+          {mode === "merge" && (
+            <Select value={conflictStrategy} onValueChange={setConflictStrategy}>
+              <SelectTrigger className="w-[200px]">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                <SelectItem value="newest">Conflicts: keep newest</SelectItem>
+                <SelectItem value="keep_local">Conflicts: keep local</SelectItem>
+                <SelectItem value="take_incoming">Conflicts: take incoming</SelectItem>
+              </SelectContent>
+            </Select>
+          )}
+
+          <Button onClick={() => fileInput.current?.click()} disabled={isWorking}>
+            {isWorking ? <Loader2 className="h-4 w-4 mr-2 animate-spin" /> : <Upload className="h-4 w-4 mr-2" />}
+            Import Bundle
+          </Button>
+          <input ref={fileInput} type="file" accept="application/json,.json" className="hidden" onChange={handleFile} />
+        </div>
+
+        {report && !report.ok && (
+          <div className="p-3 bg-rose-50 border border-rose-200 rounded-lg">
+            <p className="text-sm font-medium text-rose-700 flex items-center gap-2 mb-1">
+              <AlertTriangle className="h-4 w-4" />
+              Import rejected — nothing was changed
+            </p>
+            <ul className="text-xs text-rose-600 space-y-0.5 max-h-40 overflow-auto">
+              {report.errors.map((err, i) => (
+                <li key={i}>{err}</li>
+              ))}
+            </ul>
+          </div>
+        )}
+
+        {report?.ok && (
+          <div className="p-3 bg-emerald-50 border border-emerald-200 rounded-lg space-y-2">
+            <p className="text-sm font-medium text-emerald-700 flex items-center gap-2">
+              <CheckCircle2 className="h-4 w-4" />
+              Import complete ({report.mode}): {report.added} added, {report.updated} updated, {report.skipped} unchanged
+            </p>
+            {report.conflicts.length > 0 && (
+              <div>
+                <p className="text-xs font-medium text-amber-700 mb-1">{report.conflicts.length} conflict(s)</p>
+                <ul className="text-xs text-slate-600 space-y-0.5 max-h-40 overflow-auto">
+                  {report.conflicts.map((c) => (
+                    <li key={`${c.table}.${c.id}`}>
+                      {c.table}.{c.id}: local {c.local_updated_date || "—"} vs incoming {c.incoming_updated_date || "—"} → kept {c.kept}
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
@@ -0,0 +1,191 @@
+import { useState } from "react";
+import { useQuery, useMutation, useQueryClient } from "@tanstack/react-query";
+import { appClient } from "@/api/appClient";
+import { SEVERITIES } from "@/api/schemas";
+import { usePermissions } from "@/hooks/use-permissions";
+import { Timer, Save, Plus, Trash2 } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from "@/components/ui/table";
+
+// { systems: { api: { critical: {...} } } } <-> [{ system: "api", severity: "critical", ... }]
+const toRows = (systems) =>
+  Object.entries(systems).flatMap(([system, bySeverity]) =>
+    Object.entries(bySeverity).map(([severity, policy]) => ({ system, severity, ...policy }))
+  );
+
+const fromRows = (rows) =>
+  rows.reduce((systems, { system, severity, ...policy }) => {
+    const name = system.trim();
+    return { ...systems, [name]: { ...systems[name], [severity]: policy } };
+  }, {});
+
+function MinutesInput({ value, disabled, onChange }) {
+  return (
+    <Input
+      type="number"
+      min={1}
+      value={value}
+      disabled={disabled}
+      onChange={(e) => onChange(Number(e.target.value))}
+      className="w-24"
+    />
+  );
+}
+
+function PolicyEditor({ policies, canEdit }) {
+  const queryClient = useQueryClient();
+  const [severities, setSeverities] = useState(policies.severities);
+  const [rows, setRows] = useState(() => toRows(policies.systems));
+
+  const save = useMutation({
+    mutationFn: () => appClient.sla.setPolicies({ severities, systems: fromRows(rows) }),
+    onSuccess: () => queryClient.invalidateQueries({ queryKey: ["sla", "policies"] })
+  });
+
+  const setTarget = (severity, field, value) =>
+    setSeverities({ ...severities, [severity]: { ...severities[severity], [field]: value } });
+  const setRow = (index, field, value) =>
+    setRows(rows.map((row, i) => (i === index ? { ...row, [field]: value } : row)));
+
+  return (
+    <>
+      <Table>
+        <TableHeader>
+          <TableRow>
+            <TableHead>Severity</TableHead>
+            <TableHead>Acknowledge within (min)</TableHead>
+            <TableHead>Resolve within (min)</TableHead>
+          </TableRow>
+        </TableHeader>
+        <TableBody>
+          {Object.entries(severities).map(([severity, policy]) => (
+            <TableRow key={severity}>
+              <TableCell className="font-medium capitalize">{severity}</TableCell>
+              <TableCell>
+                <MinutesInput
+                  value={policy.acknowledge_minutes}
+                  disabled={!canEdit}
+                  onChange={(value) => setTarget(severity, "acknowledge_minutes", value)}
+                />
+              </TableCell>
+              <TableCell>
+                <MinutesInput
+                  value={policy.resolve_minutes}
+                  disabled={!canEdit}
+                  onChange={(value) => setTarget(severity, "resolve_minutes", value)}
+                />
+              </TableCell>
+            </TableRow>
+          ))}
+        </TableBody>
+      </Table>
+
+      <div className="space-y-2">
+        <p className="text-sm font-medium text-slate-700">Per-system targets</p>
+        {rows.length === 0 && <p className="text-sm text-slate-500">No system has its own targets.</p>}
+        {rows.map((row, index) => (
+          <div key={index} className="flex flex-wrap items-center gap-2">
+            <Input
+              value={row.system}
+              disabled={!canEdit}
+              onChange={(e) => setRow(index, "system", e.target.value)}
+              placeholder="System, e.g. payments-api"
+              className="max-w-[220px]"
+            />
+            <Select value={row.severity} disabled={!canEdit} onValueChange={(value) => setRow(index, "severity", value)}>
+              <SelectTrigger className="w-[130px] capitalize">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                {SEVERITIES.map((severity) => (
+                  <SelectItem key={severity} value={severity} className="capitalize">{severity}</SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+            <MinutesInput
+              value={row.acknowledge_minutes}
+              disabled={!canEdit}
+              onChange={(value) => setRow(index, "acknowledge_minutes", value)}
+            />
+            <MinutesInput
+              value={row.resolve_minutes}
+              disabled={!canEdit}
+              onChange={(value) => setRow(index, "resolve_minutes", value)}
+            />
+            {canEdit && (
+              <Button variant="ghost" size="icon" onClick={() => setRows(rows.filter((_, i) => i !== index))}>
+                <Trash2 className="h-4 w-4" />
+              </Button>
+            )}
+          </div>
+        ))}
+      </div>
+
+      {save.error && (
+        <p className="text-sm text-rose-600">{save.error.message}</p>
+      )}
+
+      {canEdit && (
+        <div className="flex justify-between">
+          <Button
+            variant="outline"
+            onClick={() => setRows([...rows, { system: "", severity: "critical", ...severities.critical }])}
+          >
+            <Plus className="h-4 w-4 mr-2" />
+            Add System Target
+          </Button>
+          <Button onClick={() => save.mutate()} disabled={save.isPending}>
+            <Save className="h-4 w-4 mr-2" />
+            {save.isPending ? "Saving..." : "Save Targets"}
+          </Button>
+        </div>
+      )}
+    </>
+  );
+}
+
+export default function SlaPoliciesCard() {
+  const { can } = usePermissions();
+
+  const { data: policies } = useQuery({
+    queryKey: ["sla", "policies"],
+    queryFn: () => appClient.sla.policies()
+  });
+
+  return (
+    <Card className="mb-8">
+      <CardHeader>
+        <CardTitle className="text-lg flex items-center gap-2">
+          <Timer className="h-5 w-5 text-indigo-600" />
+          SLA Policies
+        </CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <p className="text-sm text-slate-500">
+          How soon incidents of each severity must be acknowledged (picked up) and resolved, counted from when they
+          were opened. A system can have tighter targets; an incident gets the strictest target among its affected
+          systems. Changes apply to open incidents straight away. Missed targets are written to the audit log.
+        </p>
+        {policies && (
+          <PolicyEditor key={JSON.stringify(policies)} policies={policies} canEdit={can("sla.configure")} />
+        )}
+      </CardContent>
+    </Card>
+  );
+}
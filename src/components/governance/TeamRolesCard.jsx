@@ -0,0 +1,86 @@
+import { useQuery, useMutation } from "@tanstack/react-query";
+import { appClient } from "@/api/appClient";
+import { ROLES, ROLE_LABELS } from "@/api/rbac";
+import { usePermissions } from "@/hooks/use-permissions";
+import { Users } from "lucide-react";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { Checkbox } from "@/components/ui/checkbox";
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from "@/components/ui/table";
+
+export default function TeamRolesCard() {
+  const { user: me, can } = usePermissions();
+  const canManage = can("user.manage_roles");
+
+  const { data: users = [] } = useQuery({
+    queryKey: ["users"],
+    queryFn: () => appClient.entities.User.list("full_name")
+  });
+
+  const updateRoles = useMutation({
+    mutationFn: ({ user, role, checked }) => {
+      const roles = checked ? [...(user.roles || []), role] : (user.roles || []).filter((r) => r !== role);
+      return appClient.entities.User.update(user.id, { roles });
+    }
+  });
+
+  return (
+    <Card className="mb-8">
+      <CardHeader>
+        <CardTitle className="text-lg flex items-center gap-2">
+          <Users className="h-5 w-5 text-indigo-600" />
+          Team &amp; Roles
+        </CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <p className="text-sm text-slate-500">
+          Approvers and incident commanders decide on AI recommendations; only incident commanders resolve
+          incidents. {canManage ? "Changes apply immediately." : "Only admins can change roles."}
+        </p>
+
+        {updateRoles.error && (
+          <p className="text-sm text-rose-600">{updateRoles.error.message}</p>
+        )}
+
+        <Table>
+          <TableHeader>
+            <TableRow>
+              <TableHead>User</TableHead>
+              <TableHead>Team</TableHead>
+              {ROLES.map((role) => (
+                <TableHead key={role} className="text-center">{ROLE_LABELS[role]}</TableHead>
+              ))}
+            </TableRow>
+          </TableHeader>
+          <TableBody>
+            {users.map((user) => (
+              <TableRow key={user.id}>
+                <TableCell>
+                  <p className="font-medium text-slate-900">{user.full_name}</p>
+                  <p className="text-xs text-slate-500">{user.email}</p>
+                </TableCell>
+                <TableCell className="text-slate-600">{user.team || "—"}</TableCell>
+                {ROLES.map((role) => (
+                  <TableCell key={role} className="text-center">
+                    <Checkbox
+                      checked={(user.roles || []).includes(role)}
+                      // Admins can't drop their own admin role and lock themselves out.
+                      disabled={!canManage || updateRoles.isPending || (role === "admin" && user.id === me?.id)}
+                      onCheckedChange={(checked) => updateRoles.mutate({ user, role, checked: checked === true })}
+                    />
+                  </TableCell>
+                ))}
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      </CardContent>
+    </Card>
+  );
+}
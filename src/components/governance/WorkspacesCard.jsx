@@ -0,0 +1,132 @@
+import { useState } from "react";
+import { useQuery, useMutation } from "@tanstack/react-query";
+import { appClient } from "@/api/appClient";
+import { usePermissions } from "@/hooks/use-permissions";
+import { Building2, Plus } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { Checkbox } from "@/components/ui/checkbox";
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from "@/components/ui/table";
+
+export default function WorkspacesCard() {
+  const { user: me, can } = usePermissions();
+  const canManage = can("workspace.manage");
+  const [name, setName] = useState("");
+
+  const { data: workspaces = [] } = useQuery({
+    queryKey: ["workspaces", "all"],
+    queryFn: () => appClient.entities.Workspace.list("name")
+  });
+
+  const { data: mine } = useQuery({
+    queryKey: ["workspaces", "mine"],
+    queryFn: () => appClient.workspaces.mine()
+  });
+
+  const { data: users = [] } = useQuery({
+    queryKey: ["users"],
+    queryFn: () => appClient.entities.User.list("full_name")
+  });
+
+  const create = useMutation({
+    // The creator joins the new workspace so they can switch to it.
+    mutationFn: () => appClient.entities.Workspace.create({ name: name.trim(), member_ids: [me.id] }),
+    onSuccess: () => setName("")
+  });
+
+  const updateMembers = useMutation({
+    mutationFn: ({ workspace, user, checked }) => {
+      const member_ids = checked
+        ? [...(workspace.member_ids || []), user.id]
+        : (workspace.member_ids || []).filter((id) => id !== user.id);
+      return appClient.entities.Workspace.update(workspace.id, { member_ids });
+    }
+  });
+
+  const error = create.error || updateMembers.error;
+
+  return (
+    <Card className="mb-8">
+      <CardHeader>
+        <CardTitle className="text-lg flex items-center gap-2">
+          <Building2 className="h-5 w-5 text-indigo-600" />
+          Workspaces
+        </CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <p className="text-sm text-slate-500">
+          Each workspace has its own incidents, knowledge base, predictions, audit log and settings. Users only see
+          the workspaces they are members of. {canManage ? "" : "Only admins can add workspaces or members."}
+        </p>
+
+        {canManage && (
+          <form
+            className="flex items-center gap-2"
+            onSubmit={(e) => {
+              e.preventDefault();
+              if (name.trim()) create.mutate();
+            }}
+          >
+            <Input
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              placeholder="New workspace name"
+              className="max-w-xs"
+            />
+            <Button type="submit" variant="outline" disabled={!name.trim() || create.isPending}>
+              <Plus className="h-4 w-4 mr-2" />
+              Add Workspace
+            </Button>
+          </form>
+        )}
+
+        {error && <p className="text-sm text-rose-600">{error.message}</p>}
+
+        <Table>
+          <TableHeader>
+            <TableRow>
+              <TableHead>User</TableHead>
+              {workspaces.map((workspace) => (
+                <TableHead key={workspace.id} className="text-center">{workspace.name}</TableHead>
+              ))}
+            </TableRow>
+          </TableHeader>
+          <TableBody>
+            {users.map((user) => (
+              <TableRow key={user.id}>
+                <TableCell>
+                  <p className="font-medium text-slate-900">{user.full_name}</p>
+                  <p className="text-xs text-slate-500">{user.email}</p>
+                </TableCell>
+                {workspaces.map((workspace) => (
+                  <TableCell key={workspace.id} className="text-center">
+                    <Checkbox
+                      checked={(workspace.member_ids || []).includes(user.id)}
+                      // Leaving the workspace you're in would move you out mid-edit.
+                      disabled={
+                        !canManage ||
+                        updateMembers.isPending ||
+                        (user.id === me?.id && workspace.id === mine?.active?.id)
+                      }
+                      onCheckedChange={(checked) =>
+                        updateMembers.mutate({ workspace, user, checked: checked === true })
+                      }
+                    />
+                  </TableCell>
+                ))}
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      </CardContent>
+    </Card>
+  );
+}
@@ -0,0 +1,127 @@
+import { useState } from "react";
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog";
+import { Button } from "@/components/ui/button";
+import { RadioGroup, RadioGroupItem } from "@/components/ui/radio-group";
+import { GitMerge } from "lucide-react";
+import { diffStates, mergeChanges } from "@/api/revisions";
+
+function formatValue(value) {
+  if (value === null || value === undefined || value === "") return "—";
+  const text = typeof value === "string" ? value : JSON.stringify(value);
+  return text.length > 200 ? `${text.slice(0, 200)}…` : text;
+}
+
+/*
+  Shown when an update fails with a ConflictError. `conflict` is
+  { error, base, mine }: the error, the record the edit started from and the
+  patch that was refused. onResolve(patch) retries the save against
+  `error.current`, the latest version.
+*/
+export default function ConflictDialog({ conflict, onOpenChange, onResolve, isSaving }) {
+  const [choices, setChoices] = useState({});
+
+  if (!conflict) return null;
+  const { error, base, mine } = conflict;
+  const theirs = error.current;
+  const theirChanges = diffStates(base, theirs);
+  const { patch, conflicts } = mergeChanges(base, mine, theirs);
+
+  const handleMerge = () => {
+    const merged = { ...patch };
+    conflicts.forEach(({ field, mine: myValue }) => {
+      if ((choices[field] || "mine") === "mine") merged[field] = myValue;
+    });
+    onResolve(merged);
+  };
+
+  return (
+    <Dialog open onOpenChange={onOpenChange}>
+      <DialogContent className="sm:max-w-2xl max-h-[85vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle className="flex items-center gap-2">
+            <GitMerge className="h-5 w-5 text-amber-500" />
+            Edit Conflict
+          </DialogTitle>
+          <DialogDescription>
+            {theirs.updated_by || "Someone else"} saved version {error.actualVersion} while you were editing
+            version {error.expectedVersion}. Review their changes, then merge or retry.
+          </DialogDescription>
+        </DialogHeader>
+
+        <div className="space-y-4 py-2">
+          <div>
+            <p className="text-xs uppercase tracking-wider text-slate-400 mb-2">Their changes</p>
+            {theirChanges.length === 0 ? (
+              <p className="text-sm text-slate-500">No field changes</p>
+            ) : (
+              <div className="border border-slate-200 rounded-lg divide-y divide-slate-200">
+                {theirChanges.map(({ field, from, to }) => (
+                  <div key={field} className="p-2 text-sm">
+                    <span className="font-medium text-slate-700">{field}: </span>
+                    <span className="text-slate-400 line-through">{formatValue(from)}</span>
+                    {" → "}
+                    <span className="text-slate-800">{formatValue(to)}</span>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+
+          {conflicts.length > 0 && (
+            <div>
+              <p className="text-xs uppercase tracking-wider text-slate-400 mb-2">
+                Conflicting fields — pick a value
+              </p>
+              <div className="space-y-3">
+                {conflicts.map(({ field, mine: myValue, theirs: theirValue }) => (
+                  <div key={field} className="p-3 border border-amber-200 bg-amber-50/50 rounded-lg">
+                    <p className="text-sm font-medium text-slate-800 mb-2">{field}</p>
+                    <RadioGroup
+                      value={choices[field] || "mine"}
+                      onValueChange={(value) => setChoices({ ...choices, [field]: value })}
+                      className="space-y-1"
+                    >
+                      <label className="flex items-start gap-2 text-sm cursor-pointer">
+                        <RadioGroupItem value="mine" className="mt-0.5" />
+                        <span><span className="text-slate-500">Mine:</span> {formatValue(myValue)}</span>
+                      </label>
+                      <label className="flex items-start gap-2 text-sm cursor-pointer">
+                        <RadioGroupItem value="theirs" className="mt-0.5" />
+                        <span><span className="text-slate-500">Theirs:</span> {formatValue(theirValue)}</span>
+                      </label>
+                    </RadioGroup>
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+
+          {conflicts.length === 0 && (
+            <p className="text-sm text-slate-600">
+              Your changes don&apos;t overlap with theirs and can be merged as-is.
+            </p>
+          )}
+        </div>
+
+        <DialogFooter className="gap-2">
+          <Button variant="outline" onClick={() => onOpenChange(false)} disabled={isSaving}>
+            Discard Mine
+          </Button>
+          <Button variant="outline" onClick={() => onResolve(mine)} disabled={isSaving}>
+            Overwrite With Mine
+          </Button>
+          <Button onClick={handleMerge} disabled={isSaving}>
+            {isSaving ? "Saving..." : "Save Merged"}
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+}
@@ -0,0 +1,169 @@
+import { useState } from "react";
+import { useQuery, useMutation } from "@tanstack/react-query";
+import { appClient } from "@/api/appClient";
+import { format } from "date-fns";
+import { History, RotateCcw, Loader2, ArrowRight } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import { Badge } from "@/components/ui/badge";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import {
+  AlertDialog,
+  AlertDialogAction,
+  AlertDialogCancel,
+  AlertDialogContent,
+  AlertDialogDescription,
+  AlertDialogFooter,
+  AlertDialogHeader,
+  AlertDialogTitle,
+  AlertDialogTrigger,
+} from "@/components/ui/alert-dialog";
+
+const CURRENT = "current";
+
+function formatValue(value) {
+  if (value === null || value === undefined || value === "") return "—";
+  if (typeof value === "string") return value.length > 160 ? `${value.slice(0, 160)}…` : value;
+  const json = JSON.stringify(value);
+  return json.length > 160 ? `${json.slice(0, 160)}…` : json;
+}
+
+export default function RevisionHistory({ entity, recordId }) {
+  const [fromRev, setFromRev] = useState(null);
+  const [toRev, setToRev] = useState(CURRENT);
+
+  const { data: revisions = [], isLoading } = useQuery({
+    queryKey: ["revisions", entity, recordId],
+    queryFn: () => appClient.revisions.list(entity, recordId),
+    enabled: !!recordId
+  });
+
+  // Default comparison: the oldest revision against the current record.
+  const from = fromRev ?? revisions[revisions.length - 1]?.rev ?? null;
+
+  const { data: diff = [], isFetching: diffLoading } = useQuery({
+    queryKey: ["revisions", entity, recordId, "diff", from, toRev],
+    queryFn: () => appClient.revisions.diff(entity, recordId, from, toRev === CURRENT ? null : Number(toRev)),
+    enabled: !!recordId && from != null
+  });
+
+  const revert = useMutation({
+    mutationFn: (rev) => appClient.revisions.revert(entity, recordId, rev)
+  });
+
+  if (isLoading) {
+    return (
+      <div className="flex justify-center py-8">
+        <Loader2 className="h-6 w-6 animate-spin text-slate-400" />
+      </div>
+    );
+  }
+
+  if (!revisions.length) {
+    return (
+      <div className="text-center py-8 text-slate-400">
+        <History className="h-8 w-8 mx-auto mb-2 opacity-50" />
+        <p className="text-sm">No revisions recorded yet</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      <div>
+        <div className="flex flex-wrap items-center gap-3 mb-3">
+          <span className="text-sm text-slate-400">Compare</span>
+          <Select value={String(from)} onValueChange={(v) => setFromRev(Number(v))}>
+            <SelectTrigger className="w-[140px]">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              {revisions.map((r) => (
+                <SelectItem key={r.id} value={String(r.rev)}>Revision {r.rev}</SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+          <ArrowRight className="h-4 w-4 text-slate-500" />
+          <Select value={String(toRev)} onValueChange={setToRev}>
+            <SelectTrigger className="w-[140px]">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              <SelectItem value={CURRENT}>Current</SelectItem>
+              {revisions.map((r) => (
+                <SelectItem key={r.id} value={String(r.rev)}>Revision {r.rev}</SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+          {diffLoading && <Loader2 className="h-4 w-4 animate-spin text-slate-400" />}
+        </div>
+
+        {diff.length === 0 ? (
+          <p className="text-sm text-slate-500">No differences</p>
+        ) : (
+          <div className="border border-slate-800 rounded-lg divide-y divide-slate-800">
+            {diff.map(({ field, from: before, to: after }) => (
+              <div key={field} className="p-3 text-sm">
+                <p className="text-xs uppercase tracking-wider text-slate-400 mb-1">{field}</p>
+                <p className="text-rose-300 line-through break-words">{formatValue(before)}</p>
+                <p className="text-emerald-300 break-words">{formatValue(after)}</p>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+
+      {revert.error && (
+        <p className="text-sm text-rose-400">{revert.error.message}</p>
+      )}
+
+      <div className="space-y-3">
+        {revisions.map((r) => (
+          <div key={r.id} className="flex items-start justify-between gap-4 p-3 bg-slate-800/50 rounded-lg">
+            <div className="min-w-0">
+              <div className="flex items-center gap-2">
+                <span className="font-medium text-white text-sm">Revision {r.rev}</span>
+                <Badge variant="outline" className="text-xs">
+                  {r.op === "revert" ? `revert to ${r.reverted_to}` : r.op}
+                </Badge>
+              </div>
+              <p className="text-xs text-slate-400 mt-1">
+                {r.actor === "SYSTEM" ? "System" : r.actor} · {format(new Date(r.created_date), "MMM d, yyyy h:mm a")}
+              </p>
+              <p className="text-xs text-slate-500 mt-1 truncate">
+                {Object.keys(r.patch).join(", ")}
+              </p>
+            </div>
+            {r.rev !== revisions[0].rev && (
+              <AlertDialog>
+                <AlertDialogTrigger asChild>
+                  <Button variant="outline" size="sm" disabled={revert.isPending}>
+                    <RotateCcw className="h-4 w-4 mr-1" />
+                    Revert
+                  </Button>
+                </AlertDialogTrigger>
+                <AlertDialogContent>
+                  <AlertDialogHeader>
+                    <AlertDialogTitle>Revert to revision {r.rev}?</AlertDialogTitle>
+                    <AlertDialogDescription>
+                      Fields are restored to their values as of revision {r.rev}. The revert is recorded as a new revision.
+                    </AlertDialogDescription>
+                  </AlertDialogHeader>
+                  <AlertDialogFooter>
+                    <AlertDialogCancel>Cancel</AlertDialogCancel>
+                    <AlertDialogAction onClick={() => revert.mutate(r.rev)}>Revert</AlertDialogAction>
+                  </AlertDialogFooter>
+                </AlertDialogContent>
+              </AlertDialog>
+            )}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
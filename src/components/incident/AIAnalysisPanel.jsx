@@ -1,7 +1,9 @@
 import { useState } from "react";
-import { Brain, AlertTriangle, Lightbulb, Clock, ChevronDown, ChevronUp, Shield, AlertCircle } from "lucide-react";
+import { Brain, AlertTriangle, Lightbulb, Clock, ChevronDown, ChevronUp, Shield, AlertCircle, BellRing } from "lucide-react";
 import ConfidenceIndicator from "../dashboard/ConfidenceIndicator";
 import { cn } from "@/lib/utils";
+import { quorum } from "@/api/approvals";
+import { ROLE_LABELS } from "@/api/rbac";
 import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
 
 function RootCauseItem({ cause, index }) {
@@ -49,8 +51,61 @@ function RootCauseItem({ cause, index }) {
   );
 }
 
-function RecommendationCard({ rec, index, onApprove, onReject, isPending }) {
+const APPROVAL_STYLES = {
+  pending: "bg-amber-50 text-amber-700",
+  approved: "bg-emerald-50 text-emerald-700",
+  modified: "bg-sky-50 text-sky-700",
+  rejected: "bg-rose-50 text-rose-700"
+};
+
+// Where a recommendation's ApprovalRequest stands against its policy.
+function ApprovalStatus({ request }) {
+  const { approvals, needed, missing_roles } = quorum(request);
+  return (
+    <div className="px-4 py-2 border-t border-slate-100 flex flex-wrap items-center gap-2 text-xs">
+      <span className={cn("px-2 py-0.5 rounded-full font-medium capitalize", APPROVAL_STYLES[request.status])}>
+        {request.status}
+      </span>
+      {request.status === "pending" && (
+        <>
+          <span className="text-slate-500">
+            {approvals} of {needed} approval{needed === 1 ? "" : "s"}
+          </span>
+          {missing_roles.length > 0 && (
+            <span className="text-slate-500">
+              · needs {missing_roles.map((role) => ROLE_LABELS[role]).join(" or ")}
+            </span>
+          )}
+          {request.escalated_at && (
+            <span className="flex items-center gap-1 text-rose-600">
+              <BellRing className="h-3 w-3" />
+              Escalated
+            </span>
+          )}
+        </>
+      )}
+      {request.modified_action && (
+        <span className="w-full text-slate-600">
+          {request.status === "pending" ? "Proposed" : "Modified"} by {request.proposed_by}: {request.modified_action}
+        </span>
+      )}
+      {request.approvals.length > 0 && (
+        <span className="w-full text-slate-400">
+          Approved by {request.approvals.map((a) => a.by).join(", ")}
+        </span>
+      )}
+    </div>
+  );
+}
+
+function RecommendationCard({ rec, index, request, currentUser, onApprove, onReject, isPending }) {
   const [expanded, setExpanded] = useState(false);
+  const canVote = isPending && (!request || request.status === "pending");
+  const me = currentUser?.email;
+  const voteBlocked = request && (
+    request.approvals.some((a) => a.by === me) ||
+    (request.proposed_by === me && !request.policy.allow_self_approval)
+  );
   
   return (
     <div className={cn(
@@ -132,7 +187,15 @@ function RecommendationCard({ rec, index, onApprove, onReject, isPending }) {
         )}
       </div>
       
-      {isPending && (
+      {request && <ApprovalStatus request={request} />}
+      
+      {canVote && voteBlocked && (
+        <div className="px-4 py-3 bg-slate-50 border-t border-slate-200 text-right text-sm text-slate-500">
+          Waiting for another approver
+        </div>
+      )}
+      
+      {canVote && !voteBlocked && (
         <div className="px-4 py-3 bg-slate-50 border-t border-slate-200 flex items-center justify-end gap-2">
           <button
             onClick={() => onReject(index)}
@@ -152,7 +215,8 @@ function RecommendationCard({ rec, index, onApprove, onReject, isPending }) {
   );
 }
 
-export default function AIAnalysisPanel({ analysis, onApprove, onReject, isPending }) {
+// `approvals` holds the incident's ApprovalRequests (see appClient.approvals).
+export default function AIAnalysisPanel({ analysis, approvals = [], currentUser, onApprove, onReject, isPending }) {
   if (!analysis) return null;
   
   return (
@@ -220,6 +284,8 @@ export default function AIAnalysisPanel({ analysis, onApprove, onReject, isPendi
                 key={i} 
                 rec={rec} 
                 index={i} 
+                request={approvals.find((r) => r.recommendation_index === i)}
+                currentUser={currentUser}
                 onApprove={onApprove}
                 onReject={onReject}
                 isPending={isPending}
@@ -1,7 +1,8 @@
 import { format } from "date-fns";
 import { 
   AlertCircle, Brain, CheckCircle2, XCircle, User, 
-  MessageSquare, RefreshCw, FileText 
+  MessageSquare, RefreshCw, FileText, Trash2, RotateCcw, ShieldAlert, BellRing, AlarmClock, BellOff, Hand,
+  ArrowRightLeft, Send, Pencil, Pin, PinOff, Link2, Unlink, GitMerge, GitFork, Paperclip, Repeat
 } from "lucide-react";
 import { cn } from "@/lib/utils";
 
@@ -12,7 +13,28 @@ const actionConfig = {
   status_changed: { icon: RefreshCw, color: "text-sky-600", bg: "bg-sky-50" },
   assignment_changed: { icon: User, color: "text-amber-600", bg: "bg-amber-50" },
   resolution_recorded: { icon: FileText, color: "text-teal-600", bg: "bg-teal-50" },
-  comment_added: { icon: MessageSquare, color: "text-slate-600", bg: "bg-slate-100" }
+  comment_added: { icon: MessageSquare, color: "text-slate-600", bg: "bg-slate-100" },
+  record_deleted: { icon: Trash2, color: "text-rose-600", bg: "bg-rose-50" },
+  record_restored: { icon: RotateCcw, color: "text-emerald-600", bg: "bg-emerald-50" },
+  record_purged: { icon: Trash2, color: "text-slate-600", bg: "bg-slate-100" },
+  access_denied: { icon: ShieldAlert, color: "text-rose-600", bg: "bg-rose-50" },
+  approval_escalated: { icon: BellRing, color: "text-orange-600", bg: "bg-orange-50" },
+  sla_breached: { icon: AlarmClock, color: "text-rose-600", bg: "bg-rose-50" },
+  incident_paged: { icon: BellRing, color: "text-amber-600", bg: "bg-amber-50" },
+  escalation_exhausted: { icon: BellOff, color: "text-rose-600", bg: "bg-rose-50" },
+  incident_acknowledged: { icon: Hand, color: "text-emerald-600", bg: "bg-emerald-50" },
+  role_changed: { icon: ArrowRightLeft, color: "text-indigo-600", bg: "bg-indigo-50" },
+  stakeholder_update_sent: { icon: Send, color: "text-amber-600", bg: "bg-amber-50" },
+  comment_edited: { icon: Pencil, color: "text-slate-600", bg: "bg-slate-100" },
+  comment_pinned: { icon: Pin, color: "text-amber-600", bg: "bg-amber-50" },
+  comment_unpinned: { icon: PinOff, color: "text-slate-500", bg: "bg-slate-100" },
+  incident_linked: { icon: Link2, color: "text-indigo-600", bg: "bg-indigo-50" },
+  incident_unlinked: { icon: Unlink, color: "text-slate-500", bg: "bg-slate-100" },
+  incident_merged: { icon: GitMerge, color: "text-amber-600", bg: "bg-amber-50" },
+  incident_merged_into: { icon: GitMerge, color: "text-amber-600", bg: "bg-amber-50" },
+  incident_split: { icon: GitFork, color: "text-sky-600", bg: "bg-sky-50" },
+  report_attached: { icon: Paperclip, color: "text-sky-600", bg: "bg-sky-50" },
+  alert_deduplicated: { icon: Repeat, color: "text-amber-600", bg: "bg-amber-50" }
 };
 
 const actionLabels = {
@@ -22,7 +44,28 @@ const actionLabels = {
   status_changed: "Status Changed",
   assignment_changed: "Assignment Changed",
   resolution_recorded: "Resolution Recorded",
-  comment_added: "Comment Added"
+  comment_added: "Comment Added",
+  record_deleted: "Moved to Trash",
+  record_restored: "Restored from Trash",
+  record_purged: "Purged",
+  access_denied: "Access Denied",
+  approval_escalated: "Approval Escalated",
+  sla_breached: "SLA Breached",
+  incident_paged: "Paged",
+  escalation_exhausted: "Escalation Exhausted",
+  incident_acknowledged: "Acknowledged",
+  role_changed: "Role Handoff",
+  stakeholder_update_sent: "Stakeholder Update Sent",
+  comment_edited: "Comment Edited",
+  comment_pinned: "Key Finding Pinned",
+  comment_unpinned: "Key Finding Unpinned",
+  incident_linked: "Incident Linked",
+  incident_unlinked: "Incident Unlinked",
+  incident_merged: "Duplicates Merged In",
+  incident_merged_into: "Merged Into Another Incident",
+  incident_split: "Incident Split",
+  report_attached: "Duplicate Report Attached",
+  alert_deduplicated: "Alert Repeated"
 };
 
 export default function AuditTimeline({ logs }) {
@@ -1,13 +1,37 @@
 import { useState } from "react";
-import { Sparkles, Users, Terminal, MessageSquare, ChevronDown, ChevronUp, Copy, CheckCircle2 } from "lucide-react";
+import { useMutation, useQueryClient } from "@tanstack/react-query";
+import { format } from "date-fns";
+import { appClient } from "@/api/appClient";
+import { roleHolder } from "@/api/responders";
+import { usePermissions } from "@/hooks/use-permissions";
+import { useWorkspaceMembers } from "@/hooks/use-workspace-members";
+import { Sparkles, Users, Terminal, MessageSquare, ChevronDown, ChevronUp, Copy, CheckCircle2, Send } from "lucide-react";
 import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
 import { Button } from "@/components/ui/button";
 import { cn } from "@/lib/utils";
 import { toast } from "sonner";
 
-export default function AutomationPanel({ automation }) {
+export default function AutomationPanel({ automation, incident }) {
+  const queryClient = useQueryClient();
+  const { user, can } = usePermissions();
+  const { nameOf } = useWorkspaceMembers();
   const [expandedScripts, setExpandedScripts] = useState({});
   const [expandedComms, setExpandedComms] = useState({});
+
+  // Stakeholder updates belong to the communications lead (the commander
+  // until one is named); see src/api/responders.js.
+  const commsOwner = roleHolder(incident, "communications_lead");
+  const ownerRole = incident?.roles?.communications_lead ? "communications lead" : "commander";
+  const canSend = (commsOwner && commsOwner === user?.id) || can("incident.communicate");
+  const sent = automation.communications_sent || {};
+
+  const markSent = useMutation({
+    mutationFn: (key) => appClient.responders.markUpdateSent(automation.incident_id, key),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ["incidentAutomation", automation.incident_id] });
+      queryClient.invalidateQueries({ queryKey: ["auditLogs", automation.incident_id] });
+    }
+  });
   
   const toggleScript = (index) => {
     setExpandedScripts(prev => ({ ...prev, [index]: !prev[index] }));
@@ -144,6 +168,11 @@ export default function AutomationPanel({ automation }) {
               <MessageSquare className="h-4 w-4 text-amber-400" />
               Communication Drafts
             </CardTitle>
+            <p className="text-sm text-slate-400">
+              {commsOwner
+                ? `Owned by ${nameOf(commsOwner) || commsOwner} (${ownerRole})`
+                : "No commander or communications lead yet; assign one under Responders"}
+            </p>
           </CardHeader>
           <CardContent>
             <div className="space-y-3">
@@ -160,6 +189,11 @@ export default function AutomationPanel({ automation }) {
                       <div className="flex items-center gap-2">
                         <Icon className="h-4 w-4 text-amber-400" />
                         <span className="font-medium text-white text-sm">{label}</span>
+                        {sent[key] && (
+                          <span className="px-2 py-0.5 rounded text-xs font-medium bg-emerald-900/30 text-emerald-400">
+                            Sent by {sent[key].sent_by} at {format(new Date(sent[key].sent_at), "HH:mm")}
+                          </span>
+                        )}
                       </div>
                       {expandedComms[key] ? 
                         <ChevronUp className="h-4 w-4 text-slate-400" /> : 
@@ -174,14 +208,26 @@ export default function AutomationPanel({ automation }) {
                             <p className="text-sm text-slate-300 leading-relaxed flex-1">
                               {content}
                             </p>
-                            <Button
-                              variant="ghost"
-                              size="sm"
-                              onClick={() => copyToClipboard(content, label)}
-                              className="flex-shrink-0"
-                            >
-                              <Copy className="h-4 w-4" />
-                            </Button>
+                            <div className="flex flex-shrink-0 items-center gap-1">
+                              <Button
+                                variant="ghost"
+                                size="sm"
+                                onClick={() => copyToClipboard(content, label)}
+                              >
+                                <Copy className="h-4 w-4" />
+                              </Button>
+                              {!sent[key] && canSend && (
+                                <Button
+                                  variant="ghost"
+                                  size="sm"
+                                  disabled={markSent.isPending}
+                                  onClick={() => markSent.mutate(key)}
+                                  title="Mark as sent"
+                                >
+                                  <Send className="h-4 w-4" />
+                                </Button>
+                              )}
+                            </div>
                           </div>
                         </div>
                       </div>
@@ -190,6 +236,7 @@ export default function AutomationPanel({ automation }) {
                 );
               })}
             </div>
+            {markSent.error && <p className="text-sm text-rose-400 mt-3">{markSent.error.message}</p>}
           </CardContent>
         </Card>
       )}
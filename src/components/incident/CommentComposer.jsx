@@ -0,0 +1,100 @@
+import { useRef, useState } from "react";
+import { MAX_COMMENT_LENGTH, mentionHandle } from "@/api/comments";
+import { Button } from "@/components/ui/button";
+import { Textarea } from "@/components/ui/textarea";
+
+// The "@partial" being typed just before the cursor, if any.
+const PARTIAL_MENTION = /(?:^|[^\w@.])@([\w.-]*)$/;
+
+// Markdown textarea that suggests workspace members while an @mention is typed.
+export default function CommentComposer({
+  members,
+  initialValue = "",
+  placeholder = "Add a comment. Markdown and @mentions work.",
+  submitLabel = "Comment",
+  isPending = false,
+  onSubmit,
+  onCancel
+}) {
+  const [body, setBody] = useState(initialValue);
+  const [partial, setPartial] = useState(null);
+  const textarea = useRef(null);
+
+  const onChange = (e) => {
+    setBody(e.target.value);
+    const match = e.target.value.slice(0, e.target.selectionStart).match(PARTIAL_MENTION);
+    setPartial(match ? match[1].toLowerCase() : null);
+  };
+
+  const suggestions =
+    partial === null
+      ? []
+      : members
+          .filter((m) =>
+            [mentionHandle(m), m.full_name || ""].some((text) => text.toLowerCase().startsWith(partial))
+          )
+          .slice(0, 5);
+
+  const insert = (member) => {
+    const cursor = textarea.current.selectionStart;
+    const start = body.slice(0, cursor).lastIndexOf("@");
+    const handle = `@${mentionHandle(member)} `;
+    setBody(body.slice(0, start) + handle + body.slice(cursor));
+    setPartial(null);
+    requestAnimationFrame(() => {
+      textarea.current.focus();
+      textarea.current.setSelectionRange(start + handle.length, start + handle.length);
+    });
+  };
+
+  // `onSubmit` returns a promise; its error is shown by the caller.
+  const submit = () => onSubmit(body).then(() => setBody(""), () => {});
+
+  return (
+    <div className="space-y-2">
+      <div className="relative">
+        <Textarea
+          ref={textarea}
+          value={body}
+          onChange={onChange}
+          onKeyDown={(e) => {
+            if (e.key === "Escape") setPartial(null);
+            if (e.key === "Enter" && (e.metaKey || e.ctrlKey) && body.trim()) submit();
+          }}
+          placeholder={placeholder}
+          maxLength={MAX_COMMENT_LENGTH}
+          rows={3}
+        />
+        {suggestions.length > 0 && (
+          <ul className="absolute z-10 left-2 top-full mt-1 w-64 bg-white border border-slate-200 rounded-md shadow-md py-1">
+            {suggestions.map((member) => (
+              <li key={member.id}>
+                <button
+                  type="button"
+                  className="w-full text-left px-3 py-1.5 text-sm hover:bg-slate-100"
+                  onMouseDown={(e) => {
+                    e.preventDefault();
+                    insert(member);
+                  }}
+                >
+                  <span className="text-slate-900">{member.full_name || member.email}</span>
+                  <span className="text-slate-400 ml-2">@{mentionHandle(member)}</span>
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+      <div className="flex justify-end gap-2">
+        {onCancel && (
+          <Button variant="ghost" size="sm" onClick={onCancel}>
+            Cancel
+          </Button>
+        )}
+        <Button size="sm" disabled={!body.trim() || isPending} onClick={submit}>
+          {submitLabel}
+        </Button>
+      </div>
+    </div>
+  );
+}
@@ -12,14 +12,31 @@ import { Textarea } from "@/components/ui/textarea";
 import { Label } from "@/components/ui/label";
 import { RadioGroup, RadioGroupItem } from "@/components/ui/radio-group";
 import { AlertTriangle, CheckCircle2, XCircle, Edit3 } from "lucide-react";
+import { quorum } from "@/api/approvals";
+import { ROLE_LABELS } from "@/api/rbac";
+
+// e.g. "Needs 2 approvals including an Incident Commander. 1 so far."
+function policySummary(request) {
+  const { policy } = request;
+  const { approvals } = quorum(request);
+  const roles = policy.required_roles.map((role) => ROLE_LABELS[role]).join(" or ");
+  return [
+    `Needs ${policy.min_approvals} approval${policy.min_approvals === 1 ? "" : "s"}`,
+    roles ? ` including ${/^[AEIOU]/.test(roles) ? "an" : "a"} ${roles}` : "",
+    `. ${approvals} so far.`,
+    policy.allow_self_approval ? "" : " Whoever proposes a modification cannot approve it."
+  ].join("");
+}
 
 export default function DecisionDialog({ 
   open, 
   onOpenChange, 
   recommendation, 
   recommendationIndex,
+  request,
   onSubmit,
-  isSubmitting 
+  isSubmitting,
+  error
 }) {
   const [decision, setDecision] = useState("");
   const [reason, setReason] = useState("");
@@ -55,6 +72,14 @@ export default function DecisionDialog({
           <div className="p-3 bg-slate-50 rounded-lg">
             <p className="text-xs uppercase tracking-wider text-slate-400 mb-1">AI Recommendation</p>
             <p className="text-sm font-medium text-slate-800">{recommendation?.action}</p>
+            {request?.modified_action && (
+              <p className="text-sm text-slate-600 mt-2">
+                Proposed by {request.proposed_by}: {request.modified_action}
+              </p>
+            )}
+            {request && (
+              <p className="text-xs text-slate-500 mt-2">{policySummary(request)}</p>
+            )}
           </div>
           
           <div className="space-y-3">
@@ -115,6 +140,9 @@ export default function DecisionDialog({
               This will be logged for audit and governance purposes.
             </p>
           </div>
+          {error && (
+            <p className="text-sm text-rose-600">{error.message}</p>
+          )}
         </div>
         
         <DialogFooter>
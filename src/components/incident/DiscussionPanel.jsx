@@ -0,0 +1,266 @@
+import { useState } from "react";
+import { useQuery, useMutation, useQueryClient } from "@tanstack/react-query";
+import { format, formatDistanceToNow } from "date-fns";
+import ReactMarkdown from "react-markdown";
+import { appClient } from "@/api/appClient";
+import { commentThreads, mentionHandle } from "@/api/comments";
+import { usePermissions } from "@/hooks/use-permissions";
+import { useWorkspaceMembers } from "@/hooks/use-workspace-members";
+import { MessageSquare, Pencil, Pin, PinOff, Reply, Trash2 } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import { Popover, PopoverContent, PopoverTrigger } from "@/components/ui/popover";
+import CommentComposer from "@/components/incident/CommentComposer";
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Turn the resolved @mentions into "#mention" links so they can be highlighted.
+function linkMentions(body, mentioned) {
+  const handles = mentioned.flatMap((u) => [mentionHandle(u), u.email.split("@")[0]]);
+  if (!handles.length) return body;
+  const pattern = new RegExp(`(^|[^\\w@.])@(${handles.map(escapeRegExp).join("|")})(?![\\w-]|\\.\\w)`, "gi");
+  return body.replace(pattern, (_, before, handle) => `${before}[@${handle}](#mention)`);
+}
+
+const markdownComponents = {
+  a: ({ href, children }) =>
+    href === "#mention" ? (
+      <span className="px-1 rounded bg-indigo-50 text-indigo-700 font-medium">{children}</span>
+    ) : (
+      <a href={href} target="_blank" rel="noreferrer" className="text-indigo-600 underline">
+        {children}
+      </a>
+    )
+};
+
+function EditHistory({ comment }) {
+  const { data: revisions = [] } = useQuery({
+    queryKey: ["revisions", "Comment", comment.id],
+    queryFn: () => appClient.revisions.list("Comment", comment.id)
+  });
+  const edits = revisions.filter((r) => r.op === "update" && r.previous.body !== undefined);
+
+  return (
+    <Popover>
+      <PopoverTrigger asChild>
+        <button type="button" className="text-xs text-slate-400 hover:text-slate-600 underline-offset-2 hover:underline">
+          edited
+        </button>
+      </PopoverTrigger>
+      <PopoverContent className="w-96 max-h-80 overflow-y-auto space-y-3">
+        <p className="text-sm font-medium text-slate-900">Earlier versions</p>
+        {edits.map((revision) => (
+          <div key={revision.id} className="border-l-2 border-slate-200 pl-3">
+            <p className="text-xs text-slate-400">
+              Replaced {format(new Date(revision.created_date), "MMM d, HH:mm")} by {revision.actor}
+            </p>
+            <p className="text-sm text-slate-600 whitespace-pre-wrap">{revision.previous.body}</p>
+          </div>
+        ))}
+      </PopoverContent>
+    </Popover>
+  );
+}
+
+function CommentItem({ comment, depth, context }) {
+  const { user, can, users, members, nameOf, replyTo, setReplyTo, editing, setEditing, mutations } = context;
+  const mine = comment.author_id === user?.id;
+  const canChange = !comment.deleted_at && (mine || can("comment.moderate"));
+
+  return (
+    <div className={depth > 0 ? "pl-4 border-l-2 border-slate-100" : ""}>
+      <div className={`rounded-lg p-3 ${comment.pinned ? "bg-amber-50/60 border border-amber-200" : ""}`}>
+        <div className="flex items-center gap-2 text-sm">
+          <span className="font-medium text-slate-900">{nameOf(comment.author_id) || comment.author_email}</span>
+          <span className="text-xs text-slate-400" title={format(new Date(comment.created_date), "MMM d, yyyy HH:mm")}>
+            {formatDistanceToNow(new Date(comment.created_date), { addSuffix: true })}
+          </span>
+          {comment.edited_at && !comment.deleted_at && <EditHistory comment={comment} />}
+          {comment.pinned && (
+            <span className="flex items-center gap-1 text-xs text-amber-700">
+              <Pin className="h-3 w-3" />
+              Key finding
+            </span>
+          )}
+        </div>
+
+        {comment.deleted_at ? (
+          <p className="text-sm italic text-slate-400 mt-1">This comment was deleted.</p>
+        ) : editing === comment.id ? (
+          <div className="mt-2">
+            <CommentComposer
+              members={members}
+              initialValue={comment.body}
+              submitLabel="Save"
+              isPending={mutations.edit.isPending}
+              onSubmit={(body) => mutations.edit.mutateAsync({ id: comment.id, body })}
+              onCancel={() => setEditing(null)}
+            />
+          </div>
+        ) : (
+          <div className="prose prose-sm prose-slate max-w-none mt-1 text-slate-700">
+            <ReactMarkdown components={markdownComponents}>
+              {linkMentions(comment.body, users.filter((u) => comment.mentions?.includes(u.id)))}
+            </ReactMarkdown>
+          </div>
+        )}
+
+        {!comment.deleted_at && editing !== comment.id && (
+          <div className="flex items-center gap-1 mt-1 -ml-2">
+            {can("incident.comment") && (
+              <Button variant="ghost" size="sm" className="h-7 text-slate-500" onClick={() => setReplyTo(comment.id)}>
+                <Reply className="h-3.5 w-3.5 mr-1" />
+                Reply
+              </Button>
+            )}
+            {can("comment.pin") && (
+              <Button
+                variant="ghost"
+                size="sm"
+                className="h-7 text-slate-500"
+                disabled={mutations.pin.isPending}
+                onClick={() => mutations.pin.mutate({ id: comment.id, pinned: !comment.pinned })}
+              >
+                {comment.pinned ? <PinOff className="h-3.5 w-3.5 mr-1" /> : <Pin className="h-3.5 w-3.5 mr-1" />}
+                {comment.pinned ? "Unpin" : "Pin"}
+              </Button>
+            )}
+            {canChange && (
+              <>
+                <Button variant="ghost" size="sm" className="h-7 text-slate-500" onClick={() => setEditing(comment.id)}>
+                  <Pencil className="h-3.5 w-3.5 mr-1" />
+                  Edit
+                </Button>
+                <Button
+                  variant="ghost"
+                  size="sm"
+                  className="h-7 text-slate-500 hover:text-rose-600"
+                  disabled={mutations.remove.isPending}
+                  onClick={() => mutations.remove.mutate(comment.id)}
+                >
+                  <Trash2 className="h-3.5 w-3.5 mr-1" />
+                  Delete
+                </Button>
+              </>
+            )}
+          </div>
+        )}
+      </div>
+
+      {replyTo === comment.id && (
+        <div className="pl-4 mt-2">
+          <CommentComposer
+            members={members}
+            placeholder={`Reply to ${nameOf(comment.author_id) || comment.author_email}`}
+            submitLabel="Reply"
+            isPending={mutations.add.isPending}
+            onSubmit={(body) => mutations.add.mutateAsync({ body, parentId: comment.id })}
+            onCancel={() => setReplyTo(null)}
+          />
+        </div>
+      )}
+
+      {comment.replies.length > 0 && (
+        <div className="mt-2 space-y-2">
+          {comment.replies.map((reply) => (
+            <CommentItem key={reply.id} comment={reply} depth={depth + 1} context={context} />
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Threaded discussion on an incident (see src/api/comments.js).
+export default function DiscussionPanel({ incident }) {
+  const queryClient = useQueryClient();
+  const { user, can } = usePermissions();
+  const { users, members, nameOf } = useWorkspaceMembers();
+  const [replyTo, setReplyTo] = useState(null);
+  const [editing, setEditing] = useState(null);
+
+  const { data: comments = [], isLoading } = useQuery({
+    queryKey: ["comments", incident.id],
+    queryFn: () => appClient.comments.list(incident.id)
+  });
+
+  const onSuccess = () => {
+    queryClient.invalidateQueries({ queryKey: ["comments", incident.id] });
+    queryClient.invalidateQueries({ queryKey: ["auditLogs", incident.id] });
+  };
+  const mutations = {
+    add: useMutation({
+      mutationFn: ({ body, parentId }) => appClient.comments.add(incident.id, { body, parentId }),
+      onSuccess: () => {
+        setReplyTo(null);
+        onSuccess();
+      }
+    }),
+    edit: useMutation({
+      mutationFn: ({ id, body }) => appClient.comments.edit(id, body),
+      onSuccess: () => {
+        setEditing(null);
+        onSuccess();
+      }
+    }),
+    remove: useMutation({ mutationFn: (id) => appClient.comments.remove(id), onSuccess }),
+    pin: useMutation({ mutationFn: ({ id, pinned }) => appClient.comments.pin(id, pinned), onSuccess })
+  };
+  const error = Object.values(mutations).find((m) => m.error)?.error;
+
+  const threads = commentThreads(comments);
+  const pinned = comments.filter((c) => c.pinned && !c.deleted_at);
+  const context = { user, can, users, members, nameOf, replyTo, setReplyTo, editing, setEditing, mutations };
+
+  return (
+    <div className="bg-white border border-slate-200 rounded-xl p-6 space-y-6">
+      <div>
+        <h2 className="text-lg font-semibold text-slate-900 flex items-center gap-2">
+          <MessageSquare className="h-5 w-5 text-indigo-600" />
+          Discussion
+        </h2>
+        <p className="text-sm text-slate-500 mt-1">
+          Mention someone with @ to notify them. Pinned comments are listed as key findings in the post-incident review.
+        </p>
+      </div>
+
+      {pinned.length > 0 && (
+        <div className="space-y-1.5">
+          <h3 className="text-sm font-semibold text-slate-900 flex items-center gap-1.5">
+            <Pin className="h-4 w-4 text-amber-500" />
+            Key findings
+          </h3>
+          <ul className="space-y-1">
+            {pinned.map((comment) => (
+              <li key={comment.id} className="text-sm text-slate-600 truncate">
+                {comment.body.split("\n")[0]}
+                <span className="text-slate-400"> · {nameOf(comment.author_id) || comment.author_email}</span>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {isLoading ? (
+        <p className="text-sm text-slate-400">Loading comments...</p>
+      ) : threads.length === 0 ? (
+        <p className="text-sm text-slate-400">No comments yet.</p>
+      ) : (
+        <div className="space-y-3">
+          {threads.map((comment) => (
+            <CommentItem key={comment.id} comment={comment} depth={0} context={context} />
+          ))}
+        </div>
+      )}
+
+      {error && <p className="text-sm text-rose-600">{error.message}</p>}
+
+      {can("incident.comment") && (
+        <CommentComposer
+          members={members}
+          isPending={mutations.add.isPending}
+          onSubmit={(body) => mutations.add.mutateAsync({ body })}
+        />
+      )}
+    </div>
+  );
+}
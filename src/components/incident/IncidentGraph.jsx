@@ -0,0 +1,124 @@
+import { Link } from "react-router-dom";
+import { createPageUrl } from "@/utils";
+import { STATUS_LABELS } from "@/api/lifecycle";
+
+const NODE_WIDTH = 190;
+const NODE_HEIGHT = 48;
+const COLUMN_GAP = 70;
+const ROW_GAP = 18;
+
+const EDGE_STYLES = {
+  parent: { stroke: "#6366f1", label: "Parent / child" },
+  split: { stroke: "#0ea5e9", label: "Split out" },
+  related: { stroke: "#94a3b8", label: "Related", dashed: true },
+  merged: { stroke: "#f59e0b", label: "Merged duplicate" },
+};
+
+const truncate = (text, length) => (text.length > length ? `${text.slice(0, length - 1)}…` : text);
+
+// Columns by link distance from the root, so the root sits on the left.
+function layout(nodes, edges, rootId) {
+  const depth = new Map([[rootId, 0]]);
+  const queue = [rootId];
+  while (queue.length) {
+    const id = queue.shift();
+    for (const { from, to } of edges) {
+      const next = from === id ? to : to === id ? from : null;
+      if (next && !depth.has(next)) {
+        depth.set(next, depth.get(id) + 1);
+        queue.push(next);
+      }
+    }
+  }
+  const columns = [];
+  for (const node of nodes) {
+    const d = depth.get(node.id) ?? 0;
+    if (!columns[d]) columns[d] = [];
+    columns[d].push(node);
+  }
+  const positions = new Map();
+  columns.forEach((column, x) =>
+    column.forEach((node, y) =>
+      positions.set(node.id, { x: x * (NODE_WIDTH + COLUMN_GAP), y: y * (NODE_HEIGHT + ROW_GAP) })
+    )
+  );
+  return {
+    positions,
+    width: columns.length * (NODE_WIDTH + COLUMN_GAP) - COLUMN_GAP,
+    height: Math.max(...columns.map((c) => c.length)) * (NODE_HEIGHT + ROW_GAP) - ROW_GAP,
+  };
+}
+
+// The incidents linked to `rootId` (see appClient.links.graph), as an SVG.
+export default function IncidentGraph({ graph, rootId }) {
+  const { nodes, edges } = graph;
+  const { positions, width, height } = layout(nodes, edges, rootId);
+  const kinds = [...new Set(edges.map((e) => e.kind))];
+
+  return (
+    <div className="space-y-3">
+      <div className="overflow-x-auto">
+        <svg width={width + 2} height={height + 2} className="block">
+          {edges.map(({ from, to, kind }) => {
+            const a = positions.get(from);
+            const b = positions.get(to);
+            const style = EDGE_STYLES[kind];
+            const [left, right] = a.x <= b.x ? [a, b] : [b, a];
+            const x1 = left.x + (left.x === right.x ? NODE_WIDTH / 2 : NODE_WIDTH);
+            const x2 = right.x + (left.x === right.x ? NODE_WIDTH / 2 : 0);
+            return (
+              <line
+                key={`${kind}-${from}-${to}`}
+                x1={x1 + 1}
+                y1={left.y + NODE_HEIGHT / 2 + 1}
+                x2={x2 + 1}
+                y2={right.y + NODE_HEIGHT / 2 + 1}
+                stroke={style.stroke}
+                strokeWidth={2}
+                strokeDasharray={style.dashed ? "4 4" : undefined}
+              />
+            );
+          })}
+          {nodes.map((node) => {
+            const { x, y } = positions.get(node.id);
+            const isRoot = node.id === rootId;
+            return (
+              <Link key={node.id} to={createPageUrl(`IncidentDetail?id=${node.id}`)}>
+                <g transform={`translate(${x + 1}, ${y + 1})`}>
+                  <rect
+                    width={NODE_WIDTH}
+                    height={NODE_HEIGHT}
+                    rx={8}
+                    fill={isRoot ? "#eef2ff" : "#ffffff"}
+                    stroke={isRoot ? "#6366f1" : "#cbd5e1"}
+                    strokeWidth={isRoot ? 2 : 1}
+                    opacity={node.merged_into ? 0.6 : 1}
+                  />
+                  <text x={10} y={20} className="fill-slate-900 text-[12px] font-medium">
+                    {truncate(node.title, 26)}
+                  </text>
+                  <text x={10} y={37} className="fill-slate-500 text-[11px]">
+                    {node.severity} · {node.merged_into ? "merged" : STATUS_LABELS[node.status] || node.status}
+                  </text>
+                </g>
+              </Link>
+            );
+          })}
+        </svg>
+      </div>
+      {kinds.length > 0 && (
+        <div className="flex flex-wrap gap-4 text-xs text-slate-500">
+          {kinds.map((kind) => (
+            <span key={kind} className="flex items-center gap-1.5">
+              <span
+                className="inline-block w-5 border-t-2"
+                style={{ borderColor: EDGE_STYLES[kind].stroke, borderStyle: EDGE_STYLES[kind].dashed ? "dashed" : "solid" }}
+              />
+              {EDGE_STYLES[kind].label}
+            </span>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,308 @@
+import { useState } from "react";
+import { useQuery, useMutation, useQueryClient } from "@tanstack/react-query";
+import { Link } from "react-router-dom";
+import { format } from "date-fns";
+import { createPageUrl } from "@/utils";
+import { appClient } from "@/api/appClient";
+import { LINK_KINDS, LINK_LABELS } from "@/api/incidentLinks";
+import { SEVERITIES } from "@/api/schemas";
+import { usePermissions } from "@/hooks/use-permissions";
+import { GitFork, GitMerge, Link2, Network, Paperclip, Unlink } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import { Checkbox } from "@/components/ui/checkbox";
+import { Input } from "@/components/ui/input";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import IncidentGraph from "@/components/incident/IncidentGraph";
+
+const CLOSED_STATUSES = ["resolved", "closed"];
+
+function IncidentSelect({ incidents, value, placeholder, onChange }) {
+  return (
+    <Select value={value || ""} onValueChange={onChange}>
+      <SelectTrigger className="w-[280px]">
+        <SelectValue placeholder={placeholder} />
+      </SelectTrigger>
+      <SelectContent>
+        {incidents.map((incident) => (
+          <SelectItem key={incident.id} value={incident.id}>{incident.title}</SelectItem>
+        ))}
+      </SelectContent>
+    </Select>
+  );
+}
+
+// Parent/child, related, merged and split incidents (see src/api/incidentLinks.js).
+export default function IncidentLinksPanel({ incident }) {
+  const queryClient = useQueryClient();
+  const { can } = usePermissions();
+  const [link, setLink] = useState({ other: "", kind: "related" });
+  const [duplicates, setDuplicates] = useState([]);
+  const [split, setSplit] = useState({ title: "", severity: incident.severity, systems: [] });
+
+  const { data: graph = { nodes: [], edges: [] } } = useQuery({
+    queryKey: ["incidentLinks", incident.id],
+    queryFn: () => appClient.links.graph(incident.id)
+  });
+
+  const { data: allIncidents = [] } = useQuery({
+    queryKey: ["allIncidents"],
+    queryFn: () => appClient.entities.Incident.listAll()
+  });
+
+  const onSuccess = () => {
+    queryClient.invalidateQueries({ queryKey: ["incidentLinks", incident.id] });
+    queryClient.invalidateQueries({ queryKey: ["incident", incident.id] });
+    queryClient.invalidateQueries({ queryKey: ["auditLogs", incident.id] });
+  };
+  const linkMutation = useMutation({
+    mutationFn: () => appClient.links.link(incident.id, link.other, link.kind),
+    onSuccess: () => {
+      setLink({ other: "", kind: link.kind });
+      onSuccess();
+    }
+  });
+  const unlinkMutation = useMutation({ mutationFn: (otherId) => appClient.links.unlink(incident.id, otherId), onSuccess });
+  const mergeMutation = useMutation({
+    mutationFn: () => appClient.links.merge(incident.id, duplicates),
+    onSuccess: () => {
+      setDuplicates([]);
+      onSuccess();
+    }
+  });
+  const splitMutation = useMutation({
+    mutationFn: () =>
+      appClient.links.split(incident.id, [
+        { title: split.title.trim(), severity: split.severity, affected_systems: split.systems }
+      ]),
+    onSuccess: () => {
+      setSplit({ title: "", severity: incident.severity, systems: [] });
+      onSuccess();
+    }
+  });
+  const error = [linkMutation, unlinkMutation, mergeMutation, splitMutation].find((m) => m.error)?.error;
+
+  const titleOf = (id) => allIncidents.find((i) => i.id === id)?.title || id;
+  const others = allIncidents.filter((i) => i.id !== incident.id && !i.merged_into);
+  const direct = [
+    ...(incident.parent_id ? [{ id: incident.parent_id, kind: "parent" }] : []),
+    ...allIncidents.filter((i) => i.parent_id === incident.id).map((i) => ({ id: i.id, kind: "child" })),
+    ...(incident.related_ids || []).map((id) => ({ id, kind: "related" })),
+  ];
+  const merged = incident.merged_ids || [];
+
+  if (incident.merged_into) {
+    return (
+      <div className="bg-white border border-slate-200 rounded-xl p-6">
+        <p className="flex items-center gap-2 text-slate-700">
+          <GitMerge className="h-5 w-5 text-amber-500" />
+          This incident was merged into{" "}
+          <Link to={createPageUrl(`IncidentDetail?id=${incident.merged_into}`)} className="text-indigo-600 hover:underline">
+            {titleOf(incident.merged_into)}
+          </Link>
+          . Its decisions and comments moved there.
+        </p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="bg-white border border-slate-200 rounded-xl p-6 space-y-6">
+      <div>
+        <h2 className="text-lg font-semibold text-slate-900 flex items-center gap-2">
+          <Network className="h-5 w-5 text-indigo-600" />
+          Linked Incidents
+        </h2>
+        <p className="text-sm text-slate-500 mt-1">
+          Analytics counts a child incident under its parent and leaves merged duplicates out.
+        </p>
+      </div>
+
+      {graph.edges.length > 0 ? (
+        <IncidentGraph graph={graph} rootId={incident.id} />
+      ) : (
+        <p className="text-sm text-slate-400">Not linked to any other incident.</p>
+      )}
+
+      {(direct.length > 0 || merged.length > 0) && (
+        <ul className="divide-y divide-slate-100">
+          {direct.map(({ id, kind }) => (
+            <li key={`${kind}-${id}`} className="flex items-center gap-3 py-2 text-sm">
+              <span className="w-20 text-slate-500">{LINK_LABELS[kind]}</span>
+              <Link to={createPageUrl(`IncidentDetail?id=${id}`)} className="flex-1 text-indigo-600 hover:underline">
+                {titleOf(id)}
+              </Link>
+              {can("incident.link") && (
+                <Button
+                  variant="ghost"
+                  size="sm"
+                  disabled={unlinkMutation.isPending}
+                  onClick={() => unlinkMutation.mutate(id)}
+                >
+                  <Unlink className="h-4 w-4 mr-1.5" />
+                  Unlink
+                </Button>
+              )}
+            </li>
+          ))}
+          {merged.map((id) => (
+            <li key={`merged-${id}`} className="flex items-center gap-3 py-2 text-sm">
+              <span className="w-20 text-slate-500">{LINK_LABELS.merged}</span>
+              <Link to={createPageUrl(`IncidentDetail?id=${id}`)} className="flex-1 text-slate-600 hover:underline">
+                {titleOf(id)}
+              </Link>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {incident.attached_reports?.length > 0 && (
+        <div className="space-y-2">
+          <h3 className="text-sm font-semibold text-slate-900 flex items-center gap-1.5">
+            <Paperclip className="h-4 w-4" />
+            Attached reports
+          </h3>
+          <ul className="space-y-1.5">
+            {incident.attached_reports.map((report, i) => (
+              <li key={i} className="text-sm text-slate-600">
+                <span className="text-slate-900">{report.title}</span>
+                {report.source && <span className="text-slate-400"> · {report.source}</span>}
+                <span className="text-slate-400">
+                  {" "}· {report.reported_by}, {format(new Date(report.reported_at), "MMM d, HH:mm")}
+                </span>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {can("incident.link") && (
+        <div className="space-y-2">
+          <h3 className="text-sm font-semibold text-slate-900 flex items-center gap-1.5">
+            <Link2 className="h-4 w-4" />
+            Link an incident
+          </h3>
+          <div className="flex flex-wrap items-center gap-2">
+            <Select value={link.kind} onValueChange={(kind) => setLink({ ...link, kind })}>
+              <SelectTrigger className="w-[140px]">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                {LINK_KINDS.map((kind) => (
+                  <SelectItem key={kind} value={kind}>{LINK_LABELS[kind]}</SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+            <IncidentSelect
+              incidents={others}
+              value={link.other}
+              placeholder="Choose an incident..."
+              onChange={(other) => setLink({ ...link, other })}
+            />
+            <Button size="sm" disabled={!link.other || linkMutation.isPending} onClick={() => linkMutation.mutate()}>
+              Link
+            </Button>
+          </div>
+        </div>
+      )}
+
+      {can("incident.merge") && (
+        <div className="space-y-2">
+          <h3 className="text-sm font-semibold text-slate-900 flex items-center gap-1.5">
+            <GitMerge className="h-4 w-4" />
+            Merge duplicates into this incident
+          </h3>
+          <p className="text-xs text-slate-500">
+            Affected systems, tags and AI analysis are combined and severity takes the worst. Decisions and comments
+            move here, and the duplicates are closed.
+          </p>
+          <div className="max-h-40 overflow-y-auto space-y-1.5">
+            {others
+              .filter((i) => !CLOSED_STATUSES.includes(i.status))
+              .map((other) => (
+                <label key={other.id} className="flex items-center gap-2 text-sm text-slate-700">
+                  <Checkbox
+                    checked={duplicates.includes(other.id)}
+                    onCheckedChange={(checked) =>
+                      setDuplicates(checked ? [...duplicates, other.id] : duplicates.filter((id) => id !== other.id))
+                    }
+                  />
+                  {other.title}
+                  <span className="text-slate-400">· {other.severity}</span>
+                </label>
+              ))}
+          </div>
+          <Button
+            size="sm"
+            variant="outline"
+            disabled={!duplicates.length || mergeMutation.isPending}
+            onClick={() => mergeMutation.mutate()}
+          >
+            Merge {duplicates.length || ""} incident{duplicates.length === 1 ? "" : "s"}
+          </Button>
+        </div>
+      )}
+
+      {can("incident.link") && (
+        <div className="space-y-2">
+          <h3 className="text-sm font-semibold text-slate-900 flex items-center gap-1.5">
+            <GitFork className="h-4 w-4" />
+            Split out a new incident
+          </h3>
+          <div className="flex flex-wrap items-center gap-2">
+            <Input
+              value={split.title}
+              onChange={(e) => setSplit({ ...split, title: e.target.value })}
+              placeholder="Title of the new incident"
+              className="flex-1 min-w-[240px]"
+            />
+            <Select value={split.severity} onValueChange={(severity) => setSplit({ ...split, severity })}>
+              <SelectTrigger className="w-[120px]">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                {SEVERITIES.map((severity) => (
+                  <SelectItem key={severity} value={severity}>{severity}</SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+          {incident.affected_systems?.length > 0 && (
+            <div className="flex flex-wrap gap-3">
+              <span className="text-xs text-slate-500">Systems that move with it:</span>
+              {incident.affected_systems.map((system) => (
+                <label key={system} className="flex items-center gap-1.5 text-sm text-slate-700">
+                  <Checkbox
+                    checked={split.systems.includes(system)}
+                    onCheckedChange={(checked) =>
+                      setSplit({
+                        ...split,
+                        systems: checked ? [...split.systems, system] : split.systems.filter((s) => s !== system)
+                      })
+                    }
+                  />
+                  {system}
+                </label>
+              ))}
+            </div>
+          )}
+          <Button
+            size="sm"
+            variant="outline"
+            disabled={!split.title.trim() || splitMutation.isPending}
+            onClick={() => splitMutation.mutate()}
+          >
+            Split out
+          </Button>
+        </div>
+      )}
+
+      {error && <p className="text-sm text-rose-600">{error.message}</p>}
+    </div>
+  );
+}
@@ -1,8 +1,9 @@
 import { 
   FileText, TrendingUp, AlertCircle, CheckCircle2, 
-  Target, Lightbulb, ChevronDown, ChevronUp, Calendar, User
+  Target, Lightbulb, ChevronDown, ChevronUp, Calendar, User, Pin, MessageSquare
 } from "lucide-react";
 import { useState } from "react";
+import ReactMarkdown from "react-markdown";
 import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
 import { Badge } from "@/components/ui/badge";
 import { cn } from "@/lib/utils";
@@ -12,6 +13,7 @@ export default function PostIncidentReviewPanel({ review }) {
   const [expandedSections, setExpandedSections] = useState({
     timeline: false,
     rootCause: true,
+    findings: true,
     learnings: true,
     improvements: true,
     actions: true
@@ -184,6 +186,50 @@ export default function PostIncidentReviewPanel({ review }) {
         </Card>
       )}
       
+      {/* Key Findings (pinned comments from the discussion) */}
+      {(review.key_findings?.length > 0 || review.discussion?.comments > 0) && (
+        <Card className="bg-slate-900 border-slate-800">
+          <CardHeader
+            className="cursor-pointer hover:bg-slate-800/50 transition-colors"
+            onClick={() => toggleSection('findings')}
+          >
+            <CardTitle className="text-white flex items-center justify-between">
+              <span className="flex items-center gap-2">
+                <Pin className="h-5 w-5 text-amber-400" />
+                Key Findings
+              </span>
+              {expandedSections.findings ? <ChevronUp className="h-5 w-5" /> : <ChevronDown className="h-5 w-5" />}
+            </CardTitle>
+          </CardHeader>
+          {expandedSections.findings && (
+            <CardContent className="space-y-3">
+              {review.key_findings?.length > 0 ? (
+                review.key_findings.map((finding, i) => (
+                  <div key={finding.comment_id || i} className="p-4 bg-slate-800/50 rounded-lg border border-slate-700">
+                    <div className="prose prose-sm prose-invert max-w-none text-slate-300">
+                      <ReactMarkdown>{finding.finding}</ReactMarkdown>
+                    </div>
+                    <p className="text-xs text-slate-500 mt-2">
+                      {finding.author}
+                      {finding.pinned_by && finding.pinned_by !== finding.author && ` · pinned by ${finding.pinned_by}`}
+                    </p>
+                  </div>
+                ))
+              ) : (
+                <p className="text-sm text-slate-400">No comments were pinned as key findings.</p>
+              )}
+              {review.discussion?.comments > 0 && (
+                <p className="flex items-center gap-2 text-sm text-slate-400">
+                  <MessageSquare className="h-4 w-4" />
+                  {review.discussion.comments} comment(s) in {review.discussion.threads} thread(s) from{" "}
+                  {review.discussion.participants.join(", ")}
+                </p>
+              )}
+            </CardContent>
+          )}
+        </Card>
+      )}
+
       {/* Key Learnings */}
       <Card className="bg-slate-900 border-slate-800">
         <CardHeader 
@@ -0,0 +1,203 @@
+import { useState } from "react";
+import { useMutation, useQueryClient } from "@tanstack/react-query";
+import { format } from "date-fns";
+import { appClient } from "@/api/appClient";
+import { EXPERTS_ROLE, INCIDENT_ROLE_LABELS, LEAD_ROLES } from "@/api/responders";
+import { usePermissions } from "@/hooks/use-permissions";
+import { useWorkspaceMembers } from "@/hooks/use-workspace-members";
+import { ArrowRightLeft, UserPlus, Users, X } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+
+function MemberSelect({ members, value, exclude = [], placeholder, onChange }) {
+  return (
+    <Select value={value || ""} onValueChange={onChange}>
+      <SelectTrigger className="w-[200px]">
+        <SelectValue placeholder={placeholder} />
+      </SelectTrigger>
+      <SelectContent>
+        {members
+          .filter((m) => !exclude.includes(m.id))
+          .map((member) => (
+            <SelectItem key={member.id} value={member.id}>{member.full_name || member.email}</SelectItem>
+          ))}
+      </SelectContent>
+    </Select>
+  );
+}
+
+// Who runs the response (see src/api/responders.js), with audited handoffs.
+export default function RespondersPanel({ incident, auditLogs = [] }) {
+  const queryClient = useQueryClient();
+  const { user, can } = usePermissions();
+  const { members, nameOf } = useWorkspaceMembers();
+  // { role, to, note } while a handoff is being filled in.
+  const [handoff, setHandoff] = useState(null);
+  const canAssign = can("incident.assign_roles");
+  const roles = incident.roles || {};
+  const experts = roles[EXPERTS_ROLE] || [];
+
+  const assign = useMutation({
+    mutationFn: ({ changes, note }) =>
+      appClient.responders.assign(incident.id, changes, { note, expectedVersion: incident.version ?? 0 }),
+    onSuccess: () => {
+      setHandoff(null);
+      queryClient.invalidateQueries({ queryKey: ["incident", incident.id] });
+      queryClient.invalidateQueries({ queryKey: ["auditLogs", incident.id] });
+    }
+  });
+
+  const submitHandoff = () =>
+    assign.mutate({ changes: { [handoff.role]: handoff.to }, note: handoff.note.trim() || undefined });
+
+  const history = auditLogs.filter((log) => log.action_type === "role_changed").slice(0, 8);
+  const personLabel = (id) => `${nameOf(id) || id}${id === user?.id ? " (you)" : ""}`;
+
+  return (
+    <div className="bg-white border border-slate-200 rounded-xl p-6 space-y-6">
+      <div>
+        <h2 className="text-lg font-semibold text-slate-900 flex items-center gap-2">
+          <Users className="h-5 w-5 text-indigo-600" />
+          Responders
+        </h2>
+        <p className="text-sm text-slate-500 mt-1">
+          Lead roles nobody holds fall to the incident commander. Every assignment and handoff is written to the
+          audit trail, and the new holder is notified.
+        </p>
+      </div>
+
+      <div className="divide-y divide-slate-100">
+        {LEAD_ROLES.map((role) => {
+          const holder = roles[role];
+          const editing = handoff?.role === role;
+          return (
+            <div key={role} className="py-3 space-y-2">
+              <div className="flex flex-wrap items-center gap-3">
+                <span className="w-48 text-sm font-medium text-slate-700">{INCIDENT_ROLE_LABELS[role]}</span>
+                <span className="flex-1 text-sm">
+                  {holder ? (
+                    <span className="text-slate-900">{personLabel(holder)}</span>
+                  ) : (
+                    <span className="text-slate-400">
+                      {role === "commander" || !roles.commander ? "Unassigned" : `Covered by ${nameOf(roles.commander)}`}
+                    </span>
+                  )}
+                </span>
+                {canAssign && !editing && (
+                  <div className="flex items-center gap-1">
+                    {!holder && user && (
+                      <Button
+                        variant="outline"
+                        size="sm"
+                        disabled={assign.isPending}
+                        onClick={() => assign.mutate({ changes: { [role]: user.id } })}
+                      >
+                        Take
+                      </Button>
+                    )}
+                    <Button variant="ghost" size="sm" onClick={() => setHandoff({ role, to: "", note: "" })}>
+                      <ArrowRightLeft className="h-4 w-4 mr-1.5" />
+                      {holder ? "Hand off" : "Assign"}
+                    </Button>
+                    {holder && (
+                      <Button
+                        variant="ghost"
+                        size="icon"
+                        className="h-8 w-8"
+                        title="Release role"
+                        disabled={assign.isPending}
+                        onClick={() => assign.mutate({ changes: { [role]: null } })}
+                      >
+                        <X className="h-4 w-4" />
+                      </Button>
+                    )}
+                  </div>
+                )}
+              </div>
+              {editing && (
+                <div className="flex flex-wrap items-center gap-2 pl-0 sm:pl-48">
+                  <MemberSelect
+                    members={members}
+                    value={handoff.to}
+                    exclude={holder ? [holder] : []}
+                    placeholder="Hand to..."
+                    onChange={(to) => setHandoff({ ...handoff, to })}
+                  />
+                  <Input
+                    value={handoff.note}
+                    onChange={(e) => setHandoff({ ...handoff, note: e.target.value })}
+                    placeholder="Handoff note (current state, next steps)"
+                    className="flex-1 min-w-[220px]"
+                  />
+                  <Button size="sm" disabled={!handoff.to || assign.isPending} onClick={submitHandoff}>
+                    {holder ? "Hand off" : "Assign"}
+                  </Button>
+                  <Button variant="ghost" size="sm" onClick={() => setHandoff(null)}>
+                    Cancel
+                  </Button>
+                </div>
+              )}
+            </div>
+          );
+        })}
+
+        <div className="py-3 space-y-2">
+          <span className="text-sm font-medium text-slate-700">Subject-Matter Experts</span>
+          <div className="flex flex-wrap items-center gap-2">
+            {experts.length === 0 && <span className="text-sm text-slate-400">None yet</span>}
+            {experts.map((id) => (
+              <span key={id} className="inline-flex items-center gap-1 px-2.5 py-1 bg-slate-100 text-slate-700 text-sm rounded-md">
+                {personLabel(id)}
+                {canAssign && (
+                  <button
+                    type="button"
+                    className="text-slate-400 hover:text-slate-700"
+                    onClick={() => assign.mutate({ changes: { [EXPERTS_ROLE]: experts.filter((e) => e !== id) } })}
+                  >
+                    <X className="h-3.5 w-3.5" />
+                  </button>
+                )}
+              </span>
+            ))}
+            {canAssign && (
+              <div className="flex items-center gap-1.5">
+                <UserPlus className="h-4 w-4 text-slate-400" />
+                <MemberSelect
+                  members={members}
+                  exclude={experts}
+                  placeholder="Add an expert..."
+                  onChange={(id) => assign.mutate({ changes: { [EXPERTS_ROLE]: [...experts, id] } })}
+                />
+              </div>
+            )}
+          </div>
+        </div>
+      </div>
+
+      {assign.error && <p className="text-sm text-rose-600">{assign.error.message}</p>}
+
+      {history.length > 0 && (
+        <div>
+          <h3 className="text-sm font-semibold text-slate-900 mb-2">Recent handoffs</h3>
+          <ul className="space-y-1.5">
+            {history.map((log) => (
+              <li key={log.id} className="text-sm text-slate-600">
+                <span className="text-slate-400 tabular-nums mr-2">{format(new Date(log.created_date), "MMM d, HH:mm")}</span>
+                {INCIDENT_ROLE_LABELS[log.details.role]}: {log.details.from || "—"} → {log.details.to || "—"}
+                {log.details.note && <span className="text-slate-500"> · “{log.details.note}”</span>}
+                <span className="text-slate-400"> by {log.actor}</span>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,74 @@
+import { useState } from "react";
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog";
+import { Button } from "@/components/ui/button";
+import { Textarea } from "@/components/ui/textarea";
+import { Label } from "@/components/ui/label";
+import { ArrowRight, Loader2 } from "lucide-react";
+import { FIELD_LABELS, STATUS_LABELS } from "@/api/lifecycle";
+
+const PLACEHOLDERS = {
+  mitigation_notes: "What was done to stop the impact, and what still needs a permanent fix...",
+  resolution_notes: "Document the resolution steps, root cause confirmation, and any follow-up actions...",
+  reopen_reason: "Why the incident needs more work...",
+};
+
+// Collects the fields a lifecycle move requires (see TRANSITIONS).
+export default function TransitionDialog({ open, onOpenChange, from, transition, onSubmit, isSubmitting, error }) {
+  const [fields, setFields] = useState({});
+  const required = (transition?.requires || []).filter((field) => field in PLACEHOLDERS);
+
+  const isValid = required.every((field) => fields[field]?.trim());
+
+  return (
+    <Dialog
+      open={open}
+      onOpenChange={(next) => {
+        if (!next) setFields({});
+        onOpenChange(next);
+      }}
+    >
+      <DialogContent className="sm:max-w-lg">
+        <DialogHeader>
+          <DialogTitle>{transition?.label}</DialogTitle>
+          <DialogDescription className="flex items-center gap-2">
+            {STATUS_LABELS[from]}
+            <ArrowRight className="h-3.5 w-3.5" />
+            {STATUS_LABELS[transition?.to]}
+          </DialogDescription>
+        </DialogHeader>
+
+        <div className="space-y-4 py-2">
+          {required.map((field) => (
+            <div key={field} className="space-y-2">
+              <Label className="capitalize">{FIELD_LABELS[field].replace(/^an? /, "")}</Label>
+              <Textarea
+                value={fields[field] || ""}
+                onChange={(e) => setFields({ ...fields, [field]: e.target.value })}
+                placeholder={PLACEHOLDERS[field]}
+                className="min-h-[120px]"
+              />
+            </div>
+          ))}
+          {error && <p className="text-sm text-rose-600">{error.message}</p>}
+        </div>
+
+        <DialogFooter>
+          <Button variant="outline" onClick={() => onOpenChange(false)}>
+            Cancel
+          </Button>
+          <Button onClick={() => onSubmit(fields)} disabled={!isValid || isSubmitting}>
+            {isSubmitting && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+            {transition?.label}
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+}
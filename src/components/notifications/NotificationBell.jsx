@@ -0,0 +1,110 @@
+import { useNavigate } from "react-router-dom";
+import { useQuery, useMutation } from "@tanstack/react-query";
+import { formatDistanceToNow } from "date-fns";
+import { appClient } from "@/api/appClient";
+import { createPageUrl } from "@/utils";
+import { usePermissions } from "@/hooks/use-permissions";
+import { Bell, BellRing, Check } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import { cn } from "@/lib/utils";
+import {
+  DropdownMenu,
+  DropdownMenuContent,
+  DropdownMenuItem,
+  DropdownMenuLabel,
+  DropdownMenuSeparator,
+  DropdownMenuTrigger,
+} from "@/components/ui/dropdown-menu";
+
+// The in-app side of the local notifier (see src/api/notifiers): pages and
+// other notifications for the signed-in user.
+export default function NotificationBell() {
+  const navigate = useNavigate();
+  const { can } = usePermissions();
+
+  const { data: notifications = [] } = useQuery({
+    queryKey: ["notifications", "mine"],
+    queryFn: () => appClient.notifications.mine()
+  });
+  const unread = notifications.filter((n) => !n.read_at);
+
+  const markRead = useMutation({
+    mutationFn: (ids) => appClient.notifications.markRead(ids)
+  });
+
+  const acknowledge = useMutation({
+    mutationFn: (incidentId) => appClient.paging.acknowledge(incidentId)
+  });
+
+  const open = (notification) => {
+    if (!notification.read_at) markRead.mutate([notification.id]);
+    if (notification.incident_id) navigate(createPageUrl(`IncidentDetail?id=${notification.incident_id}`));
+  };
+
+  return (
+    <DropdownMenu>
+      <DropdownMenuTrigger className="relative p-2 rounded hover:bg-slate-800 transition-colors">
+        {unread.length ? <BellRing className="h-5 w-5 text-amber-400" /> : <Bell className="h-5 w-5 text-slate-300" />}
+        {unread.length > 0 && (
+          <span className="absolute -top-0.5 -right-0.5 min-w-[1.1rem] h-[1.1rem] px-1 rounded-full bg-rose-600 text-[10px] font-semibold text-white flex items-center justify-center">
+            {unread.length > 9 ? "9+" : unread.length}
+          </span>
+        )}
+      </DropdownMenuTrigger>
+      <DropdownMenuContent align="end" className="w-80">
+        <div className="flex items-center justify-between pr-1">
+          <DropdownMenuLabel>Notifications</DropdownMenuLabel>
+          {unread.length > 0 && (
+            <Button
+              variant="ghost"
+              size="sm"
+              className="h-7 text-xs"
+              onClick={() => markRead.mutate(unread.map((n) => n.id))}
+            >
+              Mark all read
+            </Button>
+          )}
+        </div>
+        <DropdownMenuSeparator />
+        {notifications.length === 0 && <p className="px-2 py-4 text-center text-sm text-slate-500">Nothing yet</p>}
+        <div className="max-h-96 overflow-y-auto">
+          {notifications.slice(0, 20).map((notification) => (
+            <DropdownMenuItem
+              key={notification.id}
+              onClick={() => open(notification)}
+              className="cursor-pointer items-start gap-2"
+            >
+              <span
+                className={cn("mt-1.5 h-2 w-2 shrink-0 rounded-full", notification.read_at ? "bg-transparent" : "bg-rose-500")}
+              />
+              <div className="flex-1 min-w-0">
+                <p className="text-sm font-medium text-slate-900 truncate">{notification.title}</p>
+                {notification.body && <p className="text-xs text-slate-500">{notification.body}</p>}
+                <p className="text-[11px] text-slate-400 mt-0.5">
+                  {formatDistanceToNow(new Date(notification.created_date), { addSuffix: true })}
+                  {notification.delivery_status === "failed" && ` · delivery failed: ${notification.delivery_error}`}
+                </p>
+              </div>
+              {notification.kind === "page" && !notification.read_at && can("incident.acknowledge") && (
+                <Button
+                  size="sm"
+                  variant="outline"
+                  className="h-7 text-xs"
+                  disabled={acknowledge.isPending}
+                  onClick={(e) => {
+                    e.stopPropagation();
+                    acknowledge.mutate(notification.incident_id);
+                  }}
+                >
+                  <Check className="h-3.5 w-3.5 mr-1" />
+                  Ack
+                </Button>
+              )}
+            </DropdownMenuItem>
+          ))}
+        </div>
+        {acknowledge.error && <p className="px-2 py-1.5 text-xs text-rose-600">{acknowledge.error.message}</p>}
+      </DropdownMenuContent>
+    </DropdownMenu>
+  );
+}
@@ -0,0 +1,166 @@
+import { useState } from "react";
+import { useMutation } from "@tanstack/react-query";
+import { appClient } from "@/api/appClient";
+import { SEVERITIES } from "@/api/schemas";
+import { Plus, Save, Trash2 } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Checkbox } from "@/components/ui/checkbox";
+
+const EMPTY_POLICY = { name: "", description: "", severities: [], systems: [], tiers: [] };
+const EMPTY_TIER = { escalate_after_minutes: 10, schedule_ids: [], user_ids: [] };
+
+const toggle = (list, value, checked) => (checked ? [...list, value] : list.filter((v) => v !== value));
+
+function CheckList({ options, selected, disabled, onChange }) {
+  return (
+    <div className="flex flex-wrap gap-x-4 gap-y-1.5">
+      {options.map((option) => (
+        <label key={option.value} className="flex items-center gap-1.5 text-sm text-slate-700">
+          <Checkbox
+            checked={selected.includes(option.value)}
+            disabled={disabled}
+            onCheckedChange={(checked) => onChange(toggle(selected, option.value, checked === true))}
+          />
+          <span className="capitalize">{option.label}</span>
+        </label>
+      ))}
+    </div>
+  );
+}
+
+// Create (no `policy`) or edit an escalation policy and its tiers.
+export default function EscalationPolicyEditor({ policy, schedules, members, canEdit, canDelete, onDone }) {
+  const [draft, setDraft] = useState(() => ({ ...EMPTY_POLICY, ...policy }));
+  const [systems, setSystems] = useState(() => (policy?.systems || []).join(", "));
+
+  const save = useMutation({
+    mutationFn: () => {
+      const data = {
+        name: draft.name.trim(),
+        description: draft.description,
+        severities: draft.severities,
+        systems: systems.split(",").map((s) => s.trim()).filter(Boolean),
+        tiers: draft.tiers,
+      };
+      return policy
+        ? appClient.entities.EscalationPolicy.update(policy.id, data)
+        : appClient.entities.EscalationPolicy.create(data);
+    },
+    onSuccess: () => onDone?.()
+  });
+
+  const remove = useMutation({
+    mutationFn: () => appClient.entities.EscalationPolicy.delete(policy.id),
+    onSuccess: () => onDone?.()
+  });
+
+  const set = (field, value) => setDraft({ ...draft, [field]: value });
+  const setTier = (index, field, value) =>
+    set("tiers", draft.tiers.map((tier, i) => (i === index ? { ...tier, [field]: value } : tier)));
+
+  const error = save.error || remove.error;
+
+  return (
+    <div className="space-y-4">
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <div className="space-y-1.5">
+          <Label>Name</Label>
+          <Input value={draft.name} disabled={!canEdit} onChange={(e) => set("name", e.target.value)} placeholder="e.g. Payments escalation" />
+        </div>
+        <div className="space-y-1.5">
+          <Label>Description</Label>
+          <Input value={draft.description || ""} disabled={!canEdit} onChange={(e) => set("description", e.target.value)} />
+        </div>
+        <div className="space-y-1.5">
+          <Label>Severities (none = all)</Label>
+          <CheckList
+            options={SEVERITIES.map((s) => ({ value: s, label: s }))}
+            selected={draft.severities}
+            disabled={!canEdit}
+            onChange={(value) => set("severities", value)}
+          />
+        </div>
+        <div className="space-y-1.5">
+          <Label>Systems (comma separated, empty = all)</Label>
+          <Input value={systems} disabled={!canEdit} onChange={(e) => setSystems(e.target.value)} placeholder="payments-api, checkout" />
+        </div>
+      </div>
+
+      <div className="space-y-3">
+        <Label>Tiers</Label>
+        {draft.tiers.length === 0 && <p className="text-sm text-slate-500">Add a tier to start paging.</p>}
+        {draft.tiers.map((tier, index) => (
+          <div key={index} className="rounded-md border border-slate-200 p-3 space-y-2">
+            <div className="flex items-center gap-2 text-sm">
+              <span className="font-medium text-slate-900">Tier {index + 1}</span>
+              <span className="text-slate-500">pages, then escalates after</span>
+              <Input
+                type="number"
+                min={1}
+                value={tier.escalate_after_minutes}
+                disabled={!canEdit}
+                onChange={(e) => setTier(index, "escalate_after_minutes", Number(e.target.value))}
+                className="w-20 h-8"
+              />
+              <span className="text-slate-500">min</span>
+              {canEdit && (
+                <Button
+                  variant="ghost"
+                  size="icon"
+                  className="ml-auto h-8 w-8"
+                  onClick={() => set("tiers", draft.tiers.filter((_, i) => i !== index))}
+                >
+                  <Trash2 className="h-4 w-4" />
+                </Button>
+              )}
+            </div>
+            <div>
+              <p className="text-xs text-slate-500 mb-1">Whoever is on call in</p>
+              {schedules.length === 0 && <p className="text-xs text-slate-400">No schedules yet.</p>}
+              <CheckList
+                options={schedules.map((s) => ({ value: s.id, label: s.name }))}
+                selected={tier.schedule_ids || []}
+                disabled={!canEdit}
+                onChange={(value) => setTier(index, "schedule_ids", value)}
+              />
+            </div>
+            <div>
+              <p className="text-xs text-slate-500 mb-1">And these people</p>
+              <CheckList
+                options={members.map((m) => ({ value: m.id, label: m.full_name || m.email }))}
+                selected={tier.user_ids || []}
+                disabled={!canEdit}
+                onChange={(value) => setTier(index, "user_ids", value)}
+              />
+            </div>
+          </div>
+        ))}
+        {canEdit && (
+          <Button variant="outline" size="sm" onClick={() => set("tiers", [...draft.tiers, EMPTY_TIER])}>
+            <Plus className="h-4 w-4 mr-2" />
+            Add Tier
+          </Button>
+        )}
+      </div>
+
+      {error && <p className="text-sm text-rose-600">{error.message}</p>}
+
+      {canEdit && (
+        <div className="flex justify-between">
+          {policy && canDelete ? (
+            <Button variant="ghost" className="text-rose-600" onClick={() => remove.mutate()} disabled={remove.isPending}>
+              <Trash2 className="h-4 w-4 mr-2" />
+              Delete Policy
+            </Button>
+          ) : <span />}
+          <Button onClick={() => save.mutate()} disabled={save.isPending || !draft.name.trim()}>
+            <Save className="h-4 w-4 mr-2" />
+            {save.isPending ? "Saving..." : "Save Policy"}
+          </Button>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,73 @@
+import { useQuery, useMutation, useQueryClient } from "@tanstack/react-query";
+import { format, formatDistanceToNow } from "date-fns";
+import { appClient } from "@/api/appClient";
+import { usePermissions } from "@/hooks/use-permissions";
+import { BellRing, BellOff, Hand } from "lucide-react";
+import { Button } from "@/components/ui/button";
+
+const CLOSED_STATUSES = ["resolved", "closed"];
+
+// Where an incident's escalation stands, with an Acknowledge button while
+// it still needs one (see src/api/paging.js).
+export default function PagingStatus({ incident }) {
+  const queryClient = useQueryClient();
+  const { can } = usePermissions();
+
+  const { data: escalation } = useQuery({
+    queryKey: ["escalation", incident.id],
+    queryFn: () => appClient.paging.escalation(incident.id)
+  });
+
+  const acknowledge = useMutation({
+    mutationFn: () => appClient.paging.acknowledge(incident.id),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ["incident", incident.id] });
+      queryClient.invalidateQueries({ queryKey: ["auditLogs", incident.id] });
+      queryClient.invalidateQueries({ queryKey: ["escalation", incident.id] });
+    }
+  });
+
+  const needsAck = !incident.acknowledged_at && !CLOSED_STATUSES.includes(incident.status);
+
+  let status = null;
+  if (incident.acknowledged_at) {
+    status = (
+      <>
+        <Hand className="h-4 w-4 text-emerald-600" />
+        Acknowledged{incident.acknowledged_by && ` by ${incident.acknowledged_by}`} at{" "}
+        {format(new Date(incident.acknowledged_at), "MMM d, HH:mm")}
+      </>
+    );
+  } else if (escalation?.status === "paging") {
+    status = (
+      <>
+        <BellRing className="h-4 w-4 text-amber-500" />
+        Paging tier {escalation.tier + 1}; escalates {formatDistanceToNow(new Date(escalation.next_at), { addSuffix: true })}
+      </>
+    );
+  } else if (escalation?.status === "exhausted") {
+    status = (
+      <>
+        <BellOff className="h-4 w-4 text-rose-600" />
+        Every tier was paged; nobody acknowledged
+      </>
+    );
+  }
+
+  return (
+    <div className="space-y-2">
+      {status && <p className="flex items-center gap-1.5 text-sm text-slate-600">{status}</p>}
+      {needsAck && can("incident.acknowledge") && (
+        <Button
+          className="w-full bg-amber-500 hover:bg-amber-600"
+          onClick={() => acknowledge.mutate()}
+          disabled={acknowledge.isPending}
+        >
+          <Hand className="h-4 w-4 mr-2" />
+          Acknowledge
+        </Button>
+      )}
+      {acknowledge.error && <p className="text-sm text-rose-600">{acknowledge.error.message}</p>}
+    </div>
+  );
+}
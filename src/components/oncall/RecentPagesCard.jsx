@@ -0,0 +1,92 @@
+import { Link } from "react-router-dom";
+import { useQuery } from "@tanstack/react-query";
+import { format } from "date-fns";
+import { appClient } from "@/api/appClient";
+import { createPageUrl } from "@/utils";
+import { BellRing } from "lucide-react";
+import { Badge } from "@/components/ui/badge";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from "@/components/ui/table";
+
+const deliveryStyles = {
+  pending: "bg-slate-100 text-slate-700 border-slate-200",
+  delivered: "bg-emerald-50 text-emerald-700 border-emerald-200",
+  failed: "bg-rose-50 text-rose-700 border-rose-200"
+};
+
+// The latest pages sent by the escalation engine, with how they were delivered.
+export default function RecentPagesCard({ members }) {
+  const { data: pages = [] } = useQuery({
+    queryKey: ["oncall", "pages"],
+    queryFn: () => appClient.entities.Notification.filter({ kind: "page" }, "-created_date", 25)
+  });
+
+  const nameOf = (id) => {
+    const member = members.find((m) => m.id === id);
+    return member ? member.full_name || member.email : id;
+  };
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="text-lg flex items-center gap-2">
+          <BellRing className="h-5 w-5 text-indigo-600" />
+          Recent Pages
+        </CardTitle>
+      </CardHeader>
+      <CardContent>
+        {pages.length === 0 ? (
+          <p className="text-sm text-slate-500">Nobody has been paged yet.</p>
+        ) : (
+          <Table>
+            <TableHeader>
+              <TableRow>
+                <TableHead>When</TableHead>
+                <TableHead>Incident</TableHead>
+                <TableHead>Paged</TableHead>
+                <TableHead>Tier</TableHead>
+                <TableHead>Delivery</TableHead>
+                <TableHead>Read</TableHead>
+              </TableRow>
+            </TableHeader>
+            <TableBody>
+              {pages.map((page) => (
+                <TableRow key={page.id}>
+                  <TableCell className="text-sm text-slate-600 whitespace-nowrap">
+                    {format(new Date(page.created_date), "MMM d, HH:mm")}
+                  </TableCell>
+                  <TableCell>
+                    <Link
+                      to={createPageUrl(`IncidentDetail?id=${page.incident_id}`)}
+                      className="text-sm font-medium text-indigo-600 hover:underline"
+                    >
+                      {page.title}
+                    </Link>
+                  </TableCell>
+                  <TableCell className="text-sm">{nameOf(page.user_id)}</TableCell>
+                  <TableCell className="text-sm tabular-nums">{page.tier + 1}</TableCell>
+                  <TableCell>
+                    <Badge variant="outline" className={deliveryStyles[page.delivery_status]} title={page.delivery_error}>
+                      {page.delivery_status}
+                      {page.delivery_channel && ` · ${page.delivery_channel}`}
+                    </Badge>
+                  </TableCell>
+                  <TableCell className="text-sm text-slate-600">
+                    {page.read_at ? format(new Date(page.read_at), "HH:mm") : "—"}
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
@@ -0,0 +1,261 @@
+import { useState } from "react";
+import { useMutation } from "@tanstack/react-query";
+import { appClient } from "@/api/appClient";
+import { ArrowDown, ArrowUp, Plus, Save, Trash2, X } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+
+const TIME_ZONES = typeof Intl.supportedValuesOf === "function" ? Intl.supportedValuesOf("timeZone") : ["UTC"];
+
+const EMPTY_SCHEDULE = {
+  name: "",
+  description: "",
+  time_zone: Intl.DateTimeFormat().resolvedOptions().timeZone || "UTC",
+  handoff_time: "09:00",
+  shift_days: 7,
+  start_date: new Date().toISOString().slice(0, 10),
+  participant_ids: [],
+  overrides: [],
+};
+
+// Overrides are stored as instants; <input type="datetime-local"> works in local time.
+const toLocalInput = (iso) => {
+  if (!iso) return "";
+  const date = new Date(iso);
+  return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+};
+const fromLocalInput = (value) => (value ? new Date(value).toISOString() : "");
+
+function MemberSelect({ members, value, exclude = [], placeholder, disabled, onChange }) {
+  return (
+    <Select value={value || ""} disabled={disabled} onValueChange={onChange}>
+      <SelectTrigger className="w-[200px]">
+        <SelectValue placeholder={placeholder} />
+      </SelectTrigger>
+      <SelectContent>
+        {members
+          .filter((m) => !exclude.includes(m.id))
+          .map((member) => (
+            <SelectItem key={member.id} value={member.id}>{member.full_name || member.email}</SelectItem>
+          ))}
+      </SelectContent>
+    </Select>
+  );
+}
+
+// Create (no `schedule`) or edit an on-call rotation.
+export default function ScheduleEditor({ schedule, members, canEdit, canDelete, onDone }) {
+  const [draft, setDraft] = useState(() => ({ ...EMPTY_SCHEDULE, ...schedule }));
+  const nameOf = (id) => {
+    const member = members.find((m) => m.id === id);
+    return member ? member.full_name || member.email : id;
+  };
+
+  const save = useMutation({
+    mutationFn: () => {
+      const data = {
+        name: draft.name.trim(),
+        description: draft.description,
+        time_zone: draft.time_zone.trim(),
+        handoff_time: draft.handoff_time,
+        shift_days: draft.shift_days,
+        start_date: draft.start_date,
+        participant_ids: draft.participant_ids,
+        overrides: draft.overrides,
+      };
+      return schedule
+        ? appClient.entities.OnCallSchedule.update(schedule.id, data)
+        : appClient.entities.OnCallSchedule.create(data);
+    },
+    onSuccess: () => onDone?.()
+  });
+
+  const remove = useMutation({
+    mutationFn: () => appClient.entities.OnCallSchedule.delete(schedule.id),
+    onSuccess: () => onDone?.()
+  });
+
+  const set = (field, value) => setDraft({ ...draft, [field]: value });
+  const participants = draft.participant_ids;
+  const move = (index, by) => {
+    const next = [...participants];
+    [next[index], next[index + by]] = [next[index + by], next[index]];
+    set("participant_ids", next);
+  };
+  const setOverride = (index, field, value) =>
+    set("overrides", draft.overrides.map((o, i) => (i === index ? { ...o, [field]: value } : o)));
+
+  const error = save.error || remove.error;
+
+  return (
+    <div className="space-y-4">
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <div className="space-y-1.5">
+          <Label>Name</Label>
+          <Input value={draft.name} disabled={!canEdit} onChange={(e) => set("name", e.target.value)} placeholder="e.g. SRE primary" />
+        </div>
+        <div className="space-y-1.5">
+          <Label>Description</Label>
+          <Input value={draft.description || ""} disabled={!canEdit} onChange={(e) => set("description", e.target.value)} />
+        </div>
+        <div className="space-y-1.5">
+          <Label>Time zone</Label>
+          <Input
+            list="oncall-time-zones"
+            value={draft.time_zone}
+            disabled={!canEdit}
+            onChange={(e) => set("time_zone", e.target.value)}
+          />
+          <datalist id="oncall-time-zones">
+            {TIME_ZONES.map((zone) => <option key={zone} value={zone} />)}
+          </datalist>
+        </div>
+        <div className="grid grid-cols-3 gap-2">
+          <div className="space-y-1.5">
+            <Label>Handoff</Label>
+            <Input type="time" value={draft.handoff_time} disabled={!canEdit} onChange={(e) => set("handoff_time", e.target.value)} />
+          </div>
+          <div className="space-y-1.5">
+            <Label>Shift (days)</Label>
+            <Input
+              type="number"
+              min={1}
+              value={draft.shift_days}
+              disabled={!canEdit}
+              onChange={(e) => set("shift_days", Number(e.target.value))}
+            />
+          </div>
+          <div className="space-y-1.5">
+            <Label>Starts</Label>
+            <Input type="date" value={draft.start_date} disabled={!canEdit} onChange={(e) => set("start_date", e.target.value)} />
+          </div>
+        </div>
+      </div>
+
+      <div className="space-y-2">
+        <Label>Rotation (in order)</Label>
+        {participants.length === 0 && <p className="text-sm text-slate-500">Nobody is in this rotation yet.</p>}
+        <ol className="space-y-1">
+          {participants.map((id, index) => (
+            <li key={id} className="flex items-center gap-2 text-sm">
+              <span className="w-5 text-slate-400 tabular-nums">{index + 1}.</span>
+              <span className="flex-1 text-slate-800">{nameOf(id)}</span>
+              {canEdit && (
+                <>
+                  <Button variant="ghost" size="icon" className="h-7 w-7" disabled={index === 0} onClick={() => move(index, -1)}>
+                    <ArrowUp className="h-3.5 w-3.5" />
+                  </Button>
+                  <Button
+                    variant="ghost"
+                    size="icon"
+                    className="h-7 w-7"
+                    disabled={index === participants.length - 1}
+                    onClick={() => move(index, 1)}
+                  >
+                    <ArrowDown className="h-3.5 w-3.5" />
+                  </Button>
+                  <Button
+                    variant="ghost"
+                    size="icon"
+                    className="h-7 w-7"
+                    onClick={() => set("participant_ids", participants.filter((p) => p !== id))}
+                  >
+                    <X className="h-3.5 w-3.5" />
+                  </Button>
+                </>
+              )}
+            </li>
+          ))}
+        </ol>
+        {canEdit && (
+          <MemberSelect
+            members={members}
+            exclude={participants}
+            placeholder="Add to rotation..."
+            onChange={(id) => set("participant_ids", [...participants, id])}
+          />
+        )}
+      </div>
+
+      <div className="space-y-2">
+        <Label>Overrides</Label>
+        {draft.overrides.length === 0 && <p className="text-sm text-slate-500">No overrides.</p>}
+        {draft.overrides.map((override, index) => (
+          <div key={index} className="flex flex-wrap items-center gap-2">
+            <MemberSelect
+              members={members}
+              value={override.user_id}
+              placeholder="Who covers"
+              disabled={!canEdit}
+              onChange={(id) => setOverride(index, "user_id", id)}
+            />
+            <Input
+              type="datetime-local"
+              value={toLocalInput(override.starts_at)}
+              disabled={!canEdit}
+              onChange={(e) => setOverride(index, "starts_at", fromLocalInput(e.target.value))}
+              className="w-[200px]"
+            />
+            <span className="text-sm text-slate-400">to</span>
+            <Input
+              type="datetime-local"
+              value={toLocalInput(override.ends_at)}
+              disabled={!canEdit}
+              onChange={(e) => setOverride(index, "ends_at", fromLocalInput(e.target.value))}
+              className="w-[200px]"
+            />
+            <Input
+              value={override.reason || ""}
+              disabled={!canEdit}
+              onChange={(e) => setOverride(index, "reason", e.target.value)}
+              placeholder="Reason"
+              className="max-w-[200px]"
+            />
+            {canEdit && (
+              <Button variant="ghost" size="icon" onClick={() => set("overrides", draft.overrides.filter((_, i) => i !== index))}>
+                <Trash2 className="h-4 w-4" />
+              </Button>
+            )}
+          </div>
+        ))}
+        {canEdit && (
+          <Button
+            variant="outline"
+            size="sm"
+            onClick={() =>
+              set("overrides", [...draft.overrides, { user_id: "", starts_at: new Date().toISOString(), ends_at: "", reason: "" }])
+            }
+          >
+            <Plus className="h-4 w-4 mr-2" />
+            Add Override
+          </Button>
+        )}
+      </div>
+
+      {error && <p className="text-sm text-rose-600">{error.message}</p>}
+
+      {canEdit && (
+        <div className="flex justify-between">
+          {schedule && canDelete ? (
+            <Button variant="ghost" className="text-rose-600" onClick={() => remove.mutate()} disabled={remove.isPending}>
+              <Trash2 className="h-4 w-4 mr-2" />
+              Delete Schedule
+            </Button>
+          ) : <span />}
+          <Button onClick={() => save.mutate()} disabled={save.isPending || !draft.name.trim()}>
+            <Save className="h-4 w-4 mr-2" />
+            {save.isPending ? "Saving..." : "Save Schedule"}
+          </Button>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,31 @@
+import { format } from "date-fns";
+import { Timer } from "lucide-react";
+import { useSlaStatus } from "@/hooks/use-sla";
+import SlaCountdown from "./SlaCountdown";
+
+// Both SLA clocks of an incident with their due times, for IncidentDetail.
+export default function SlaClocks({ incident }) {
+  const sla = useSlaStatus(incident);
+  if (!sla) return null;
+  const systems = [...new Set(Object.values(sla.policy.set_by))];
+
+  return (
+    <div className="flex flex-wrap items-center gap-3 text-sm text-slate-500">
+      <span className="flex items-center gap-1.5">
+        <Timer className="h-4 w-4" />
+        SLA
+      </span>
+      {Object.entries(sla.clocks).map(([name, clock]) => (
+        <span key={name} className="flex items-center gap-2">
+          <SlaCountdown name={name} clock={clock} />
+          <span className="text-xs text-slate-400">
+            {clock.stopped_at ? "stopped" : "due"} {format(new Date(clock.stopped_at || clock.due_at), "MMM d, h:mm a")}
+          </span>
+        </span>
+      ))}
+      {systems.length > 0 && (
+        <span className="text-xs text-slate-400">Targets set by {systems.join(", ")}</span>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,53 @@
+import { AlarmClock, CheckCircle2, TimerReset } from "lucide-react";
+import { SLA_CLOCK_LABELS } from "@/api/sla";
+import { cn } from "@/lib/utils";
+
+// 5400000 -> "1h 30m"; under an hour shows seconds so the countdown moves.
+function formatDuration(ms) {
+  const total = Math.floor(Math.abs(ms) / 1000);
+  const days = Math.floor(total / 86400);
+  const hours = Math.floor((total % 86400) / 3600);
+  const minutes = Math.floor((total % 3600) / 60);
+  const seconds = total % 60;
+  if (days) return `${days}d ${hours}h`;
+  if (hours) return `${hours}h ${String(minutes).padStart(2, "0")}m`;
+  return `${minutes}m ${String(seconds).padStart(2, "0")}s`;
+}
+
+const stateConfig = {
+  running: { icon: TimerReset, text: "text-sky-700", bg: "bg-sky-50", border: "border-sky-200" },
+  at_risk: { icon: AlarmClock, text: "text-amber-700", bg: "bg-amber-50", border: "border-amber-200" },
+  breached: { icon: AlarmClock, text: "text-rose-700", bg: "bg-rose-50", border: "border-rose-200" },
+  met: { icon: CheckCircle2, text: "text-emerald-700", bg: "bg-emerald-50", border: "border-emerald-200" }
+};
+
+// A running clock with under a fifth of its target left is at risk.
+const displayState = ({ state, remaining_ms, target_minutes }) =>
+  state === "running" && remaining_ms < target_minutes * 60 * 1000 * 0.2 ? "at_risk" : state;
+
+function describe(clock) {
+  if (clock.state === "met") return `met with ${formatDuration(clock.remaining_ms)} to spare`;
+  if (clock.state === "breached") {
+    return clock.stopped_at ? `missed by ${formatDuration(clock.remaining_ms)}` : `${formatDuration(clock.remaining_ms)} over`;
+  }
+  return `${formatDuration(clock.remaining_ms)} left`;
+}
+
+// One SLA clock from useSlaStatus, e.g. "Acknowledge · 4m 12s left".
+export default function SlaCountdown({ name, clock, className }) {
+  const config = stateConfig[displayState(clock)];
+  const Icon = config.icon;
+
+  return (
+    <span
+      className={cn(
+        "inline-flex items-center gap-1.5 px-2 py-0.5 rounded-md border text-xs font-medium tabular-nums",
+        config.bg, config.border, config.text, className
+      )}
+      title={`${SLA_CLOCK_LABELS[name]} target: ${clock.target_minutes} min`}
+    >
+      <Icon className="h-3.5 w-3.5" />
+      {SLA_CLOCK_LABELS[name]} · {describe(clock)}
+    </span>
+  );
+}
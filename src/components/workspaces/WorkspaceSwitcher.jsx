@@ -0,0 +1,65 @@
+import { useNavigate } from "react-router-dom";
+import { useQuery, useMutation, useQueryClient } from "@tanstack/react-query";
+import { appClient } from "@/api/appClient";
+import { createPageUrl } from "@/utils";
+import { Building2, Check, ChevronDown } from "lucide-react";
+import { cn } from "@/lib/utils";
+import {
+  DropdownMenu,
+  DropdownMenuContent,
+  DropdownMenuItem,
+  DropdownMenuLabel,
+  DropdownMenuSeparator,
+  DropdownMenuTrigger,
+} from "@/components/ui/dropdown-menu";
+
+export default function WorkspaceSwitcher() {
+  const navigate = useNavigate();
+  const queryClient = useQueryClient();
+
+  const { data } = useQuery({
+    queryKey: ["workspaces", "mine"],
+    queryFn: () => appClient.workspaces.mine()
+  });
+
+  const switchTo = useMutation({
+    mutationFn: (id) => appClient.workspaces.switch(id),
+    onSuccess: () => {
+      // Every cached query was read from the previous workspace.
+      queryClient.invalidateQueries();
+      navigate(createPageUrl("Dashboard"));
+    }
+  });
+
+  if (!data?.active) return null;
+  const { active, workspaces } = data;
+
+  return (
+    <DropdownMenu>
+      <DropdownMenuTrigger className="flex items-center gap-2 px-3 py-1.5 rounded border border-slate-700 hover:bg-slate-800 transition-colors">
+        <Building2 className="h-4 w-4 text-blue-400" />
+        <span className="hidden sm:block max-w-[10rem] truncate text-sm font-medium text-slate-200">{active.name}</span>
+        <ChevronDown className="h-4 w-4 text-slate-400" />
+      </DropdownMenuTrigger>
+      <DropdownMenuContent align="end" className="w-64">
+        <DropdownMenuLabel>Workspaces</DropdownMenuLabel>
+        <DropdownMenuSeparator />
+        {workspaces.map((workspace) => (
+          <DropdownMenuItem
+            key={workspace.id}
+            disabled={switchTo.isPending}
+            onClick={() => workspace.id !== active.id && switchTo.mutate(workspace.id)}
+            className="cursor-pointer items-start"
+          >
+            <Check className={cn("h-4 w-4 mr-2 mt-0.5 shrink-0", workspace.id === active.id ? "opacity-100" : "opacity-0")} />
+            <div>
+              <p className="text-sm font-medium text-slate-900">{workspace.name}</p>
+              {workspace.description && <p className="text-xs text-slate-500">{workspace.description}</p>}
+            </div>
+          </DropdownMenuItem>
+        ))}
+        {switchTo.error && <p className="px-2 py-1.5 text-xs text-rose-600">{switchTo.error.message}</p>}
+      </DropdownMenuContent>
+    </DropdownMenu>
+  );
+}
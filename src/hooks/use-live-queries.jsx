@@ -0,0 +1,40 @@
+import { useEffect } from "react";
+import { appClient } from "@/api/appClient";
+
+// Query keys (first element) that read each entity table. Keep in sync when
+// adding a useQuery that reads an entity. "trash" lists every table; revision
+// history only changes alongside its (revisioned) record.
+const ENTITY_QUERY_KEYS = {
+  Incident: ["incident", "incidents", "healthIncidents", "analyticsIncidents", "allIncidents", "incidentLinks", "duplicates", "revisions"],
+  Decision: ["decisions", "allDecisions"],
+  AuditLog: ["auditLogs"],
+  PredictiveAlert: ["predictiveAlerts", "historicalAlerts", "activePredictions", "healthPredictiveAlerts"],
+  PostIncidentReview: ["postIncidentReview", "postIncidentReviews"],
+  IncidentAutomation: ["incidentAutomation"],
+  KnowledgeBaseArticle: ["article", "knowledgeArticles", "revisions"],
+  User: ["users", "auth"],
+  ApprovalRequest: ["approvals"],
+  OnCallSchedule: ["oncall"],
+  EscalationPolicy: ["oncall"],
+  Escalation: ["escalation", "oncall"],
+  Notification: ["notifications", "oncall"],
+  Comment: ["comments", "revisions"],
+  // Membership changes can move the signed-in user to another workspace.
+  Workspace: ["workspaces", "auth"],
+};
+
+// Invalidates cached queries as soon as the db reports a change (from this
+// tab or another one). Opt a query out with `meta: { live: false }`.
+export function useLiveQueryInvalidation(queryClient) {
+  useEffect(() => {
+    const unsubscribers = Object.entries(appClient.entities).map(([name, entity]) =>
+      entity.subscribe({}, () => {
+        const keys = [...(ENTITY_QUERY_KEYS[name] || []), "trash"];
+        queryClient.invalidateQueries({
+          predicate: (query) => query.meta?.live !== false && keys.includes(query.queryKey[0]),
+        });
+      })
+    );
+    return () => unsubscribers.forEach((unsubscribe) => unsubscribe());
+  }, [queryClient]);
+}
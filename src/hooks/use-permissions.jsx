@@ -0,0 +1,13 @@
+import { useQuery } from "@tanstack/react-query";
+import { appClient } from "@/api/appClient";
+import { hasPermission } from "@/api/rbac";
+
+// The signed-in user and a `can(permission)` check for hiding controls.
+// appClient enforces the same permissions on every write.
+export function usePermissions() {
+  const { data: user = null } = useQuery({
+    queryKey: ["auth", "me"],
+    queryFn: () => appClient.auth.me()
+  });
+  return { user, can: (permission) => hasPermission(user, permission) };
+}
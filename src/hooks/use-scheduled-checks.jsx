@@ -0,0 +1,16 @@
+import { useEffect } from "react";
+import { appClient } from "@/api/appClient";
+
+const CHECK_INTERVAL_MS = 60 * 1000;
+
+// Runs the time-based checks (trash retention, approval escalation, SLA
+// breaches) every minute while the app is open. Changes they make reach
+// queries through useLiveQueryInvalidation.
+export function useScheduledChecks() {
+  useEffect(() => {
+    const timer = setInterval(() => {
+      appClient.functions.invoke("runScheduledChecks").catch(() => {});
+    }, CHECK_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, []);
+}
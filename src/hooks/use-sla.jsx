@@ -0,0 +1,28 @@
+import { useEffect, useState } from "react";
+import { useQuery } from "@tanstack/react-query";
+import { appClient } from "@/api/appClient";
+import { slaPolicyFor, slaStatus } from "@/api/sla";
+
+export function useSlaPolicies() {
+  const { data } = useQuery({
+    queryKey: ["sla", "policies"],
+    queryFn: () => appClient.sla.policies()
+  });
+  return data || null;
+}
+
+// An incident's SLA clocks (see slaStatus), recomputed every `tickMs` so
+// countdowns stay live. Null until the policies have loaded.
+export function useSlaStatus(incident, tickMs = 1000) {
+  const policies = useSlaPolicies();
+  const [now, setNow] = useState(() => new Date());
+
+  useEffect(() => {
+    const timer = setInterval(() => setNow(new Date()), tickMs);
+    return () => clearInterval(timer);
+  }, [tickMs]);
+
+  if (!policies || !incident) return null;
+  const policy = slaPolicyFor(incident, policies);
+  return { policy, clocks: slaStatus(incident, policy, now) };
+}
@@ -0,0 +1,24 @@
+import { useQuery } from "@tanstack/react-query";
+import { appClient } from "@/api/appClient";
+import { isMember } from "@/api/workspaces";
+
+// Users in the active workspace (the only ones who can be paged or given
+// incident roles), plus `nameOf(id)` over the whole directory.
+export function useWorkspaceMembers() {
+  const { data: users = [] } = useQuery({
+    queryKey: ["users"],
+    queryFn: () => appClient.entities.User.list("full_name")
+  });
+
+  const { data: mine } = useQuery({
+    queryKey: ["workspaces", "mine"],
+    queryFn: () => appClient.workspaces.mine()
+  });
+
+  const nameOf = (id) => {
+    const user = users.find((u) => u.id === id);
+    return user ? user.full_name || user.email : null;
+  };
+
+  return { users, members: users.filter((u) => isMember(mine?.active, u)), nameOf };
+}
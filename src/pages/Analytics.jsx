@@ -16,6 +16,9 @@ import {
   SelectValue 
 } from "@/components/ui/select";
 import MetricCard from "@/components/dashboard/MetricCard";
+import { SLA_CLOCK_LABELS, SLA_CLOCKS, slaPolicyFor, slaStatus } from "@/api/sla";
+import { useSlaPolicies } from "@/hooks/use-sla";
+import { countableIncidents } from "@/api/incidentLinks";
 import { Link } from "react-router-dom";
 import { createPageUrl } from "@/utils";
 import { format, differenceInHours, differenceInMinutes } from "date-fns";
@@ -32,6 +35,7 @@ const STATUS_COLORS = {
   analyzing: "#8b5cf6",
   awaiting_approval: "#f59e0b",
   in_progress: "#0ea5e9",
+  mitigated: "#14b8a6",
   resolved: "#10b981",
   closed: "#64748b"
 };
@@ -41,11 +45,16 @@ export default function Analytics() {
   const [severityFilter, setSeverityFilter] = useState("all");
   const [systemFilter, setSystemFilter] = useState("all");
   const [dateRange, setDateRange] = useState("all");
+  const [linkedCounting, setLinkedCounting] = useState("grouped");
   
-  const { data: allIncidents = [], isLoading } = useQuery({
+  const { data: loadedIncidents = [], isLoading } = useQuery({
     queryKey: ["analyticsIncidents"],
-    queryFn: () => appClient.entities.Incident.list("-created_date", 200)
+    queryFn: () => appClient.entities.Incident.listAll()
   });
+
+  // One outage, one count: merged duplicates are left out, and child
+  // incidents count through their parent unless counted separately.
+  const allIncidents = countableIncidents(loadedIncidents, { groupChildren: linkedCounting === "grouped" });
   
   const { data: reviews = [] } = useQuery({
     queryKey: ["postIncidentReviews"],
@@ -177,6 +186,28 @@ export default function Analytics() {
     { range: "> 24hrs", count: resolutionTimes.filter(t => t >= 1440).length }
   ];
   
+  // SLA compliance per severity: met / (met + breached) for each clock.
+  // Clocks still inside their target don't count yet.
+  const slaPolicies = useSlaPolicies();
+  const now = new Date();
+  const slaClocks = slaPolicies
+    ? incidents.map(i => ({ severity: i.severity, clocks: slaStatus(i, slaPolicyFor(i, slaPolicies), now) }))
+    : [];
+  const complianceOf = (rows, clock) => {
+    const met = rows.filter(r => r.clocks[clock].state === "met").length;
+    const breached = rows.filter(r => r.clocks[clock].state === "breached").length;
+    return { met, breached, rate: met + breached > 0 ? Math.round(met / (met + breached) * 100) : null };
+  };
+  const slaData = ["all", "critical", "high", "medium", "low"].map(severity => {
+    const rows = severity === "all" ? slaClocks : slaClocks.filter(r => r.severity === severity);
+    return {
+      severity,
+      incidents: rows.length,
+      running: rows.filter(r => SLA_CLOCKS.some(clock => r.clocks[clock].state === "running")).length,
+      ...Object.fromEntries(SLA_CLOCKS.map(clock => [clock, complianceOf(rows, clock)]))
+    };
+  }).filter(d => d.incidents > 0);
+  
   const formatResolutionTime = (minutes) => {
     if (minutes < 60) return `${Math.round(minutes)}m`;
     const hours = Math.floor(minutes / 60);
@@ -195,6 +226,7 @@ export default function Analytics() {
         avg_ai_confidence: avgConfidence.toFixed(2),
         avg_resolution_time_minutes: avgResolutionTime.toFixed(2)
       },
+      sla_compliance: slaData,
       severity_distribution: severityData,
       status_distribution: statusData,
       incidents: incidents.map(i => ({
@@ -249,7 +281,7 @@ export default function Analytics() {
             </CardTitle>
           </CardHeader>
           <CardContent>
-            <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-4">
+            <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-5 gap-4">
               <div>
                 <label className="text-xs text-slate-400 mb-2 block">Status</label>
                 <Select value={statusFilter} onValueChange={setStatusFilter}>
@@ -262,6 +294,7 @@ export default function Analytics() {
                     <SelectItem value="analyzing">Analyzing</SelectItem>
                     <SelectItem value="awaiting_approval">Awaiting Approval</SelectItem>
                     <SelectItem value="in_progress">In Progress</SelectItem>
+                    <SelectItem value="mitigated">Mitigated</SelectItem>
                     <SelectItem value="resolved">Resolved</SelectItem>
                     <SelectItem value="closed">Closed</SelectItem>
                   </SelectContent>
@@ -313,6 +346,19 @@ export default function Analytics() {
                   </SelectContent>
                 </Select>
               </div>
+
+              <div>
+                <label className="text-xs text-slate-400 mb-2 block">Linked Incidents</label>
+                <Select value={linkedCounting} onValueChange={setLinkedCounting}>
+                  <SelectTrigger>
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    <SelectItem value="grouped">Count children under parent</SelectItem>
+                    <SelectItem value="separate">Count children separately</SelectItem>
+                  </SelectContent>
+                </Select>
+              </div>
             </div>
             
             {(statusFilter !== "all" || severityFilter !== "all" || systemFilter !== "all" || dateRange !== "all") && (
@@ -419,6 +465,66 @@ export default function Analytics() {
           />
         </div>
         
+        {/* SLA Compliance */}
+        {slaData.length > 0 && (
+          <Card className="bg-slate-900 border-slate-800 mb-6">
+            <CardHeader>
+              <CardTitle className="text-white flex items-center gap-2">
+                <Clock className="h-5 w-5" />
+                SLA Compliance
+              </CardTitle>
+            </CardHeader>
+            <CardContent>
+              <div className="overflow-x-auto">
+                <table className="w-full text-sm">
+                  <thead>
+                    <tr className="text-left text-xs text-slate-400 border-b border-slate-800">
+                      <th className="py-2 pr-4 font-medium">Severity</th>
+                      <th className="py-2 pr-4 font-medium">Incidents</th>
+                      {SLA_CLOCKS.map(clock => (
+                        <th key={clock} className="py-2 pr-4 font-medium">{SLA_CLOCK_LABELS[clock]} on time</th>
+                      ))}
+                      <th className="py-2 pr-4 font-medium">Breaches</th>
+                      <th className="py-2 font-medium">Clocks running</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {slaData.map(row => (
+                      <tr key={row.severity} className="border-b border-slate-800 last:border-0 text-slate-300">
+                        <td className="py-2 pr-4 capitalize font-medium text-white">
+                          {row.severity === "all" ? "All severities" : row.severity}
+                        </td>
+                        <td className="py-2 pr-4">{row.incidents}</td>
+                        {SLA_CLOCKS.map(clock => (
+                          <td key={clock} className="py-2 pr-4">
+                            {row[clock].rate === null ? (
+                              <span className="text-slate-500">N/A</span>
+                            ) : (
+                              <span className={row[clock].rate >= 90 ? "text-emerald-400" : row[clock].rate >= 70 ? "text-amber-400" : "text-rose-400"}>
+                                {row[clock].rate}%
+                              </span>
+                            )}
+                            <span className="text-xs text-slate-500 ml-2">
+                              {row[clock].met}/{row[clock].met + row[clock].breached}
+                            </span>
+                          </td>
+                        ))}
+                        <td className="py-2 pr-4">
+                          {SLA_CLOCKS.reduce((sum, clock) => sum + row[clock].breached, 0)}
+                        </td>
+                        <td className="py-2">{row.running}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+              <p className="text-xs text-slate-500 mt-3">
+                Share of stopped or overdue clocks that met their target. Targets are set under Governance → SLA Policies.
+              </p>
+            </CardContent>
+          </Card>
+        )}
+        
         <div className="grid grid-cols-1 lg:grid-cols-2 gap-6 mb-6">
           {/* Severity Distribution */}
           <Card className="bg-slate-900 border-slate-800">
@@ -1,13 +1,15 @@
 import { useState, useEffect } from "react";
 import { useQuery, useMutation, useQueryClient } from "@tanstack/react-query";
 import { appClient } from "@/api/appClient";
+import { ConflictError } from "@/api/errors";
+import { usePermissions } from "@/hooks/use-permissions";
 import { Link } from "react-router-dom";
 import { createPageUrl } from "@/utils";
 import { format } from "date-fns";
 import ReactMarkdown from "react-markdown";
 import {
   ArrowLeft, Eye, ThumbsUp, Edit, Save, X, Trash2,
-  BookOpen, Calendar, User as UserIcon
+  BookOpen, Calendar, User as UserIcon, History
 } from "lucide-react";
 import { Button } from "@/components/ui/button";
 import { Input } from "@/components/ui/input";
@@ -32,13 +34,19 @@ import {
   AlertDialogTitle,
   AlertDialogTrigger,
 } from "@/components/ui/alert-dialog";
+import RevisionHistory from "@/components/history/RevisionHistory";
+import ConflictDialog from "@/components/history/ConflictDialog";
 
 export default function ArticleDetail() {
   const queryClient = useQueryClient();
+  const { can } = usePermissions();
   const urlParams = new URLSearchParams(window.location.search);
   const articleId = urlParams.get("id");
   const [isEditing, setIsEditing] = useState(false);
   const [editData, setEditData] = useState(null);
+  // Article as it was when editing started; saves are checked against its version.
+  const [editBase, setEditBase] = useState(null);
+  const [conflict, setConflict] = useState(null);
   const [currentUser, setCurrentUser] = useState(null);
   
   useEffect(() => {
@@ -52,7 +60,8 @@ export default function ArticleDetail() {
   });
   
   useEffect(() => {
-    if (article) {
+    // Don't clobber an edit in progress when a live update refetches the article.
+    if (article && !isEditing) {
       setEditData({
         title: article.title,
         summary: article.summary || "",
@@ -63,20 +72,38 @@ export default function ArticleDetail() {
         status: article.status
       });
     }
-  }, [article]);
+  }, [article, isEditing]);
   
   const updateArticle = useMutation({
-    mutationFn: (data) => appClient.entities.KnowledgeBaseArticle.update(articleId, {
-      ...data,
-      tags: data.tags ? data.tags.split(',').map(t => t.trim()).filter(Boolean) : [],
-      related_systems: data.related_systems ? data.related_systems.split(',').map(s => s.trim()).filter(Boolean) : []
+    mutationFn: ({ patch, base }) => appClient.entities.KnowledgeBaseArticle.update(articleId, patch, {
+      expectedVersion: base.version ?? 0
     }),
     onSuccess: () => {
       queryClient.invalidateQueries({ queryKey: ["article", articleId] });
+      setConflict(null);
       setIsEditing(false);
+    },
+    onError: (error, { patch, base }) => {
+      if (error instanceof ConflictError) setConflict({ error, base, mine: patch });
     }
   });
   
+  const saveEdit = () => {
+    updateArticle.mutate({
+      patch: {
+        ...editData,
+        tags: editData.tags ? editData.tags.split(',').map(t => t.trim()).filter(Boolean) : [],
+        related_systems: editData.related_systems ? editData.related_systems.split(',').map(s => s.trim()).filter(Boolean) : []
+      },
+      base: editBase || article
+    });
+  };
+  
+  const startEditing = () => {
+    setEditBase(article);
+    setIsEditing(true);
+  };
+  
   const markHelpful = useMutation({
     mutationFn: () => appClient.entities.KnowledgeBaseArticle.update(articleId, {
       helpful_count: (article?.helpful_count || 0) + 1
@@ -138,11 +165,12 @@ export default function ArticleDetail() {
                   <Button
                     variant="outline"
                     size="sm"
-                    onClick={() => setIsEditing(true)}
+                    onClick={startEditing}
                   >
                     <Edit className="h-4 w-4 mr-2" />
                     Edit
                   </Button>
+                  {can("record.delete") && (
                   <AlertDialog>
                     <AlertDialogTrigger asChild>
                       <Button variant="outline" size="sm" className="text-rose-400 hover:text-rose-300">
@@ -153,7 +181,7 @@ export default function ArticleDetail() {
                       <AlertDialogHeader>
                         <AlertDialogTitle>Delete Article?</AlertDialogTitle>
                         <AlertDialogDescription>
-                          This action cannot be undone. This will permanently delete the article.
+                          The article will be moved to the Trash, where it can be restored until it is purged.
                         </AlertDialogDescription>
                       </AlertDialogHeader>
                       <AlertDialogFooter>
@@ -167,6 +195,7 @@ export default function ArticleDetail() {
                       </AlertDialogFooter>
                     </AlertDialogContent>
                   </AlertDialog>
+                  )}
                 </div>
               </div>
               
@@ -223,7 +252,7 @@ export default function ArticleDetail() {
               </div>
             </>
           ) : (
-            <form onSubmit={(e) => { e.preventDefault(); updateArticle.mutate(editData); }} className="space-y-6">
+            <form onSubmit={(e) => { e.preventDefault(); saveEdit(); }} className="space-y-6">
               <div>
                 <Label htmlFor="title" className="text-slate-200">Title</Label>
                 <Input
@@ -280,7 +309,12 @@ export default function ArticleDetail() {
                     </SelectTrigger>
                     <SelectContent>
                       <SelectItem value="draft">Draft</SelectItem>
-                      <SelectItem value="published">Published</SelectItem>
+                      <SelectItem
+                        value="published"
+                        disabled={article.status !== "published" && !can("article.publish")}
+                      >
+                        Published
+                      </SelectItem>
                       <SelectItem value="archived">Archived</SelectItem>
                     </SelectContent>
                   </Select>
@@ -307,6 +341,10 @@ export default function ArticleDetail() {
                 />
               </div>
               
+              {updateArticle.error && !(updateArticle.error instanceof ConflictError) && (
+                <p className="text-sm text-rose-400">{updateArticle.error.message}</p>
+              )}
+
               <div className="flex gap-3">
                 <Button type="submit" disabled={updateArticle.isPending} className="bg-blue-600 hover:bg-blue-700">
                   <Save className="h-4 w-4 mr-2" />
@@ -320,7 +358,27 @@ export default function ArticleDetail() {
             </form>
           )}
         </div>
+
+        <div className="bg-slate-900 border border-slate-800 rounded-lg p-6">
+          <h2 className="text-lg font-semibold text-white mb-6 flex items-center gap-2">
+            <History className="h-5 w-5 text-slate-400" />
+            Revision History
+          </h2>
+          <RevisionHistory entity="KnowledgeBaseArticle" recordId={articleId} />
+        </div>
       </div>
+
+      <ConflictDialog
+        key={conflict?.error.actualVersion}
+        conflict={conflict}
+        onOpenChange={(open) => {
+          if (open) return;
+          setConflict(null);
+          setIsEditing(false);
+        }}
+        onResolve={(patch) => updateArticle.mutate({ patch, base: conflict.error.current })}
+        isSaving={updateArticle.isPending}
+      />
     </div>
   );
 }
\ No newline at end of file
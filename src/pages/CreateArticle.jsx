@@ -1,6 +1,7 @@
 import { useState } from "react";
 import { useMutation } from "@tanstack/react-query";
 import { appClient } from "@/api/appClient";
+import { usePermissions } from "@/hooks/use-permissions";
 import { Link, useNavigate } from "react-router-dom";
 import { createPageUrl } from "@/utils";
 import { ArrowLeft, Save, BookOpen } from "lucide-react";
@@ -18,6 +19,7 @@ import {
 
 export default function CreateArticle() {
   const navigate = useNavigate();
+  const { can } = usePermissions();
   const [formData, setFormData] = useState({
     title: "",
     summary: "",
@@ -48,6 +50,8 @@ export default function CreateArticle() {
     createArticle.mutate(formData);
   };
   
+  const fieldErrors = createArticle.error?.fieldErrors || {};
+  
   return (
     <div className="min-h-screen bg-slate-950">
       <div className="max-w-4xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
@@ -75,6 +79,7 @@ export default function CreateArticle() {
                 required
                 className="mt-1.5"
               />
+              {fieldErrors.title && <p className="text-sm text-rose-400 mt-1">Title {fieldErrors.title}</p>}
             </div>
             
             <div>
@@ -116,6 +121,7 @@ export default function CreateArticle() {
                     <SelectItem value="architecture">Architecture</SelectItem>
                   </SelectContent>
                 </Select>
+                {fieldErrors.category && <p className="text-sm text-rose-400 mt-1">Category {fieldErrors.category}</p>}
               </div>
               
               <div>
@@ -126,7 +132,7 @@ export default function CreateArticle() {
                   </SelectTrigger>
                   <SelectContent>
                     <SelectItem value="draft">Draft</SelectItem>
-                    <SelectItem value="published">Published</SelectItem>
+                    <SelectItem value="published" disabled={!can("article.publish")}>Published</SelectItem>
                   </SelectContent>
                 </Select>
               </div>
@@ -154,6 +160,10 @@ export default function CreateArticle() {
               />
             </div>
             
+            {createArticle.error && !createArticle.error.fieldErrors && (
+              <p className="text-sm text-rose-400">{createArticle.error.message}</p>
+            )}
+            
             <div className="flex gap-3 pt-4">
               <Button 
                 type="submit" 
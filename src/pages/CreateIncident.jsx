@@ -6,106 +6,87 @@ import { ArrowLeft, AlertTriangle } from "lucide-react";
 import { Button } from "@/components/ui/button";
 import { Link } from "react-router-dom";
 import CreateIncidentForm from "@/components/forms/CreateIncidentForm";
+import { PermissionError, ValidationError } from "@/api/errors";
 
 export default function CreateIncident() {
   const navigate = useNavigate();
   const [isSubmitting, setIsSubmitting] = useState(false);
+  const [errors, setErrors] = useState({});
+  const [attachingId, setAttachingId] = useState(null);
+  // { message, incidentId? } for errors that aren't about a form field.
+  const [failure, setFailure] = useState(null);
   
-  const handleSubmit = async (formData) => {
+  // File the report on an existing incident instead (see src/api/duplicates.js).
+  const handleAttach = async (incident, formData, { score }) => {
+    setAttachingId(incident.id);
+    setErrors({});
+    setFailure(null);
+    try {
+      await appClient.duplicates.attach(incident.id, formData, { score });
+    } catch (err) {
+      setAttachingId(null);
+      if (err instanceof ValidationError) {
+        setErrors(err.fieldErrors);
+        return;
+      }
+      if (err instanceof PermissionError) {
+        setFailure({ message: err.message });
+        return;
+      }
+      throw err;
+    }
+    navigate(createPageUrl(`IncidentDetail?id=${incident.id}`));
+  };
+  
+  const handleSubmit = async (formData, { possibleDuplicates = [] } = {}) => {
     setIsSubmitting(true);
+    setErrors({});
+    setFailure(null);
     
-    const incident = await appClient.entities.Incident.create({
-      ...formData,
-      status: "analyzing"
-    });
+    let incident;
+    try {
+      incident = await appClient.entities.Incident.create({
+        ...formData,
+        status: "analyzing"
+      });
+    } catch (err) {
+      setIsSubmitting(false);
+      if (err instanceof ValidationError) {
+        setErrors(err.fieldErrors);
+        return;
+      }
+      if (err instanceof PermissionError) {
+        setFailure({ message: err.message });
+        return;
+      }
+      throw err;
+    }
     
     // Create audit log
-    await appClient.entities.AuditLog.create({
+    await appClient.audit.record({
       incident_id: incident.id,
       action_type: "incident_created",
-      actor: (await appClient.auth.me()).email,
-      details: { severity: formData.severity, source: formData.source }
-    });
-    
-    // Trigger AI analysis
-    generateAIAnalysis(incident);
-    
-    navigate(createPageUrl(`IncidentDetail?id=${incident.id}`));
-  };
-  
-  const generateAIAnalysis = async (incident) => {
-    const prompt = `You are an expert Site Reliability Engineer analyzing an incident. 
-    
-Incident Details:
-- Title: ${incident.title}
-- Description: ${incident.description || "Not provided"}
-- Severity: ${incident.severity}
-- Source: ${incident.source || "Unknown"}
-- Affected Systems: ${incident.affected_systems?.join(", ") || "Not specified"}
-- Logs/Errors: ${incident.logs || "No logs provided"}
-
-Provide a comprehensive analysis in JSON format with:
-1. A concise executive summary (2-3 sentences)
-2. Top 3 most likely root causes with probability scores (0-1) and supporting evidence
-3. 3-5 recommended actions with priority (critical/high/medium/low), confidence scores (0-1), rationale, potential risks, and verification steps
-4. Estimated time to recovery
-5. Overall confidence score (0-1) based on data quality
-6. Data quality notes (what information is missing or unclear)
-7. Limitations of this analysis (what could be wrong)`;
-
-    const analysis = await appClient.integrations.Core.InvokeLLM({
-      prompt,
-      response_json_schema: {
-        type: "object",
-        properties: {
-          summary: { type: "string" },
-          root_causes: {
-            type: "array",
-            items: {
-              type: "object",
-              properties: {
-                cause: { type: "string" },
-                probability: { type: "number" },
-                evidence: { type: "array", items: { type: "string" } }
-              }
-            }
-          },
-          recommendations: {
-            type: "array",
-            items: {
-              type: "object",
-              properties: {
-                action: { type: "string" },
-                priority: { type: "string" },
-                confidence: { type: "number" },
-                rationale: { type: "string" },
-                risks: { type: "string" },
-                verification_steps: { type: "array", items: { type: "string" } }
-              }
-            }
-          },
-          estimated_recovery_time: { type: "string" },
-          confidence_score: { type: "number" },
-          data_quality_notes: { type: "string" },
-          limitations: { type: "array", items: { type: "string" } }
-        }
+      details: {
+        severity: formData.severity,
+        source: formData.source,
+        // Suggested duplicates the reporter passed over.
+        ...(possibleDuplicates.length && {
+          possible_duplicates: possibleDuplicates.map((m) => `${m.incident.title} (${Math.round(m.score * 100)}%)`).join("; ")
+        })
       }
     });
     
-    await appClient.entities.Incident.update(incident.id, {
-      ai_analysis: analysis,
-      status: "awaiting_approval"
-    });
+    // AI analysis and automation run as the system (see appClient.functions).
+    try {
+      await appClient.functions.invoke("analyzeIncident", { incident_id: incident.id });
+      await appClient.functions.invoke("automateIncidentResponse", { incident_id: incident.id });
+    } catch (err) {
+      setIsSubmitting(false);
+      setFailure({ message: `The incident was reported, but its AI analysis failed: ${err.message}`, incidentId: incident.id });
+      return;
+    }
     
-    await appClient.entities.AuditLog.create({
-      incident_id: incident.id,
-      action_type: "ai_analysis_generated",
-      actor: "SYSTEM",
-      details: { confidence_score: analysis.confidence_score }
-    });
-    
-    // Trigger AI automation
-    await appClient.functions.invoke('automateIncidentResponse', { incident_id: incident.id });
+    navigate(createPageUrl(`IncidentDetail?id=${incident.id}`));
   };
   
   return (
@@ -132,7 +113,26 @@ Provide a comprehensive analysis in JSON format with:
           </div>
           
           <div className="p-6">
-            <CreateIncidentForm onSubmit={handleSubmit} isSubmitting={isSubmitting} />
+            {failure && (
+              <div className="mb-6 rounded-lg border border-rose-200 bg-rose-50 p-4 text-sm text-rose-700">
+                {failure.message}
+                {failure.incidentId && (
+                  <Link
+                    to={createPageUrl(`IncidentDetail?id=${failure.incidentId}`)}
+                    className="ml-1 font-medium underline"
+                  >
+                    Open the incident
+                  </Link>
+                )}
+              </div>
+            )}
+            <CreateIncidentForm
+              onSubmit={handleSubmit}
+              onAttach={handleAttach}
+              attachingId={attachingId}
+              isSubmitting={isSubmitting}
+              errors={errors}
+            />
           </div>
         </div>
       </div>
@@ -1,8 +1,9 @@
 import { useState } from "react";
-import { useQuery } from "@tanstack/react-query";
+import { useQuery, useInfiniteQuery } from "@tanstack/react-query";
 import { appClient } from "@/api/appClient";
 import { Link } from "react-router-dom";
 import { createPageUrl } from "@/utils";
+import { usePermissions } from "@/hooks/use-permissions";
 import { 
   AlertTriangle, CheckCircle2, Clock, TrendingUp, 
   Plus, Filter, Search, RefreshCw, Brain, Shield, Zap
@@ -20,13 +21,58 @@ import MetricCard from "@/components/dashboard/MetricCard";
 import IncidentCard from "@/components/dashboard/IncidentCard";
 
 export default function Dashboard() {
+  const { can } = usePermissions();
   const [severityFilter, setSeverityFilter] = useState("all");
   const [statusFilter, setStatusFilter] = useState("all");
   const [searchQuery, setSearchQuery] = useState("");
   
-  const { data: incidents = [], isLoading, refetch } = useQuery({
-    queryKey: ["incidents"],
-    queryFn: () => appClient.entities.Incident.list("-created_date", 100),
+  // Filters are pushed down to the db; pages load on demand.
+  const where = {
+    ...(severityFilter !== "all" && { severity: severityFilter }),
+    ...(statusFilter !== "all" && { status: statusFilter }),
+    ...(searchQuery && {
+      $or: [{ title: { $contains: searchQuery } }, { description: { $contains: searchQuery } }]
+    }),
+  };
+  
+  const {
+    data: incidentPages,
+    isLoading,
+    refetch,
+    fetchNextPage,
+    hasNextPage,
+    isFetchingNextPage
+  } = useInfiniteQuery({
+    queryKey: ["incidents", "page", severityFilter, statusFilter, searchQuery],
+    queryFn: ({ pageParam }) => appClient.entities.Incident.page({ where, sort: "-created_date", limit: 25, cursor: pageParam }),
+    initialPageParam: null,
+    getNextPageParam: (lastPage) => lastPage.nextCursor,
+  });
+  
+  const filteredIncidents = incidentPages?.pages.flatMap(p => p.items) ?? [];
+  
+  // Counts cover every incident, not just the loaded pages.
+  const { data: metrics = {} } = useQuery({
+    queryKey: ["incidents", "metrics"],
+    queryFn: async () => {
+      const Incident = appClient.entities.Incident;
+      const open = { status: { $nin: ["resolved", "closed"] } };
+      const startOfToday = new Date(new Date().toDateString()).toISOString();
+      const [active, critical, awaitingApproval, resolvedToday, total] = await Promise.all([
+        Incident.count(open),
+        Incident.count({ ...open, severity: "critical" }),
+        Incident.count({ status: "awaiting_approval" }),
+        Incident.count({
+          status: "resolved",
+          $or: [
+            { resolved_at: { $gte: startOfToday } },
+            { resolved_at: { $exists: false }, updated_date: { $gte: startOfToday } }
+          ]
+        }),
+        Incident.count(),
+      ]);
+      return { active, critical, awaitingApproval, resolvedToday, total };
+    },
   });
   
   const { data: predictiveAlerts = [] } = useQuery({
@@ -34,23 +80,7 @@ export default function Dashboard() {
     queryFn: () => appClient.entities.PredictiveAlert.filter({ status: "active" }, "-likelihood", 5),
   });
   
-  const filteredIncidents = incidents.filter(incident => {
-    const matchesSeverity = severityFilter === "all" || incident.severity === severityFilter;
-    const matchesStatus = statusFilter === "all" || incident.status === statusFilter;
-    const matchesSearch = !searchQuery || 
-      incident.title?.toLowerCase().includes(searchQuery.toLowerCase()) ||
-      incident.description?.toLowerCase().includes(searchQuery.toLowerCase());
-    return matchesSeverity && matchesStatus && matchesSearch;
-  });
-  
-  const activeIncidents = incidents.filter(i => !["resolved", "closed"].includes(i.status));
-  const criticalCount = activeIncidents.filter(i => i.severity === "critical").length;
-  const awaitingApproval = incidents.filter(i => i.status === "awaiting_approval").length;
-  const resolvedToday = incidents.filter(i => {
-    if (i.status !== "resolved") return false;
-    const today = new Date().toDateString();
-    return new Date(i.resolved_at || i.updated_date).toDateString() === today;
-  }).length;
+  const criticalCount = metrics.critical ?? 0;
   
   return (
     <div className="min-h-screen bg-slate-950">
@@ -65,12 +95,14 @@ export default function Dashboard() {
               AI-powered decision intelligence for enterprise operations
             </p>
           </div>
-          <Link to={createPageUrl("CreateIncident")}>
-            <Button className="bg-blue-600 hover:bg-blue-700 shadow-lg shadow-blue-600/20">
-              <Plus className="h-4 w-4 mr-2" />
-              Report Incident
-            </Button>
-          </Link>
+          {can("incident.report") && (
+            <Link to={createPageUrl("CreateIncident")}>
+              <Button className="bg-blue-600 hover:bg-blue-700 shadow-lg shadow-blue-600/20">
+                <Plus className="h-4 w-4 mr-2" />
+                Report Incident
+              </Button>
+            </Link>
+          )}
         </div>
         
         {/* Predictive Alerts Banner */}
@@ -119,27 +151,27 @@ export default function Dashboard() {
         <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-4 mb-8">
           <MetricCard
             title="Active Incidents"
-            value={activeIncidents.length}
+            value={metrics.active ?? 0}
             icon={AlertTriangle}
             trend={`${criticalCount} critical`}
             trendDirection={criticalCount > 0 ? "up" : "neutral"}
           />
           <MetricCard
             title="Awaiting Approval"
-            value={awaitingApproval}
+            value={metrics.awaitingApproval ?? 0}
             icon={Brain}
             subtext="Human decisions pending"
           />
           <MetricCard
             title="Resolved Today"
-            value={resolvedToday}
+            value={metrics.resolvedToday ?? 0}
             icon={CheckCircle2}
             trend="Keep it up!"
             trendDirection="neutral"
           />
           <MetricCard
             title="Total Incidents"
-            value={incidents.length}
+            value={metrics.total ?? 0}
             icon={TrendingUp}
             subtext="All time"
           />
@@ -182,6 +214,7 @@ export default function Dashboard() {
                   <SelectItem value="analyzing">AI Analyzing</SelectItem>
                   <SelectItem value="awaiting_approval">Awaiting Approval</SelectItem>
                   <SelectItem value="in_progress">In Progress</SelectItem>
+                  <SelectItem value="mitigated">Mitigated</SelectItem>
                   <SelectItem value="resolved">Resolved</SelectItem>
                   <SelectItem value="closed">Closed</SelectItem>
                 </SelectContent>
@@ -216,6 +249,13 @@ export default function Dashboard() {
             {filteredIncidents.map(incident => (
               <IncidentCard key={incident.id} incident={incident} />
             ))}
+            {hasNextPage && (
+              <div className="flex justify-center pt-2">
+                <Button variant="outline" onClick={() => fetchNextPage()} disabled={isFetchingNextPage}>
+                  {isFetchingNextPage ? "Loading..." : "Load more incidents"}
+                </Button>
+              </div>
+            )}
           </div>
         )}
       </div>
@@ -7,6 +7,13 @@ import {
 } from "lucide-react";
 import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
 import MetricCard from "@/components/dashboard/MetricCard";
+import DataTransferCard from "@/components/governance/DataTransferCard";
+import AuditIntegrityCard from "@/components/governance/AuditIntegrityCard";
+import TeamRolesCard from "@/components/governance/TeamRolesCard";
+import WorkspacesCard from "@/components/governance/WorkspacesCard";
+import ApprovalPoliciesCard from "@/components/governance/ApprovalPoliciesCard";
+import SlaPoliciesCard from "@/components/governance/SlaPoliciesCard";
+import AlertIngestionCard from "@/components/governance/AlertIngestionCard";
 import {
   Table,
   TableBody,
@@ -20,12 +27,12 @@ import { cn } from "@/lib/utils";
 export default function Governance() {
   const { data: decisions = [], isLoading: decisionsLoading } = useQuery({
     queryKey: ["allDecisions"],
-    queryFn: () => appClient.entities.Decision.list("-created_date", 100)
+    queryFn: () => appClient.entities.Decision.listAll()
   });
   
   const { data: incidents = [] } = useQuery({
     queryKey: ["allIncidents"],
-    queryFn: () => appClient.entities.Incident.list("-created_date", 100)
+    queryFn: () => appClient.entities.Incident.listAll()
   });
   
   const approvedCount = decisions.filter(d => d.decision === "approved").length;
@@ -110,7 +117,7 @@ export default function Governance() {
                 <div>
                   <h4 className="font-medium text-slate-900">Human Control</h4>
                   <p className="text-sm text-slate-500 mt-1">
-                    AI cannot auto-act. All recommendations require human approval
+                    AI cannot auto-act. Every recommendation needs a decision from an approver or incident commander
                   </p>
                 </div>
               </div>
@@ -129,6 +136,20 @@ export default function Governance() {
           </CardContent>
         </Card>
         
+        <TeamRolesCard />
+
+        <WorkspacesCard />
+
+        <ApprovalPoliciesCard />
+
+        <SlaPoliciesCard />
+
+        <AlertIngestionCard />
+
+        <DataTransferCard />
+
+        <AuditIntegrityCard />
+        
         {/* Decision History */}
         <Card>
           <CardHeader>
@@ -1,12 +1,17 @@
 import { useState, useEffect } from "react";
 import { useQuery, useMutation, useQueryClient } from "@tanstack/react-query";
 import { appClient } from "@/api/appClient";
+import { ConflictError, PermissionError, TransitionError } from "@/api/errors";
+import { STATUS_LABELS, transitionsFrom } from "@/api/lifecycle";
+import { usePermissions } from "@/hooks/use-permissions";
+import { useWorkspaceMembers } from "@/hooks/use-workspace-members";
 import { Link } from "react-router-dom";
 import { createPageUrl } from "@/utils";
 import { format } from "date-fns";
 import {
   ArrowLeft, Server, Clock, User, Brain, FileText,
-  CheckCircle2, RefreshCw, Loader2, Sparkles, Zap, BookOpen
+  CheckCircle2, RefreshCw, Loader2, Sparkles, Zap, BookOpen, History, RotateCcw, ShieldCheck, Users, Crown,
+  MessageSquare, Network, GitMerge, BellRing
 } from "lucide-react";
 import { Button } from "@/components/ui/button";
 import { Textarea } from "@/components/ui/textarea";
@@ -26,14 +31,34 @@ import DecisionDialog from "@/components/incident/DecisionDialog";
 import PostIncidentReviewPanel from "@/components/incident/PostIncidentReviewPanel";
 import AutomationPanel from "@/components/incident/AutomationPanel";
 import KnowledgeArticleSuggestions from "@/components/incident/KnowledgeArticleSuggestions";
+import RevisionHistory from "@/components/history/RevisionHistory";
+import ConflictDialog from "@/components/history/ConflictDialog";
+import TransitionDialog from "@/components/incident/TransitionDialog";
+import SlaClocks from "@/components/sla/SlaClocks";
+import PagingStatus from "@/components/oncall/PagingStatus";
+import RespondersPanel from "@/components/incident/RespondersPanel";
+import DiscussionPanel from "@/components/incident/DiscussionPanel";
+import IncidentLinksPanel from "@/components/incident/IncidentLinksPanel";
+import { historyIds } from "@/api/incidentLinks";
+
+// Moves that need the incident.resolve permission (see requiredPermissions).
+const CLOSING_STATUSES = ["resolved", "closed"];
+const needsResolve = (from, move) => CLOSING_STATUSES.includes(from) || CLOSING_STATUSES.includes(move.to);
 
 export default function IncidentDetail() {
   const queryClient = useQueryClient();
+  const { can } = usePermissions();
+  const { nameOf } = useWorkspaceMembers();
   const urlParams = new URLSearchParams(window.location.search);
   const incidentId = urlParams.get("id");
   
   const [decisionDialog, setDecisionDialog] = useState({ open: false, recIndex: null, rec: null });
   const [resolutionNotes, setResolutionNotes] = useState("");
+  // Incident as it was when the user started typing resolution notes.
+  const [resolutionBase, setResolutionBase] = useState(null);
+  const [conflict, setConflict] = useState(null);
+  // Lifecycle move waiting for its required fields (see TransitionDialog).
+  const [pendingMove, setPendingMove] = useState(null);
   const [currentUser, setCurrentUser] = useState(null);
   const [isGeneratingReview, setIsGeneratingReview] = useState(false);
   const [isGeneratingArticle, setIsGeneratingArticle] = useState(false);
@@ -45,14 +70,14 @@ export default function IncidentDetail() {
   const { data: incident, isLoading } = useQuery({
     queryKey: ["incident", incidentId],
     queryFn: () => appClient.entities.Incident.filter({ id: incidentId }).then(r => r[0]),
-    enabled: !!incidentId,
-    refetchInterval: 5000
+    enabled: !!incidentId
   });
   
   const { data: auditLogs = [] } = useQuery({
-    queryKey: ["auditLogs", incidentId],
-    queryFn: () => appClient.entities.AuditLog.filter({ incident_id: incidentId }, "-created_date"),
-    enabled: !!incidentId
+    queryKey: ["auditLogs", incidentId, ...(incident?.merged_ids || [])],
+    // Merged duplicates keep their audit entries; show them here too.
+    queryFn: () => appClient.entities.AuditLog.filter({ incident_id: { $in: historyIds(incident) } }, "-created_date"),
+    enabled: !!incident
   });
   
   const { data: decisions = [] } = useQuery({
@@ -61,6 +86,12 @@ export default function IncidentDetail() {
     enabled: !!incidentId
   });
   
+  const { data: approvals = [] } = useQuery({
+    queryKey: ["approvals", incidentId],
+    queryFn: () => appClient.approvals.list(incidentId),
+    enabled: !!incidentId
+  });
+  
   const { data: review } = useQuery({
     queryKey: ["postIncidentReview", incidentId],
     queryFn: () => appClient.entities.PostIncidentReview.filter({ incident_id: incidentId }).then(r => r[0]),
@@ -73,86 +104,78 @@ export default function IncidentDetail() {
     enabled: !!incidentId
   });
   
+  // `base` is the incident the edit was made against; the update is refused
+  // with a ConflictError if someone saved a newer version meanwhile. Status
+  // changes are audited by the lifecycle and refused with a TransitionError
+  // when they break it.
   const updateIncident = useMutation({
-    mutationFn: ({ data, auditAction, auditDetails }) => 
-      Promise.all([
-        appClient.entities.Incident.update(incidentId, data),
-        appClient.entities.AuditLog.create({
-          incident_id: incidentId,
-          action_type: auditAction,
-          actor: currentUser?.email || "Unknown",
-          details: auditDetails
-        })
-      ]),
+    mutationFn: ({ data, base }) =>
+      appClient.entities.Incident.update(incidentId, data, {
+        expectedVersion: base.version ?? 0
+      }),
     onSuccess: () => {
+      setConflict(null);
+      setResolutionBase(null);
+      setPendingMove(null);
+      setResolutionNotes("");
       queryClient.invalidateQueries({ queryKey: ["incident", incidentId] });
       queryClient.invalidateQueries({ queryKey: ["auditLogs", incidentId] });
+      queryClient.invalidateQueries({ queryKey: ["approvals", incidentId] });
+    },
+    onError: (error, variables) => {
+      if (error instanceof ConflictError) {
+        setConflict({ error, base: variables.base, mine: variables.data, variables });
+      }
     }
   });
   
   const submitDecision = useMutation({
-    mutationFn: async (decisionData) => {
-      await appClient.entities.Decision.create({
-        ...decisionData,
-        incident_id: incidentId,
-        decided_by: currentUser?.email,
-        decided_at: new Date().toISOString()
-      });
-      
-      await appClient.entities.AuditLog.create({
-        incident_id: incidentId,
-        action_type: "decision_made",
-        actor: currentUser?.email,
-        details: {
-          action: decisionData.recommendation_action,
-          decision: decisionData.decision,
-          reason: decisionData.decision_reason
-        }
-      });
-      
-      // Update incident status if all recommendations have decisions
-      const allDecisions = await appClient.entities.Decision.filter({ incident_id: incidentId });
-      const totalRecs = incident?.ai_analysis?.recommendations?.length || 0;
-      if (allDecisions.length >= totalRecs) {
-        await appClient.entities.Incident.update(incidentId, { status: "in_progress" });
-      }
-    },
+    mutationFn: (decisionData) =>
+      appClient.functions.invoke("submitDecision", { incident_id: incidentId, decision: decisionData }),
     onSuccess: () => {
       setDecisionDialog({ open: false, recIndex: null, rec: null });
       queryClient.invalidateQueries({ queryKey: ["decisions", incidentId] });
+      queryClient.invalidateQueries({ queryKey: ["approvals", incidentId] });
       queryClient.invalidateQueries({ queryKey: ["auditLogs", incidentId] });
       queryClient.invalidateQueries({ queryKey: ["incident", incidentId] });
     }
   });
   
+  // Moves that need notes open the TransitionDialog first.
   const handleStatusChange = (newStatus) => {
-    const prevStatus = incident.status;
-    updateIncident.mutate({
-      data: { status: newStatus },
-      auditAction: "status_changed",
-      auditDetails: { previous: prevStatus, new: newStatus }
-    });
+    const move = transitionsFrom(incident.status).find((t) => t.to === newStatus);
+    updateIncident.reset();
+    if (move?.requires?.length) {
+      setPendingMove(move);
+      return;
+    }
+    updateIncident.mutate({ data: { status: newStatus }, base: incident });
+  };
+
+  const submitMove = (fields) => {
+    updateIncident.mutate({ data: { status: pendingMove.to, ...fields }, base: incident });
   };
   
   const handleResolve = () => {
     updateIncident.mutate({
-      data: { 
-        status: "resolved", 
-        resolved_at: new Date().toISOString(),
-        resolution_notes: resolutionNotes
-      },
-      auditAction: "resolution_recorded",
-      auditDetails: { notes: resolutionNotes }
+      data: { status: "resolved", resolution_notes: resolutionNotes },
+      base: resolutionBase || incident
     });
   };
   
+  const resolveConflict = (patch) => {
+    updateIncident.mutate({ ...conflict.variables, data: patch, base: conflict.error.current });
+  };
+  
   const handleApprove = (index) => {
     const rec = incident.ai_analysis?.recommendations?.[index];
+    submitDecision.reset();
     setDecisionDialog({ open: true, recIndex: index, rec });
   };
   
   const handleReject = (index) => {
     const rec = incident.ai_analysis?.recommendations?.[index];
+    submitDecision.reset();
     setDecisionDialog({ open: true, recIndex: index, rec });
   };
   
@@ -178,6 +201,15 @@ export default function IncidentDetail() {
   
   const isPending = incident?.status === "awaiting_approval";
   const isResolved = incident?.status === "resolved" || incident?.status === "closed";
+  const canResolve = can("incident.resolve");
+  const moves = incident ? transitionsFrom(incident.status) : [];
+  const canMove = (move) => (needsResolve(incident.status, move) ? canResolve : can("incident.change_status"));
+  const resolveMove = moves.find((move) => move.to === "resolved");
+  const reopenMove = moves.find((move) => move.name === "reopen");
+  const statusError =
+    updateIncident.error instanceof PermissionError || updateIncident.error instanceof TransitionError
+      ? updateIncident.error
+      : null;
   
   if (isLoading) {
     return (
@@ -237,14 +269,44 @@ export default function IncidentDetail() {
                     {incident.source}
                   </span>
                 )}
+                {incident.alert_fingerprint && (
+                  <span className="flex items-center gap-1.5" title={incident.alert_fingerprint}>
+                    <BellRing className="h-4 w-4" />
+                    {incident.alert_url ? (
+                      <a href={incident.alert_url} target="_blank" rel="noreferrer" className="hover:underline">
+                        Alert
+                      </a>
+                    ) : (
+                      "Alert"
+                    )}
+                    {incident.alert_count > 1 && ` · fired ${incident.alert_count} times`}
+                  </span>
+                )}
                 {incident.assigned_to && (
                   <span className="flex items-center gap-1.5">
                     <User className="h-4 w-4" />
                     {incident.assigned_to}
                   </span>
                 )}
+                {incident.roles?.commander && (
+                  <span className="flex items-center gap-1.5" title="Incident commander">
+                    <Crown className="h-4 w-4" />
+                    {nameOf(incident.roles.commander) || incident.roles.commander}
+                  </span>
+                )}
+                {incident.merged_into && (
+                  <Link
+                    to={createPageUrl(`IncidentDetail?id=${incident.merged_into}`)}
+                    className="flex items-center gap-1.5 text-amber-600 hover:underline"
+                  >
+                    <GitMerge className="h-4 w-4" />
+                    Merged duplicate
+                  </Link>
+                )}
               </div>
               
+              <SlaClocks incident={incident} />
+
               {incident.affected_systems?.length > 0 && (
                 <div className="flex flex-wrap gap-2">
                   {incident.affected_systems.map((sys, i) => (
@@ -257,21 +319,37 @@ export default function IncidentDetail() {
             </div>
             
             <div className="flex flex-col gap-3 min-w-[200px]">
-              <Select value={incident.status} onValueChange={handleStatusChange}>
+              <PagingStatus incident={incident} />
+
+              {/* Only the moves the lifecycle allows from here (see src/api/lifecycle.js). */}
+              <Select
+                value={incident.status}
+                onValueChange={handleStatusChange}
+                disabled={!moves.some(canMove) || updateIncident.isPending}
+              >
                 <SelectTrigger>
                   <SelectValue />
                 </SelectTrigger>
                 <SelectContent>
-                  <SelectItem value="new">New</SelectItem>
-                  <SelectItem value="analyzing">AI Analyzing</SelectItem>
-                  <SelectItem value="awaiting_approval">Awaiting Approval</SelectItem>
-                  <SelectItem value="in_progress">In Progress</SelectItem>
-                  <SelectItem value="resolved">Resolved</SelectItem>
-                  <SelectItem value="closed">Closed</SelectItem>
+                  <SelectItem value={incident.status} disabled>
+                    {STATUS_LABELS[incident.status]}
+                  </SelectItem>
+                  {moves.map((move) => (
+                    <SelectItem key={move.name} value={move.to} disabled={!canMove(move)}>
+                      {move.label} → {STATUS_LABELS[move.to]}
+                    </SelectItem>
+                  ))}
                 </SelectContent>
               </Select>
               
-              {incident.status === "in_progress" && (
+              {incident.status === "in_progress" && can("incident.change_status") && (
+                <Button variant="outline" onClick={() => handleStatusChange("mitigated")}>
+                  <ShieldCheck className="h-4 w-4 mr-2" />
+                  Mark Mitigated
+                </Button>
+              )}
+
+              {resolveMove && canResolve && (
                 <Button 
                   className="bg-emerald-600 hover:bg-emerald-700"
                   onClick={() => handleStatusChange("resolved")}
@@ -280,6 +358,17 @@ export default function IncidentDetail() {
                   Mark Resolved
                 </Button>
               )}
+
+              {reopenMove && canResolve && (
+                <Button variant="outline" onClick={() => handleStatusChange("in_progress")}>
+                  <RotateCcw className="h-4 w-4 mr-2" />
+                  Reopen
+                </Button>
+              )}
+
+              {statusError && !pendingMove && (
+                <p className="text-sm text-rose-600">{statusError.message}</p>
+              )}
             </div>
           </div>
         </div>
@@ -291,6 +380,18 @@ export default function IncidentDetail() {
               <Brain className="h-4 w-4" />
               AI Analysis
             </TabsTrigger>
+            <TabsTrigger value="responders" className="flex items-center gap-2">
+              <Users className="h-4 w-4" />
+              Responders
+            </TabsTrigger>
+            <TabsTrigger value="discussion" className="flex items-center gap-2">
+              <MessageSquare className="h-4 w-4" />
+              Discussion
+            </TabsTrigger>
+            <TabsTrigger value="links" className="flex items-center gap-2">
+              <Network className="h-4 w-4" />
+              Links
+            </TabsTrigger>
             {automation && (
               <TabsTrigger value="automation" className="flex items-center gap-2">
                 <Zap className="h-4 w-4" />
@@ -301,6 +402,10 @@ export default function IncidentDetail() {
               <FileText className="h-4 w-4" />
               Audit Trail
             </TabsTrigger>
+            <TabsTrigger value="history" className="flex items-center gap-2">
+              <History className="h-4 w-4" />
+              History
+            </TabsTrigger>
             <TabsTrigger value="resolution" className="flex items-center gap-2">
               <CheckCircle2 className="h-4 w-4" />
               Resolution
@@ -317,9 +422,11 @@ export default function IncidentDetail() {
             {incident.ai_analysis ? (
               <AIAnalysisPanel 
                 analysis={incident.ai_analysis}
+                approvals={approvals}
+                currentUser={currentUser}
                 onApprove={handleApprove}
                 onReject={handleReject}
-                isPending={isPending}
+                isPending={isPending && can("decision.approve")}
               />
             ) : (
               <div className="bg-white border border-slate-200 rounded-xl p-12 text-center">
@@ -330,9 +437,21 @@ export default function IncidentDetail() {
             )}
           </TabsContent>
 
+          <TabsContent value="responders">
+            <RespondersPanel incident={incident} auditLogs={auditLogs} />
+          </TabsContent>
+
+          <TabsContent value="discussion">
+            <DiscussionPanel incident={incident} />
+          </TabsContent>
+
+          <TabsContent value="links">
+            <IncidentLinksPanel incident={incident} />
+          </TabsContent>
+
           {automation && (
             <TabsContent value="automation">
-              <AutomationPanel automation={automation} />
+              <AutomationPanel automation={automation} incident={incident} />
             </TabsContent>
           )}
           
@@ -342,12 +461,40 @@ export default function IncidentDetail() {
               <AuditTimeline logs={auditLogs} />
             </div>
           </TabsContent>
+
+          <TabsContent value="history">
+            <div className="bg-slate-900 border border-slate-800 rounded-lg p-6">
+              <h2 className="text-lg font-semibold text-white mb-6">Revision History</h2>
+              <RevisionHistory entity="Incident" recordId={incidentId} />
+            </div>
+          </TabsContent>
           
           <TabsContent value="resolution">
             <div className="space-y-6">
               <div className="bg-slate-900 border border-slate-800 rounded-lg p-6">
                 <h2 className="text-lg font-semibold text-white mb-4">Resolution Notes</h2>
 
+                {incident.mitigation_notes && (
+                  <div className="mb-4 p-4 bg-teal-900/20 border border-teal-700/50 rounded-lg">
+                    <p className="text-sm font-medium text-teal-300">Mitigated</p>
+                    {incident.mitigated_at && (
+                      <p className="text-xs text-teal-400 mt-1">
+                        {format(new Date(incident.mitigated_at), "MMM d, yyyy 'at' h:mm a")}
+                      </p>
+                    )}
+                    <p className="text-sm text-slate-300 mt-2">{incident.mitigation_notes}</p>
+                  </div>
+                )}
+
+                {incident.reopen_count > 0 && (
+                  <div className="mb-4 p-4 bg-amber-900/20 border border-amber-700/50 rounded-lg">
+                    <p className="text-sm font-medium text-amber-300">
+                      Reopened {incident.reopen_count === 1 ? "once" : `${incident.reopen_count} times`}
+                    </p>
+                    {incident.reopen_reason && <p className="text-sm text-slate-300 mt-2">{incident.reopen_reason}</p>}
+                  </div>
+                )}
+
                 {incident.status === "resolved" || incident.status === "closed" ? (
                   <div className="space-y-4">
                     <div className="p-4 bg-emerald-900/20 border border-emerald-700/50 rounded-lg">
@@ -388,13 +535,28 @@ export default function IncidentDetail() {
                     <Textarea
                       placeholder="Document the resolution steps, root cause confirmation, and any follow-up actions..."
                       value={resolutionNotes}
-                      onChange={(e) => setResolutionNotes(e.target.value)}
+                      onChange={(e) => {
+                        if (!resolutionBase) setResolutionBase(incident);
+                        setResolutionNotes(e.target.value);
+                      }}
                       className="min-h-[150px]"
                     />
-                    <Button onClick={handleResolve} className="bg-emerald-600 hover:bg-emerald-700">
+                    <Button
+                      onClick={handleResolve}
+                      disabled={!canResolve || !resolveMove || updateIncident.isPending}
+                      className="bg-emerald-600 hover:bg-emerald-700"
+                    >
                       <CheckCircle2 className="h-4 w-4 mr-2" />
                       Record Resolution
                     </Button>
+                    {!resolveMove && (
+                      <p className="text-sm text-slate-400">
+                        Incidents can be resolved once work is in progress or the impact is mitigated.
+                      </p>
+                    )}
+                    {statusError && !pendingMove && (
+                      <p className="text-sm text-rose-400">{statusError.message}</p>
+                    )}
                   </div>
                 )}
               </div>
@@ -447,8 +609,35 @@ export default function IncidentDetail() {
         onOpenChange={(open) => setDecisionDialog(prev => ({ ...prev, open }))}
         recommendation={decisionDialog.rec}
         recommendationIndex={decisionDialog.recIndex}
+        request={approvals.find((r) => r.recommendation_index === decisionDialog.recIndex)}
         onSubmit={submitDecision.mutate}
         isSubmitting={submitDecision.isPending}
+        error={submitDecision.error}
+      />
+
+      <TransitionDialog
+        key={pendingMove?.name}
+        open={!!pendingMove}
+        onOpenChange={(open) => {
+          if (!open) setPendingMove(null);
+        }}
+        from={incident.status}
+        transition={pendingMove}
+        onSubmit={submitMove}
+        isSubmitting={updateIncident.isPending}
+        error={statusError}
+      />
+
+      <ConflictDialog
+        key={conflict?.error.actualVersion}
+        conflict={conflict}
+        onOpenChange={(open) => {
+          if (open) return;
+          setConflict(null);
+          setResolutionBase(null);
+        }}
+        onResolve={resolveConflict}
+        isSaving={updateIncident.isPending}
       />
     </div>
   );
@@ -1,11 +1,15 @@
 
 import { Link, useLocation } from "react-router-dom";
 import { createPageUrl } from "@/utils";
-import { useState, useEffect } from "react";
+import { useState } from "react";
+import { useQuery } from "@tanstack/react-query";
 import { appClient } from "@/api/appClient";
+import { useScheduledChecks } from "@/hooks/use-scheduled-checks";
+import WorkspaceSwitcher from "@/components/workspaces/WorkspaceSwitcher";
+import NotificationBell from "@/components/notifications/NotificationBell";
 import {
   LayoutDashboard, AlertTriangle, Shield, BarChart3,
-  Menu, X, LogOut, User, ChevronDown, TrendingUp, Activity, BookOpen
+  Menu, X, LogOut, User, ChevronDown, TrendingUp, Activity, BookOpen, Trash2, Siren
 } from "lucide-react";
 import { cn } from "@/lib/utils";
 import {
@@ -19,19 +23,22 @@ import {
 const navigation = [
   { name: "Dashboard", page: "Dashboard", icon: LayoutDashboard },
   { name: "System Health", page: "SystemHealth", icon: Activity },
+  { name: "On-Call", page: "OnCall", icon: Siren },
   { name: "Knowledge Base", page: "KnowledgeBase", icon: BookOpen },
   { name: "Predictions", page: "Predictions", icon: TrendingUp },
   { name: "Governance", page: "Governance", icon: Shield },
   { name: "Analytics", page: "Analytics", icon: BarChart3 },
+  { name: "Trash", page: "Trash", icon: Trash2 },
 ];
 
 export default function Layout({ children, currentPageName }) {
   const [mobileMenuOpen, setMobileMenuOpen] = useState(false);
-  const [user, setUser] = useState(null);
-  
-  useEffect(() => {
-    appClient.auth.me().then(setUser).catch(() => {});
-  }, []);
+  // Shares RequireAuth's query, so profile edits show up live.
+  const { data: user } = useQuery({
+    queryKey: ["auth", "me"],
+    queryFn: () => appClient.auth.me()
+  });
+  useScheduledChecks();
   
   const isActive = (page) => currentPageName === page;
   
@@ -77,12 +84,18 @@ export default function Layout({ children, currentPageName }) {
             
             {/* User Menu */}
             <div className="flex items-center gap-3">
+              {user && <WorkspaceSwitcher />}
+              {user && <NotificationBell />}
               {user && (
                 <DropdownMenu>
                   <DropdownMenuTrigger className="flex items-center gap-2 px-3 py-1.5 rounded hover:bg-slate-800 transition-colors">
-                    <div className="h-8 w-8 rounded-full bg-blue-600 flex items-center justify-center">
-                      <User className="h-4 w-4 text-white" />
-                    </div>
+                    {user.avatar_url ? (
+                      <img src={user.avatar_url} alt="" className="h-8 w-8 rounded-full object-cover" />
+                    ) : (
+                      <div className="h-8 w-8 rounded-full bg-blue-600 flex items-center justify-center">
+                        <User className="h-4 w-4 text-white" />
+                      </div>
+                    )}
                     <span className="hidden sm:block text-sm font-medium text-slate-200">
                       {user.full_name || user.email}
                     </span>
@@ -92,6 +105,7 @@ export default function Layout({ children, currentPageName }) {
                     <div className="px-2 py-1.5">
                       <p className="text-sm font-medium text-slate-900">{user.full_name}</p>
                       <p className="text-xs text-slate-600">{user.email}</p>
+                      {user.team && <p className="text-xs text-slate-500 mt-0.5">{user.team}</p>}
                     </div>
                     <DropdownMenuSeparator />
                     <DropdownMenuItem 
@@ -0,0 +1,151 @@
+import { useState } from "react";
+import { useNavigate } from "react-router-dom";
+import { useQueryClient } from "@tanstack/react-query";
+import { appClient } from "@/api/appClient";
+import { createPageUrl } from "@/utils";
+import { AlertTriangle, KeyRound, Loader2, LogIn, Shield } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+
+export default function Login() {
+  const navigate = useNavigate();
+  const queryClient = useQueryClient();
+  const urlParams = new URLSearchParams(window.location.search);
+  const next = urlParams.get("next") || createPageUrl("Dashboard");
+  const expired = urlParams.get("reason") === "expired";
+
+  const providers = appClient.auth.providers();
+  const passwordProvider = providers.find((p) => p.type === "password");
+  const ssoProvider = providers.find((p) => p.type === "oidc");
+
+  const [username, setUsername] = useState("");
+  const [password, setPassword] = useState("");
+  const [ssoEmail, setSsoEmail] = useState("");
+  const [pending, setPending] = useState(null);
+  const [error, setError] = useState(null);
+
+  const signIn = async (providerId, input) => {
+    setPending(providerId);
+    setError(null);
+    try {
+      await appClient.auth.login(providerId, input);
+      await queryClient.invalidateQueries({ queryKey: ["auth"] });
+      // Only follow same-app paths.
+      navigate(next.startsWith("/") && !next.startsWith("//") ? next : createPageUrl("Dashboard"), { replace: true });
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setPending(null);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-slate-950 flex items-center justify-center px-4">
+      <div className="w-full max-w-md">
+        <div className="flex items-center gap-3 mb-8 justify-center">
+          <div className="h-10 w-10 rounded bg-blue-600 flex items-center justify-center shadow-md">
+            <AlertTriangle className="h-5 w-5 text-white" />
+          </div>
+          <div>
+            <h1 className="text-lg font-semibold text-white tracking-tight">IBM Incident Command</h1>
+            <p className="text-[10px] text-blue-400 -mt-0.5 uppercase tracking-wider font-medium">
+              AI Decision Intelligence Platform
+            </p>
+          </div>
+        </div>
+
+        <div className="bg-slate-900 border border-slate-800 rounded-lg p-6 space-y-6">
+          <h2 className="text-xl font-semibold text-white">Sign in</h2>
+
+          {expired && !error && (
+            <div className="p-3 bg-amber-900/20 border border-amber-700/50 rounded-lg text-sm text-amber-300">
+              Your session has expired. Please sign in again.
+            </div>
+          )}
+          {error && (
+            <div className="p-3 bg-rose-900/20 border border-rose-700/50 rounded-lg text-sm text-rose-300">
+              {error}
+            </div>
+          )}
+
+          {passwordProvider && (
+            <form
+              onSubmit={(e) => { e.preventDefault(); signIn(passwordProvider.id, { username, password }); }}
+              className="space-y-4"
+            >
+              <div>
+                <Label htmlFor="username" className="text-slate-200">Username</Label>
+                <Input
+                  id="username"
+                  autoComplete="username"
+                  value={username}
+                  onChange={(e) => setUsername(e.target.value)}
+                  className="mt-1.5"
+                  required
+                />
+              </div>
+              <div>
+                <Label htmlFor="password" className="text-slate-200">Password</Label>
+                <Input
+                  id="password"
+                  type="password"
+                  autoComplete="current-password"
+                  value={password}
+                  onChange={(e) => setPassword(e.target.value)}
+                  className="mt-1.5"
+                  required
+                />
+              </div>
+              <Button type="submit" disabled={!!pending} className="w-full bg-blue-600 hover:bg-blue-700">
+                {pending === passwordProvider.id
+                  ? <Loader2 className="h-4 w-4 mr-2 animate-spin" />
+                  : <LogIn className="h-4 w-4 mr-2" />}
+                Sign in
+              </Button>
+              <p className="text-xs text-slate-500">
+                Demo accounts: demo, priya, marcus (password &quot;demo&quot;)
+              </p>
+            </form>
+          )}
+
+          {passwordProvider && ssoProvider && (
+            <div className="flex items-center gap-3 text-xs text-slate-500">
+              <div className="flex-1 h-px bg-slate-800" />
+              or
+              <div className="flex-1 h-px bg-slate-800" />
+            </div>
+          )}
+
+          {ssoProvider && (
+            <form
+              onSubmit={(e) => { e.preventDefault(); signIn(ssoProvider.id, { login_hint: ssoEmail }); }}
+              className="space-y-3"
+            >
+              <Label htmlFor="sso-email" className="text-slate-200">Work email</Label>
+              <Input
+                id="sso-email"
+                type="email"
+                autoComplete="email"
+                value={ssoEmail}
+                onChange={(e) => setSsoEmail(e.target.value)}
+                required
+              />
+              <Button type="submit" variant="outline" disabled={!!pending} className="w-full">
+                {pending === ssoProvider.id
+                  ? <Loader2 className="h-4 w-4 mr-2 animate-spin" />
+                  : <KeyRound className="h-4 w-4 mr-2" />}
+                Continue with {ssoProvider.label}
+              </Button>
+            </form>
+          )}
+        </div>
+
+        <p className="flex items-center justify-center gap-2 text-xs text-slate-500 mt-6">
+          <Shield className="h-3.5 w-3.5 text-blue-500" />
+          Sessions expire automatically; every action is attributed to your account.
+        </p>
+      </div>
+    </div>
+  );
+}
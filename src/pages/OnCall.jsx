@@ -0,0 +1,212 @@
+import { useEffect, useState } from "react";
+import { useQuery } from "@tanstack/react-query";
+import { format } from "date-fns";
+import { appClient } from "@/api/appClient";
+import { activeOverride, nextHandoff, onCallAt } from "@/api/oncall";
+import { usePermissions } from "@/hooks/use-permissions";
+import { useWorkspaceMembers } from "@/hooks/use-workspace-members";
+import { CalendarClock, ChevronDown, ChevronUp, GitBranch, Plus, Siren, User } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import { Badge } from "@/components/ui/badge";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import ScheduleEditor from "@/components/oncall/ScheduleEditor";
+import EscalationPolicyEditor from "@/components/oncall/EscalationPolicyEditor";
+import RecentPagesCard from "@/components/oncall/RecentPagesCard";
+
+function useNow(tickMs) {
+  const [now, setNow] = useState(() => new Date());
+  useEffect(() => {
+    const timer = setInterval(() => setNow(new Date()), tickMs);
+    return () => clearInterval(timer);
+  }, [tickMs]);
+  return now;
+}
+
+// A collapsible row: summary always shown, editor when open.
+function Expandable({ open, onToggle, summary, children }) {
+  return (
+    <div className="rounded-lg border border-slate-200">
+      <button type="button" onClick={onToggle} className="w-full flex items-center gap-3 p-4 text-left hover:bg-slate-50">
+        <div className="flex-1 min-w-0">{summary}</div>
+        {open ? <ChevronUp className="h-4 w-4 text-slate-400" /> : <ChevronDown className="h-4 w-4 text-slate-400" />}
+      </button>
+      {open && <div className="border-t border-slate-200 p-4">{children}</div>}
+    </div>
+  );
+}
+
+export default function OnCall() {
+  const { can } = usePermissions();
+  const canEdit = can("oncall.manage");
+  const canDelete = can("record.delete");
+  const now = useNow(60 * 1000);
+  const [openId, setOpenId] = useState(null);
+  const toggle = (id) => setOpenId(openId === id ? null : id);
+
+  const { data: schedules = [] } = useQuery({
+    queryKey: ["oncall", "schedules"],
+    queryFn: () => appClient.entities.OnCallSchedule.list("name")
+  });
+
+  const { data: policies = [] } = useQuery({
+    queryKey: ["oncall", "policies"],
+    queryFn: () => appClient.entities.EscalationPolicy.list("created_date")
+  });
+
+  const { users, members, nameOf } = useWorkspaceMembers();
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-slate-50 via-white to-slate-50">
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8 space-y-8">
+        <div>
+          <h1 className="text-2xl font-semibold text-slate-900 tracking-tight flex items-center gap-3">
+            <Siren className="h-7 w-7 text-indigo-600" />
+            On-Call & Paging
+          </h1>
+          <p className="text-slate-500 mt-1">
+            Who is on call, and who gets paged when an incident goes unacknowledged
+          </p>
+        </div>
+
+        {/* On call now */}
+        <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-4">
+          {schedules.map((schedule) => {
+            const override = activeOverride(schedule, now);
+            return (
+              <Card key={schedule.id}>
+                <CardContent className="p-5">
+                  <p className="text-xs font-medium uppercase tracking-wider text-slate-500">{schedule.name}</p>
+                  <p className="mt-2 flex items-center gap-2 text-lg font-semibold text-slate-900">
+                    <User className="h-5 w-5 text-indigo-600" />
+                    {nameOf(onCallAt(schedule, now)) || "Nobody"}
+                  </p>
+                  {override && (
+                    <Badge variant="outline" className="mt-2 bg-amber-50 text-amber-700 border-amber-200">
+                      Override until {format(new Date(override.ends_at), "MMM d, HH:mm")}
+                      {override.reason && ` · ${override.reason}`}
+                    </Badge>
+                  )}
+                  <p className="mt-2 text-xs text-slate-500">
+                    Next handoff {format(nextHandoff(schedule, now), "EEE MMM d, HH:mm")} (your time) ·{" "}
+                    {schedule.handoff_time} {schedule.time_zone}
+                  </p>
+                </CardContent>
+              </Card>
+            );
+          })}
+        </div>
+
+        <Card>
+          <CardHeader className="flex flex-row items-center justify-between space-y-0">
+            <CardTitle className="text-lg flex items-center gap-2">
+              <CalendarClock className="h-5 w-5 text-indigo-600" />
+              Schedules
+            </CardTitle>
+            {canEdit && (
+              <Button variant="outline" size="sm" onClick={() => toggle("new-schedule")}>
+                <Plus className="h-4 w-4 mr-2" />
+                New Schedule
+              </Button>
+            )}
+          </CardHeader>
+          <CardContent className="space-y-3">
+            {openId === "new-schedule" && (
+              <div className="rounded-lg border border-indigo-200 p-4">
+                <ScheduleEditor members={members} canEdit={canEdit} onDone={() => setOpenId(null)} />
+              </div>
+            )}
+            {schedules.length === 0 && <p className="text-sm text-slate-500">No on-call schedules yet.</p>}
+            {schedules.map((schedule) => (
+              <Expandable
+                key={schedule.id}
+                open={openId === schedule.id}
+                onToggle={() => toggle(schedule.id)}
+                summary={
+                  <>
+                    <p className="font-medium text-slate-900">{schedule.name}</p>
+                    <p className="text-sm text-slate-500">
+                      {(schedule.participant_ids || []).map(nameOf).join(" → ") || "Empty rotation"} · every{" "}
+                      {schedule.shift_days === 1 ? "day" : `${schedule.shift_days} days`} at {schedule.handoff_time}{" "}
+                      {schedule.time_zone}
+                    </p>
+                  </>
+                }
+              >
+                <ScheduleEditor
+                  key={schedule.updated_date}
+                  schedule={schedule}
+                  members={members}
+                  canEdit={canEdit}
+                  canDelete={canDelete}
+                  onDone={() => setOpenId(null)}
+                />
+              </Expandable>
+            ))}
+          </CardContent>
+        </Card>
+
+        <Card>
+          <CardHeader className="flex flex-row items-center justify-between space-y-0">
+            <CardTitle className="text-lg flex items-center gap-2">
+              <GitBranch className="h-5 w-5 text-indigo-600" />
+              Escalation Policies
+            </CardTitle>
+            {canEdit && (
+              <Button variant="outline" size="sm" onClick={() => toggle("new-policy")}>
+                <Plus className="h-4 w-4 mr-2" />
+                New Policy
+              </Button>
+            )}
+          </CardHeader>
+          <CardContent className="space-y-3">
+            <p className="text-sm text-slate-500">
+              An open incident nobody has acknowledged pages the first tier of the most specific matching policy
+              (system, then severity, then catch-all), and moves to the next tier when its time runs out.
+              {!canEdit && " Only admins can change schedules or policies."}
+            </p>
+            {openId === "new-policy" && (
+              <div className="rounded-lg border border-indigo-200 p-4">
+                <EscalationPolicyEditor
+                  schedules={schedules}
+                  members={members}
+                  canEdit={canEdit}
+                  onDone={() => setOpenId(null)}
+                />
+              </div>
+            )}
+            {policies.length === 0 && <p className="text-sm text-slate-500">No escalation policies; nobody is paged.</p>}
+            {policies.map((policy) => (
+              <Expandable
+                key={policy.id}
+                open={openId === policy.id}
+                onToggle={() => toggle(policy.id)}
+                summary={
+                  <>
+                    <p className="font-medium text-slate-900">{policy.name}</p>
+                    <p className="text-sm text-slate-500">
+                      {policy.severities?.length ? policy.severities.join(", ") : "all severities"} ·{" "}
+                      {policy.systems?.length ? policy.systems.join(", ") : "all systems"} · {policy.tiers.length} tier
+                      {policy.tiers.length === 1 ? "" : "s"}
+                    </p>
+                  </>
+                }
+              >
+                <EscalationPolicyEditor
+                  key={policy.updated_date}
+                  policy={policy}
+                  schedules={schedules}
+                  members={members}
+                  canEdit={canEdit}
+                  canDelete={canDelete}
+                  onDone={() => setOpenId(null)}
+                />
+              </Expandable>
+            ))}
+          </CardContent>
+        </Card>
+
+        <RecentPagesCard members={users} />
+      </div>
+    </div>
+  );
+}
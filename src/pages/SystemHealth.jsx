@@ -19,13 +19,13 @@ export default function SystemHealth() {
   const { data: incidents = [], refetch: refetchIncidents } = useQuery({
     queryKey: ["healthIncidents"],
     queryFn: () => appClient.entities.Incident.list("-created_date", 100),
-    refetchInterval: autoRefresh ? 30000 : false
+    meta: { live: autoRefresh }
   });
   
   const { data: predictiveAlerts = [], refetch: refetchAlerts } = useQuery({
     queryKey: ["healthPredictiveAlerts"],
     queryFn: () => appClient.entities.PredictiveAlert.filter({ status: "active" }),
-    refetchInterval: autoRefresh ? 30000 : false
+    meta: { live: autoRefresh }
   });
   
   // Extract affected systems from incidents
@@ -0,0 +1,167 @@
+import { useQuery, useMutation } from "@tanstack/react-query";
+import { appClient } from "@/api/appClient";
+import { usePermissions } from "@/hooks/use-permissions";
+import { addDays, format } from "date-fns";
+import { Trash2, RotateCcw, Loader2 } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import { Badge } from "@/components/ui/badge";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import {
+  AlertDialog,
+  AlertDialogAction,
+  AlertDialogCancel,
+  AlertDialogContent,
+  AlertDialogDescription,
+  AlertDialogFooter,
+  AlertDialogHeader,
+  AlertDialogTitle,
+  AlertDialogTrigger,
+} from "@/components/ui/alert-dialog";
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from "@/components/ui/table";
+
+function recordLabel(record) {
+  return record.title || record.predicted_issue || record.recommendation_action || record.action_type || record.id;
+}
+
+export default function Trash() {
+  const { can } = usePermissions();
+  const { data: items = [], isLoading } = useQuery({
+    queryKey: ["trash"],
+    queryFn: () => appClient.trash.list()
+  });
+
+  const { data: retentionDays } = useQuery({
+    queryKey: ["trash", "retention"],
+    queryFn: () => appClient.trash.retentionDays()
+  });
+
+  const restoreRecord = useMutation({
+    mutationFn: ({ entity, id }) => appClient.entities[entity].restore(id)
+  });
+
+  const purgeRecord = useMutation({
+    mutationFn: ({ entity, id }) => appClient.entities[entity].purge(id)
+  });
+
+  const isBusy = restoreRecord.isPending || purgeRecord.isPending || !can("record.delete");
+  const error = restoreRecord.error || purgeRecord.error;
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-slate-50 via-white to-slate-50">
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        <div className="mb-8">
+          <h1 className="text-2xl font-semibold text-slate-900 tracking-tight flex items-center gap-3">
+            <Trash2 className="h-7 w-7 text-indigo-600" />
+            Trash
+          </h1>
+          <p className="text-slate-500 mt-1">
+            Deleted records are kept for {retentionDays ?? "…"} days before they are purged permanently
+          </p>
+        </div>
+
+        {error && (
+          <div className="mb-4 p-3 bg-rose-50 border border-rose-200 rounded-lg text-sm text-rose-700">
+            {error.message}
+          </div>
+        )}
+
+        <Card>
+          <CardHeader>
+            <CardTitle className="text-lg">Deleted Records</CardTitle>
+          </CardHeader>
+          <CardContent>
+            {isLoading ? (
+              <div className="space-y-3">
+                {[1, 2, 3].map(i => (
+                  <div key={i} className="h-12 bg-slate-100 rounded animate-pulse" />
+                ))}
+              </div>
+            ) : items.length === 0 ? (
+              <div className="text-center py-12 text-slate-400">
+                <Trash2 className="h-10 w-10 mx-auto mb-3 opacity-50" />
+                <p>Trash is empty</p>
+              </div>
+            ) : (
+              <Table>
+                <TableHeader>
+                  <TableRow>
+                    <TableHead>Record</TableHead>
+                    <TableHead>Type</TableHead>
+                    <TableHead>Deleted By</TableHead>
+                    <TableHead>Deleted</TableHead>
+                    <TableHead>Purged After</TableHead>
+                    <TableHead className="text-right">Actions</TableHead>
+                  </TableRow>
+                </TableHeader>
+                <TableBody>
+                  {items.map(({ entity, record }) => (
+                    <TableRow key={`${entity}.${record.id}`}>
+                      <TableCell className="max-w-[280px] truncate font-medium text-slate-900">
+                        {recordLabel(record)}
+                      </TableCell>
+                      <TableCell>
+                        <Badge variant="outline">{entity}</Badge>
+                      </TableCell>
+                      <TableCell className="text-slate-600">{record.deleted_by}</TableCell>
+                      <TableCell className="text-slate-500 text-sm">
+                        {format(new Date(record.deleted_at), "MMM d, h:mm a")}
+                      </TableCell>
+                      <TableCell className="text-slate-500 text-sm">
+                        {retentionDays != null && format(addDays(new Date(record.deleted_at), retentionDays), "MMM d, yyyy")}
+                      </TableCell>
+                      <TableCell className="text-right space-x-2">
+                        <Button
+                          variant="outline"
+                          size="sm"
+                          disabled={isBusy}
+                          onClick={() => restoreRecord.mutate({ entity, id: record.id })}
+                        >
+                          {restoreRecord.isPending && restoreRecord.variables?.id === record.id
+                            ? <Loader2 className="h-4 w-4 mr-1 animate-spin" />
+                            : <RotateCcw className="h-4 w-4 mr-1" />}
+                          Restore
+                        </Button>
+                        <AlertDialog>
+                          <AlertDialogTrigger asChild>
+                            <Button variant="outline" size="sm" disabled={isBusy} className="text-rose-600 hover:text-rose-700">
+                              <Trash2 className="h-4 w-4 mr-1" />
+                              Purge
+                            </Button>
+                          </AlertDialogTrigger>
+                          <AlertDialogContent>
+                            <AlertDialogHeader>
+                              <AlertDialogTitle>Purge permanently?</AlertDialogTitle>
+                              <AlertDialogDescription>
+                                This action cannot be undone. &quot;{recordLabel(record)}&quot; will be removed for good.
+                              </AlertDialogDescription>
+                            </AlertDialogHeader>
+                            <AlertDialogFooter>
+                              <AlertDialogCancel>Cancel</AlertDialogCancel>
+                              <AlertDialogAction
+                                onClick={() => purgeRecord.mutate({ entity, id: record.id })}
+                                className="bg-rose-600 hover:bg-rose-700"
+                              >
+                                Purge
+                              </AlertDialogAction>
+                            </AlertDialogFooter>
+                          </AlertDialogContent>
+                        </AlertDialog>
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            )}
+          </CardContent>
+        </Card>
+      </div>
+    </div>
+  );
+}
@@ -20,6 +20,14 @@ import CreateArticle from "./CreateArticle";
 
 import ArticleDetail from "./ArticleDetail";
 
+import Trash from "./Trash";
+
+import OnCall from "./OnCall";
+
+import Login from "./Login";
+
+import RequireAuth from "@/components/auth/RequireAuth";
+
 import { BrowserRouter as Router, Route, Routes, useLocation } from 'react-router-dom';
 
 const PAGES = {
@@ -44,6 +52,12 @@ const PAGES = {
     
     ArticleDetail: ArticleDetail,
     
+    Trash: Trash,
+    
+    OnCall: OnCall,
+    
+    Login: Login,
+    
 }
 
 function _getCurrentPage(url) {
@@ -64,7 +78,13 @@ function PagesContent() {
     const location = useLocation();
     const currentPage = _getCurrentPage(location.pathname);
     
+    // The login page renders on its own; everything else needs a session.
+    if (currentPage === "Login") {
+        return <Login />;
+    }
+    
     return (
+        <RequireAuth>
         <Layout currentPageName={currentPage}>
             <Routes>            
                 
@@ -91,8 +111,13 @@ function PagesContent() {
                 
                 <Route path="/ArticleDetail" element={<ArticleDetail />} />
                 
+                <Route path="/Trash" element={<Trash />} />
+                
+                <Route path="/OnCall" element={<OnCall />} />
+                
             </Routes>
         </Layout>
+        </RequireAuth>
     );
 }
 